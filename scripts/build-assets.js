@@ -0,0 +1,237 @@
+#!/usr/bin/env node
+/**
+ * ============================================================================
+ * ITTY BITY CITY - Asset Build
+ * ============================================================================
+ *
+ * Post-processes the Vite build so the game can be served with no third-party
+ * hosts involved:
+ * - Every GLB in public/ (character.glb, map.glb if you have it) is
+ *   compressed (Draco, or Meshopt with --meshopt) and written to dist/models
+ *   under a content-hashed name. Files that are already compressed are only
+ *   fingerprinted.
+ * - Streamed map chunks in dist/map are fingerprinted and manifest.json is
+ *   rewritten to point at the new names
+ * - dist/assets.json maps each logical name ("character.glb") to its built
+ *   file, which src/assets.js reads at startup
+ *
+ * Usage:
+ *   node scripts/build-assets.js [distDir] [--meshopt]
+ *
+ * Runs as part of `npm run build`, after `vite build` has filled dist/.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { createHash } from 'crypto';
+import draco3d from 'draco3dgltf';
+import { Logger, NodeIO } from '@gltf-transform/core';
+import { ALL_EXTENSIONS } from '@gltf-transform/extensions';
+import { dedup, draco, meshopt, prune } from '@gltf-transform/functions';
+import { MeshoptDecoder, MeshoptEncoder } from 'meshoptimizer';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const PUBLIC_DIR = 'public';
+
+/** Built models go here, relative to the dist directory */
+const MODELS_DIR = 'models';
+
+/** Streamed map directory (see scripts/tile-map.js), relative to dist */
+const MAP_DIR = 'map';
+
+/** Logical name -> built path table read by the client */
+const ASSET_MANIFEST = 'assets.json';
+
+/** Hex digits of the content hash kept in file names */
+const HASH_LENGTH = 8;
+
+/** Extensions that mean a file's geometry is already compressed */
+const COMPRESSION_EXTENSIONS = ['KHR_draco_mesh_compression', 'EXT_meshopt_compression'];
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{distDir: string, meshopt: boolean}}
+ */
+function parseArgs(argv) {
+  const options = { distDir: 'dist', meshopt: false };
+  for (const arg of argv) {
+    if (arg === '--meshopt') options.meshopt = true;
+    else options.distDir = arg;
+  }
+  return options;
+}
+
+/**
+ * Insert a content hash before the extension: map.glb -> map.1a2b3c4d.glb
+ * @param {string} file - File name
+ * @param {Uint8Array} bytes - File contents
+ * @returns {string}
+ */
+function fingerprint(file, bytes) {
+  const hash = createHash('sha256').update(bytes).digest('hex').slice(0, HASH_LENGTH);
+  const ext = path.extname(file);
+  return `${path.basename(file, ext)}.${hash}${ext}`;
+}
+
+/**
+ * Whether a file is a Git LFS pointer rather than the real model (the repo
+ * was cloned without `git lfs pull`)
+ * @param {Uint8Array} bytes
+ */
+function isLfsPointer(bytes) {
+  return Buffer.from(bytes.subarray(0, 40)).toString('utf8').startsWith('version https://git-lfs');
+}
+
+/**
+ * @param {string} file
+ * @returns {Promise<boolean>}
+ */
+async function exists(file) {
+  try {
+    await fs.access(file);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// ============================================================================
+// MODELS
+// ============================================================================
+
+/**
+ * Compress a GLB unless it already is
+ * @param {NodeIO} io
+ * @param {string} file - Source path
+ * @param {boolean} useMeshopt - Meshopt instead of Draco
+ * @returns {Promise<{bytes: Uint8Array, compressed: boolean}>}
+ */
+async function compressModel(io, file, useMeshopt) {
+  const document = await io.read(file);
+  document.setLogger(new Logger(Logger.Verbosity.WARN));
+
+  const used = document.getRoot().listExtensionsUsed().map(extension => extension.extensionName);
+  if (used.some(name => COMPRESSION_EXTENSIONS.includes(name))) {
+    return { bytes: await fs.readFile(file), compressed: false };
+  }
+
+  await document.transform(
+    dedup(),
+    prune(),
+    useMeshopt ? meshopt({ encoder: MeshoptEncoder }) : draco()
+  );
+  return { bytes: await io.writeBinary(document), compressed: true };
+}
+
+/**
+ * Compress and fingerprint the models in public/
+ * @param {NodeIO} io
+ * @param {Object} options - Parsed arguments
+ * @param {Object<string, string>} assets - Manifest being built
+ */
+async function buildModels(io, options, assets) {
+  const files = (await fs.readdir(PUBLIC_DIR)).filter(file => path.extname(file).toLowerCase() === '.glb');
+  await fs.mkdir(path.join(options.distDir, MODELS_DIR), { recursive: true });
+
+  for (const file of files) {
+    const source = path.join(PUBLIC_DIR, file);
+    const original = await fs.readFile(source);
+
+    if (isLfsPointer(original)) {
+      console.warn(`⚠️  ${file} is a Git LFS pointer - run \`git lfs pull\`; skipping`);
+      continue;
+    }
+
+    const { bytes, compressed } = await compressModel(io, source, options.meshopt);
+    const target = path.posix.join(MODELS_DIR, fingerprint(file, bytes));
+    await fs.writeFile(path.join(options.distDir, target), bytes);
+
+    // Vite copied the uncompressed original; don't ship it twice
+    await fs.rm(path.join(options.distDir, file), { force: true });
+
+    assets[file] = target;
+    const sizes = `${(original.length / 1024).toFixed(0)} KB -> ${(bytes.length / 1024).toFixed(0)} KB`;
+    console.log(`   ${file} -> ${target} (${compressed ? sizes : 'already compressed'})`);
+  }
+}
+
+// ============================================================================
+// STREAMED MAP
+// ============================================================================
+
+/**
+ * Fingerprint the map chunks and point manifest.json at them
+ * @param {Object} options - Parsed arguments
+ */
+async function buildMapChunks(options) {
+  const mapDir = path.join(options.distDir, MAP_DIR);
+  const manifestPath = path.join(mapDir, 'manifest.json');
+  if (!(await exists(manifestPath))) return;
+
+  const manifest = JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+
+  /** Original name -> fingerprinted name (a file may be listed more than once) */
+  const renamed = new Map();
+  const rename = async (file) => {
+    if (!renamed.has(file)) {
+      const bytes = await fs.readFile(path.join(mapDir, file));
+      const hashed = fingerprint(file, bytes);
+      await fs.rename(path.join(mapDir, file), path.join(mapDir, hashed));
+      renamed.set(file, hashed);
+    }
+    return renamed.get(file);
+  };
+
+  for (const chunk of manifest.chunks) {
+    chunk.file = await rename(chunk.file);
+    for (const lod of chunk.lods || []) lod.file = await rename(lod.file);
+  }
+
+  await fs.writeFile(manifestPath, JSON.stringify(manifest, null, 2));
+  console.log(`   ${MAP_DIR}/: ${renamed.size} chunk files fingerprinted`);
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (!(await exists(options.distDir))) {
+    console.error(`❌ ${options.distDir}/ not found - run \`vite build\` first`);
+    process.exit(1);
+  }
+
+  await MeshoptEncoder.ready;
+  await MeshoptDecoder.ready;
+  const io = new NodeIO()
+    .registerExtensions(ALL_EXTENSIONS)
+    .registerDependencies({
+      'draco3d.decoder': await draco3d.createDecoderModule(),
+      'draco3d.encoder': await draco3d.createEncoderModule(),
+      'meshopt.decoder': MeshoptDecoder,
+      'meshopt.encoder': MeshoptEncoder
+    });
+
+  console.log(`📦 Building assets into ${options.distDir}/...`);
+
+  const assets = {};
+  await buildModels(io, options, assets);
+  await buildMapChunks(options);
+
+  await fs.writeFile(path.join(options.distDir, ASSET_MANIFEST), JSON.stringify(assets, null, 2));
+  console.log(`✅ Wrote ${ASSET_MANIFEST} (${Object.keys(assets).length} models)`);
+}
+
+main().catch((error) => {
+  console.error('❌ Asset build failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,270 @@
+#!/usr/bin/env node
+/**
+ * ============================================================================
+ * ITTY BITY CITY - Map Tiler
+ * ============================================================================
+ *
+ * Splits the city map into square chunks on the XZ plane so the game can
+ * stream the area around the player instead of downloading one huge GLB.
+ *
+ * Usage:
+ *   node scripts/tile-map.js <map.glb> [outDir] [--chunk-size 64] [--no-draco] [--no-lod]
+ *
+ * Writes one GLB per chunk plus a manifest.json to outDir (default
+ * public/map). Each mesh node goes to the chunk containing the center of
+ * its bounds. Meshes spanning more than a few chunks (ground sheets, road
+ * networks) go to a "global" chunk that the client always keeps loaded.
+ *
+ * Every chunk also gets simplified levels of detail (see LOD_LEVELS) that
+ * the client shows from further away. Small props are dropped from them,
+ * repeated meshes become GPU instances and the most distant level is merged
+ * into a handful of meshes so a far-off block costs a few draw calls.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import draco3d from 'draco3dgltf';
+import { Document, Logger, NodeIO } from '@gltf-transform/core';
+import { ALL_EXTENSIONS } from '@gltf-transform/extensions';
+import { copyToDocument, dedup, draco, flatten, getBounds, instance, join, prune, simplify, uninstance, weld } from '@gltf-transform/functions';
+import { MeshoptSimplifier } from 'meshoptimizer';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const DEFAULT_CHUNK_SIZE = 64;
+
+/** Nodes whose bounds cover more chunks than this (per axis) go global */
+const MAX_CHUNK_SPAN = 2;
+
+const GLOBAL_CHUNK_ID = 'global';
+
+/**
+ * Simplified levels written next to each chunk, finest first:
+ * - distance: camera distance (to the chunk center) the level takes over at
+ * - ratio/error: meshoptimizer targets (error is a fraction of mesh size)
+ * - minSize: props smaller than this (meters, largest axis) are left out
+ * - merge: join everything into as few meshes as possible, otherwise
+ *   repeated meshes are instanced
+ */
+const LOD_LEVELS = [
+  { suffix: 'lod1', distance: 96,  ratio: 0.25, error: 0.01, minSize: 1, merge: false },
+  { suffix: 'lod2', distance: 224, ratio: 0.05, error: 0.05, minSize: 4, merge: true }
+];
+
+// ============================================================================
+// ARGUMENTS
+// ============================================================================
+
+/**
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{input: string, outDir: string, chunkSize: number, draco: boolean, lod: boolean}}
+ */
+function parseArgs(argv) {
+  const options = { input: null, outDir: 'public/map', chunkSize: DEFAULT_CHUNK_SIZE, draco: true, lod: true };
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--chunk-size') {
+      options.chunkSize = Number(argv[++i]);
+    } else if (arg === '--no-draco') {
+      options.draco = false;
+    } else if (arg === '--no-lod') {
+      options.lod = false;
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  [options.input, options.outDir = options.outDir] = positional;
+
+  if (!options.input || !(options.chunkSize > 0)) {
+    console.error('Usage: node scripts/tile-map.js <map.glb> [outDir] [--chunk-size 64] [--no-draco] [--no-lod]');
+    process.exit(1);
+  }
+  return options;
+}
+
+// ============================================================================
+// TILING
+// ============================================================================
+
+/**
+ * Group the scene's mesh nodes into chunks
+ * @param {Document} document - Flattened document
+ * @param {number} chunkSize
+ * @returns {Map<string, {nodes: Array, bounds: {min: number[], max: number[]}}>}
+ */
+function assignChunks(document, chunkSize) {
+  const chunks = new Map();
+  const cellOf = (value) => Math.floor(value / chunkSize);
+
+  for (const scene of document.getRoot().listScenes()) {
+    for (const node of scene.listChildren()) {
+      if (!node.getMesh()) continue;
+
+      const { min, max } = getBounds(node);
+      const spanX = cellOf(max[0]) - cellOf(min[0]);
+      const spanZ = cellOf(max[2]) - cellOf(min[2]);
+
+      const id = spanX > MAX_CHUNK_SPAN || spanZ > MAX_CHUNK_SPAN
+        ? GLOBAL_CHUNK_ID
+        : `${cellOf((min[0] + max[0]) / 2)}_${cellOf((min[2] + max[2]) / 2)}`;
+
+      let chunk = chunks.get(id);
+      if (!chunk) {
+        chunk = { nodes: [], bounds: { min: [Infinity, Infinity, Infinity], max: [-Infinity, -Infinity, -Infinity] } };
+        chunks.set(id, chunk);
+      }
+      chunk.nodes.push(node);
+      for (let axis = 0; axis < 3; axis++) {
+        chunk.bounds.min[axis] = Math.min(chunk.bounds.min[axis], min[axis]);
+        chunk.bounds.max[axis] = Math.max(chunk.bounds.max[axis], max[axis]);
+      }
+    }
+  }
+
+  return chunks;
+}
+
+/**
+ * Build a standalone document holding only some nodes of the source
+ * @param {Document} source
+ * @param {Array} nodes - Source nodes (direct scene children)
+ * @param {boolean} compress - Draco-compress the meshes
+ * @param {Object} [level] - Entry of LOD_LEVELS to simplify for
+ * @returns {Promise<Document>}
+ */
+async function extractChunk(source, nodes, compress, level = null) {
+  const target = new Document().setLogger(new Logger(Logger.Verbosity.WARN));
+  target.createBuffer();
+
+  // Same extensions as the source (materials, texture transforms, ...)
+  for (const extension of source.getRoot().listExtensionsUsed()) {
+    target.createExtension(extension.constructor).setRequired(extension.isRequired());
+  }
+
+  const copies = copyToDocument(target, source, nodes);
+  const scene = target.createScene('chunk');
+  for (const node of nodes) scene.addChild(copies.get(node));
+
+  const transforms = [dedup(), prune()];
+  if (level) {
+    transforms.push(
+      weld(),
+      simplify({ simplifier: MeshoptSimplifier, ratio: level.ratio, error: level.error }),
+      level.merge ? join() : instance({ min: 2 }),
+      prune()
+    );
+  }
+  if (compress) transforms.push(draco());
+  await target.transform(...transforms);
+  return target;
+}
+
+/**
+ * Write the simplified levels of a chunk
+ * @param {Document} source
+ * @param {NodeIO} io
+ * @param {string} id - Chunk id
+ * @param {Array} nodes - The chunk's nodes
+ * @param {Object} options - Parsed arguments
+ * @returns {Promise<Array<{file: string, distance: number, meshes: number, bytes: number}>>}
+ */
+async function writeLevels(source, io, id, nodes, options) {
+  const levels = [];
+
+  for (const level of LOD_LEVELS) {
+    const kept = nodes.filter((node) => {
+      const { min, max } = getBounds(node);
+      return Math.max(max[0] - min[0], max[1] - min[1], max[2] - min[2]) >= level.minSize;
+    });
+    // Nothing big enough left: the previous level stays up to the load radius
+    if (kept.length === 0) break;
+
+    const file = `chunk_${id}.${level.suffix}.glb`;
+    const levelDocument = await extractChunk(source, kept, options.draco, level);
+    await io.write(path.join(options.outDir, file), levelDocument);
+    const { size } = await fs.stat(path.join(options.outDir, file));
+
+    levels.push({ file, distance: level.distance, meshes: kept.length, bytes: size });
+  }
+
+  return levels;
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  const io = new NodeIO()
+    .registerExtensions(ALL_EXTENSIONS)
+    .registerDependencies({
+      'draco3d.decoder': await draco3d.createDecoderModule(),
+      'draco3d.encoder': await draco3d.createEncoderModule()
+    });
+
+  console.log(`📦 Reading ${options.input}...`);
+  const document = await io.read(options.input);
+  document.setLogger(new Logger(Logger.Verbosity.WARN));
+  await MeshoptSimplifier.ready;
+
+  // One node per mesh instance, transforms baked, no hierarchy to untangle
+  await document.transform(uninstance(), flatten());
+
+  const chunks = assignChunks(document, options.chunkSize);
+  console.log(`🧩 ${chunks.size} chunks of ${options.chunkSize}m`);
+
+  await fs.mkdir(options.outDir, { recursive: true });
+
+  const manifest = {
+    version: 1,
+    chunkSize: options.chunkSize,
+    bounds: { min: [Infinity, Infinity, Infinity], max: [-Infinity, -Infinity, -Infinity] },
+    chunks: []
+  };
+
+  for (const [id, chunk] of chunks) {
+    const file = `chunk_${id}.glb`;
+    const chunkDocument = await extractChunk(document, chunk.nodes, options.draco);
+    await io.write(path.join(options.outDir, file), chunkDocument);
+    const { size } = await fs.stat(path.join(options.outDir, file));
+
+    // The global chunk is mostly ground, which is near the player everywhere
+    const lods = options.lod && id !== GLOBAL_CHUNK_ID
+      ? await writeLevels(document, io, id, chunk.nodes, options)
+      : [];
+
+    manifest.chunks.push({
+      id,
+      file,
+      bounds: chunk.bounds,
+      meshes: chunk.nodes.length,
+      bytes: size,
+      ...(lods.length > 0 ? { lods } : {}),
+      ...(id === GLOBAL_CHUNK_ID ? { always: true } : {})
+    });
+
+    for (let axis = 0; axis < 3; axis++) {
+      manifest.bounds.min[axis] = Math.min(manifest.bounds.min[axis], chunk.bounds.min[axis]);
+      manifest.bounds.max[axis] = Math.max(manifest.bounds.max[axis], chunk.bounds.max[axis]);
+    }
+
+    const lodSizes = lods.map(lod => `${(lod.bytes / 1024).toFixed(0)}`).join(' / ');
+    console.log(`   ${file}: ${chunk.nodes.length} meshes, ${(size / 1024).toFixed(0)} KB` +
+      (lods.length > 0 ? ` (LODs ${lodSizes} KB)` : ''));
+  }
+
+  await fs.writeFile(path.join(options.outDir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+  console.log(`✅ Wrote ${manifest.chunks.length} chunks and manifest.json to ${options.outDir}`);
+}
+
+main().catch((error) => {
+  console.error('❌ Tiling failed:', error);
+  process.exit(1);
+});
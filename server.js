@@ -22,11 +22,16 @@
  */
 
 import { createServer } from 'http';
+import { randomUUID } from 'crypto';
 import { WebSocketServer } from 'ws';
-import { createReadStream, statSync, existsSync } from 'fs';
-import { join, extname } from 'path';
+import { join } from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
+import { createStaticFileHandler } from './server/staticFiles.js';
+import { COMMANDS, describeCommand, formatCommandTable, isCommand, validateCommand } from './server/protocol.js';
+import { assertSteps, createSequencePlayer, createSequenceStore } from './server/sequences.js';
+import { clientAddress, createControlAuth, loadControlTokens, parseRequestUrl, rejectUpgrade } from './server/auth.js';
+import { loadPois, poiFromCommand } from './server/pois.js';
 
 // ============================================================================
 // CONFIGURATION
@@ -39,25 +44,47 @@ const __dirname = dirname(fileURLToPath(import.meta.url));
 const PORT = process.env.PORT || 3000;
 
 /**
- * MIME type mappings for static file serving.
- * Maps file extensions to their corresponding Content-Type headers.
+ * Real-time minutes per in-game day while the clock is running.
+ * Must match CONFIG.DAY_LENGTH_MINUTES in src/main.js so every client
+ * shows the same time.
  */
-const mimeTypes = {
-  '.html': 'text/html',
-  '.js': 'application/javascript',
-  '.css': 'text/css',
-  '.json': 'application/json',
-  '.glb': 'model/gltf-binary',      // 3D model format
-  '.gltf': 'model/gltf+json',
-  '.png': 'image/png',
-  '.jpg': 'image/jpeg',
-  '.jpeg': 'image/jpeg',
-  '.gif': 'image/gif',
-  '.svg': 'image/svg+xml',
-  '.ico': 'image/x-icon',
-  '.woff': 'font/woff',
-  '.woff2': 'font/woff2',
-};
+const DAY_LENGTH_MINUTES = 20;
+
+/** How often player snapshots are sent to game clients (ms) */
+const SNAPSHOT_INTERVAL = 100;
+
+/** Chat messages only reach players within this distance of the sender */
+const CHAT_RADIUS = 30;
+
+/** Longest chat message accepted (matches CHAT_MAX_LENGTH in src/chat.js) */
+const CHAT_MAX_LENGTH = 200;
+
+/**
+ * Chat rate limit per player (token bucket): up to `burst` messages at
+ * once, refilled at `perSecond` messages per second.
+ */
+const CHAT_RATE_LIMIT = { burst: 5, perSecond: 0.5 };
+
+/** Most spawned objects in the world at once */
+const MAX_SPAWNED_OBJECTS = 200;
+
+/** Most points of interest at once */
+const MAX_POIS = 500;
+
+/** Path controllers connect to */
+const CONTROL_PATH = '/control';
+
+/** Controller tokens and scopes (see server/auth.js for the format) */
+const CONTROL_TOKENS_FILE = process.env.CONTROL_TOKENS_FILE || join(__dirname, 'control-tokens.json');
+
+/** Every controller connection and command is appended here (JSON lines) */
+const CONTROL_AUDIT_LOG = process.env.CONTROL_AUDIT_LOG || join(__dirname, 'control-audit.log');
+
+/** Saved sequences (tours, demos), one <name>.json each */
+const SEQUENCES_DIR = process.env.SEQUENCES_DIR || join(__dirname, 'sequences');
+
+/** Points of interest the world starts with (see server/pois.js) */
+const POIS_FILE = process.env.POIS_FILE || join(__dirname, 'public', 'pois.json');
 
 
 // ============================================================================
@@ -65,58 +92,25 @@ const mimeTypes = {
 // ============================================================================
 
 /**
- * HTTP server that serves static files for the game.
- * 
- * File resolution order:
+ * Static files for the game, confined to these directories (searched in
+ * order). Everything else in the project - server code, package.json,
+ * dotfiles - is never served.
  * 1. dist/ directory (production build)
  * 2. public/ directory (static assets like models)
- * 3. Root directory (fallback)
+ */
+const serveStatic = createStaticFileHandler({
+  roots: [join(__dirname, 'dist'), join(__dirname, 'public')],
+  headers: { 'Access-Control-Allow-Origin': '*' }  // Allow cross-origin requests
+});
+
+/**
+ * HTTP server that serves static files for the game.
  * 
  * @param {http.IncomingMessage} req - The HTTP request
  * @param {http.ServerResponse} res - The HTTP response
  */
 const server = createServer((req, res) => {
-  // Default to index.html for root path
-  let filePath = req.url === '/' ? '/index.html' : req.url;
-  
-  // Remove query string if present
-  filePath = filePath.split('?')[0];
-  
-  // Try to find the file in multiple directories
-  let fullPath = join(__dirname, 'dist', filePath);
-  
-  if (!existsSync(fullPath)) {
-    fullPath = join(__dirname, 'public', filePath);
-  }
-  
-  if (!existsSync(fullPath)) {
-    fullPath = join(__dirname, filePath);
-  }
-  
-  // Return 404 if file not found
-  if (!existsSync(fullPath)) {
-    res.writeHead(404, { 'Content-Type': 'text/plain' });
-    res.end('Not found: ' + filePath);
-    return;
-  }
-  
-  // Determine content type from file extension
-  const ext = extname(fullPath).toLowerCase();
-  const contentType = mimeTypes[ext] || 'application/octet-stream';
-  
-  // Get file size for Content-Length header
-  const stat = statSync(fullPath);
-  
-  // Send response headers
-  res.writeHead(200, {
-    'Content-Type': contentType,
-    'Content-Length': stat.size,
-    'Access-Control-Allow-Origin': '*',  // Allow cross-origin requests
-    'Cache-Control': 'public, max-age=3600'  // Cache for 1 hour
-  });
-  
-  // Stream the file to the response
-  createReadStream(fullPath).pipe(res);
+  serveStatic(req, res);
 });
 
 
@@ -125,17 +119,73 @@ const server = createServer((req, res) => {
 // ============================================================================
 
 /**
- * WebSocket server attached to the HTTP server.
+ * Controller authentication. Fails at startup if the tokens file is
+ * malformed rather than silently running without the tokens in it.
+ */
+const controlAuth = createControlAuth({
+  tokens: loadControlTokens({ file: CONTROL_TOKENS_FILE }),
+  auditLogPath: CONTROL_AUDIT_LOG
+});
+
+/**
+ * WebSocket server sharing the HTTP server's port.
  * Handles real-time communication between controllers and game clients.
+ * Upgrades are accepted by hand so /control can be authenticated first.
  */
-const wss = new WebSocketServer({ server });
+const wss = new WebSocketServer({ noServer: true });
+
+/**
+ * Check controller tokens before accepting a WebSocket.
+ * Game clients (any other path) connect without a token.
+ */
+server.on('upgrade', (req, socket, head) => {
+  const url = parseRequestUrl(req);
+  if (!url) {
+    console.warn(`🔒 Rejected upgrade from ${clientAddress(req)} (malformed request target)`);
+    rejectUpgrade(socket, 400);
+    return;
+  }
+  
+  if (url.pathname === CONTROL_PATH) {
+    const identity = controlAuth.authenticate(req);
+    if (!identity) {
+      console.warn(`🔒 Rejected controller from ${clientAddress(req)} (missing or invalid token)`);
+      controlAuth.audit({ event: 'reject', ip: clientAddress(req) });
+      rejectUpgrade(socket, 401);
+      return;
+    }
+    req.controller = identity;
+  }
+  
+  wss.handleUpgrade(req, socket, head, (ws) => {
+    wss.emit('connection', ws, req);
+  });
+});
 
 /** Set of connected game clients (browsers running the game) */
 const clients = new Set();
 
+/** Set of connected controllers (/control connections) */
+const controllers = new Set();
+
 /**
- * Current game state - tracks player position and game settings.
- * This allows the controller to query the current state.
+ * Player sessions by ID - one per connected game client.
+ * Each session is the server's authoritative copy of that player.
+ * 
+ * @type {Map<string, {id: string, ws: WebSocket, position: Object, rotation: number, camera: Object, anim: string, joinedAt: number}>}
+ */
+const players = new Map();
+
+/** Animation states a client may report */
+const ANIM_STATES = new Set(['idle', 'walk', 'run', 'jump', 'fall']);
+
+/** Emotes a client may play (see EMOTES in src/character.js) */
+const EMOTES = new Set(['wave', 'sit', 'dance']);
+
+/**
+ * Current game state - world settings shared by every player.
+ * `player` and `camera` are only used until the first game client reports in;
+ * after that getState reports the longest-connected player there.
  */
 let gameState = {
   player: {
@@ -146,33 +196,147 @@ let gameState = {
     angleX: 0,
     angleY: 0
   },
-  time: 12,           // Hour of day (0-24)
+  time: 12,           // Hour of day (0-24) when the clock was last set
+  timePinned: false,  // Whether the clock is frozen at `time`
   weather: 'clear'    // Weather condition
 };
 
+/** When `gameState.time` was last set (ms timestamp) */
+let timeSetAt = Date.now();
+
+/**
+ * Objects placed with `spawn`, by ID: { id, object, position, rotation, scale, collide }.
+ * Part of the state sent to joining players, so everyone sees the same ones.
+ */
+const spawnedObjects = new Map();
+
+/** Counter for spawned object IDs */
+let nextObjectId = 1;
+
+/**
+ * Points of interest by ID: public/pois.json plus controller changes.
+ * Fails at startup if the file is malformed, like the tokens file.
+ */
+const pois = new Map(loadPois({ file: POIS_FILE }).map(poi => [poi.id, poi]));
+
+/**
+ * Describe a player session for other clients and controllers.
+ * 
+ * @param {Object} session - Player session
+ * @returns {Object} Public player info (no socket)
+ */
+function describePlayer(session) {
+  return {
+    id: session.id,
+    position: session.position,
+    rotation: session.rotation,
+    camera: session.camera,
+    anim: session.anim,
+    emote: session.emote,
+    joinedAt: session.joinedAt
+  };
+}
+
+/**
+ * Get the game state with the clock advanced to the current moment.
+ * The stored time only changes on `time` commands; while the clock runs,
+ * the current hour is derived from the time elapsed since then.
+ * 
+ * @returns {Object} Snapshot of the game state
+ */
+function getCurrentState() {
+  let time = gameState.time;
+  
+  if (!gameState.timePinned) {
+    const elapsedMinutes = (Date.now() - timeSetAt) / 60000;
+    time = (time + elapsedMinutes * 24 / DAY_LENGTH_MINUTES) % 24;
+  }
+  
+  // Keep the single-player fields for existing controllers
+  const [primary] = players.values();
+  const player = primary
+    ? { position: primary.position, rotation: primary.rotation }
+    : gameState.player;
+  const camera = primary ? primary.camera : gameState.camera;
+  
+  return {
+    ...gameState,
+    time,
+    player,
+    camera,
+    players: [...players.values()].map(describePlayer),
+    objects: [...spawnedObjects.values()],
+    pois: [...pois.values()]
+  };
+}
+
+/**
+ * Check that a value is an {x, y, z} object of finite numbers.
+ * 
+ * @param {*} v - Value to check
+ * @returns {boolean}
+ */
+function isVector3(v) {
+  return !!v && Number.isFinite(v.x) && Number.isFinite(v.y) && Number.isFinite(v.z);
+}
+
 
 /**
  * Handle new WebSocket connections.
  * 
  * Two types of connections:
- * 1. Controller (URL ends with /control) - can send commands to the game
+ * 1. Controller (/control, authenticated on upgrade) - can send commands
+ *    allowed by its token's scopes
  * 2. Game client (any other URL) - receives commands, sends state updates
  */
 wss.on('connection', (ws, req) => {
   // Determine if this is a controller or a game client
-  const isController = req.url === '/control';
+  const controller = req.controller || null;
+  const isController = controller !== null;
+  const ip = clientAddress(req);
+  
+  /** This connection's player session (game clients only) */
+  let session = null;
   
   if (isController) {
-    console.log('🎮 Controller connected (Mojo can now control the game)');
+    console.log(`🎮 Controller "${controller.name}" connected from ${ip} (scopes: ${[...controller.scopes].join(', ')})`);
+    controlAuth.audit({ event: 'connect', issuer: controller.name, ip });
+    controllers.add(ws);
   } else {
-    console.log('🌐 Game client connected');
-    clients.add(ws);
+    session = {
+      id: randomUUID().slice(0, 8),
+      ws,
+      position: { ...gameState.player.position },
+      rotation: 0,
+      camera: { angleX: 0, angleY: 0 },
+      anim: 'idle',
+      emote: null,
+      chatTokens: CHAT_RATE_LIMIT.burst,
+      chatRefilledAt: Date.now(),
+      joinedAt: Date.now()
+    };
+    
+    console.log(`🌐 Game client connected (player ${session.id})`);
+    
+    // Tell the new client who it is and who else is here
+    ws.send(JSON.stringify({
+      type: 'welcome',
+      id: session.id,
+      players: [...players.values()].map(describePlayer)
+    }));
     
     // Send current game state to new client
     ws.send(JSON.stringify({
       type: 'sync',
-      state: gameState
+      state: getCurrentState()
     }));
+    
+    // Announce the new player to everyone else
+    broadcast({ type: 'playerJoin', player: describePlayer(session) });
+    notifyControllers({ type: 'playerJoin', player: describePlayer(session) });
+    
+    players.set(session.id, session);
+    clients.add(ws);
   }
   
   /**
@@ -180,88 +344,42 @@ wss.on('connection', (ws, req) => {
    */
   ws.on('message', (data) => {
     try {
-      const msg = JSON.parse(data);
+      let msg;
+      try {
+        msg = JSON.parse(data);
+      } catch (e) {
+        if (isController) reply(ws, null, { type: 'error', message: 'Messages must be valid JSON' });
+        return;
+      }
       
       if (isController) {
         // ========================================
         // COMMANDS FROM CONTROLLER
         // ========================================
         
-        console.log('📨 Command from controller:', msg.type);
+        const result = validateCommand(msg);
+        if (!result.ok) {
+          const command = typeof msg?.type === 'string' ? msg : undefined;
+          console.warn(`⚠️  Invalid command from ${controller.name}: ${result.message}`);
+          controlAuth.audit({ event: 'invalid', issuer: controller.name, ip, msg: command });
+          reply(ws, msg, { type: 'error', command: command?.type, message: result.message, errors: result.errors });
+          return;
+        }
         
-        switch (msg.type) {
-          case 'teleport':
-            // Teleport player to specified coordinates
-            // Updates game state and broadcasts to all clients
-            gameState.player.position = { x: msg.x, y: msg.y, z: msg.z };
-            broadcast({ type: 'teleport', x: msg.x, y: msg.y, z: msg.z });
-            break;
-            
-          case 'look':
-            // Set camera angles
-            gameState.camera = { angleX: msg.rx || 0, angleY: msg.ry || 0 };
-            broadcast({ type: 'look', rx: msg.rx, ry: msg.ry });
-            break;
-            
-          case 'rotate':
-            // Rotate the player character
-            gameState.player.rotation = msg.angle || 0;
-            broadcast({ type: 'rotate', angle: msg.angle });
-            break;
-            
-          case 'spawn':
-            // Spawn an object in the world
-            broadcast({ 
-              type: 'spawn', 
-              object: msg.object, 
-              x: msg.x, 
-              y: msg.y, 
-              z: msg.z 
-            });
-            break;
-            
-          case 'time':
-            // Change time of day (0-24)
-            gameState.time = msg.value;
-            broadcast({ type: 'time', value: msg.value });
-            break;
-            
-          case 'weather':
-            // Change weather (clear, rain, fog)
-            gameState.weather = msg.value;
-            broadcast({ type: 'weather', value: msg.value });
-            break;
-            
-          case 'message':
-            // Show a message on screen
-            broadcast({ 
-              type: 'message', 
-              text: msg.text, 
-              duration: msg.duration || 3000 
-            });
-            break;
-            
-          case 'effect':
-            // Trigger a visual effect (shake, flash)
-            broadcast({ 
-              type: 'effect', 
-              name: msg.name, 
-              params: msg.params 
-            });
-            break;
-            
-          case 'getState':
-            // Return current game state to controller
-            ws.send(JSON.stringify({ 
-              type: 'state', 
-              data: gameState 
-            }));
-            break;
-            
-          default:
-            // Forward any unknown command type to clients
-            // This allows extending functionality without server changes
-            broadcast(msg);
+        if (!controlAuth.isAllowed(controller, msg.type)) {
+          console.warn(`🔒 Controller "${controller.name}" may not send ${msg.type}`);
+          controlAuth.audit({ event: 'denied', issuer: controller.name, ip, msg });
+          reply(ws, msg, { type: 'error', command: msg.type, message: `Not allowed: ${msg.type}` });
+          return;
+        }
+        
+        console.log(`📨 Command from ${controller.name}:`, msg.type);
+        controlAuth.audit({ event: 'command', issuer: controller.name, ip, msg });
+        
+        try {
+          reply(ws, msg, runCommand(msg, controller) || { type: 'ack', command: msg.type });
+        } catch (error) {
+          reply(ws, msg, { type: 'error', command: msg.type, message: error.message, errors: error.errors });
         }
         
       } else {
@@ -269,11 +387,44 @@ wss.on('connection', (ws, req) => {
         // UPDATES FROM GAME CLIENTS
         // ========================================
         
-        if (msg.type === 'playerUpdate') {
-          // Update game state with player position
-          gameState.player.position = msg.position;
-          gameState.player.rotation = msg.rotation;
-          gameState.camera = msg.camera;
+        // Game clients never get to act as a controller
+        if (isCommand(msg.type)) {
+          console.warn(`🔒 Player ${session.id} sent controller command ${msg.type} - disconnecting`);
+          controlAuth.audit({ event: 'violation', issuer: `player:${session.id}`, ip, msg });
+          ws.send(JSON.stringify({ type: 'error', message: 'Controller commands need a controller token' }));
+          ws.close(1008, 'Controller commands are not allowed');
+          return;
+        }
+        
+        switch (msg.type) {
+          case 'playerUpdate':
+            // Update this player's session; ignore malformed fields
+            if (isVector3(msg.position)) {
+              session.position = { x: msg.position.x, y: msg.position.y, z: msg.position.z };
+            }
+            if (Number.isFinite(msg.rotation)) {
+              session.rotation = msg.rotation;
+            }
+            if (msg.camera && Number.isFinite(msg.camera.angleX) && Number.isFinite(msg.camera.angleY)) {
+              session.camera = { angleX: msg.camera.angleX, angleY: msg.camera.angleY };
+            }
+            if (ANIM_STATES.has(msg.anim)) {
+              session.anim = msg.anim;
+              // Emotes only play while standing still
+              if (msg.anim !== 'idle') session.emote = null;
+            }
+            break;
+            
+          case 'chat':
+            handleChat(session, msg.text);
+            break;
+            
+          case 'emote':
+            // Start (or with name: null, stop) an emote; shown via snapshots
+            if (msg.name === null || EMOTES.has(msg.name)) {
+              session.emote = msg.name;
+            }
+            break;
         }
       }
       
@@ -286,11 +437,13 @@ wss.on('connection', (ws, req) => {
    * Handle connection close.
    */
   ws.on('close', () => {
-    clients.delete(ws);
     if (isController) {
-      console.log('🎮 Controller disconnected');
+      controllers.delete(ws);
+      controlAuth.audit({ event: 'disconnect', issuer: controller.name, ip });
+      console.log(`🎮 Controller "${controller.name}" disconnected`);
     } else {
-      console.log('🌐 Game client disconnected');
+      removePlayer(session);
+      console.log(`🌐 Game client disconnected (player ${session.id})`);
     }
   });
   
@@ -299,10 +452,365 @@ wss.on('connection', (ws, req) => {
    */
   ws.on('error', (err) => {
     console.error('WebSocket error:', err);
-    clients.delete(ws);
+    if (isController) {
+      controllers.delete(ws);
+    } else {
+      removePlayer(session);
+    }
   });
 });
 
+/**
+ * Forget a player session and tell everyone they left.
+ * Safe to call more than once for the same session.
+ * 
+ * @param {Object} session - Player session
+ */
+function removePlayer(session) {
+  if (!players.delete(session.id)) return;
+  clients.delete(session.ws);
+  
+  broadcast({ type: 'playerLeave', id: session.id });
+  notifyControllers({ type: 'playerLeave', id: session.id });
+}
+
+/**
+ * Relay a chat message to every player near the sender (including the
+ * sender, so they see their own speech bubble). Controllers see all chat.
+ * 
+ * @param {Object} session - Sender's player session
+ * @param {*} text - Message text from the client
+ */
+function handleChat(session, text) {
+  if (typeof text !== 'string') return;
+  text = text.trim().slice(0, CHAT_MAX_LENGTH);
+  if (!text) return;
+  
+  // Refill the sender's token bucket
+  const now = Date.now();
+  session.chatTokens = Math.min(
+    CHAT_RATE_LIMIT.burst,
+    session.chatTokens + (now - session.chatRefilledAt) / 1000 * CHAT_RATE_LIMIT.perSecond
+  );
+  session.chatRefilledAt = now;
+  
+  if (session.chatTokens < 1) {
+    session.ws.send(JSON.stringify({ type: 'error', message: 'You are sending messages too quickly' }));
+    return;
+  }
+  session.chatTokens -= 1;
+  
+  const msg = { type: 'chat', from: session.id, text };
+  const nearby = [...players.values()].filter(other => {
+    const dx = other.position.x - session.position.x;
+    const dy = other.position.y - session.position.y;
+    const dz = other.position.z - session.position.z;
+    return dx * dx + dy * dy + dz * dz <= CHAT_RADIUS * CHAT_RADIUS;
+  });
+  
+  sendToPlayers(nearby, msg);
+  notifyControllers({ ...msg, position: session.position });
+}
+
+/**
+ * Periodically send every player's state to every game client.
+ * Clients interpolate between these snapshots to draw other walkers.
+ */
+const snapshotTimer = setInterval(() => {
+  // Nobody to show anyone else
+  if (players.size < 2) return;
+  
+  broadcast({
+    type: 'players',
+    time: Date.now(),
+    players: [...players.values()].map(session => ({
+      id: session.id,
+      position: session.position,
+      rotation: session.rotation,
+      anim: session.anim,
+      emote: session.emote
+    }))
+  });
+}, SNAPSHOT_INTERVAL);
+
+
+// ============================================================================
+// CONTROLLER COMMANDS
+// ============================================================================
+
+/**
+ * Carry out a controller command. The message has already been validated
+ * against its schema (server/protocol.js), so every field is present and
+ * well-typed.
+ * 
+ * @param {Object} msg - Validated command
+ * @param {{name: string, scopes: Set<string>}} [controller] - Issuer (for commands that check scopes themselves)
+ * @returns {Object|undefined} Reply for commands that return data; the
+ *   caller acknowledges the rest
+ * @throws {Error} If the command can't be carried out (sent back as an error)
+ */
+function runCommand(msg, controller) {
+  let targets;
+  
+  switch (msg.type) {
+    case 'teleport':
+      // Teleport player(s) to specified coordinates
+      // Updates game state and sends to the target client(s)
+      targets = getTargets(msg.playerId);
+      for (const target of targets) {
+        target.position = { x: msg.x, y: msg.y, z: msg.z };
+      }
+      if (msg.playerId === undefined) {
+        gameState.player.position = { x: msg.x, y: msg.y, z: msg.z };
+      }
+      sendToPlayers(targets, { type: 'teleport', x: msg.x, y: msg.y, z: msg.z });
+      return;
+      
+    case 'goto':
+      // Walk the player(s) to a spot; each client finds its own path
+      sendToPlayers(getTargets(msg.playerId), { type: 'goto', x: msg.x, z: msg.z, run: msg.run });
+      return;
+      
+    case 'look':
+      // Set camera angles
+      targets = getTargets(msg.playerId);
+      if (msg.playerId === undefined) {
+        gameState.camera = { angleX: msg.rx ?? 0, angleY: msg.ry ?? 0 };
+      }
+      sendToPlayers(targets, { type: 'look', rx: msg.rx, ry: msg.ry });
+      return;
+      
+    case 'rotate':
+      // Rotate the player character
+      targets = getTargets(msg.playerId);
+      if (msg.playerId === undefined) {
+        gameState.player.rotation = msg.angle;
+      }
+      sendToPlayers(targets, { type: 'rotate', angle: msg.angle });
+      return;
+      
+    case 'cameraMove':
+      // Glide the orbit camera to new angles/distance
+      targets = getTargets(msg.playerId);
+      if (msg.playerId === undefined) {
+        gameState.camera = { angleX: msg.rx ?? gameState.camera.angleX, angleY: msg.ry ?? gameState.camera.angleY };
+      }
+      sendToPlayers(targets, {
+        type: 'cameraMove',
+        rx: msg.rx,
+        ry: msg.ry,
+        distance: msg.distance,
+        duration: msg.duration
+      });
+      return;
+      
+    case 'cinematic':
+      // Fly the camera along a keyframed path, or end the one playing
+      if (msg.action === 'play' && !msg.path) throw new Error('cinematic play needs a path');
+      sendToPlayers(getTargets(msg.playerId), { type: 'cinematic', action: msg.action, path: msg.path });
+      return;
+      
+    case 'spawn': {
+      // Place an object in the world (see src/spawnables.js)
+      if (spawnedObjects.size >= MAX_SPAWNED_OBJECTS) {
+        throw new Error(`Too many objects (${MAX_SPAWNED_OBJECTS}); despawn some first`);
+      }
+      const object = {
+        id: `obj-${nextObjectId++}`,
+        object: msg.object,
+        position: { x: msg.x, y: msg.y, z: msg.z },
+        rotation: msg.rotation ?? 0,
+        scale: msg.scale ?? 1,
+        collide: msg.collide ?? true
+      };
+      spawnedObjects.set(object.id, object);
+      broadcast({ type: 'spawn', object });
+      return { type: 'spawned', object };
+    }
+      
+    case 'despawn':
+      // Remove one spawned object, or all of them
+      if (msg.objectId === 'all') {
+        spawnedObjects.clear();
+      } else if (!spawnedObjects.delete(msg.objectId)) {
+        throw new Error(`Unknown object: ${msg.objectId}`);
+      }
+      broadcast({ type: 'despawn', objectId: msg.objectId });
+      return;
+      
+    case 'moveObject': {
+      // Move a spawned object (and turn it, if given a rotation)
+      const object = spawnedObjects.get(msg.objectId);
+      if (!object) throw new Error(`Unknown object: ${msg.objectId}`);
+      object.position = { x: msg.x, y: msg.y, z: msg.z };
+      object.rotation = msg.rotation ?? object.rotation;
+      broadcast({ type: 'moveObject', objectId: object.id, position: object.position, rotation: object.rotation });
+      return;
+    }
+      
+    case 'addPoi': {
+      // Add a landmark to discover, or replace the one with this ID
+      const poi = poiFromCommand(msg);
+      if (!pois.has(poi.id) && pois.size >= MAX_POIS) {
+        throw new Error(`Too many points of interest (${MAX_POIS}); remove some first`);
+      }
+      pois.set(poi.id, poi);
+      broadcast({ type: 'addPoi', poi });
+      return;
+    }
+      
+    case 'removePoi':
+      // Remove a landmark (players keep it in their journal if they found it)
+      if (!pois.delete(msg.poiId)) throw new Error(`Unknown point of interest: ${msg.poiId}`);
+      broadcast({ type: 'removePoi', poiId: msg.poiId });
+      return;
+      
+    case 'time':
+      // Change time of day (0-24), optionally freezing the clock
+      gameState.time = msg.value;
+      gameState.timePinned = !!msg.pinned;
+      timeSetAt = Date.now();
+      broadcast({ type: 'time', value: msg.value, pinned: gameState.timePinned });
+      return;
+      
+    case 'weather':
+      // Change weather (clear, rain, fog, snow)
+      gameState.weather = msg.value;
+      broadcast({ type: 'weather', value: msg.value });
+      return;
+      
+    case 'message':
+      // Show a message on screen
+      broadcast({ 
+        type: 'message', 
+        text: msg.text, 
+        duration: msg.duration ?? 3000 
+      });
+      return;
+      
+    case 'effect':
+      // Trigger a visual effect (shake, flash)
+      broadcast({ 
+        type: 'effect', 
+        name: msg.name, 
+        params: msg.params || {} 
+      });
+      return;
+      
+    case 'sequence':
+      // Play, control or store a scripted timeline
+      return runSequenceAction(msg, controller);
+      
+    case 'getState':
+      // Current game state
+      return { type: 'state', data: getCurrentState() };
+      
+    case 'listObjects':
+      // Every spawned object
+      return { type: 'objects', objects: [...spawnedObjects.values()] };
+      
+    case 'listPois':
+      // Every point of interest
+      return { type: 'pois', pois: [...pois.values()] };
+      
+    case 'listPlayers':
+      // Every connected player
+      return { type: 'players', players: [...players.values()].map(describePlayer) };
+      
+    case 'help':
+      // Every command, from the schema
+      return { type: 'help', commands: Object.keys(COMMANDS).map(describeCommand) };
+      
+    case 'describe':
+      // One command's parameters
+      if (!isCommand(msg.command)) throw new Error(`Unknown command: ${msg.command}`);
+      return { type: 'describe', ...describeCommand(msg.command) };
+      
+    default:
+      // Declared in the schema but not handled here
+      throw new Error(`Command not implemented: ${msg.type}`);
+  }
+}
+
+
+/**
+ * Refuse sequences with steps the controller couldn't send itself
+ * 
+ * @param {{name: string, scopes: Set<string>}} controller
+ * @param {Object[]} steps - Validated steps
+ * @throws {Error} Naming the first step type that isn't allowed
+ */
+function checkStepScopes(controller, steps) {
+  const denied = steps.find(step => step.type !== 'wait' && !controlAuth.isAllowed(controller, step.type));
+  if (denied) throw new Error(`Not allowed in a sequence: ${denied.type}`);
+}
+
+/**
+ * Carry out a sequence command (see server/sequences.js)
+ * 
+ * @param {Object} msg - Validated sequence command
+ * @param {{name: string, scopes: Set<string>}} controller - Issuer
+ * @returns {Object} Reply: the player's status, or the saved sequences for list/load
+ */
+function runSequenceAction(msg, controller) {
+  const needName = () => {
+    if (msg.name === undefined) throw new Error(`sequence ${msg.action} needs a name`);
+    return msg.name;
+  };
+  const needSteps = () => {
+    if (msg.steps === undefined) throw new Error(`sequence ${msg.action} needs steps`);
+    assertSteps(msg.steps);
+    return msg.steps;
+  };
+  
+  switch (msg.action) {
+    case 'play': {
+      // Inline steps, or a saved sequence by name
+      const steps = msg.steps !== undefined ? needSteps() : sequenceStore.load(needName()).steps;
+      checkStepScopes(controller, steps);
+      sequencePlayer.play(steps, msg.name);
+      break;
+    }
+    case 'pause':
+      sequencePlayer.pause();
+      break;
+    case 'resume':
+      sequencePlayer.resume();
+      break;
+    case 'cancel':
+      sequencePlayer.cancel();
+      break;
+    case 'save': {
+      const steps = needSteps();
+      checkStepScopes(controller, steps);
+      sequenceStore.save(needName(), steps, msg.description);
+      break;
+    }
+    case 'delete':
+      sequenceStore.remove(needName());
+      break;
+    case 'load':
+      return { type: 'sequence', action: 'load', name: needName(), ...sequenceStore.load(msg.name) };
+    case 'list':
+      return { type: 'sequence', action: 'list', sequences: sequenceStore.list() };
+  }
+  
+  return { type: 'sequence', action: msg.action, status: sequencePlayer.status() };
+}
+
+/** Saved sequences */
+const sequenceStore = createSequenceStore({ dir: SEQUENCES_DIR });
+
+/** Runs one sequence at a time; progress goes to every controller */
+const sequencePlayer = createSequencePlayer({
+  execute: step => runCommand(step),
+  onEvent: (event) => {
+    const detail = event.message ? `: ${event.message}` : '';
+    console.log(`🎬 Sequence ${event.name} ${event.event} (step ${event.step}/${event.steps})${detail}`);
+    notifyControllers({ type: 'sequenceEvent', ...event });
+  }
+});
+
 
 // ============================================================================
 // UTILITY FUNCTIONS
@@ -324,6 +832,66 @@ function broadcast(msg) {
   });
 }
 
+/**
+ * Sends a message to all connected controllers.
+ * 
+ * @param {Object} msg - The message object to send
+ */
+function notifyControllers(msg) {
+  const data = JSON.stringify(msg);
+  
+  controllers.forEach(controller => {
+    if (controller.readyState === 1) {  // WebSocket.OPEN
+      controller.send(data);
+    }
+  });
+}
+
+/**
+ * Resolve the player sessions a controller command applies to.
+ * Without a playerId, commands apply to every player.
+ * 
+ * @param {string} [playerId] - Target player ID
+ * @returns {Object[]} Matching player sessions
+ * @throws {Error} If there is no player with that ID
+ */
+function getTargets(playerId) {
+  if (playerId === undefined) return [...players.values()];
+  
+  const session = players.get(playerId);
+  if (!session) throw new Error(`Unknown player: ${playerId}`);
+  return [session];
+}
+
+/**
+ * Reply to a controller, echoing the request's id so it can match the two.
+ * 
+ * @param {WebSocket} ws - Controller connection
+ * @param {Object|null} request - Message being answered (null if unparseable)
+ * @param {Object} msg - Reply
+ */
+function reply(ws, request, msg) {
+  const id = request?.id;
+  const echo = typeof id === 'string' || Number.isFinite(id);
+  ws.send(JSON.stringify(echo ? { ...msg, id } : msg));
+}
+
+/**
+ * Sends a message to the given player sessions.
+ * 
+ * @param {Object[]} sessions - Target player sessions (from getTargets)
+ * @param {Object} msg - The message object to send
+ */
+function sendToPlayers(sessions, msg) {
+  const data = JSON.stringify(msg);
+  
+  for (const session of sessions) {
+    if (session.ws.readyState === 1) {  // WebSocket.OPEN
+      session.ws.send(data);
+    }
+  }
+}
+
 
 // ============================================================================
 // START SERVER
@@ -337,23 +905,21 @@ server.listen(PORT, '0.0.0.0', () => {
 ║                                                                   ║
 ║  🌐 Game URL:     http://localhost:${PORT.toString().padEnd(29)}║
 ║  🎮 Control URL:  ws://localhost:${PORT}/control                   ║
+║  🔑 Auth:         Bearer token or /control?token=...            ║
 ║                                                                   ║
 ╠═══════════════════════════════════════════════════════════════════╣
 ║  AVAILABLE COMMANDS (send via WebSocket to /control):             ║
 ╠═══════════════════════════════════════════════════════════════════╣
 ║                                                                   ║
-║  teleport    { x, y, z }              Move player instantly       ║
-║  look        { rx, ry }               Set camera angles           ║
-║  rotate      { angle }                Rotate player character     ║
-║  message     { text, duration? }      Show on-screen message      ║
-║  time        { value: 0-24 }          Set time of day             ║
-║  weather     { value: clear|rain|fog} Change weather              ║
-║  spawn       { object, x, y, z }      Spawn object (cube/sphere)  ║
-║  effect      { name, params }         Visual effect (shake/flash) ║
-║  getState    {}                       Get current game state      ║
+${formatCommandTable(67).map(row => `║${row}║`).join('\n')}
+║  Replies (ack/error) echo the command's id, if it has one         ║
 ║                                                                   ║
 ╚═══════════════════════════════════════════════════════════════════╝
 `);
+  
+  if (!controlAuth.hasTokens) {
+    console.warn('⚠️  No controller tokens configured - /control is closed. Set CONTROL_TOKEN or create control-tokens.json');
+  }
 });
 
 
@@ -367,6 +933,10 @@ server.listen(PORT, '0.0.0.0', () => {
 process.on('SIGINT', () => {
   console.log('\n🛑 Shutting down server...');
   
+  clearInterval(snapshotTimer);
+  if (sequencePlayer.status()) sequencePlayer.cancel();
+  controlAuth.close();
+  
   // Close all WebSocket connections
   wss.clients.forEach(client => {
     client.close();
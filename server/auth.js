@@ -0,0 +1,241 @@
+/**
+ * ============================================================================
+ * ITTY BITY CITY - Controller Authentication
+ * ============================================================================
+ *
+ * Guards the /control WebSocket, which can move every player around:
+ * - Controllers present a token on the upgrade request, either as
+ *   `Authorization: Bearer <token>` or as `?token=<token>` (browsers can't
+ *   set headers on a WebSocket)
+ * - Each token has a name and a list of scopes, so e.g. an announcer bot
+ *   can only send messages while the main controller has full control
+ * - Every command, refusal and connection is appended to an audit log
+ *   (JSON lines) with the name of the token that issued it
+ *
+ * Tokens come from control-tokens.json and/or the CONTROL_TOKEN environment
+ * variable. With no tokens configured, /control refuses everyone.
+ */
+
+import { createHash, timingSafeEqual } from 'crypto';
+import { createWriteStream, existsSync, readFileSync } from 'fs';
+import { COMMANDS } from './protocol.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Scope each controller command needs, from the protocol schema. Commands
+ * with no scope (help, describe) are open to every controller. The '*'
+ * scope grants everything.
+ */
+export const COMMAND_SCOPES = Object.fromEntries(
+  Object.entries(COMMANDS).map(([type, command]) => [type, command.scope])
+);
+
+/** Every scope a token may list */
+export const SCOPES = new Set(['*', ...Object.values(COMMAND_SCOPES).filter(Boolean)]);
+
+/** Longest params excerpt kept per audit entry */
+const AUDIT_PARAMS_LENGTH = 500;
+
+/**
+ * SHA-256 of a token, as hex. Tokens are only compared (and may only be
+ * stored) in this form.
+ * @param {string} token
+ * @returns {string}
+ */
+export function hashToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+// ============================================================================
+// TOKEN CONFIGURATION
+// ============================================================================
+
+/**
+ * Read controller tokens.
+ *
+ * The file holds `{ "tokens": [{ "name", "token" | "sha256", "scopes" }] }`.
+ * `sha256` lets the file hold only the hash of a token. CONTROL_TOKEN adds
+ * one full-control token named "env".
+ *
+ * @param {Object} [options]
+ * @param {string} [options.file] - Path of the tokens file (skipped if missing)
+ * @param {Object} [options.env=process.env] - Environment to read CONTROL_TOKEN from
+ * @returns {Array<{name: string, hash: string, scopes: Set<string>}>}
+ * @throws {Error} If the file is malformed or lists an unknown scope
+ */
+export function loadControlTokens({ file, env = process.env } = {}) {
+  const tokens = [];
+
+  if (file && existsSync(file)) {
+    const config = JSON.parse(readFileSync(file, 'utf8'));
+    for (const [index, entry] of (config.tokens || []).entries()) {
+      const name = entry.name || `token${index + 1}`;
+      if (typeof entry.token !== 'string' && typeof entry.sha256 !== 'string') {
+        throw new Error(`${file}: token "${name}" needs a "token" or "sha256"`);
+      }
+      const scopes = entry.scopes || [];
+      const unknown = scopes.filter(scope => !SCOPES.has(scope));
+      if (unknown.length > 0) {
+        throw new Error(`${file}: token "${name}" has unknown scopes: ${unknown.join(', ')}`);
+      }
+      tokens.push({
+        name,
+        hash: entry.sha256 ? entry.sha256.toLowerCase() : hashToken(entry.token),
+        scopes: new Set(scopes)
+      });
+    }
+  }
+
+  if (env.CONTROL_TOKEN) {
+    tokens.push({ name: 'env', hash: hashToken(env.CONTROL_TOKEN), scopes: new Set(['*']) });
+  }
+
+  return tokens;
+}
+
+// ============================================================================
+// AUTHENTICATION
+// ============================================================================
+
+/**
+ * Client address, using the tunnel's header when the connection comes from
+ * cloudflared on this machine
+ * @param {http.IncomingMessage} req
+ * @returns {string}
+ */
+export function clientAddress(req) {
+  const remote = req.socket.remoteAddress || '';
+  const isLocal = remote === '127.0.0.1' || remote === '::1' || remote === '::ffff:127.0.0.1';
+  const forwarded = req.headers['cf-connecting-ip'] || req.headers['x-forwarded-for'];
+  return isLocal && forwarded ? String(forwarded).split(',')[0].trim() : remote;
+}
+
+/**
+ * Parse a request target. Clients control it, and targets such as "//"
+ * aren't valid URLs at all.
+ * @param {http.IncomingMessage} req
+ * @returns {URL|null} null if the target can't be parsed
+ */
+export function parseRequestUrl(req) {
+  try {
+    return new URL(req.url, 'http://localhost');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Token sent with an upgrade request
+ * @param {http.IncomingMessage} req
+ * @returns {string|null}
+ */
+function extractToken(req) {
+  const header = req.headers.authorization;
+  if (header && /^Bearer\s+/i.test(header)) return header.replace(/^Bearer\s+/i, '').trim();
+
+  const url = parseRequestUrl(req);
+  return url?.searchParams.get('token') || null;
+}
+
+/** Reason phrases for the statuses rejectUpgrade sends */
+const REJECT_REASONS = { 400: 'Bad Request', 401: 'Unauthorized', 403: 'Forbidden' };
+
+/**
+ * Refuse a WebSocket upgrade with a plain HTTP error
+ * @param {import('stream').Duplex} socket
+ * @param {number} status - 400, 401 or 403
+ */
+export function rejectUpgrade(socket, status) {
+  const reason = REJECT_REASONS[status];
+  socket.end(
+    `HTTP/1.1 ${status} ${reason}\r\n` +
+    'Connection: close\r\n' +
+    (status === 401 ? 'WWW-Authenticate: Bearer\r\n' : '') +
+    'Content-Length: 0\r\n\r\n'
+  );
+}
+
+/**
+ * Create the controller authenticator.
+ *
+ * @param {Object} options
+ * @param {Array} options.tokens - From loadControlTokens
+ * @param {string} [options.auditLogPath] - Append audit entries here (none if omitted)
+ */
+export function createControlAuth({ tokens, auditLogPath }) {
+  const auditStream = auditLogPath ? createWriteStream(auditLogPath, { flags: 'a' }) : null;
+  if (auditStream) {
+    auditStream.on('error', error => console.error('📝 Audit log write failed:', error.message));
+  }
+
+  const hashes = tokens.map(token => ({ ...token, digest: Buffer.from(token.hash, 'hex') }));
+
+  return {
+    /** Whether any token is configured (otherwise /control is closed) */
+    hasTokens: tokens.length > 0,
+
+    /**
+     * Identify the controller behind an upgrade request
+     * @param {http.IncomingMessage} req
+     * @returns {{name: string, scopes: Set<string>}|null} null if the token is missing or wrong
+     */
+    authenticate(req) {
+      const token = extractToken(req);
+      if (!token) return null;
+
+      const digest = Buffer.from(hashToken(token), 'hex');
+      // Compare against every token so timing doesn't reveal which matched
+      let match = null;
+      for (const entry of hashes) {
+        if (entry.digest.length === digest.length && timingSafeEqual(entry.digest, digest) && !match) {
+          match = entry;
+        }
+      }
+      return match ? { name: match.name, scopes: match.scopes } : null;
+    },
+
+    /**
+     * Whether a controller may send a command
+     * @param {{scopes: Set<string>}} identity
+     * @param {string} type - Command type
+     * @returns {boolean} false for unknown commands
+     */
+    isAllowed(identity, type) {
+      if (!Object.hasOwn(COMMAND_SCOPES, type)) return false;
+      const scope = COMMAND_SCOPES[type];
+      return scope === null || identity.scopes.has('*') || identity.scopes.has(scope);
+    },
+
+    /**
+     * Append an entry to the audit log
+     * @param {Object} entry
+     * @param {string} entry.event - connect | reject | command | invalid | denied | violation | disconnect
+     * @param {string} [entry.issuer] - Token name, or "player:<id>" for game clients
+     * @param {string} [entry.ip]
+     * @param {Object} [entry.msg] - The command; its params are stored truncated
+     */
+    audit({ msg, ...entry }) {
+      if (!auditStream) return;
+
+      const record = { time: new Date().toISOString(), ...entry };
+      if (msg) {
+        const { type, ...params } = msg;
+        record.command = type;
+        const json = JSON.stringify(params);
+        record.params = json.length > AUDIT_PARAMS_LENGTH ? json.slice(0, AUDIT_PARAMS_LENGTH) + '…' : json;
+      }
+      auditStream.write(JSON.stringify(record) + '\n');
+    },
+
+    /**
+     * Flush and close the audit log
+     * @returns {Promise<void>}
+     */
+    close() {
+      return new Promise(resolve => (auditStream ? auditStream.end(resolve) : resolve()));
+    }
+  };
+}
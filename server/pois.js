@@ -0,0 +1,87 @@
+/**
+ * ============================================================================
+ * ITTY BITY CITY - Points of Interest
+ * ============================================================================
+ *
+ * Landmarks players discover by walking into them (see
+ * src/pointsOfInterest.js). The server owns the list so every player finds
+ * the same ones: it starts with public/pois.json and controllers add,
+ * replace and remove points at runtime (addPoi / removePoi). Joining players
+ * get the current list with the rest of the state.
+ *
+ * public/pois.json holds `{ "pois": [{ "id", ...POI_FIELDS }] }` (see
+ * server/protocol.js for the fields).
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { POI_FIELDS, POI_ID, checkFields } from './protocol.js';
+
+/** Fields of a pois.json entry */
+const POI_ENTRY_FIELDS = { id: POI_ID, ...POI_FIELDS };
+
+/**
+ * Check that a trigger is either a sphere or a box
+ * @param {Object} trigger - Already validated against POI_FIELDS.trigger
+ * @returns {string|null} Problem, or null if valid
+ */
+export function checkTrigger(trigger) {
+  const box = ['width', 'height', 'depth'].filter(name => trigger[name] !== undefined);
+  if (trigger.radius !== undefined) {
+    return box.length === 0 ? null : 'needs a radius or width/height/depth, not both';
+  }
+  return box.length === 3 ? null : 'needs a radius, or a width, height and depth';
+}
+
+/**
+ * Build a point of interest from addPoi parameters, leaving out the
+ * optional fields that weren't given
+ * @param {Object} msg - Validated addPoi command
+ * @returns {Object} { id, name, text?, map?, trigger, camera? }
+ * @throws {Error} If the trigger is neither a sphere nor a box
+ */
+export function poiFromCommand(msg) {
+  const problem = checkTrigger(msg.trigger);
+  if (problem) throw new Error(`Invalid addPoi: trigger ${problem}`);
+
+  const poi = { id: msg.poiId };
+  for (const name of Object.keys(POI_FIELDS)) {
+    if (msg[name] !== undefined) poi[name] = msg[name];
+  }
+  return poi;
+}
+
+/**
+ * Read the starting points of interest.
+ *
+ * @param {Object} options
+ * @param {string} options.file - Path of pois.json (skipped if missing)
+ * @returns {Object[]} Points of interest
+ * @throws {Error} If the file is malformed or an entry is invalid
+ */
+export function loadPois({ file }) {
+  if (!existsSync(file)) return [];
+
+  const config = JSON.parse(readFileSync(file, 'utf8'));
+  const pois = [];
+  const ids = new Set();
+
+  for (const [index, entry] of (config.pois || []).entries()) {
+    const field = `pois[${index}]`;
+    if (entry === null || typeof entry !== 'object' || Array.isArray(entry)) {
+      throw new Error(`${file}: ${field} must be an object`);
+    }
+
+    const errors = checkFields(entry, POI_ENTRY_FIELDS, `${field}.`);
+    if (errors.length > 0) {
+      throw new Error(`${file}: ${errors.map(error => `${error.field} ${error.message}`).join('; ')}`);
+    }
+    const problem = checkTrigger(entry.trigger);
+    if (problem) throw new Error(`${file}: ${field}.trigger ${problem}`);
+    if (ids.has(entry.id)) throw new Error(`${file}: ${field} repeats the id "${entry.id}"`);
+
+    ids.add(entry.id);
+    pois.push(entry);
+  }
+
+  return pois;
+}
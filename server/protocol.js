@@ -0,0 +1,496 @@
+/**
+ * ============================================================================
+ * ITTY BITY CITY - Control Protocol
+ * ============================================================================
+ *
+ * Declares every command a controller can send over /control: its
+ * parameters, the token scope it needs (see auth.js) and a one-line
+ * description. server.js validates each message against this before acting
+ * on it, and the `help`/`describe` commands and the startup banner are
+ * generated from it.
+ *
+ * Messages are `{ type, id?, ...params }`. When a message carries an `id`
+ * the reply echoes it, so a controller can match replies to requests:
+ * - `{ type: 'ack', id, command }` once a command has been carried out
+ * - `{ type: 'error', id, command, message, errors? }` when it was refused
+ * - commands that return data (spawn, getState, listPlayers, help, ...) reply
+ *   with their own message type instead of an ack
+ */
+
+// ============================================================================
+// SCHEMA
+// ============================================================================
+
+/**
+ * Parameter types:
+ * - number:  finite number, optional `min`/`max`
+ * - string:  optional `maxLength` and `enum` (allowed values)
+ * - boolean
+ * - object:  plain object whose own `fields` are validated the same way
+ * - array:   optional `minItems`/`maxItems`, `items` (a definition
+ *            every item must match; otherwise the command checks them) and
+ *            `distinct` (a field of the items no two may share)
+ * Every parameter is required unless `optional: true`.
+ */
+
+/** Optional target for commands that can apply to a single player */
+const PLAYER_ID = { type: 'string', maxLength: 64, optional: true, description: 'Only this player (default: everyone)' };
+
+/** Coordinates of a world position */
+const X = { type: 'number', min: -100000, max: 100000 };
+const Y = { type: 'number', min: -100000, max: 100000 };
+const Z = { type: 'number', min: -100000, max: 100000 };
+
+/** A world position as { x, y, z } */
+const VECTOR = { type: 'object', fields: { x: X, y: Y, z: Z } };
+
+/** One keyframe of a camera path (see src/cinematics.js) */
+const KEYFRAME = {
+  type: 'object',
+  fields: {
+    time: { type: 'number', min: 0, max: 600000, description: 'ms from the start' },
+    position: { ...VECTOR, description: 'Camera position' },
+    target: { ...VECTOR, description: 'Point the camera looks at' },
+    fov: { type: 'number', min: 5, max: 120, optional: true },
+    easing: { type: 'string', enum: ['linear', 'easeIn', 'easeOut', 'easeInOut'], optional: true, description: 'Towards the next keyframe' }
+  }
+};
+
+/** Objects `spawn` can place (matches SPAWNABLES in src/spawnables.js) */
+export const SPAWNABLE_OBJECTS = ['cube', 'sphere', 'cylinder', 'cone', 'crate', 'statue'];
+
+/** ID of a spawned object, as assigned by the server */
+const OBJECT_ID = { type: 'string', maxLength: 64, description: 'From the spawned reply or listObjects' };
+
+/** Yaw of a spawned object */
+const OBJECT_ROTATION = { type: 'number', optional: true, description: 'Yaw (radians)' };
+
+/** ID of a point of interest */
+export const POI_ID = { type: 'string', maxLength: 64, description: 'e.g. "clock-tower"' };
+
+/**
+ * Fields of a point of interest (see src/pointsOfInterest.js), shared by
+ * addPoi and the entries of public/pois.json. The trigger is a sphere
+ * (radius) or a box (width, height, depth) around x, y, z; server/pois.js
+ * checks it's exactly one of them.
+ */
+export const POI_FIELDS = {
+  name: { type: 'string', maxLength: 80 },
+  text: { type: 'string', maxLength: 500, optional: true, description: 'Flavor text' },
+  map: { type: 'string', maxLength: 128, optional: true, description: 'Only on this map: "map" or "procedural:<seed>" (default: any)' },
+  trigger: {
+    type: 'object',
+    description: 'Where it is discovered (checked against the player\'s feet)',
+    fields: {
+      x: X,
+      y: Y,
+      z: Z,
+      radius: { type: 'number', min: 0.5, max: 500, optional: true, description: 'Sphere trigger' },
+      width: { type: 'number', min: 0.5, max: 1000, optional: true, description: 'Box trigger (with height and depth)' },
+      height: { type: 'number', min: 0.5, max: 1000, optional: true },
+      depth: { type: 'number', min: 0.5, max: 1000, optional: true }
+    }
+  },
+  camera: {
+    type: 'object',
+    optional: true,
+    description: 'View the camera glides to on discovery',
+    fields: {
+      rx: { type: 'number', optional: true, description: 'Pitch (radians)' },
+      ry: { type: 'number', optional: true, description: 'Yaw (radians)' },
+      distance: { type: 'number', min: 0, max: 100, optional: true }
+    }
+  }
+};
+
+/**
+ * Controller commands. `reply` names the message type sent back instead of
+ * an ack for commands that return data.
+ */
+export const COMMANDS = {
+  teleport: {
+    description: 'Move player instantly',
+    scope: 'players',
+    params: { x: X, y: Y, z: Z, playerId: PLAYER_ID }
+  },
+  goto: {
+    description: 'Walk to a spot along a path',
+    scope: 'players',
+    params: {
+      x: X,
+      z: Z,
+      run: { type: 'boolean', optional: true, description: 'Run instead of walking' },
+      playerId: PLAYER_ID
+    }
+  },
+  look: {
+    description: 'Set camera angles',
+    scope: 'players',
+    params: {
+      rx: { type: 'number', optional: true, description: 'Pitch (radians)' },
+      ry: { type: 'number', optional: true, description: 'Yaw (radians)' },
+      playerId: PLAYER_ID
+    }
+  },
+  rotate: {
+    description: 'Rotate player character',
+    scope: 'players',
+    params: {
+      angle: { type: 'number', description: 'Facing (radians)' },
+      playerId: PLAYER_ID
+    }
+  },
+  message: {
+    description: 'Show on-screen message',
+    scope: 'message',
+    params: {
+      text: { type: 'string', maxLength: 500 },
+      duration: { type: 'number', min: 0, max: 60000, optional: true, description: 'Milliseconds (default 3000)' }
+    }
+  },
+  time: {
+    description: 'Set time of day',
+    scope: 'world',
+    params: {
+      value: { type: 'number', min: 0, max: 24, description: 'Hour of day' },
+      pinned: { type: 'boolean', optional: true, description: 'Freeze the clock' }
+    }
+  },
+  weather: {
+    description: 'Weather: clear/rain/fog/snow',
+    scope: 'world',
+    params: {
+      value: { type: 'string', enum: ['clear', 'rain', 'fog', 'snow'] }
+    }
+  },
+  cameraMove: {
+    description: 'Glide the camera',
+    scope: 'players',
+    params: {
+      rx: { type: 'number', optional: true, description: 'Target pitch (radians)' },
+      ry: { type: 'number', optional: true, description: 'Target yaw (radians)' },
+      distance: { type: 'number', min: 0, max: 100, optional: true, description: 'Target distance from the player' },
+      duration: { type: 'number', min: 0, max: 60000, description: 'Milliseconds' },
+      playerId: PLAYER_ID
+    }
+  },
+  cinematic: {
+    description: 'Play/stop a camera path',
+    scope: 'players',
+    params: {
+      action: { type: 'string', enum: ['play', 'stop'] },
+      path: {
+        type: 'object',
+        optional: true,
+        description: 'Needed to play',
+        fields: {
+          keyframes: { type: 'array', minItems: 2, maxItems: 100, items: KEYFRAME, distinct: 'time' },
+          relative: { type: 'boolean', optional: true, description: 'Positions are offsets from the player' },
+          loop: { type: 'boolean', optional: true, description: 'Repeat until stopped' }
+        }
+      },
+      playerId: PLAYER_ID
+    }
+  },
+  spawn: {
+    description: 'Place an object',
+    scope: 'spawn',
+    params: {
+      object: { type: 'string', enum: SPAWNABLE_OBJECTS },
+      x: X,
+      y: { ...Y, description: 'Height of its base' },
+      z: Z,
+      rotation: OBJECT_ROTATION,
+      scale: { type: 'number', min: 0.1, max: 20, optional: true, description: 'Size multiplier (default 1)' },
+      collide: { type: 'boolean', optional: true, description: 'Players bump into it (default true)' }
+    },
+    reply: 'spawned'
+  },
+  despawn: {
+    description: 'Remove spawned objects',
+    scope: 'spawn',
+    params: {
+      objectId: { ...OBJECT_ID, description: 'Object to remove, or "all"' }
+    }
+  },
+  moveObject: {
+    description: 'Move a spawned object',
+    scope: 'spawn',
+    params: { objectId: OBJECT_ID, x: X, y: Y, z: Z, rotation: OBJECT_ROTATION }
+  },
+  listObjects: {
+    description: 'List spawned objects',
+    scope: 'read',
+    params: {},
+    reply: 'objects'
+  },
+  addPoi: {
+    description: 'Add a point of interest',
+    scope: 'poi',
+    params: { poiId: POI_ID, ...POI_FIELDS }
+  },
+  removePoi: {
+    description: 'Remove a point of interest',
+    scope: 'poi',
+    params: { poiId: POI_ID }
+  },
+  listPois: {
+    description: 'List points of interest',
+    scope: 'read',
+    params: {},
+    reply: 'pois'
+  },
+  effect: {
+    description: 'Visual effect (shake/flash)',
+    scope: 'effect',
+    params: {
+      name: { type: 'string', enum: ['shake', 'flash'] },
+      params: {
+        type: 'object',
+        optional: true,
+        fields: {
+          intensity: { type: 'number', min: 0, max: 5, optional: true, description: 'shake strength' },
+          duration: { type: 'number', min: 0, max: 10000, optional: true, description: 'Milliseconds' },
+          color: { type: 'string', maxLength: 32, optional: true, description: 'flash CSS color' }
+        }
+      }
+    }
+  },
+  sequence: {
+    description: 'Run/save scripted timelines',
+    scope: 'sequence',
+    params: {
+      action: {
+        type: 'string',
+        enum: ['play', 'pause', 'resume', 'cancel', 'status', 'save', 'load', 'delete', 'list'],
+        description: 'play runs `steps` or the saved `name`; save stores `steps` as `name`'
+      },
+      name: { type: 'string', maxLength: 64, optional: true, description: 'Saved sequence (sequences/<name>.json)' },
+      steps: { type: 'array', maxItems: 500, optional: true, description: 'Timeline (see server/sequences.js)' },
+      description: { type: 'string', maxLength: 200, optional: true, description: 'Shown by list when saving' }
+    },
+    reply: 'sequence'
+  },
+  getState: {
+    description: 'Get current game state',
+    scope: 'read',
+    params: {},
+    reply: 'state'
+  },
+  listPlayers: {
+    description: 'List connected players',
+    scope: 'read',
+    params: {},
+    reply: 'players'
+  },
+  help: {
+    description: 'List these commands',
+    scope: null,  // Any controller
+    params: {},
+    reply: 'help'
+  },
+  describe: {
+    description: 'Parameters of one command',
+    scope: null,
+    params: {
+      command: { type: 'string', maxLength: 64 }
+    },
+    reply: 'describe'
+  }
+};
+
+/** Fields every message may carry besides its parameters */
+const ENVELOPE_FIELDS = new Set(['type', 'id']);
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Check a value against a parameter definition
+ * @param {*} value
+ * @param {Object} spec - Parameter definition
+ * @returns {string|null} Problem, or null if valid
+ */
+function checkValue(value, spec) {
+  switch (spec.type) {
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return 'must be a number';
+      if (spec.min !== undefined && value < spec.min) return `must be at least ${spec.min}`;
+      if (spec.max !== undefined && value > spec.max) return `must be at most ${spec.max}`;
+      return null;
+
+    case 'string':
+      if (typeof value !== 'string') return 'must be a string';
+      if (spec.enum && !spec.enum.includes(value)) return `must be one of ${spec.enum.join(', ')}`;
+      if (spec.maxLength !== undefined && value.length > spec.maxLength) return `must be at most ${spec.maxLength} characters`;
+      return null;
+
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'must be true or false';
+
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value) ? null : 'must be an object';
+
+    case 'array':
+      if (!Array.isArray(value)) return 'must be an array';
+      if (spec.minItems !== undefined && value.length < spec.minItems) return `must have at least ${spec.minItems} items`;
+      if (spec.maxItems !== undefined && value.length > spec.maxItems) return `must have at most ${spec.maxItems} items`;
+      return null;
+
+    default:
+      return `has unknown type ${spec.type}`;
+  }
+}
+
+/**
+ * Validate one value, including the fields or items inside it
+ * @param {*} value
+ * @param {Object} spec - Parameter definition
+ * @param {string} field - Path of the value for error messages
+ * @returns {Array<{field: string, message: string}>}
+ */
+function checkParam(value, spec, field) {
+  const problem = checkValue(value, spec);
+  if (problem) return [{ field, message: problem }];
+
+  if (spec.type === 'object' && spec.fields) {
+    return checkFields(value, spec.fields, field + '.');
+  }
+  if (spec.type === 'array') {
+    const errors = spec.items ? value.flatMap((item, index) => checkParam(item, spec.items, `${field}[${index}]`)) : [];
+    if (spec.distinct && errors.length === 0) {
+      const seen = new Map();
+      value.forEach((item, index) => {
+        const key = item?.[spec.distinct];
+        if (seen.has(key)) {
+          errors.push({ field: `${field}[${index}].${spec.distinct}`, message: `must differ from ${field}[${seen.get(key)}].${spec.distinct}` });
+        } else {
+          seen.set(key, index);
+        }
+      });
+    }
+    return errors;
+  }
+  return [];
+}
+
+/**
+ * Validate fields of an object against definitions
+ * @param {Object} values
+ * @param {Object<string, Object>} specs
+ * @param {string} [prefix=''] - Path of `values` for error messages
+ * @param {Set<string>} [ignore] - Fields not to treat as unknown
+ * @returns {Array<{field: string, message: string}>}
+ */
+export function checkFields(values, specs, prefix = '', ignore = new Set()) {
+  const errors = [];
+
+  for (const [name, spec] of Object.entries(specs)) {
+    if (!Object.hasOwn(values, name) || values[name] === undefined) {
+      if (!spec.optional) errors.push({ field: prefix + name, message: 'is required' });
+      continue;
+    }
+    errors.push(...checkParam(values[name], spec, prefix + name));
+  }
+
+  for (const name of Object.keys(values)) {
+    if (!Object.hasOwn(specs, name) && !ignore.has(name)) {
+      errors.push({ field: prefix + name, message: 'is not a parameter of this command' });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a controller message.
+ *
+ * @param {*} msg - Parsed JSON
+ * @returns {{ok: true, command: Object}|{ok: false, message: string, errors?: Array<{field: string, message: string}>}}
+ */
+export function validateCommand(msg) {
+  if (msg === null || typeof msg !== 'object' || Array.isArray(msg)) {
+    return { ok: false, message: 'Messages must be JSON objects' };
+  }
+  if (typeof msg.type !== 'string') {
+    return { ok: false, message: 'Missing "type"' };
+  }
+  if (msg.id !== undefined && typeof msg.id !== 'string' && !Number.isFinite(msg.id)) {
+    return { ok: false, message: '"id" must be a string or number' };
+  }
+  if (!Object.hasOwn(COMMANDS, msg.type)) {
+    return { ok: false, message: `Unknown command: ${msg.type} (send "help" for the list)` };
+  }
+
+  const command = COMMANDS[msg.type];
+  const errors = checkFields(msg, command.params, '', ENVELOPE_FIELDS);
+  if (errors.length > 0) {
+    const summary = errors.map(error => `${error.field} ${error.message}`).join('; ');
+    return { ok: false, message: `Invalid ${msg.type}: ${summary}`, errors };
+  }
+
+  return { ok: true, command };
+}
+
+/**
+ * Whether a message type is a controller command
+ * @param {string} type
+ * @returns {boolean}
+ */
+export function isCommand(type) {
+  return typeof type === 'string' && Object.hasOwn(COMMANDS, type);
+}
+
+// ============================================================================
+// DESCRIPTIONS
+// ============================================================================
+
+/**
+ * Public description of a command (what `help` and `describe` return)
+ * @param {string} name
+ * @returns {{name: string, description: string, scope: string|null, params: Object, reply: string}}
+ */
+export function describeCommand(name) {
+  const command = COMMANDS[name];
+  return {
+    name,
+    description: command.description,
+    scope: command.scope,
+    params: command.params,
+    reply: command.reply || 'ack'
+  };
+}
+
+/**
+ * Short usage string: { x, y, z, playerId? } / { value: 0-24, pinned? }
+ * @param {Object} params
+ * @param {number} [maxLength] - Beyond this, list only required params: { duration, … }
+ * @returns {string}
+ */
+export function formatUsage(params, maxLength = Infinity) {
+  const parts = Object.entries(params).map(([name, spec]) => {
+    const range = spec.type === 'number' && spec.min !== undefined && spec.max !== undefined && spec.max - spec.min <= 1000
+      ? `: ${spec.min}-${spec.max}`
+      : '';
+    return name + range + (spec.optional ? '?' : '');
+  });
+  const usage = parts.length > 0 ? `{ ${parts.join(', ')} }` : '{}';
+  if (usage.length <= maxLength) return usage;
+
+  const required = parts.filter(part => !part.endsWith('?'));
+  return `{ ${[...required, '…'].join(', ')} }`;
+}
+
+/**
+ * Command table rows for the startup banner, each `width` characters wide
+ * @param {number} width
+ * @returns {string[]}
+ */
+export function formatCommandTable(width) {
+  return Object.entries(COMMANDS).map(([name, command]) => {
+    let row = `  ${name.padEnd(12)}${formatUsage(command.params, 24).padEnd(24)} ${command.description}`;
+    if (row.length > width) row = row.slice(0, width - 1) + '…';
+    return row.padEnd(width);
+  });
+}
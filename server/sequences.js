@@ -0,0 +1,323 @@
+/**
+ * ============================================================================
+ * ITTY BITY CITY - Sequences
+ * ============================================================================
+ *
+ * Scripted timelines of controller commands, run by the server so guided
+ * tours and demos play without a live operator:
+ * - A sequence is a list of steps. Each step is a controller command
+ *   (`{ type: 'teleport', x, y, z }`, validated like the command itself) or
+ *   `{ type: 'wait', duration }`
+ * - Steps run one after another. `wait` and `cameraMove` hold the timeline
+ *   for their duration (ms) and `cinematic` plays for as long as its path;
+ *   everything else runs immediately
+ * - One sequence plays at a time and can be paused, resumed and cancelled
+ * - Sequences can be saved as sequences/<name>.json ({ description?, steps })
+ *   and played by name
+ */
+
+import { existsSync, mkdirSync, readdirSync, readFileSync, unlinkSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { COMMANDS, checkFields } from './protocol.js';
+
+// ============================================================================
+// STEPS
+// ============================================================================
+
+/** Controller commands a sequence step may be */
+export const STEP_COMMANDS = new Set([
+  'teleport', 'look', 'rotate', 'cameraMove', 'cinematic', 'message', 'time', 'weather', 'spawn', 'despawn', 'moveObject', 'effect'
+]);
+
+/** Parameters of the wait step */
+const WAIT_PARAMS = {
+  duration: { type: 'number', min: 0, max: 600000, description: 'Milliseconds' }
+};
+
+/**
+ * How long a step holds the timeline (ms)
+ * @param {Object} step - Validated step
+ * @returns {number}
+ */
+export function holdTime(step) {
+  switch (step.type) {
+    case 'wait':
+    case 'cameraMove':
+      return step.duration;
+    case 'cinematic': {
+      if (step.action !== 'play' || !step.path || step.path.loop) return 0;
+      const times = step.path.keyframes.map(keyframe => keyframe.time);
+      return Math.max(...times) - Math.min(...times);
+    }
+    default:
+      return 0;
+  }
+}
+
+/** Saved sequence names (also their file names) */
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+
+/**
+ * Validate a list of steps
+ * @param {*} steps
+ * @returns {Array<{field: string, message: string}>} Empty if valid
+ */
+export function validateSteps(steps) {
+  if (!Array.isArray(steps) || steps.length === 0) {
+    return [{ field: 'steps', message: 'must be a non-empty array' }];
+  }
+
+  const errors = [];
+  steps.forEach((step, index) => {
+    const field = `steps[${index}]`;
+    if (step === null || typeof step !== 'object' || Array.isArray(step)) {
+      errors.push({ field, message: 'must be an object' });
+    } else if (step.type === 'wait') {
+      errors.push(...checkFields(step, WAIT_PARAMS, `${field}.`, new Set(['type'])));
+    } else if (STEP_COMMANDS.has(step.type)) {
+      errors.push(...checkFields(step, COMMANDS[step.type].params, `${field}.`, new Set(['type'])));
+    } else {
+      errors.push({ field: `${field}.type`, message: `must be wait or one of ${[...STEP_COMMANDS].join(', ')}` });
+    }
+  });
+  return errors;
+}
+
+/**
+ * Validate a list of steps, throwing if any is invalid
+ * @param {*} steps
+ * @throws {Error} With the individual problems in `errors`
+ */
+export function assertSteps(steps) {
+  const errors = validateSteps(steps);
+  if (errors.length === 0) return;
+
+  const error = new Error(`Invalid sequence: ${errors.map(e => `${e.field} ${e.message}`).join('; ')}`);
+  error.errors = errors;
+  throw error;
+}
+
+/**
+ * Check a saved sequence name
+ * @param {*} name
+ * @throws {Error} If it can't be used as a file name
+ */
+function checkName(name) {
+  if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+    throw new Error('Sequence names are 1-64 letters, digits, - or _');
+  }
+}
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+/**
+ * Saved sequences in a directory, one JSON file each.
+ *
+ * @param {Object} options
+ * @param {string} options.dir - Directory (created on first save)
+ */
+export function createSequenceStore({ dir }) {
+  const fileOf = (name) => join(dir, `${name}.json`);
+
+  /**
+   * Read and validate a saved sequence
+   * @param {string} name
+   * @returns {{description?: string, steps: Object[]}}
+   */
+  function read(name) {
+    checkName(name);
+    if (!existsSync(fileOf(name))) throw new Error(`No saved sequence: ${name}`);
+
+    let sequence;
+    try {
+      sequence = JSON.parse(readFileSync(fileOf(name), 'utf8'));
+    } catch (error) {
+      throw new Error(`Saved sequence ${name} is not valid JSON: ${error.message}`);
+    }
+    assertSteps(sequence?.steps);
+    return sequence;
+  }
+
+  return {
+    /**
+     * Saved sequences, by name
+     * @returns {Array<{name: string, description?: string, steps: number}>}
+     */
+    list() {
+      if (!existsSync(dir)) return [];
+      return readdirSync(dir)
+        .filter(file => file.endsWith('.json') && NAME_PATTERN.test(file.slice(0, -5)))
+        .sort()
+        .map(file => {
+          const name = file.slice(0, -5);
+          try {
+            const { description, steps } = read(name);
+            return { name, description, steps: steps.length };
+          } catch (error) {
+            return { name, error: error.message };
+          }
+        });
+    },
+
+    /**
+     * Steps of a saved sequence
+     * @param {string} name
+     * @returns {{description?: string, steps: Object[]}}
+     * @throws {Error} If it doesn't exist or is invalid
+     */
+    load: read,
+
+    /**
+     * Save (or replace) a sequence
+     * @param {string} name
+     * @param {Object[]} steps
+     * @param {string} [description]
+     * @throws {Error} If the name or steps are invalid
+     */
+    save(name, steps, description) {
+      checkName(name);
+      assertSteps(steps);
+
+      mkdirSync(dir, { recursive: true });
+      writeFileSync(fileOf(name), JSON.stringify({ description, steps }, null, 2) + '\n');
+    },
+
+    /**
+     * Delete a saved sequence
+     * @param {string} name
+     * @throws {Error} If it doesn't exist
+     */
+    remove(name) {
+      checkName(name);
+      if (!existsSync(fileOf(name))) throw new Error(`No saved sequence: ${name}`);
+      unlinkSync(fileOf(name));
+    }
+  };
+}
+
+// ============================================================================
+// PLAYBACK
+// ============================================================================
+
+/**
+ * Plays one sequence at a time.
+ *
+ * @param {Object} options
+ * @param {function(Object): void} options.execute - Run a command step (may throw)
+ * @param {function(Object): void} [options.onEvent] - Progress: { event, name, step, steps, message? }
+ *   with event start | pause | resume | error | end | cancel
+ */
+export function createSequencePlayer({ execute, onEvent = () => {} }) {
+  /** The playing sequence, or null */
+  let current = null;
+
+  const emit = (event, extra = {}) => onEvent({
+    event,
+    name: current.name,
+    step: current.index,
+    steps: current.steps.length,
+    ...extra
+  });
+
+  /**
+   * Continue the timeline after `ms`
+   * @param {number} ms
+   */
+  function schedule(ms) {
+    current.dueAt = Date.now() + ms;
+    current.timer = setTimeout(advance, ms);
+  }
+
+  /** Run steps until one holds the timeline, or the sequence ends */
+  function advance() {
+    current.timer = null;
+
+    while (current.index < current.steps.length) {
+      const step = current.steps[current.index++];
+
+      if (step.type !== 'wait') {
+        try {
+          execute(step);
+        } catch (error) {
+          // Keep going: one bad step (e.g. a player who left) shouldn't end a tour
+          emit('error', { message: error.message });
+        }
+      }
+
+      const hold = holdTime(step);
+      if (hold > 0) {
+        schedule(hold);
+        return;
+      }
+    }
+
+    emit('end');
+    current = null;
+  }
+
+  /**
+   * Where the player is
+   * @returns {{name: string, step: number, steps: number, paused: boolean}|null}
+   */
+  function status() {
+    if (!current) return null;
+    return { name: current.name, step: current.index, steps: current.steps.length, paused: current.paused };
+  }
+
+  return {
+    status,
+
+    /**
+     * Start playing steps (already validated)
+     * @param {Object[]} steps
+     * @param {string} [name='inline']
+     * @throws {Error} If a sequence is already playing
+     */
+    play(steps, name = 'inline') {
+      if (current) throw new Error(`Sequence ${current.name} is already playing (cancel it first)`);
+
+      current = { name, steps, index: 0, timer: null, dueAt: 0, remaining: 0, paused: false };
+      emit('start');
+      advance();
+    },
+
+    /**
+     * Hold the timeline. A camera glide already under way still finishes.
+     * @throws {Error} If nothing is playing or it is already paused
+     */
+    pause() {
+      if (!current || current.paused) throw new Error('No sequence is playing');
+
+      current.paused = true;
+      current.remaining = Math.max(0, current.dueAt - Date.now());
+      clearTimeout(current.timer);
+      emit('pause');
+    },
+
+    /**
+     * Continue a paused timeline where it left off
+     * @throws {Error} If nothing is paused
+     */
+    resume() {
+      if (!current || !current.paused) throw new Error('No sequence is paused');
+
+      current.paused = false;
+      emit('resume');
+      schedule(current.remaining);
+    },
+
+    /**
+     * Stop the sequence; steps already run stay in effect
+     * @throws {Error} If nothing is playing
+     */
+    cancel() {
+      if (!current) throw new Error('No sequence is playing');
+
+      clearTimeout(current.timer);
+      emit('cancel');
+      current = null;
+    }
+  };
+}
@@ -0,0 +1,415 @@
+/**
+ * ============================================================================
+ * ITTY BITY CITY - Static File Serving
+ * ============================================================================
+ *
+ * Request handler for the game's files, used by server.js:
+ * - Paths are resolved inside a fixed list of root directories (dist/ then
+ *   public/). `..`, encoded separators, dotfiles and symlinks pointing out
+ *   of a root are refused, so nothing else on disk can be read.
+ * - ETag / Last-Modified validators with 304 Not Modified responses
+ * - Byte ranges (206 Partial Content), so big GLBs can be resumed
+ * - Brotli or gzip for text assets when the browser accepts it
+ * - Unknown extension-less paths (client-side routes) get index.html; a
+ *   missing file with an extension is a plain 404
+ *
+ * All file system access is asynchronous.
+ */
+
+import { createReadStream } from 'fs';
+import { realpath, stat } from 'fs/promises';
+import { extname, resolve, sep } from 'path';
+import { pipeline } from 'stream';
+import { createBrotliCompress, createGzip, constants as zlibConstants } from 'zlib';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * MIME type mappings for static file serving.
+ * Maps file extensions to their corresponding Content-Type headers.
+ */
+export const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'application/javascript; charset=utf-8',
+  '.mjs': 'application/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.md': 'text/markdown; charset=utf-8',
+  '.glb': 'model/gltf-binary',      // 3D model format
+  '.gltf': 'model/gltf+json',
+  '.bin': 'application/octet-stream',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.wasm': 'application/wasm',      // Draco decoder
+};
+
+/** Content types worth compressing (GLB/images/fonts are already dense) */
+const COMPRESSIBLE_TYPE = /^(text\/|application\/(javascript|json|wasm)|model\/gltf\+json|image\/svg\+xml)/;
+
+/** Files smaller than this are sent as-is (compression would not pay off) */
+const MIN_COMPRESS_SIZE = 1024;
+
+/**
+ * Files named with a content hash, by scripts/build-assets.js
+ * (character.1a2b3c4d.glb) or by Vite (assets/index-BImHNUp6.js). Their
+ * contents never change, so browsers can cache them forever.
+ */
+const FINGERPRINTED_FILE = /(\.[0-9a-f]{8}|[\/\\]assets[\/\\][\w.-]+-[\w-]{8})\.[a-z0-9]+$/;
+
+const CACHE_IMMUTABLE = 'public, max-age=31536000, immutable';
+const CACHE_DEFAULT = 'public, max-age=3600';  // 1 hour
+const CACHE_REVALIDATE = 'no-cache';           // index.html: always check for a new build
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Turn a request path into safe relative path segments
+ * @param {string} pathname - URL path, still percent-encoded
+ * @returns {string[]|null} Segments, or null if the path is not acceptable
+ */
+function toSegments(pathname) {
+  const segments = [];
+  for (const raw of pathname.split('/')) {
+    let segment;
+    try {
+      segment = decodeURIComponent(raw);
+    } catch {
+      return null;  // Malformed escape
+    }
+    if (segment === '' || segment === '.') continue;
+    // No walking up, no hidden files, no separators smuggled in encoded
+    if (segment.startsWith('.') || /[\/\\\0]/.test(segment)) return null;
+    segments.push(segment);
+  }
+  return segments;
+}
+
+/**
+ * Path of an absolute-form request target ("GET http://host/path")
+ * @param {string} url
+ * @returns {string|null}
+ */
+function absolutePath(url) {
+  try {
+    return new URL(url).pathname;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Weak validator from size and modification time
+ * @param {import('fs').Stats} stats
+ * @returns {string}
+ */
+function makeETag(stats) {
+  return `W/"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+}
+
+/**
+ * Whether an If-None-Match header matches an ETag (weak comparison)
+ * @param {string} header
+ * @param {string} etag
+ */
+function etagMatches(header, etag) {
+  if (header.trim() === '*') return true;
+  const bare = (tag) => tag.trim().replace(/^W\//, '');
+  return header.split(',').some(tag => bare(tag) === bare(etag));
+}
+
+/**
+ * Whether the client's cached copy is still current
+ * @param {http.IncomingMessage} req
+ * @param {string} etag
+ * @param {Date} lastModified
+ */
+function isNotModified(req, etag, lastModified) {
+  const ifNoneMatch = req.headers['if-none-match'];
+  // If-None-Match wins when both are sent
+  if (ifNoneMatch) return etagMatches(ifNoneMatch, etag);
+
+  const ifModifiedSince = Date.parse(req.headers['if-modified-since']);
+  return !Number.isNaN(ifModifiedSince) && Math.floor(lastModified.getTime() / 1000) * 1000 <= ifModifiedSince;
+}
+
+/**
+ * Parse a single-range Range header
+ * @param {string} header - e.g. "bytes=0-1023", "bytes=1024-", "bytes=-500"
+ * @param {number} size - File size
+ * @returns {{start: number, end: number}|'unsatisfiable'|null} null means
+ *   "ignore the header and send the whole file"
+ */
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  // Multiple ranges and other units aren't supported; a full 200 is allowed
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+
+  let start;
+  let end;
+  if (match[1] === '') {
+    // Suffix range: the last N bytes
+    const length = Number(match[2]);
+    if (length === 0) return 'unsatisfiable';
+    start = Math.max(size - length, 0);
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+    if (match[2] !== '' && Number(match[2]) < start) return null;
+  }
+
+  if (start >= size) return 'unsatisfiable';
+  return { start, end };
+}
+
+/**
+ * Pick the best encoding the client accepts
+ * @param {string} [header] - Accept-Encoding
+ * @returns {'br'|'gzip'|null}
+ */
+function pickEncoding(header = '') {
+  const accepted = new Map();
+  for (const part of header.split(',')) {
+    const [name, ...params] = part.trim().toLowerCase().split(';');
+    const q = params.map(p => /^\s*q=([\d.]+)/.exec(p)).find(Boolean);
+    accepted.set(name, q ? Number(q[1]) : 1);
+  }
+  const quality = (name) => accepted.get(name) ?? (accepted.has('*') ? accepted.get('*') : 0);
+
+  if (quality('br') > 0) return 'br';
+  if (quality('gzip') > 0) return 'gzip';
+  return null;
+}
+
+// ============================================================================
+// HANDLER
+// ============================================================================
+
+/**
+ * Create a static file request handler.
+ *
+ * @param {Object} options
+ * @param {string[]} options.roots - Directories to serve from, searched in order
+ * @param {string} [options.indexFile='index.html'] - Served for directories and client-side routes
+ * @param {boolean} [options.spaFallback=true] - Serve indexFile for unknown extension-less paths
+ * @param {Object<string, string>} [options.headers] - Extra headers for every response
+ * @returns {function(http.IncomingMessage, http.ServerResponse): Promise<void>}
+ */
+export function createStaticFileHandler({ roots, indexFile = 'index.html', spaFallback = true, headers = {} }) {
+  const rootPaths = roots.map(root => resolve(root));
+
+  /** Real paths of the roots (resolved lazily; a root may not exist yet) */
+  const realRoots = new Map();
+
+  /**
+   * Stat a file only if it really lives inside its root
+   * @param {string} root
+   * @param {string[]} segments
+   * @returns {Promise<{path: string, stats: import('fs').Stats}|null>}
+   */
+  async function statInRoot(root, segments) {
+    const candidate = resolve(root, ...segments);
+    if (candidate !== root && !candidate.startsWith(root + sep)) return null;
+
+    if (!realRoots.has(root)) {
+      try {
+        realRoots.set(root, await realpath(root));
+      } catch {
+        return null;  // Root doesn't exist (e.g. no build yet); look again next time
+      }
+    }
+    const realRoot = realRoots.get(root);
+
+    try {
+      // Follow symlinks, then check we are still inside the root
+      const real = await realpath(candidate);
+      if (real !== realRoot && !real.startsWith(realRoot + sep)) return null;
+
+      let stats = await stat(real);
+      let path = real;
+      if (stats.isDirectory()) {
+        path = resolve(real, indexFile);
+        stats = await stat(path);
+      }
+      return stats.isFile() ? { path, stats } : null;
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'ENOTDIR') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Find a file in the first root that has it
+   * @param {string[]} segments
+   */
+  async function findFile(segments) {
+    for (const root of rootPaths) {
+      const found = await statInRoot(root, segments);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  /**
+   * End a request with a short plain-text body
+   * @param {http.ServerResponse} res
+   * @param {number} status
+   * @param {string} message
+   * @param {Object} [extraHeaders]
+   */
+  function sendText(res, status, message, extraHeaders = {}) {
+    res.writeHead(status, {
+      ...headers,
+      'Content-Type': 'text/plain; charset=utf-8',
+      'Content-Length': Buffer.byteLength(message),
+      ...extraHeaders
+    });
+    res.end(res.req.method === 'HEAD' ? undefined : message);
+  }
+
+  /**
+   * Send a file, honouring validators, ranges and compression
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   * @param {{path: string, stats: import('fs').Stats}} file
+   * @param {boolean} isFallback - Serving indexFile for a client-side route
+   */
+  function sendFile(req, res, { path, stats }, isFallback) {
+    const contentType = MIME_TYPES[extname(path).toLowerCase()] || 'application/octet-stream';
+    const lastModified = stats.mtime;
+    const compressible = COMPRESSIBLE_TYPE.test(contentType) && stats.size >= MIN_COMPRESS_SIZE;
+
+    // Ranges are served uncompressed, so their offsets refer to the file
+    const encoding = compressible && !req.headers.range ? pickEncoding(req.headers['accept-encoding']) : null;
+
+    // Each encoding is a different representation with its own ETag
+    const etag = encoding ? makeETag(stats).replace(/"$/, `-${encoding}"`) : makeETag(stats);
+
+    let cacheControl = CACHE_DEFAULT;
+    if (isFallback || path.endsWith(sep + indexFile)) cacheControl = CACHE_REVALIDATE;
+    else if (FINGERPRINTED_FILE.test(path)) cacheControl = CACHE_IMMUTABLE;
+
+    const common = {
+      ...headers,
+      'Cache-Control': cacheControl,
+      'ETag': etag,
+      'Last-Modified': lastModified.toUTCString(),
+      'Accept-Ranges': 'bytes',
+      'X-Content-Type-Options': 'nosniff',
+      ...(compressible ? { 'Vary': 'Accept-Encoding' } : {})
+    };
+
+    if (isNotModified(req, etag, lastModified)) {
+      res.writeHead(304, common);
+      res.end();
+      return;
+    }
+
+    let range = null;
+    const ifRange = req.headers['if-range'];
+    const rangeStillValid = !ifRange || ifRange === etag || ifRange === lastModified.toUTCString();
+    if (req.headers.range && rangeStillValid) {
+      range = parseRange(req.headers.range, stats.size);
+      if (range === 'unsatisfiable') {
+        sendText(res, 416, 'Range Not Satisfiable', { ...common, 'Content-Range': `bytes */${stats.size}` });
+        return;
+      }
+    }
+
+    if (range) {
+      res.writeHead(206, {
+        ...common,
+        'Content-Type': contentType,
+        'Content-Range': `bytes ${range.start}-${range.end}/${stats.size}`,
+        'Content-Length': range.end - range.start + 1
+      });
+      if (req.method === 'HEAD') return res.end();
+      streamTo(res, createReadStream(path, range));
+      return;
+    }
+
+    if (encoding) {
+      res.writeHead(200, { ...common, 'Content-Type': contentType, 'Content-Encoding': encoding });
+      if (req.method === 'HEAD') return res.end();
+      const compressor = encoding === 'br'
+        ? createBrotliCompress({ params: { [zlibConstants.BROTLI_PARAM_SIZE_HINT]: stats.size } })
+        : createGzip();
+      streamTo(res, createReadStream(path), compressor);
+      return;
+    }
+
+    res.writeHead(200, { ...common, 'Content-Type': contentType, 'Content-Length': stats.size });
+    if (req.method === 'HEAD') return res.end();
+    streamTo(res, createReadStream(path));
+  }
+
+  /**
+   * Pipe streams into the response, tearing the response down on errors
+   * @param {http.ServerResponse} res
+   * @param {...Stream} streams
+   */
+  function streamTo(res, ...streams) {
+    pipeline(...streams, res, (error) => {
+      if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+        console.error('📁 Static file stream failed:', error.message);
+        res.destroy(error);
+      }
+    });
+  }
+
+  /**
+   * Handle one HTTP request
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   */
+  return async function handleStaticRequest(req, res) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      sendText(res, 405, 'Method Not Allowed', { 'Allow': 'GET, HEAD' });
+      return;
+    }
+
+    try {
+      // The raw path, not URL().pathname, which would quietly resolve "/../"
+      const pathname = req.url.startsWith('/') ? req.url.split('?')[0] : absolutePath(req.url);
+      const segments = pathname ? toSegments(pathname) : null;
+      if (!segments) {
+        sendText(res, 400, 'Bad Request');
+        return;
+      }
+
+      let file = await findFile(segments);
+      let isFallback = false;
+
+      // Client-side routes (no extension) that want HTML get the app shell
+      const last = segments[segments.length - 1] || '';
+      const wantsHtml = (req.headers.accept || '').includes('text/html');
+      if (!file && spaFallback && !extname(last) && wantsHtml) {
+        file = await findFile([indexFile]);
+        isFallback = true;
+      }
+
+      if (!file) {
+        sendText(res, 404, 'Not found: ' + pathname);
+        return;
+      }
+
+      sendFile(req, res, file, isFallback);
+    } catch (error) {
+      console.error('📁 Static file error:', error);
+      if (!res.headersSent) sendText(res, 500, 'Internal Server Error');
+      else res.destroy(error);
+    }
+  };
+}
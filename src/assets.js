@@ -0,0 +1,125 @@
+/**
+ * ============================================================================
+ * ITTY BITY CITY - Asset Resolution
+ * ============================================================================
+ *
+ * Finds where to download a model from. Each asset has a logical name
+ * ("character.glb", "map.glb") and is tried at, in order:
+ * 1. The compressed, fingerprinted copy listed in assets.json (written by
+ *    scripts/build-assets.js; absent under the dev server)
+ * 2. The plain file next to the page (public/ in development)
+ * 3. A remote mirror, for assets too large to ship with the game
+ *
+ * So a local build runs fully offline, and the mirror is only used when a
+ * file is missing.
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/** Built asset table (logical name -> path relative to the page) */
+const ASSET_MANIFEST_URL = './assets.json';
+
+/** The GitHub release holding the assets too large to ship with the game */
+const RELEASE_BASE = 'https://github.com/kashmot2/ittybitycity-game/releases/download/v1.0.0/';
+
+/**
+ * GitHub release downloads don't send CORS headers, so the release is
+ * fetched through a relay that adds them
+ */
+const CORS_RELAY = 'https://corsproxy.io/?';
+
+/** Assets with a remote copy (logical name -> file name on the mirror) */
+const MIRRORED_FILES = { 'map.glb': 'map-draco.glb' };
+
+/**
+ * Remote URLs by logical name
+ * @param {string|null} [base] - Another mirror, ending in / and sending CORS
+ *   headers itself (default: the GitHub release, through the relay)
+ * @returns {Object<string, string>}
+ */
+export function getMirrors(base = null) {
+  return Object.fromEntries(Object.entries(MIRRORED_FILES).map(([name, file]) => [
+    name,
+    base ? new URL(file, base).href : CORS_RELAY + encodeURIComponent(RELEASE_BASE + file)
+  ]));
+}
+
+/**
+ * Check a mirror given in the page URL
+ * @param {string} value
+ * @returns {string|null} The mirror, or null if it isn't an absolute http(s) URL
+ */
+export function parseMirrorBase(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Create an asset resolver.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.manifestUrl] - URL of assets.json
+ * @param {Object<string, string>} [options.mirrors] - Remote URLs by logical name
+ */
+export function createAssetResolver({ manifestUrl = ASSET_MANIFEST_URL, mirrors = getMirrors() } = {}) {
+  /** Pending/loaded assets.json (an empty table if there is none) */
+  let manifestPromise = null;
+
+  /** @returns {Promise<Object<string, string>>} */
+  function loadManifest() {
+    if (!manifestPromise) {
+      manifestPromise = fetch(manifestUrl)
+        .then(response => (response.ok ? response.json() : {}))
+        .catch(() => ({}));
+    }
+    return manifestPromise;
+  }
+
+  /**
+   * Candidate URLs for an asset, best first
+   * @param {string} name - Logical name
+   * @returns {Promise<string[]>}
+   */
+  async function resolve(name) {
+    const manifest = await loadManifest();
+    const urls = [];
+    if (manifest[name]) urls.push('./' + manifest[name]);
+    urls.push('./' + name);
+    if (mirrors[name]) urls.push(mirrors[name]);
+    return urls;
+  }
+
+  return {
+    resolve,
+
+    /**
+     * Load a glTF asset with a GLTFLoader, falling through the candidate
+     * URLs until one works
+     * @param {THREE.Loader} loader - GLTFLoader
+     * @param {string} name - Logical name
+     * @param {function(ProgressEvent)} [onProgress]
+     * @returns {Promise<Object>} The loaded gltf
+     */
+    async loadGLTF(loader, name, onProgress) {
+      let lastError = null;
+
+      for (const url of await resolve(name)) {
+        try {
+          const gltf = await loader.loadAsync(url, onProgress);
+          console.log(`📦 ${name} loaded from ${url.length > 80 ? url.slice(0, 77) + '...' : url}`);
+          return gltf;
+        } catch (error) {
+          lastError = error;
+        }
+      }
+
+      throw lastError;
+    }
+  };
+}
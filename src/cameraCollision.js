@@ -0,0 +1,222 @@
+/**
+ * ============================================================================
+ * ITTY BITY CITY - Camera Collision
+ * ============================================================================
+ *
+ * Keeps the third-person camera out of walls. Each frame a few rays are
+ * cast from the player towards where the camera wants to be:
+ * - Large geometry (buildings, walls) pulls the camera in immediately, and
+ *   it eases back out once the view is clear
+ * - Narrow props (lamp posts, crates) fade to transparent instead, so walking
+ *   past them does not make the camera jump around
+ * - Anything still between the camera and the player when the camera is at
+ *   its minimum distance fades too
+ */
+
+import * as THREE from 'three';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/** Occluders with a footprint narrower than this fade instead of blocking */
+const SMALL_OCCLUDER_SIZE = 3;
+
+/** Opacity of faded occluders */
+const FADE_OPACITY = 0.25;
+
+/** How quickly occluders fade out and back in (per second) */
+const FADE_SPEED = 6;
+
+// Scratch objects
+const _direction = new THREE.Vector3();
+const _right = new THREE.Vector3();
+const _up = new THREE.Vector3();
+const _offset = new THREE.Vector3();
+const _origin = new THREE.Vector3();
+const _size = new THREE.Vector3();
+const WORLD_UP = new THREE.Vector3(0, 1, 0);
+
+/**
+ * Create the camera collision helper.
+ *
+ * @param {Object} options
+ * @param {Object} options.world - Collision world from createCollisionWorld
+ * @param {number} options.minDistance - Closest the camera gets to the player
+ * @param {number} [options.padding=0.3] - Gap kept between the camera and walls
+ * @param {number} [options.probeRadius=0.2] - Spread of the side rays (about the near plane size)
+ * @param {number} [options.easeOutSpeed=3] - How quickly the camera backs out again
+ * @param {boolean} [options.fadeOccluders=true] - Fade small/close occluders
+ */
+export function createCameraCollision({
+  world,
+  minDistance,
+  padding = 0.3,
+  probeRadius = 0.2,
+  easeOutSpeed = 3,
+  fadeOccluders = true
+}) {
+  /** Current (collision-limited) camera distance */
+  let currentDistance = null;
+
+  /** Faded meshes: mesh -> { original, faded, opacity, target } */
+  const faded = new Map();
+
+  /** Cached "is this mesh small" answers */
+  const smallCache = new WeakMap();
+
+  /**
+   * Whether a mesh is narrow enough to fade rather than block
+   * @param {THREE.Mesh} mesh
+   * @returns {boolean}
+   */
+  function isSmall(mesh) {
+    if (!smallCache.has(mesh)) {
+      const geometry = mesh.geometry;
+      if (!geometry.boundingBox) geometry.computeBoundingBox();
+      geometry.boundingBox.getSize(_size);
+      mesh.getWorldScale(_offset);
+      _size.multiply(_offset);
+      smallCache.set(mesh, Math.max(_size.x, _size.z) < SMALL_OCCLUDER_SIZE);
+    }
+    return smallCache.get(mesh);
+  }
+
+  /**
+   * Swap a mesh to transparent copies of its materials
+   * @param {THREE.Mesh} mesh
+   */
+  function startFade(mesh) {
+    let entry = faded.get(mesh);
+    if (!entry) {
+      const original = mesh.material;
+      const materials = Array.isArray(original) ? original : [original];
+      const copies = materials.map((material) => {
+        const copy = material.clone();
+        copy.transparent = true;
+        copy.depthWrite = false;
+        copy.userData.baseOpacity = material.opacity;
+        return copy;
+      });
+      mesh.material = Array.isArray(original) ? copies : copies[0];
+      entry = { original, faded: copies, opacity: 1 };
+      faded.set(mesh, entry);
+    }
+    entry.target = FADE_OPACITY;
+  }
+
+  /**
+   * Restore a mesh's own materials
+   * @param {THREE.Mesh} mesh
+   */
+  function endFade(mesh) {
+    const entry = faded.get(mesh);
+    mesh.material = entry.original;
+    entry.faded.forEach(material => material.dispose());
+    faded.delete(mesh);
+  }
+
+  /**
+   * Animate faded meshes towards their target opacity
+   * @param {Set<THREE.Mesh>} occluders - Meshes occluding this frame
+   * @param {number} delta
+   */
+  function updateFades(occluders, delta) {
+    for (const mesh of occluders) startFade(mesh);
+
+    const step = FADE_SPEED * delta;
+    for (const [mesh, entry] of faded) {
+      if (!occluders.has(mesh)) entry.target = 1;
+
+      entry.opacity += THREE.MathUtils.clamp(entry.target - entry.opacity, -step, step);
+      if (entry.opacity >= 1) {
+        endFade(mesh);
+        continue;
+      }
+      for (const material of entry.faded) {
+        material.opacity = material.userData.baseOpacity * entry.opacity;
+      }
+    }
+  }
+
+  /**
+   * Cast one probe ray and report the first blocking hit
+   * @param {THREE.Vector3} origin
+   * @param {number} distance - Length of the probe
+   * @param {Set<THREE.Mesh>} occluders - Collects small occluders passed through
+   * @returns {number} Distance to the first blocking hit (or `distance`)
+   */
+  function probe(origin, distance, occluders) {
+    for (const hit of world.raycast(origin, _direction, distance)) {
+      if (fadeOccluders && isSmall(hit.object)) {
+        occluders.add(hit.object);
+        continue;
+      }
+      return hit.distance;
+    }
+    return distance;
+  }
+
+  return {
+    /**
+     * Resolve this frame's camera position.
+     *
+     * @param {THREE.Vector3} pivot - Point the camera looks at (on the player)
+     * @param {THREE.Vector3} ideal - Where the camera would be with nothing in the way
+     * @param {number} delta - Time delta in seconds
+     * @param {THREE.Vector3} target - Receives the camera position
+     * @returns {THREE.Vector3} target
+     */
+    update(pivot, ideal, delta, target) {
+      _direction.subVectors(ideal, pivot);
+      const desiredDistance = _direction.length();
+      if (desiredDistance < 1e-4) return target.copy(ideal);
+      _direction.divideScalar(desiredDistance);
+
+      // Side rays roughly cover the near plane so its corners stay out of walls
+      _right.crossVectors(_direction, WORLD_UP);
+      if (_right.lengthSq() < 1e-6) _right.set(1, 0, 0);
+      _right.normalize();
+      _up.crossVectors(_right, _direction).normalize();
+
+      const occluders = new Set();
+      let clearDistance = probe(pivot, desiredDistance, occluders);
+      for (const [sx, sy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+        _offset.copy(_right).multiplyScalar(sx * probeRadius).addScaledVector(_up, sy * probeRadius);
+        _origin.copy(pivot).add(_offset);
+        clearDistance = Math.min(clearDistance, probe(_origin, desiredDistance, occluders));
+      }
+
+      const allowed = THREE.MathUtils.clamp(clearDistance - padding, minDistance, desiredDistance);
+
+      // Snap in (never lag inside a wall), ease back out
+      if (currentDistance === null || allowed < currentDistance) {
+        currentDistance = allowed;
+      } else {
+        currentDistance += (allowed - currentDistance) * (1 - Math.exp(-easeOutSpeed * delta));
+      }
+      currentDistance = Math.min(currentDistance, desiredDistance);
+
+      // Still blocked at the minimum distance: fade whatever is in the way
+      if (fadeOccluders && clearDistance - padding < minDistance) {
+        for (const hit of world.raycast(pivot, _direction, currentDistance + padding)) {
+          occluders.add(hit.object);
+        }
+      }
+
+      if (fadeOccluders || faded.size > 0) updateFades(occluders, delta);
+
+      return target.copy(pivot).addScaledVector(_direction, currentDistance);
+    },
+
+    /**
+     * Turn occluder fading on or off
+     * @param {boolean} enabled
+     */
+    setFadeOccluders(enabled) {
+      fadeOccluders = enabled;
+    },
+
+    isFadingOccluders: () => fadeOccluders
+  };
+}
@@ -0,0 +1,322 @@
+/**
+ * ============================================================================
+ * ITTY BITY CITY - Procedural Character
+ * ============================================================================
+ *
+ * Blocky stand-in character built from primitives, with limbs on pivots so
+ * it can be animated without a skeleton. Used for the local player when the
+ * character model is unavailable and for every remote player.
+ */
+
+import * as THREE from 'three';
+
+/**
+ * Create a simple character with animatable limbs.
+ * Limb pivots are stored in `group.userData.parts` for procedural animation.
+ * @param {Object} [options]
+ * @param {number} [options.shirtColor=0x3498db] - Torso and sleeve color
+ * @returns {THREE.Group}
+ */
+export function createFallbackCharacter({ shirtColor = 0x3498db } = {}) {
+  const group = new THREE.Group();
+  const charParts = {};
+  group.userData.parts = charParts;
+  
+  // -- TORSO (main body) --
+  const torsoGeom = new THREE.BoxGeometry(0.5, 0.7, 0.3);
+  const torsoMat = new THREE.MeshStandardMaterial({ 
+    color: shirtColor, // Blue shirt by default
+    roughness: 0.7
+  });
+  const torso = new THREE.Mesh(torsoGeom, torsoMat);
+  torso.position.y = 1.1;
+  torso.castShadow = true;
+  group.add(torso);
+  charParts.torso = torso;
+  
+  // -- HEAD --
+  const headGeom = new THREE.SphereGeometry(0.22, 16, 16);
+  const headMat = new THREE.MeshStandardMaterial({ 
+    color: 0xffdbac, // Skin tone
+    roughness: 0.6
+  });
+  const head = new THREE.Mesh(headGeom, headMat);
+  head.position.y = 1.65;
+  head.castShadow = true;
+  group.add(head);
+  charParts.head = head;
+  
+  // -- HAIR (back of head visible) --
+  const hairGeom = new THREE.SphereGeometry(0.24, 16, 16, 0, Math.PI * 2, 0, Math.PI / 2);
+  const hairMat = new THREE.MeshStandardMaterial({ color: 0x4a3728, roughness: 0.9 });
+  const hair = new THREE.Mesh(hairGeom, hairMat);
+  hair.position.y = 0.05; // Attached to the head so it follows bob and sitting
+  hair.rotation.x = Math.PI;
+  hair.castShadow = true;
+  head.add(hair);
+  
+  // -- LEGS (pivots at hip) --
+  const legGeom = new THREE.BoxGeometry(0.15, 0.55, 0.15);
+  const legMat = new THREE.MeshStandardMaterial({ color: 0x2c3e50, roughness: 0.8 }); // Dark pants
+  
+  // Left leg pivot
+  const leftLegPivot = new THREE.Group();
+  leftLegPivot.position.set(-0.13, 0.75, 0);
+  const leftLeg = new THREE.Mesh(legGeom, legMat);
+  leftLeg.position.y = -0.275; // Offset from pivot
+  leftLeg.castShadow = true;
+  leftLegPivot.add(leftLeg);
+  group.add(leftLegPivot);
+  charParts.leftLeg = leftLegPivot;
+  
+  // Right leg pivot
+  const rightLegPivot = new THREE.Group();
+  rightLegPivot.position.set(0.13, 0.75, 0);
+  const rightLeg = new THREE.Mesh(legGeom, legMat);
+  rightLeg.position.y = -0.275;
+  rightLeg.castShadow = true;
+  rightLegPivot.add(rightLeg);
+  group.add(rightLegPivot);
+  charParts.rightLeg = rightLegPivot;
+  
+  // -- FEET --
+  const footGeom = new THREE.BoxGeometry(0.15, 0.1, 0.22);
+  const footMat = new THREE.MeshStandardMaterial({ color: 0x1a1a1a, roughness: 0.9 }); // Black shoes
+  
+  const leftFoot = new THREE.Mesh(footGeom, footMat);
+  leftFoot.position.set(0, -0.55, 0.03);
+  leftFoot.castShadow = true;
+  leftLegPivot.add(leftFoot);
+  
+  const rightFoot = new THREE.Mesh(footGeom, footMat);
+  rightFoot.position.set(0, -0.55, 0.03);
+  rightFoot.castShadow = true;
+  rightLegPivot.add(rightFoot);
+  
+  // -- ARMS (pivots at shoulder) --
+  const armGeom = new THREE.BoxGeometry(0.12, 0.45, 0.12);
+  const armMat = new THREE.MeshStandardMaterial({ color: shirtColor, roughness: 0.7 }); // Match shirt
+  
+  // Left arm pivot
+  const leftArmPivot = new THREE.Group();
+  leftArmPivot.position.set(-0.35, 1.35, 0);
+  const leftArm = new THREE.Mesh(armGeom, armMat);
+  leftArm.position.y = -0.225;
+  leftArm.castShadow = true;
+  leftArmPivot.add(leftArm);
+  group.add(leftArmPivot);
+  charParts.leftArm = leftArmPivot;
+  
+  // Right arm pivot
+  const rightArmPivot = new THREE.Group();
+  rightArmPivot.position.set(0.35, 1.35, 0);
+  const rightArm = new THREE.Mesh(armGeom, armMat);
+  rightArm.position.y = -0.225;
+  rightArm.castShadow = true;
+  rightArmPivot.add(rightArm);
+  group.add(rightArmPivot);
+  charParts.rightArm = rightArmPivot;
+  
+  // -- HANDS (skin colored) --
+  const handGeom = new THREE.SphereGeometry(0.06, 8, 8);
+  const handMat = new THREE.MeshStandardMaterial({ color: 0xffdbac, roughness: 0.6 });
+  
+  const leftHand = new THREE.Mesh(handGeom, handMat);
+  leftHand.position.y = -0.48;
+  leftArmPivot.add(leftHand);
+  
+  const rightHand = new THREE.Mesh(handGeom, handMat);
+  rightHand.position.y = -0.48;
+  rightArmPivot.add(rightHand);
+  
+  return group;
+}
+
+/**
+ * Create the per-character state used by updateProceduralAnimation
+ * @returns {Object}
+ */
+export function createProceduralAnimState() {
+  return {
+    phase: 0,        // Animation cycle phase (0-2π)
+    isMoving: false,
+    bobAmount: 0,    // Current bob height
+    swayAmount: 0,   // Current sway rotation
+    limbRotation: 0, // Arm/leg swing
+    emoteTime: 0,    // Seconds since the current emote started
+    emoteWeight: 0,  // Blend between normal pose (0) and emote pose (1)
+    lastEmote: null  // Emote being blended in or out
+  };
+}
+
+/** Emotes the procedural rig can perform */
+export const EMOTES = ['wave', 'sit', 'dance'];
+
+/** How quickly emote poses blend in and out (per second) */
+const EMOTE_BLEND_SPEED = 6;
+
+/** How far the body drops when sitting */
+const SIT_DROP = 0.45;
+
+/**
+ * Blend an emote pose on top of the pose set by the walk/idle animation
+ * @param {Object} charParts - Limb pivots from createFallbackCharacter
+ * @param {Object} proceduralAnim - State from createProceduralAnimState
+ * @param {number} delta - Time delta
+ * @param {string|null} emote - Active emote, or null to blend out
+ */
+function applyEmotePose(charParts, proceduralAnim, delta, emote) {
+  if (emote && emote !== proceduralAnim.lastEmote) {
+    // Switching straight from one emote to another restarts the blend
+    if (proceduralAnim.lastEmote) proceduralAnim.emoteWeight = 0;
+    proceduralAnim.lastEmote = emote;
+    proceduralAnim.emoteTime = 0;
+  }
+  
+  const target = emote ? 1 : 0;
+  const step = delta * EMOTE_BLEND_SPEED;
+  proceduralAnim.emoteWeight += THREE.MathUtils.clamp(target - proceduralAnim.emoteWeight, -step, step);
+  proceduralAnim.emoteTime += delta;
+  
+  const w = proceduralAnim.emoteWeight;
+  const t = proceduralAnim.emoteTime;
+  
+  if (w <= 0) {
+    proceduralAnim.lastEmote = null;
+    charParts.leftArm.rotation.z = 0;
+    charParts.rightArm.rotation.z = 0;
+    charParts.torso.rotation.y = 0;
+    resetLimbPivots(charParts);
+    return;
+  }
+  
+  const lerp = THREE.MathUtils.lerp;
+  
+  switch (proceduralAnim.lastEmote) {
+    case 'wave':
+      // Right arm raised overhead, waving side to side
+      charParts.rightArm.rotation.z = lerp(0, 2.6 + Math.sin(t * 8) * 0.35, w);
+      charParts.rightArm.rotation.x = lerp(charParts.rightArm.rotation.x, 0, w);
+      break;
+      
+    case 'sit': {
+      // Legs forward, body lowered, hands resting on knees
+      const drop = SIT_DROP * w;
+      charParts.torso.position.y -= drop;
+      charParts.head.position.y -= drop;
+      charParts.leftArm.position.y = 1.35 - drop;
+      charParts.rightArm.position.y = 1.35 - drop;
+      charParts.leftLeg.position.y = 0.75 - drop;
+      charParts.rightLeg.position.y = 0.75 - drop;
+      charParts.leftLeg.rotation.x = lerp(charParts.leftLeg.rotation.x, -1.5, w);
+      charParts.rightLeg.rotation.x = lerp(charParts.rightLeg.rotation.x, -1.5, w);
+      charParts.leftArm.rotation.x = lerp(charParts.leftArm.rotation.x, -0.6, w);
+      charParts.rightArm.rotation.x = lerp(charParts.rightArm.rotation.x, -0.6, w);
+      break;
+    }
+      
+    case 'dance': {
+      // Arms up and pumping, hips swaying, little hops
+      const beat = t * 7;
+      charParts.leftArm.rotation.z = lerp(0, -2.2 - Math.sin(beat) * 0.5, w);
+      charParts.rightArm.rotation.z = lerp(0, 2.2 - Math.sin(beat) * 0.5, w);
+      charParts.leftLeg.rotation.x = lerp(charParts.leftLeg.rotation.x, Math.max(0, Math.sin(beat)) * -0.5, w);
+      charParts.rightLeg.rotation.x = lerp(charParts.rightLeg.rotation.x, Math.max(0, -Math.sin(beat)) * -0.5, w);
+      charParts.torso.rotation.y = Math.sin(beat * 0.5) * 0.3 * w;
+      const hop = Math.abs(Math.sin(beat)) * 0.06 * w;
+      charParts.torso.position.y += hop;
+      charParts.head.position.y += hop;
+      break;
+    }
+  }
+  
+  // Sitting moves the limb pivots; put them back when another pose takes over
+  if (proceduralAnim.lastEmote !== 'sit') {
+    resetLimbPivots(charParts);
+  }
+}
+
+/**
+ * Move limb pivots back to their rest heights
+ * @param {Object} charParts - Limb pivots from createFallbackCharacter
+ */
+function resetLimbPivots(charParts) {
+  charParts.leftArm.position.y = 1.35;
+  charParts.rightArm.position.y = 1.35;
+  charParts.leftLeg.position.y = 0.75;
+  charParts.rightLeg.position.y = 0.75;
+}
+
+/**
+ * Update procedural walking animation
+ * @param {Object} charParts - Limb pivots from createFallbackCharacter
+ * @param {Object} proceduralAnim - State from createProceduralAnimState
+ * @param {number} delta - Time delta
+ * @param {boolean} isMoving - Whether character is moving
+ * @param {boolean} isRunning - Whether character is running
+ * @param {string|null} [emote] - Active emote (ignored while moving)
+ */
+export function updateProceduralAnimation(charParts, proceduralAnim, delta, isMoving, isRunning, emote = null) {
+  if (!charParts || !charParts.leftLeg) return; // No character parts to animate
+  
+  const speed = isRunning ? 18 : 10; // Animation speed
+  const limbSwing = isRunning ? 0.8 : 0.5; // How far limbs swing
+  const bobHeight = isRunning ? 0.08 : 0.04; // Vertical bob
+  
+  if (isMoving) {
+    // Advance animation phase
+    proceduralAnim.phase += delta * speed;
+    if (proceduralAnim.phase > Math.PI * 2) {
+      proceduralAnim.phase -= Math.PI * 2;
+    }
+    
+    // Calculate limb positions using sin/cos
+    const swing = Math.sin(proceduralAnim.phase) * limbSwing;
+    const bob = Math.abs(Math.sin(proceduralAnim.phase * 2)) * bobHeight;
+    
+    // Legs swing opposite to each other
+    charParts.leftLeg.rotation.x = swing;
+    charParts.rightLeg.rotation.x = -swing;
+    
+    // Arms swing opposite to legs (natural walking motion)
+    charParts.leftArm.rotation.x = -swing * 0.8;
+    charParts.rightArm.rotation.x = swing * 0.8;
+    
+    // Body bob
+    if (charParts.torso) {
+      charParts.torso.position.y = 1.1 + bob;
+      charParts.head.position.y = 1.65 + bob;
+    }
+    
+    // Slight torso lean forward when running
+    if (isRunning) {
+      charParts.torso.rotation.x = 0.1;
+    } else if (charParts.torso) {
+      charParts.torso.rotation.x = 0;
+    }
+  } else {
+    // Idle - smoothly return to neutral pose
+    const returnSpeed = 8;
+    
+    charParts.leftLeg.rotation.x *= Math.max(0, 1 - delta * returnSpeed);
+    charParts.rightLeg.rotation.x *= Math.max(0, 1 - delta * returnSpeed);
+    charParts.leftArm.rotation.x *= Math.max(0, 1 - delta * returnSpeed);
+    charParts.rightArm.rotation.x *= Math.max(0, 1 - delta * returnSpeed);
+    
+    if (charParts.torso) {
+      charParts.torso.position.y = 1.1;
+      charParts.head.position.y = 1.65;
+      charParts.torso.rotation.x = 0;
+    }
+    
+    // Subtle idle breathing
+    const breathe = Math.sin(Date.now() * 0.002) * 0.01;
+    if (charParts.torso) {
+      charParts.torso.position.y += breathe;
+    }
+  }
+  
+  if (charParts.torso) {
+    applyEmotePose(charParts, proceduralAnim, delta, isMoving ? null : emote);
+  }
+}
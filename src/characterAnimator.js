@@ -0,0 +1,210 @@
+/**
+ * ============================================================================
+ * ITTY BITY CITY - Character Animator
+ * ============================================================================
+ *
+ * Skeletal animation for the character.glb model:
+ * - Fits the model to the player height and puts its feet at the origin
+ * - Maps the file's clips to idle/walk/run/jump/fall (and emotes) by name
+ * - Blends between states every frame instead of hard-switching, with walk
+ *   and run mixed by the player's actual speed and played back at a matching
+ *   rate, so feet don't skate when sliding along walls
+ */
+
+import * as THREE from 'three';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Clip name patterns for each state, tried in order. Mixamo-style names
+ * ("Armature|Walking") and plain ones ("walk") both match.
+ */
+const CLIP_PATTERNS = {
+  idle:  [/idle/i, /stand/i, /breath/i],
+  walk:  [/walk/i],
+  run:   [/run/i, /sprint/i, /jog/i],
+  jump:  [/jump/i],
+  fall:  [/fall/i, /air/i, /land/i],
+  wave:  [/wave/i],
+  sit:   [/sit/i],
+  dance: [/dance/i]
+};
+
+/** States that play once and hold their last frame */
+const ONE_SHOT_STATES = new Set(['jump']);
+
+/** Seconds to cross-fade between states */
+const BLEND_TIME = 0.2;
+
+/** Playback rate limits when matching clip speed to movement speed */
+const MIN_TIME_SCALE = 0.5;
+const MAX_TIME_SCALE = 2;
+
+/**
+ * Find the clip for a state
+ * @param {THREE.AnimationClip[]} clips
+ * @param {string} state
+ * @returns {THREE.AnimationClip|null}
+ */
+function findClip(clips, state) {
+  for (const pattern of CLIP_PATTERNS[state]) {
+    const clip = clips.find(c => pattern.test(c.name));
+    if (clip) return clip;
+  }
+  return null;
+}
+
+// ============================================================================
+// MODEL
+// ============================================================================
+
+/**
+ * Wrap a loaded character so it is `height` tall with its feet centered on
+ * the wrapper's origin (the model's own units and pivot vary by exporter).
+ *
+ * @param {THREE.Object3D} model - gltf.scene
+ * @param {number} height - Target height
+ * @returns {THREE.Group}
+ */
+export function prepareCharacterModel(model, height) {
+  model.updateMatrixWorld(true);
+  const box = new THREE.Box3().setFromObject(model);
+  const size = box.getSize(new THREE.Vector3());
+  const center = box.getCenter(new THREE.Vector3());
+
+  const scale = size.y > 0 ? height / size.y : 1;
+  model.scale.multiplyScalar(scale);
+  model.position.set(
+    model.position.x - center.x * scale,
+    model.position.y - box.min.y * scale,
+    model.position.z - center.z * scale
+  );
+
+  model.traverse((child) => {
+    if (child.isMesh) {
+      child.castShadow = true;
+      child.receiveShadow = true;
+    }
+    // The bind-pose bounds don't follow the animation
+    if (child.isSkinnedMesh) child.frustumCulled = false;
+  });
+
+  const group = new THREE.Group();
+  group.add(model);
+  return group;
+}
+
+// ============================================================================
+// ANIMATOR
+// ============================================================================
+
+/**
+ * Create an animator for a skinned character.
+ *
+ * @param {THREE.Object3D} model - Character (from prepareCharacterModel)
+ * @param {THREE.AnimationClip[]} clips - gltf.animations
+ * @param {Object} options
+ * @param {number} options.walkSpeed - Movement speed the walk clip is played at 1x
+ * @param {number} options.runSpeed - Movement speed the run clip is played at 1x
+ * @returns {Object|null} Animator, or null if the clips can't drive locomotion
+ */
+export function createCharacterAnimator(model, clips, { walkSpeed, runSpeed }) {
+  const mixer = new THREE.AnimationMixer(model);
+
+  /** Actions by state (missing states fall back to similar ones) */
+  const actions = {};
+  for (const state of Object.keys(CLIP_PATTERNS)) {
+    const clip = findClip(clips, state);
+    if (!clip) continue;
+
+    const action = mixer.clipAction(clip);
+    if (ONE_SHOT_STATES.has(state)) {
+      action.setLoop(THREE.LoopOnce, 1);
+      action.clampWhenFinished = true;
+    }
+    action.enabled = true;
+    action.setEffectiveWeight(0);
+    action.play();
+    actions[state] = action;
+  }
+
+  actions.idle = actions.idle || actions.walk;
+  actions.walk = actions.walk || actions.run;
+  actions.run = actions.run || actions.walk;
+  actions.fall = actions.fall || actions.jump || actions.idle;
+  actions.jump = actions.jump || actions.fall;
+
+  if (!actions.idle || !actions.walk) {
+    mixer.stopAllAction();
+    return null;
+  }
+
+  console.log('🎬 Character clips:', clips.map(c => c.name).join(', '));
+
+  /** Current blended weight of each distinct action */
+  const weights = new Map();
+  for (const action of new Set(Object.values(actions))) {
+    weights.set(action, action === actions.idle ? 1 : 0);
+  }
+
+  let previousState = 'idle';
+
+  return {
+    mixer,
+
+    /**
+     * Blend towards the current state and advance the animation.
+     *
+     * @param {number} delta - Time delta in seconds
+     * @param {string} state - idle | walk | run | jump | fall
+     * @param {number} speed - Horizontal speed (units per second)
+     * @param {string|null} [emote] - Emote to play while standing still
+     */
+    update(delta, state, speed, emote = null) {
+      if (emote && actions[emote] && state === 'idle') state = emote;
+
+      // Restart one-shot clips when their state is entered
+      if (state !== previousState && ONE_SHOT_STATES.has(state)) {
+        actions[state].reset();
+      }
+      previousState = state;
+
+      // Target weights
+      const targets = new Map();
+      for (const action of weights.keys()) targets.set(action, 0);
+
+      if (state === 'walk' || state === 'run') {
+        // Mix walk and run by speed so the stride matches the movement
+        const blend = THREE.MathUtils.clamp((speed - walkSpeed) / (runSpeed - walkSpeed), 0, 1);
+        targets.set(actions.walk, targets.get(actions.walk) + 1 - blend);
+        targets.set(actions.run, targets.get(actions.run) + blend);
+
+        const walkScale = THREE.MathUtils.clamp(speed / walkSpeed, MIN_TIME_SCALE, MAX_TIME_SCALE);
+        const runScale = THREE.MathUtils.clamp(speed / runSpeed, MIN_TIME_SCALE, MAX_TIME_SCALE);
+        actions.walk.timeScale = walkScale;
+        if (actions.run !== actions.walk) {
+          actions.run.timeScale = runScale;
+
+          // Keep both cycles in phase so the feet line up mid-blend
+          const phase = actions.walk.time / actions.walk.getClip().duration;
+          actions.run.time = phase * actions.run.getClip().duration;
+        }
+      } else {
+        targets.set(actions[state] || actions.idle, 1);
+      }
+
+      // Ease every weight towards its target
+      const step = delta / BLEND_TIME;
+      for (const [action, weight] of weights) {
+        const target = targets.get(action);
+        const next = weight + THREE.MathUtils.clamp(target - weight, -step, step);
+        weights.set(action, next);
+        action.setEffectiveWeight(next);
+      }
+
+      mixer.update(delta);
+    }
+  };
+}
@@ -0,0 +1,377 @@
+/**
+ * ============================================================================
+ * ITTY BITY CITY - Character Controller
+ * ============================================================================
+ *
+ * Moves the player as a capsule through the collision world:
+ * - Movement is split into substeps shorter than half the capsule radius,
+ *   and the capsule is pushed out of every overlapping triangle after each
+ *   one, so it can never tunnel through a thin wall
+ * - Whatever movement is left after a contact slides along the contact
+ *   planes (including the crease between two walls in a corner)
+ * - Surfaces steeper than the slope limit behave like walls, and gentler
+ *   ones never make the player slide downhill
+ * - Ledges up to the step height are climbed automatically
+ * - Bumping a ceiling ends the jump
+ * - Standing on a moving mesh carries the player along with it
+ */
+
+import * as THREE from 'three';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/** Contacts within this distance of the capsule still count (keeps grounding stable) */
+const SKIN = 0.02;
+
+/** Depenetration passes per substep */
+const MAX_ITERATIONS = 4;
+
+/** Normals with y below this are ceilings */
+const CEILING_THRESHOLD = -0.5;
+
+// Scratch objects
+const _segment = new THREE.Line3();
+const _triangle = new THREE.Triangle();
+const _plane = new THREE.Plane();
+const _onTriangle = new THREE.Vector3();
+const _onSegment = new THREE.Vector3();
+const _reference = new THREE.Vector3();
+const _push = new THREE.Vector3();
+const _faceNormal = new THREE.Vector3();
+const _contact = { normal: null, depth: 0, walkable: false, lift: 0, mesh: null };
+const _box = new THREE.Box3();
+const _step = new THREE.Vector3();
+const _segmentDir = new THREE.Vector3();
+const _delta = new THREE.Matrix4();
+const _quat = new THREE.Quaternion();
+const _euler = new THREE.Euler();
+
+// ============================================================================
+// GEOMETRY HELPERS
+// ============================================================================
+
+/**
+ * Closest points between a segment and a triangle.
+ *
+ * Uses the point where the segment's line crosses the triangle's plane (or
+ * the closest triangle point to it) as a reference, which is exact for the
+ * usual cases and close enough for the rest.
+ *
+ * @param {THREE.Line3} segment
+ * @param {THREE.Triangle} triangle
+ * @param {THREE.Vector3} onSegment - Receives the point on the segment
+ * @param {THREE.Vector3} onTriangle - Receives the point on the triangle
+ */
+function closestSegmentTriangle(segment, triangle, onSegment, onTriangle) {
+  triangle.getPlane(_plane);
+  segment.delta(_segmentDir);
+
+  const denom = _plane.normal.dot(_segmentDir);
+  if (Math.abs(denom) > 1e-6) {
+    const t = -_plane.distanceToPoint(segment.start) / denom;
+    segment.at(THREE.MathUtils.clamp(t, 0, 1), _reference);
+  } else {
+    // Segment parallel to the plane: any point works as a reference
+    _reference.copy(triangle.a);
+  }
+
+  triangle.closestPointToPoint(_reference, onTriangle);
+  segment.closestPointToPoint(onTriangle, true, onSegment);
+  triangle.closestPointToPoint(onSegment, onTriangle);
+}
+
+/**
+ * Remove the part of a movement that goes into the contact planes.
+ * Two opposing planes (a corner) leave only motion along their crease.
+ *
+ * @param {THREE.Vector3} move - Modified in place
+ * @param {THREE.Vector3[]} normals - Contact normals
+ */
+function clipToPlanes(move, normals) {
+  for (let i = 0; i < normals.length; i++) {
+    const into = move.dot(normals[i]);
+    if (into >= 0) continue;
+    move.addScaledVector(normals[i], -into);
+
+    for (let j = 0; j < normals.length; j++) {
+      if (j === i || move.dot(normals[j]) >= -1e-6) continue;
+
+      // Violates another plane: slide along the crease between them
+      const crease = new THREE.Vector3().crossVectors(normals[i], normals[j]);
+      if (crease.lengthSq() < 1e-8) {
+        move.set(0, 0, 0);
+        return;
+      }
+      crease.normalize();
+      move.copy(crease.multiplyScalar(move.dot(crease)));
+
+      // Boxed in by a third plane: stop
+      if (normals.some(n => move.dot(n) < -1e-6)) move.set(0, 0, 0);
+      return;
+    }
+  }
+}
+
+// ============================================================================
+// CONTROLLER
+// ============================================================================
+
+/**
+ * Create a capsule character controller.
+ *
+ * The body it moves is the player object from main.js: `position` is at
+ * eye level (the top of the capsule), `velocity.y` is integrated here, and
+ * `onGround` is written back.
+ *
+ * @param {Object} options
+ * @param {Object} options.world - Collision world from createCollisionWorld
+ * @param {number} options.radius - Capsule radius
+ * @param {number} options.height - Capsule height (feet to top)
+ * @param {number} options.stepHeight - Tallest ledge climbed without jumping
+ * @param {number} [options.maxSlope=50] - Steepest walkable slope (degrees)
+ */
+export function createCharacterController({ world, radius, height, stepHeight, maxSlope = 50 }) {
+  const minGroundY = Math.cos(THREE.MathUtils.degToRad(maxSlope));
+  const maxStepLength = radius * 0.5;
+
+  /** Mesh we are standing on and its transform last frame */
+  let platform = null;
+  const platformMatrix = new THREE.Matrix4();
+
+  /**
+   * Visit every triangle within skin distance of a capsule
+   * @param {THREE.Vector3} feet - Bottom of the capsule
+   * @param {function(Object)} onContact - Called with a reused
+   *   { normal, depth, walkable, lift, mesh } record; `normal` points out of
+   *   the triangle and `lift` is how far up the capsule must move to clear a
+   *   walkable contact
+   */
+  function forEachContact(feet, onContact) {
+    _box.min.set(feet.x - radius - SKIN, feet.y - SKIN, feet.z - radius - SKIN);
+    _box.max.set(feet.x + radius + SKIN, feet.y + height + SKIN, feet.z + radius + SKIN);
+    _segment.start.set(feet.x, feet.y + radius, feet.z);
+    _segment.end.set(feet.x, feet.y + height - radius, feet.z);
+
+    world.forEachTriangleInBox(_box, (a, b, c, mesh) => {
+      _triangle.set(a, b, c);
+      closestSegmentTriangle(_segment, _triangle, _onSegment, _onTriangle);
+
+      _push.subVectors(_onSegment, _onTriangle);
+      const distance = _push.length();
+      if (distance >= radius + SKIN) return;
+
+      // Segment passes through the triangle: push out along its face
+      _triangle.getNormal(_faceNormal);
+      if (distance < 1e-6) _push.copy(_faceNormal);
+      else _push.divideScalar(distance);
+
+      _contact.normal = _push;
+      _contact.depth = radius - distance;
+      _contact.mesh = mesh;
+      _contact.lift = 0;
+
+      if (_push.y >= minGroundY) {
+        // Gentle slope: lifting by depth / cos(slope) clears the plane
+        _contact.walkable = true;
+        _contact.lift = _contact.depth / _push.y;
+      } else if (_faceNormal.y >= minGroundY && _onTriangle.y <= _segment.start.y) {
+        // Edge of a walkable face (a ledge or step) under the feet: lift the
+        // bottom sphere until it rests on the edge point
+        const dx = _onSegment.x - _onTriangle.x;
+        const dz = _onSegment.z - _onTriangle.z;
+        _contact.walkable = true;
+        _contact.lift = _onTriangle.y + Math.sqrt(Math.max(0, radius * radius - dx * dx - dz * dz)) - _segment.start.y;
+      } else {
+        _contact.walkable = false;
+      }
+
+      onContact(_contact);
+    });
+  }
+
+  /**
+   * Push a capsule (given by its feet position) out of the world.
+   * Walkable contacts are resolved first by lifting the capsule straight up,
+   * so standing on a ledge never shoves the player off it sideways.
+   *
+   * @param {THREE.Vector3} feet - Modified in place
+   * @param {Object[]} contacts - Receives { normal, mesh, walkable }
+   */
+  function depenetrate(feet, contacts) {
+    for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+      let lift = 0;
+      let liftMesh = null;
+      forEachContact(feet, (contact) => {
+        if (contact.walkable && contact.depth > 0 && contact.lift > lift) {
+          lift = contact.lift;
+          liftMesh = contact.mesh;
+        }
+      });
+
+      if (lift > 1e-4) {
+        feet.y += lift;
+        contacts.push({ normal: new THREE.Vector3(0, 1, 0), mesh: liftMesh, walkable: true });
+        continue;
+      }
+
+      let pushed = false;
+      forEachContact(feet, (contact) => {
+        if (contact.walkable) {
+          contacts.push({ normal: new THREE.Vector3(0, 1, 0), mesh: contact.mesh, walkable: true });
+          return;
+        }
+
+        // Only walls we actually overlap count, not ones we merely brush
+        if (contact.depth <= 0) return;
+
+        const normal = contact.normal.clone();
+        if (normal.y > 0) {
+          // Too steep: acts like a wall, so it cannot be climbed by walking into it
+          const horizontal = Math.hypot(normal.x, normal.z);
+          normal.set(normal.x / horizontal, 0, normal.z / horizontal);
+          feet.addScaledVector(normal, contact.depth / horizontal);
+        } else {
+          feet.addScaledVector(normal, contact.depth);
+        }
+
+        // Later triangles are tested against the capsule as already pushed
+        _segment.start.set(feet.x, feet.y + radius, feet.z);
+        _segment.end.set(feet.x, feet.y + height - radius, feet.z);
+
+        if (contact.depth > 1e-4) pushed = true;
+        contacts.push({ normal, mesh: contact.mesh, walkable: false });
+      });
+
+      if (!pushed) return;
+    }
+  }
+
+  /**
+   * Move a capsule, sliding along whatever it hits
+   * @param {THREE.Vector3} feet - Modified in place
+   * @param {THREE.Vector3} displacement - Desired movement
+   * @returns {Object[]} Contacts touched on the way
+   */
+  function slide(feet, displacement) {
+    const contacts = [];
+    const normals = [];
+    const remaining = displacement.clone();
+
+    let steps = Math.max(1, Math.ceil(remaining.length() / maxStepLength));
+    while (steps > 0 && remaining.lengthSq() > 1e-10) {
+      _step.copy(remaining).divideScalar(steps);
+      feet.add(_step);
+      remaining.sub(_step);
+      steps--;
+
+      const before = contacts.length;
+      depenetrate(feet, contacts);
+
+      // Slide the rest of the movement along new contact planes
+      for (let i = before; i < contacts.length; i++) normals.push(contacts[i].normal);
+      if (contacts.length > before) clipToPlanes(remaining, normals);
+    }
+
+    return contacts;
+  }
+
+  /**
+   * Follow the platform we stand on if it moved since last frame
+   * @param {THREE.Vector3} feet - Modified in place
+   * @returns {number} Yaw the platform turned by (radians)
+   */
+  function ridePlatform(feet) {
+    if (!platform || !platform.parent) return 0;
+    platform.updateWorldMatrix(true, false);
+    if (platform.matrixWorld.equals(platformMatrix)) return 0;
+
+    _delta.copy(platformMatrix).invert().premultiply(platform.matrixWorld);
+    feet.applyMatrix4(_delta);
+    _quat.setFromRotationMatrix(_delta);
+    return _euler.setFromQuaternion(_quat, 'YXZ').y;
+  }
+
+  /**
+   * Remember the walkable mesh we ended up on
+   * @param {Object[]} contacts
+   */
+  function updatePlatform(contacts) {
+    const ground = contacts.find(contact => contact.walkable);
+    platform = ground ? ground.mesh : null;
+    if (platform) platformMatrix.copy(platform.matrixWorld);
+  }
+
+  return {
+    /**
+     * Move the body for one frame.
+     *
+     * @param {Object} body - { position, velocity, onGround }
+     * @param {THREE.Vector3} move - Horizontal displacement wanted this frame
+     * @param {number} delta - Time delta in seconds
+     * @returns {number} Yaw change from a rotating platform (radians)
+     */
+    update(body, move, delta) {
+      const feet = body.position.clone();
+      feet.y -= height;
+      const wasOnGround = body.onGround;
+
+      const yaw = ridePlatform(feet);
+
+      // Horizontal movement, climbing ledges up to the step height
+      if (move.lengthSq() > 0) {
+        const start = feet.clone();
+        const contacts = slide(feet, move);
+        const blocked = contacts.some(contact => !contact.walkable && contact.normal.y > CEILING_THRESHOLD);
+
+        if (blocked && wasOnGround) {
+          const stepped = start.clone();
+          slide(stepped, new THREE.Vector3(0, stepHeight, 0));
+          const liftedBy = stepped.y - start.y;
+          slide(stepped, move);
+          const landing = slide(stepped, new THREE.Vector3(0, -liftedBy - SKIN, 0));
+
+          const flatDistance = Math.hypot(feet.x - start.x, feet.z - start.z);
+          const stepDistance = Math.hypot(stepped.x - start.x, stepped.z - start.z);
+
+          // Only keep the step if it landed on something and got us further
+          if (landing.some(contact => contact.walkable) && stepDistance > flatDistance + 1e-3) {
+            feet.copy(stepped);
+          }
+        }
+      }
+
+      // Vertical movement
+      const contacts = slide(feet, new THREE.Vector3(0, body.velocity.y * delta, 0));
+      let grounded = contacts.some(contact => contact.walkable) && body.velocity.y <= 0;
+
+      if (contacts.some(contact => contact.normal.y < CEILING_THRESHOLD) && body.velocity.y > 0) {
+        body.velocity.y = 0;
+      }
+
+      // Stay glued to the ground walking down steps and slopes
+      if (!grounded && wasOnGround && body.velocity.y <= 0) {
+        const probe = feet.clone();
+        const below = slide(probe, new THREE.Vector3(0, -stepHeight, 0));
+        if (below.some(contact => contact.walkable)) {
+          feet.copy(probe);
+          contacts.push(...below);
+          grounded = true;
+        }
+      }
+
+      if (grounded) body.velocity.y = 0;
+      body.onGround = grounded;
+      updatePlatform(grounded ? contacts : []);
+
+      body.position.set(feet.x, feet.y + height, feet.z);
+      return yaw;
+    },
+
+    /** Forget the current platform (e.g. after a teleport) */
+    reset() {
+      platform = null;
+    }
+  };
+}
@@ -0,0 +1,288 @@
+/**
+ * ============================================================================
+ * ITTY BITY CITY - Chat
+ * ============================================================================
+ *
+ * In-game text chat between nearby players:
+ * - Enter or T opens the text input, Enter sends, Escape cancels
+ * - Messages appear in a scrolling log and as speech bubbles (camera-facing
+ *   sprites) above the sender's character
+ * - `/wave`, `/sit` and `/dance` play emotes instead of sending text
+ *
+ * This module only handles the UI; sending is delegated to callbacks so the
+ * server connection stays in main.js.
+ */
+
+import * as THREE from 'three';
+import { EMOTES } from './character.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/** Longest message the input accepts (server enforces the same limit) */
+export const CHAT_MAX_LENGTH = 200;
+
+/** Messages kept in the log */
+const LOG_LIMIT = 50;
+
+/** How long a speech bubble stays up (seconds) */
+const BUBBLE_DURATION = 6;
+
+/** Height of the bubble above the character's feet */
+const BUBBLE_HEIGHT = 2.3;
+
+/** World-space size of one bubble canvas pixel */
+const BUBBLE_PIXEL_SIZE = 0.006;
+
+// ============================================================================
+// SPEECH BUBBLES
+// ============================================================================
+
+/**
+ * Word-wrap text to fit a maximum line width
+ * @param {CanvasRenderingContext2D} ctx - Context with the font already set
+ * @param {string} text
+ * @param {number} maxWidth - Pixels
+ * @returns {string[]} Lines (at most 3, the last one ellipsized)
+ */
+function wrapText(ctx, text, maxWidth) {
+  const words = text.split(/\s+/);
+  const lines = [];
+  let line = '';
+
+  for (const word of words) {
+    const candidate = line ? line + ' ' + word : word;
+    if (ctx.measureText(candidate).width > maxWidth && line) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = candidate;
+    }
+  }
+  if (line) lines.push(line);
+
+  if (lines.length > 3) {
+    lines.length = 3;
+    lines[2] = lines[2].slice(0, -1) + '…';
+  }
+  return lines;
+}
+
+/**
+ * Draw a speech bubble sprite
+ * @param {string} text
+ * @returns {THREE.Sprite}
+ */
+function createBubbleSprite(text) {
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext('2d');
+  const font = '28px "Segoe UI", Tahoma, Geneva, Verdana, sans-serif';
+  const padding = 16;
+  const lineHeight = 34;
+
+  ctx.font = font;
+  const lines = wrapText(ctx, text, 360);
+  const textWidth = Math.max(...lines.map(l => ctx.measureText(l).width));
+
+  canvas.width = Math.ceil(textWidth + padding * 2);
+  canvas.height = lines.length * lineHeight + padding * 2 + 12;  // +12 for the tail
+
+  // Resizing the canvas resets its state
+  ctx.font = font;
+  ctx.textBaseline = 'top';
+
+  const bodyHeight = canvas.height - 12;
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.92)';
+  ctx.beginPath();
+  ctx.roundRect(0, 0, canvas.width, bodyHeight, 14);
+  ctx.moveTo(canvas.width / 2 - 10, bodyHeight);
+  ctx.lineTo(canvas.width / 2, canvas.height);
+  ctx.lineTo(canvas.width / 2 + 10, bodyHeight);
+  ctx.fill();
+
+  ctx.fillStyle = '#1a1a2e';
+  lines.forEach((l, i) => ctx.fillText(l, padding, padding + i * lineHeight));
+
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.colorSpace = THREE.SRGBColorSpace;
+
+  const sprite = new THREE.Sprite(new THREE.SpriteMaterial({
+    map: texture,
+    transparent: true,
+    depthWrite: false,
+    fog: false
+  }));
+
+  // Anchor at the tail so the bubble grows upward
+  sprite.scale.set(canvas.width * BUBBLE_PIXEL_SIZE, canvas.height * BUBBLE_PIXEL_SIZE, 1);
+  sprite.center.set(0.5, 0);
+  sprite.renderOrder = 10;
+  return sprite;
+}
+
+// ============================================================================
+// CHAT UI
+// ============================================================================
+
+/**
+ * Create the chat UI.
+ *
+ * @param {Object} options
+ * @param {function(string)} options.onSend - Called with a text message to send
+ * @param {function(string|null)} options.onEmote - Called when the player picks an emote
+ * @param {function(boolean)} [options.onToggle] - Called when the input opens/closes
+ */
+export function createChat({ onSend, onEmote, onToggle }) {
+  const logEl = document.getElementById('chat-log');
+  const inputEl = document.getElementById('chat-input');
+  inputEl.maxLength = CHAT_MAX_LENGTH;
+
+  let open = false;
+  let recentTimer = null;
+
+  /** Active bubbles: { sprite, owner, age } */
+  const bubbles = [];
+
+  function setOpen(value) {
+    open = value;
+    inputEl.style.display = open ? 'block' : 'none';
+    logEl.classList.toggle('active', open);
+
+    if (open) {
+      inputEl.value = '';
+      inputEl.focus();
+    } else {
+      inputEl.blur();
+    }
+
+    if (onToggle) onToggle(open);
+  }
+
+  /**
+   * Handle a submitted line: either an emote command or a message
+   * @param {string} text
+   */
+  function submit(text) {
+    text = text.trim();
+    if (!text) return;
+
+    if (text.startsWith('/')) {
+      const command = text.slice(1).toLowerCase();
+      if (EMOTES.includes(command)) {
+        onEmote(command);
+      } else if (command === 'stop') {
+        onEmote(null);
+      } else {
+        addSystemLine(`Unknown command. Try /${EMOTES.join(', /')} or /stop`);
+      }
+      return;
+    }
+
+    onSend(text);
+  }
+
+  inputEl.addEventListener('keydown', (e) => {
+    // Keep typing from moving the player or triggering other shortcuts
+    e.stopPropagation();
+
+    if (e.code === 'Enter') {
+      submit(inputEl.value);
+      setOpen(false);
+    } else if (e.code === 'Escape') {
+      setOpen(false);
+    }
+  });
+
+  inputEl.addEventListener('keyup', (e) => e.stopPropagation());
+
+  /**
+   * Append a line to the log
+   * @param {HTMLElement} line
+   */
+  function appendLine(line) {
+    logEl.appendChild(line);
+    while (logEl.children.length > LOG_LIMIT) {
+      logEl.removeChild(logEl.firstChild);
+    }
+    logEl.scrollTop = logEl.scrollHeight;
+
+    // Flash the log so new messages are noticed even when closed
+    logEl.classList.add('recent');
+    clearTimeout(recentTimer);
+    recentTimer = setTimeout(() => logEl.classList.remove('recent'), 8000);
+  }
+
+  function addSystemLine(text) {
+    const line = document.createElement('div');
+    line.className = 'system';
+    line.textContent = text;
+    appendLine(line);
+  }
+
+  /**
+   * Remove a bubble and free its texture
+   * @param {number} index - Index in `bubbles`
+   */
+  function removeBubble(index) {
+    const [bubble] = bubbles.splice(index, 1);
+    bubble.owner.remove(bubble.sprite);
+    bubble.sprite.material.map.dispose();
+    bubble.sprite.material.dispose();
+  }
+
+  return {
+    isOpen: () => open,
+
+    /** Open the text input */
+    open: () => setOpen(true),
+
+    /**
+     * Show a chat message in the log and above the speaker
+     * @param {string} name - Display name
+     * @param {string} text - Message text
+     * @param {THREE.Object3D} [speaker] - Character to attach a bubble to
+     */
+    addMessage(name, text, speaker) {
+      const line = document.createElement('div');
+      const nameEl = document.createElement('b');
+      nameEl.textContent = name + ': ';
+      line.appendChild(nameEl);
+      line.appendChild(document.createTextNode(text));
+      appendLine(line);
+
+      if (!speaker) return;
+
+      // One bubble per speaker - a new message replaces the old one
+      const existing = bubbles.findIndex(b => b.owner === speaker);
+      if (existing !== -1) removeBubble(existing);
+
+      const sprite = createBubbleSprite(text);
+      sprite.position.y = BUBBLE_HEIGHT;
+      speaker.add(sprite);
+      bubbles.push({ sprite, owner: speaker, age: 0 });
+    },
+
+    addSystemLine,
+
+    /**
+     * Age and fade speech bubbles
+     * @param {number} delta - Time delta in seconds
+     */
+    update(delta) {
+      for (let i = bubbles.length - 1; i >= 0; i--) {
+        const bubble = bubbles[i];
+        bubble.age += delta;
+
+        // Speaker left the scene, or the bubble has timed out
+        if (!bubble.owner.parent || bubble.age > BUBBLE_DURATION) {
+          removeBubble(i);
+          continue;
+        }
+
+        // Fade out over the last second
+        bubble.sprite.material.opacity = Math.min(1, BUBBLE_DURATION - bubble.age);
+      }
+    }
+  };
+}
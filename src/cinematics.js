@@ -0,0 +1,296 @@
+/**
+ * ============================================================================
+ * ITTY BITY CITY - Cinematic Camera
+ * ============================================================================
+ *
+ * Keyframed camera flythroughs on top of the third-person camera:
+ * - A path is a list of keyframes, each with a time (ms from the start),
+ *   a camera position, a point to look at and optionally a FOV and the
+ *   easing of the segment towards the next keyframe
+ * - Positions and targets follow Catmull-Rom splines through the keyframes,
+ *   so the camera flows through them instead of stopping at each one
+ * - The follow camera keeps running underneath; the cinematic pose is
+ *   blended in over it at the start and back out at the end, which returns
+ *   control smoothly wherever the player is by then
+ * - `relative: true` paths are offsets from an origin (the player), so the
+ *   same path works anywhere in the city
+ *
+ * Path format:
+ *   {
+ *     keyframes: [
+ *       { time: 0, position: { x, y, z }, target: { x, y, z }, fov: 50, easing: 'easeInOut' },
+ *       ...
+ *     ],
+ *     relative?: boolean,
+ *     loop?: boolean
+ *   }
+ */
+
+import * as THREE from 'three';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/** Blend from the follow camera into the path (ms) */
+const BLEND_IN = 600;
+
+/** Blend from the path back to the follow camera (ms) */
+const BLEND_OUT = 1000;
+
+/** Spline points drawn per segment in the preview */
+const PREVIEW_RESOLUTION = 24;
+
+/** Easing functions for keyframe segments (u in 0..1) */
+export const EASINGS = {
+  linear: u => u,
+  easeIn: u => u * u,
+  easeOut: u => u * (2 - u),
+  easeInOut: u => u * u * (3 - 2 * u)
+};
+
+// Scratch objects
+const _position = new THREE.Vector3();
+const _target = new THREE.Vector3();
+const _quaternion = new THREE.Quaternion();
+const _matrix = new THREE.Matrix4();
+const _origin = new THREE.Vector3();
+
+/**
+ * Check a path and put its keyframes in time order
+ * @param {Object} path
+ * @returns {Object[]} Sorted keyframes
+ * @throws {Error} If the path can't be played
+ */
+export function normalizePath(path) {
+  const keyframes = [...(path?.keyframes || [])].sort((a, b) => a.time - b.time);
+  if (keyframes.length < 2) throw new Error('Camera paths need at least two keyframes');
+
+  for (const keyframe of keyframes) {
+    const valid = Number.isFinite(keyframe.time) &&
+      ['position', 'target'].every(key => ['x', 'y', 'z'].every(axis => Number.isFinite(keyframe[key]?.[axis])));
+    if (!valid) throw new Error('Keyframes need a time, a position and a target');
+    if (keyframe.easing !== undefined && !EASINGS[keyframe.easing]) {
+      throw new Error(`Unknown easing: ${keyframe.easing}`);
+    }
+  }
+  if (keyframes.at(-1).time <= keyframes[0].time) throw new Error('Camera paths need a duration');
+  // A zero-length segment would divide by zero in sample()
+  for (let i = 1; i < keyframes.length; i++) {
+    if (keyframes[i].time === keyframes[i - 1].time) throw new Error(`Two keyframes at ${keyframes[i].time}ms`);
+  }
+  return keyframes;
+}
+
+/**
+ * Spline through points, with mirrored end points added so the first and
+ * last segments curve like the others (three.js extrapolates unevenly)
+ * @param {THREE.Vector3[]} points
+ * @returns {THREE.CatmullRomCurve3} Segment i runs between parameters (i + 1) / (n + 1) and (i + 2) / (n + 1)
+ */
+function buildCurve(points) {
+  const first = points[0].clone().multiplyScalar(2).sub(points[1]);
+  const last = points.at(-1).clone().multiplyScalar(2).sub(points.at(-2));
+  return new THREE.CatmullRomCurve3([first, ...points, last], false, 'centripetal');
+}
+
+/**
+ * Splines through a path's keyframes
+ * @param {Object[]} keyframes - From normalizePath
+ * @param {THREE.Vector3} origin - Added to every point
+ */
+function buildCurves(keyframes, origin) {
+  const toPoint = v => new THREE.Vector3(v.x, v.y, v.z).add(origin);
+  return {
+    position: buildCurve(keyframes.map(k => toPoint(k.position))),
+    target: buildCurve(keyframes.map(k => toPoint(k.target)))
+  };
+}
+
+/**
+ * Create the cinematic camera.
+ *
+ * @param {Object} options
+ * @param {THREE.PerspectiveCamera} options.camera - The game camera
+ * @param {THREE.Scene} options.scene - Where path previews are drawn
+ */
+export function createCinematicCamera({ camera, scene }) {
+  /** The playing path, or null */
+  let active = null;
+
+  /** Preview drawn in the scene, or null */
+  let preview = null;
+
+  /**
+   * Camera pose at a point in the path
+   * @param {Object} state - Playing path
+   * @param {number} time - ms from the start
+   * @returns {number} FOV (position and target are written to the scratch vectors)
+   */
+  function sample(state, time) {
+    const { keyframes, curves } = state;
+    const last = keyframes.length - 1;
+
+    let index = 0;
+    while (index < last - 1 && time >= keyframes[index + 1].time) index++;
+
+    const from = keyframes[index];
+    const to = keyframes[index + 1];
+    const u = THREE.MathUtils.clamp((time - from.time) / (to.time - from.time), 0, 1);
+    const eased = EASINGS[from.easing || 'linear'](u);
+
+    // The curves have an extra point at each end
+    const t = (index + 1 + eased) / (last + 2);
+    curves.position.getPoint(t, _position);
+    curves.target.getPoint(t, _target);
+
+    const fromFov = state.fovs[index];
+    return fromFov + (state.fovs[index + 1] - fromFov) * eased;
+  }
+
+  /** Remove the path preview */
+  function clearPreview() {
+    if (!preview) return;
+
+    const materials = new Set();
+    preview.traverse(object => {
+      if (object.geometry) object.geometry.dispose();
+      if (object.material) materials.add(object.material);
+    });
+    materials.forEach(material => material.dispose());
+    scene.remove(preview);
+    preview = null;
+  }
+
+  /** Put the camera's FOV back and forget the path */
+  function finish() {
+    const { onComplete } = active;
+    camera.fov = active.baseFov;
+    camera.updateProjectionMatrix();
+    active = null;
+    if (onComplete) onComplete();
+  }
+
+  return {
+    /**
+     * Start a path (replacing any playing one)
+     * @param {Object} path - See the format at the top of this file
+     * @param {Object} [options]
+     * @param {THREE.Vector3} [options.origin] - Origin of relative paths
+     * @param {function(): void} [options.onComplete] - Called once control is back with the follow camera
+     * @throws {Error} If the path is invalid
+     */
+    play(path, { origin, onComplete } = {}) {
+      const keyframes = normalizePath(path);
+      if (active) finish();
+
+      _origin.set(0, 0, 0);
+      if (path.relative && origin) _origin.copy(origin);
+
+      // Keyframes without a FOV keep the previous one (or the camera's)
+      const baseFov = camera.fov;
+      let fov = baseFov;
+      const fovs = keyframes.map(keyframe => (fov = keyframe.fov ?? fov));
+
+      active = {
+        keyframes,
+        curves: buildCurves(keyframes, _origin),
+        fovs,
+        start: keyframes[0].time,
+        duration: keyframes.at(-1).time - keyframes[0].time,
+        loop: !!path.loop,
+        time: 0,
+        stoppedAt: null,
+        baseFov,
+        onComplete
+      };
+    },
+
+    /** Blend back to the follow camera (looping paths only end this way) */
+    stop() {
+      if (active && active.stoppedAt === null) active.stoppedAt = active.time;
+    },
+
+    /** Whether a path is playing (or blending out) */
+    isPlaying() {
+      return active !== null;
+    },
+
+    /**
+     * Override the camera for this frame. Call after the follow camera has
+     * positioned it.
+     * @param {number} delta - Seconds
+     */
+    update(delta) {
+      if (!active) return;
+
+      active.time += delta * 1000;
+      if (!active.loop && active.stoppedAt === null && active.time >= active.duration) {
+        active.stoppedAt = active.duration;
+      }
+
+      const pathTime = active.loop
+        ? active.time % active.duration
+        : Math.min(active.time, active.duration);
+      const fov = sample(active, active.start + pathTime);
+
+      const blendIn = Math.min(active.time / BLEND_IN, 1);
+      const blendOut = active.stoppedAt === null ? 1 : 1 - Math.min((active.time - active.stoppedAt) / BLEND_OUT, 1);
+      const weight = EASINGS.easeInOut(Math.min(blendIn, blendOut));
+
+      _matrix.lookAt(_position, _target, camera.up);
+      _quaternion.setFromRotationMatrix(_matrix);
+      camera.position.lerp(_position, weight);
+      camera.quaternion.slerp(_quaternion, weight);
+      camera.fov = active.baseFov + (fov - active.baseFov) * weight;
+      camera.updateProjectionMatrix();
+
+      if (blendOut <= 0) finish();
+    },
+
+    /**
+     * Draw a path in the scene: the camera spline, keyframe markers and
+     * where each keyframe looks
+     * @param {Object} path
+     * @param {Object} [options]
+     * @param {THREE.Vector3} [options.origin] - Origin of relative paths
+     * @throws {Error} If the path is invalid
+     */
+    preview(path, { origin } = {}) {
+      const keyframes = normalizePath(path);
+      clearPreview();
+
+      const curves = buildCurves(keyframes, path.relative && origin ? origin : new THREE.Vector3());
+      preview = new THREE.Group();
+      preview.name = 'cinematicPreview';
+
+      const lineMaterial = new THREE.LineBasicMaterial({ color: 0xffcc33, depthTest: false });
+      const segments = keyframes.length - 1;
+      const splinePoints = [];
+      for (let i = 0; i <= segments * PREVIEW_RESOLUTION; i++) {
+        splinePoints.push(curves.position.getPoint((1 + i / PREVIEW_RESOLUTION) / (segments + 2)));
+      }
+      const spline = new THREE.BufferGeometry().setFromPoints(splinePoints);
+      preview.add(new THREE.Line(spline, lineMaterial));
+
+      const aimMaterial = new THREE.LineBasicMaterial({ color: 0x33ccff, depthTest: false });
+      const markerGeometry = new THREE.SphereGeometry(0.25, 8, 6);
+      const markerMaterial = new THREE.MeshBasicMaterial({ color: 0xffcc33, depthTest: false });
+      keyframes.forEach((keyframe, index) => {
+        const point = curves.position.points[index + 1];
+        const marker = new THREE.Mesh(markerGeometry, markerMaterial);
+        marker.position.copy(point);
+        preview.add(marker);
+
+        const aim = new THREE.BufferGeometry().setFromPoints([point, curves.target.points[index + 1]]);
+        preview.add(new THREE.Line(aim, aimMaterial));
+      });
+
+      // Draw over the city so the path stays visible through buildings
+      preview.traverse(object => { object.renderOrder = 999; });
+      scene.add(preview);
+    },
+
+    clearPreview
+  };
+}
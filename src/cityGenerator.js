@@ -0,0 +1,863 @@
+/**
+ * ============================================================================
+ * ITTY BITY CITY - Procedural City Generator
+ * ============================================================================
+ *
+ * The demo city walked when the real map isn't available (or with
+ * `?map=procedural`). Everything comes from a seeded random generator, so
+ * a seed always produces the same city and can be shared (`?seed=...`).
+ *
+ * Generation happens in two passes:
+ * 1. generateCity(seed) lays the city out as plain data (JSON-friendly and
+ *    testable without a browser):
+ *    - A road grid with irregular block sizes; every few roads is a wider
+ *      avenue. Blocks are raised slabs whose edges are the sidewalks
+ *    - Districts (downtown, commercial, residential, industrial) around
+ *      seeded centers, each with its own mix of building archetypes:
+ *      towers with setbacks, offices, apartments, gabled houses, warehouses
+ *    - Parks with paths, trees, benches and a ball or two
+ *    - Stairs that wind around low buildings from the sidewalk to the roof,
+ *      and a lift beside one more
+ *    - Lamps at intersections, crates around warehouses, a spawn point
+ * 2. buildCity(layout) turns the layout into meshes. Registering them
+ *    (collision, physics, night lights, wet surfaces) is up to the caller.
+ *
+ * Layout boxes are placed by their base: `{ x, y, z }` is the center of the
+ * bottom face, like spawned objects.
+ */
+
+import * as THREE from 'three';
+import { mergeGeometries } from 'three/addons/utils/BufferGeometryUtils.js';
+import { createBall, createCrate } from './spawnables.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/** Seed used when none is given, so the demo city is the same for everyone */
+export const DEFAULT_CITY_SEED = 'ittybity';
+
+/** Rough edge length of the city (the road grid stops short of it) */
+const CITY_SIZE = 200;
+
+/** Road widths, and how often a road is an avenue */
+const STREET_WIDTH = 6;
+const AVENUE_WIDTH = 10;
+const AVENUE_EVERY = 3;
+
+/** Block size range, sidewalks included */
+const BLOCK_MIN = 20;
+const BLOCK_MAX = 32;
+
+/** Sidewalk width around each block, and the height of the curb */
+const SIDEWALK_WIDTH = 2;
+export const PAD_HEIGHT = 0.15;
+
+/** Space kept free around buildings inside their lot (fits the stairs) */
+const LOT_MARGIN = 1.6;
+
+/** Roof slab on flat-roofed buildings */
+const ROOF_THICKNESS = 0.5;
+const ROOF_OVERHANG = 0.25;
+
+/** Stairs: width, run and tallest rise of a step, and gap to the wall */
+const STAIR_WIDTH = 1.2;
+const STAIR_RUN = 0.5;
+const STAIR_MAX_RISE = 0.3;
+const STAIR_GAP = 0.3;
+const STEP_THICKNESS = 0.3;
+
+/** Most buildings given stairs, and the tallest one that gets them */
+const STAIR_COUNT = 12;
+const STAIR_MAX_HEIGHT = 16;
+
+/** Lift platform size (beside a building, like the stairs) */
+const LIFT_SIZE = 1.2;
+
+/** Most loose crates in the city */
+const MAX_CRATES = 30;
+
+/**
+ * Districts: how likely a block is to be a park, how its blocks are split
+ * into lots (`[columns, rows]`) and the weighted building archetypes
+ */
+const DISTRICTS = {
+  downtown:    { park: 0.08, lots: [[1, 1], [2, 1]], archetypes: { tower: 3, office: 2 } },
+  commercial:  { park: 0.1,  lots: [[2, 1], [2, 2]], archetypes: { office: 2, apartment: 2 } },
+  residential: { park: 0.25, lots: [[2, 2]],         archetypes: { house: 3, apartment: 1 } },
+  industrial:  { park: 0.05, lots: [[1, 1], [2, 1]], archetypes: { warehouse: 4, office: 1 } }
+};
+
+/** Building archetypes: height range, footprint fill and colors */
+const ARCHETYPES = {
+  tower:     { height: [28, 48], fill: [0.7, 0.95], colors: [0x87ceeb, 0x9fb6c8, 0x6d8a9c, 0xb0c4de] },
+  office:    { height: [12, 26], fill: [0.75, 1],   colors: [0x8b7355, 0xa0522d, 0xcd853f, 0xdeb887] },
+  apartment: { height: [7, 15],  fill: [0.7, 1],    colors: [0xf5deb3, 0xe9c9a0, 0xd2a679, 0xc97b63] },
+  house:     { height: [3.5, 6], fill: [0.55, 0.8], colors: [0xf2e6d0, 0xe8d3b0, 0xcfe3d4, 0xf0c8b4] },
+  warehouse: { height: [5, 9],   fill: [0.8, 1],    colors: [0x9a9a94, 0x8a8f99, 0xb3a58c] }
+};
+
+/** Colors of the city surfaces */
+const COLORS = {
+  asphalt: 0x3a3a3e,
+  sidewalk: 0x9e9e9e,
+  grass: 0x4f8a3c,
+  path: 0xc8b48a,
+  roof: 0x555555,
+  gable: 0x8e3b2f,
+  stairs: 0x808080,
+  lift: 0xf1c40f,
+  line: 0xf4d03f,
+  trunk: 0x6b4226,
+  leaves: 0x2f7d32,
+  bench: 0x7a5230,
+  pole: 0x333333,
+  bulb: 0xfff2cc
+};
+
+// ============================================================================
+// RANDOM NUMBERS
+// ============================================================================
+
+/**
+ * Seeded random number generator (mulberry32). Strings are hashed into
+ * the 32-bit state, so any text works as a seed.
+ *
+ * @param {string|number} seed
+ */
+export function createRandom(seed) {
+  let state;
+  if (typeof seed === 'number') {
+    state = seed >>> 0;
+  } else {
+    // FNV-1a
+    state = 0x811c9dc5;
+    for (const char of String(seed)) {
+      state ^= char.codePointAt(0);
+      state = Math.imul(state, 0x01000193) >>> 0;
+    }
+  }
+
+  /** Next number in [0, 1) */
+  function next() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  return {
+    next,
+
+    /** Number in [min, max) */
+    range: (min, max) => min + next() * (max - min),
+
+    /** Integer in [min, max] */
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+
+    /** True with probability p */
+    chance: (p) => next() < p,
+
+    /** Random element of an array */
+    pick: (items) => items[Math.floor(next() * items.length)],
+
+    /**
+     * Random key of a weight table
+     * @param {Object<string, number>} weights
+     */
+    weighted(weights) {
+      const entries = Object.entries(weights);
+      let roll = next() * entries.reduce((sum, [, weight]) => sum + weight, 0);
+      for (const [key, weight] of entries) {
+        roll -= weight;
+        if (roll < 0) return key;
+      }
+      return entries.at(-1)[0];
+    },
+
+    /** Shuffled copy of an array */
+    shuffle(items) {
+      const copy = [...items];
+      for (let i = copy.length - 1; i > 0; i--) {
+        const j = Math.floor(next() * (i + 1));
+        [copy[i], copy[j]] = [copy[j], copy[i]];
+      }
+      return copy;
+    }
+  };
+}
+
+// ============================================================================
+// LAYOUT
+// ============================================================================
+
+/**
+ * Road center lines along one axis: irregular blocks between them, an
+ * avenue every few roads, centered on the origin
+ * @param {Object} rng
+ * @returns {{position: number, width: number, kind: string}[]}
+ */
+function layoutRoadLines(rng) {
+  const half = CITY_SIZE / 2;
+  const phase = rng.int(0, AVENUE_EVERY - 1);
+  const lines = [];
+  let cursor = -half;
+
+  for (let index = 0; ; index++) {
+    const kind = index % AVENUE_EVERY === phase ? 'avenue' : 'street';
+    const width = kind === 'avenue' ? AVENUE_WIDTH : STREET_WIDTH;
+    lines.push({ position: cursor + width / 2, width, kind });
+    cursor += width;
+
+    const block = rng.range(BLOCK_MIN, BLOCK_MAX);
+    if (cursor + block + AVENUE_WIDTH > half) break;
+    cursor += block;
+  }
+
+  const shift = -(lines[0].position - lines[0].width / 2 + cursor) / 2;
+  lines.forEach(line => { line.position += shift; });
+  return lines;
+}
+
+/**
+ * Split a rectangle into a grid of lots
+ * @param {{x: number, z: number, width: number, depth: number}} rect
+ * @param {number} columns - Along x
+ * @param {number} rows - Along z
+ */
+function splitRect(rect, columns, rows) {
+  const lots = [];
+  const width = rect.width / columns;
+  const depth = rect.depth / rows;
+  for (let column = 0; column < columns; column++) {
+    for (let row = 0; row < rows; row++) {
+      lots.push({
+        x: rect.x - rect.width / 2 + width * (column + 0.5),
+        z: rect.z - rect.depth / 2 + depth * (row + 0.5),
+        width,
+        depth
+      });
+    }
+  }
+  return lots;
+}
+
+/**
+ * Steps needed to climb to a height
+ * @param {number} height - From the sidewalk
+ */
+function stairStepCount(height) {
+  return Math.ceil(height / STAIR_MAX_RISE);
+}
+
+/**
+ * How many steps fit on one lap around a building (stairs never pass over
+ * themselves)
+ * @param {Object} building
+ */
+function stairCapacity(building) {
+  const offset = (STAIR_GAP + STAIR_WIDTH / 2) * 2;
+  return [building.width, building.depth, building.width, building.depth]
+    .reduce((sum, side) => sum + Math.floor((side + offset - STAIR_WIDTH) / STAIR_RUN), 0);
+}
+
+/**
+ * Stairs winding around a building, counter-clockwise from a random
+ * corner, from the sidewalk up to the roof. Corners get square landings;
+ * the last step is level with the roof, right next to it.
+ *
+ * @param {Object} building
+ * @param {Object} rng
+ * @returns {Object[]} Step and landing boxes
+ */
+function layoutStairs(building, rng) {
+  const top = building.height + ROOF_THICKNESS;
+  const count = stairStepCount(top - PAD_HEIGHT);
+  const rise = (top - PAD_HEIGHT) / count;
+
+  // Center line of the stairs, all the way round
+  const hx = building.width / 2 + STAIR_GAP + STAIR_WIDTH / 2;
+  const hz = building.depth / 2 + STAIR_GAP + STAIR_WIDTH / 2;
+  const corners = [[-hx, -hz], [hx, -hz], [hx, hz], [-hx, hz]];
+
+  const boxes = [];
+  let placed = 0;
+  let side = rng.int(0, 3);
+
+  while (placed < count) {
+    const [x0, z0] = corners[side];
+    const [x1, z1] = corners[(side + 1) % 4];
+    const length = Math.hypot(x1 - x0, z1 - z0);
+    const dx = (x1 - x0) / length;
+    const dz = (z1 - z0) / length;
+    const along = dx !== 0;
+
+    // Treads stretch a little so each side ends flush with the next landing
+    const slots = Math.floor((length - STAIR_WIDTH) / STAIR_RUN);
+    const run = (length - STAIR_WIDTH) / slots;
+    const steps = Math.min(count - placed, slots);
+    for (let i = 0; i < steps; i++) {
+      const distance = STAIR_WIDTH / 2 + run * (i + 0.5);
+      const stepTop = PAD_HEIGHT + rise * (placed + 1);
+      boxes.push({
+        x: building.x + x0 + dx * distance,
+        y: stepTop - STEP_THICKNESS,
+        z: building.z + z0 + dz * distance,
+        width: along ? run : STAIR_WIDTH,
+        height: STEP_THICKNESS,
+        depth: along ? STAIR_WIDTH : run
+      });
+      placed++;
+    }
+
+    // Landing at the next corner before turning
+    if (placed < count) {
+      const landingTop = PAD_HEIGHT + rise * placed;
+      boxes.push({
+        x: building.x + x1,
+        y: landingTop - STEP_THICKNESS,
+        z: building.z + z1,
+        width: STAIR_WIDTH,
+        height: STEP_THICKNESS,
+        depth: STAIR_WIDTH
+      });
+    }
+    side = (side + 1) % 4;
+  }
+
+  return boxes;
+}
+
+/**
+ * A park: crossing paths, trees on a jittered grid around them, benches
+ * beside the paths and a ball or two on the grass
+ * @param {Object} block
+ * @param {Object} rng
+ */
+function layoutPark(block, rng) {
+  const inner = {
+    x: block.x,
+    z: block.z,
+    width: block.width - SIDEWALK_WIDTH * 2,
+    depth: block.depth - SIDEWALK_WIDTH * 2
+  };
+  const pathWidth = 2;
+  const park = { ...inner, paths: [], trees: [], benches: [], balls: [] };
+
+  park.paths.push({ x: inner.x, z: inner.z, width: inner.width, depth: pathWidth });
+  park.paths.push({ x: inner.x, z: inner.z, width: pathWidth, depth: inner.depth });
+
+  const spacing = 4.5;
+  for (let x = inner.x - inner.width / 2 + spacing / 2; x < inner.x + inner.width / 2 - 1; x += spacing) {
+    for (let z = inner.z - inner.depth / 2 + spacing / 2; z < inner.z + inner.depth / 2 - 1; z += spacing) {
+      const tx = x + rng.range(-1, 1);
+      const tz = z + rng.range(-1, 1);
+      // Keep the paths clear
+      if (Math.abs(tx - inner.x) < pathWidth + 1 || Math.abs(tz - inner.z) < pathWidth + 1) continue;
+      if (!rng.chance(0.6)) continue;
+      park.trees.push({ x: tx, z: tz, height: rng.range(2, 3.5), radius: rng.range(1.1, 1.8) });
+    }
+  }
+
+  // Benches face the path crossing from two of its arms
+  for (const [dx, dz] of rng.shuffle([[1, 0], [-1, 0], [0, 1], [0, -1]]).slice(0, 2)) {
+    const distance = Math.min(inner.width, inner.depth) / 4;
+    park.benches.push({
+      x: inner.x + dx * distance + dz * (pathWidth / 2 + 0.6),
+      z: inner.z + dz * distance + dx * (pathWidth / 2 + 0.6),
+      rotation: dx !== 0 ? 0 : Math.PI / 2
+    });
+  }
+
+  for (let i = rng.int(1, 2); i > 0; i--) {
+    park.balls.push({
+      x: inner.x + rng.range(-0.4, 0.4) * inner.width,
+      z: inner.z + (rng.chance(0.5) ? 1 : -1) * rng.range(0.5, 1.5),
+      radius: rng.range(0.25, 0.45)
+    });
+  }
+
+  return park;
+}
+
+/**
+ * Lay out a city.
+ *
+ * @param {string|number} [seed=DEFAULT_CITY_SEED]
+ * @returns {Object} Plain data describing every road, block, building, stair,
+ *   park and prop (see the top of this file)
+ */
+export function generateCity(seed = DEFAULT_CITY_SEED) {
+  const rng = createRandom(seed);
+
+  // Roads: lines along x (at a z) and along z (at an x)
+  const xLines = layoutRoadLines(rng);
+  const zLines = layoutRoadLines(rng);
+  const minX = xLines[0].position - xLines[0].width / 2;
+  const maxX = xLines.at(-1).position + xLines.at(-1).width / 2;
+  const minZ = zLines[0].position - zLines[0].width / 2;
+  const maxZ = zLines.at(-1).position + zLines.at(-1).width / 2;
+
+  const roads = [
+    ...xLines.map(line => ({ x: line.position, z: (minZ + maxZ) / 2, width: line.width, depth: maxZ - minZ, kind: line.kind })),
+    ...zLines.map(line => ({ x: (minX + maxX) / 2, z: line.position, width: maxX - minX, depth: line.width, kind: line.kind }))
+  ];
+
+  // Districts around seeded centers; downtown is always near the middle
+  const districts = [{ type: 'downtown', x: rng.range(-0.1, 0.1) * CITY_SIZE, z: rng.range(-0.1, 0.1) * CITY_SIZE }];
+  const others = rng.shuffle(['commercial', 'residential', 'residential', 'industrial']);
+  others.forEach((type, index) => {
+    const angle = (index / others.length + rng.range(-0.1, 0.1)) * Math.PI * 2;
+    const distance = rng.range(0.28, 0.42) * CITY_SIZE;
+    districts.push({ type, x: Math.cos(angle) * distance, z: Math.sin(angle) * distance });
+  });
+
+  const layout = {
+    seed,
+    bounds: { minX, maxX, minZ, maxZ, maxY: 0 },
+    roads,
+    districts,
+    blocks: [],
+    parks: [],
+    buildings: [],
+    stairs: [],
+    lift: null,
+    lamps: [],
+    crates: [],
+    balls: [],
+    spawn: null
+  };
+
+  // Blocks between neighbouring roads
+  for (let i = 0; i < xLines.length - 1; i++) {
+    for (let j = 0; j < zLines.length - 1; j++) {
+      const x0 = xLines[i].position + xLines[i].width / 2;
+      const x1 = xLines[i + 1].position - xLines[i + 1].width / 2;
+      const z0 = zLines[j].position + zLines[j].width / 2;
+      const z1 = zLines[j + 1].position - zLines[j + 1].width / 2;
+      const block = { x: (x0 + x1) / 2, z: (z0 + z1) / 2, width: x1 - x0, depth: z1 - z0 };
+
+      // Nearest district center, with some wobble so borders aren't straight
+      let best = Infinity;
+      for (const district of districts) {
+        const distance = Math.hypot(block.x - district.x, block.z - district.z) * rng.range(0.85, 1.15);
+        if (distance < best) {
+          best = distance;
+          block.district = district.type;
+        }
+      }
+      block.park = rng.chance(DISTRICTS[block.district].park);
+      layout.blocks.push(block);
+    }
+  }
+
+  // Always at least one park
+  if (!layout.blocks.some(block => block.park)) {
+    const candidates = layout.blocks.filter(block => block.district !== 'downtown');
+    rng.pick(candidates.length > 0 ? candidates : layout.blocks).park = true;
+  }
+
+  // Lots and buildings
+  for (const block of layout.blocks) {
+    if (block.park) {
+      layout.parks.push(layoutPark(block, rng));
+      continue;
+    }
+
+    const district = DISTRICTS[block.district];
+    const inner = { x: block.x, z: block.z, width: block.width - SIDEWALK_WIDTH * 2, depth: block.depth - SIDEWALK_WIDTH * 2 };
+    let [columns, rows] = rng.pick(district.lots);
+    // Split along the longer side
+    if (columns !== rows && inner.depth > inner.width) [columns, rows] = [rows, columns];
+
+    for (const lot of splitRect(inner, columns, rows)) {
+      const archetype = rng.weighted(district.archetypes);
+      const spec = ARCHETYPES[archetype];
+      const room = { width: lot.width - LOT_MARGIN * 2, depth: lot.depth - LOT_MARGIN * 2 };
+      if (room.width < 3 || room.depth < 3) continue;
+
+      const width = Math.max(3, room.width * rng.range(...spec.fill));
+      const depth = Math.max(3, room.depth * rng.range(...spec.fill));
+      const building = {
+        x: lot.x + rng.range(-0.5, 0.5) * (room.width - width),
+        z: lot.z + rng.range(-0.5, 0.5) * (room.depth - depth),
+        width,
+        depth,
+        height: rng.range(...spec.height),
+        archetype,
+        district: block.district,
+        color: rng.pick(spec.colors),
+        roof: archetype === 'house' ? 'gable' : 'flat',
+        tiers: []
+      };
+
+      if (archetype === 'house') {
+        building.roofHeight = rng.range(1.2, 2.2);
+      }
+
+      // Towers step back as they rise
+      if (archetype === 'tower') {
+        let tierWidth = width;
+        let tierDepth = depth;
+        let base = building.height;
+        for (let tier = rng.int(1, 2); tier > 0; tier--) {
+          tierWidth *= rng.range(0.6, 0.8);
+          tierDepth *= rng.range(0.6, 0.8);
+          const height = rng.range(5, 12);
+          building.tiers.push({ y: base, width: tierWidth, depth: tierDepth, height });
+          base += height;
+        }
+      }
+
+      // Warehouses keep crates by their walls
+      if (archetype === 'warehouse') {
+        const side = rng.pick([-1, 1]);
+        for (let i = rng.int(2, 4); i > 0 && layout.crates.length < MAX_CRATES; i--) {
+          layout.crates.push({
+            x: building.x + rng.range(-0.4, 0.4) * width,
+            z: building.z + side * (depth / 2 + 0.8),
+            y: PAD_HEIGHT + rng.range(0, 1),
+            size: rng.range(0.5, 1.1),
+            rotation: rng.range(0, Math.PI)
+          });
+        }
+      }
+
+      layout.buildings.push(building);
+    }
+  }
+
+  // Stairs up the lower flat-roofed buildings that have room for a lap
+  const climbable = rng.shuffle(layout.buildings.filter(building =>
+    building.roof === 'flat' &&
+    building.tiers.length === 0 &&
+    building.height <= STAIR_MAX_HEIGHT &&
+    stairStepCount(building.height + ROOF_THICKNESS - PAD_HEIGHT) <= stairCapacity(building)
+  ));
+  const withStairs = climbable.slice(0, STAIR_COUNT);
+  for (const building of withStairs) {
+    layout.stairs.push({ building: layout.buildings.indexOf(building), steps: layoutStairs(building, rng) });
+  }
+
+  // A lift beside the flat-roofed building closest to the middle that has no stairs
+  const liftBuilding = layout.buildings
+    .filter(building => building.roof === 'flat' && building.tiers.length === 0 && !withStairs.includes(building))
+    .sort((a, b) => Math.hypot(a.x, a.z) - Math.hypot(b.x, b.z))[0];
+  if (liftBuilding) {
+    const side = rng.pick([-1, 1]);
+    layout.lift = {
+      building: layout.buildings.indexOf(liftBuilding),
+      x: liftBuilding.x + side * (liftBuilding.width / 2 + ROOF_OVERHANG + 0.05 + LIFT_SIZE / 2),
+      z: liftBuilding.z,
+      size: LIFT_SIZE,
+      bottom: PAD_HEIGHT,
+      top: liftBuilding.height + ROOF_THICKNESS
+    };
+  }
+
+  // Lamps on the sidewalk corner past each intersection
+  for (const xLine of xLines.slice(0, -1)) {
+    for (const zLine of zLines.slice(0, -1)) {
+      layout.lamps.push({
+        x: xLine.position + xLine.width / 2 + 0.6,
+        z: zLine.position + zLine.width / 2 + 0.6
+      });
+    }
+  }
+
+  layout.balls = layout.parks.flatMap(park => park.balls.map(ball => ({ ...ball, y: PAD_HEIGHT + 1 })));
+
+  // Start at the intersection nearest the middle
+  const spawnX = xLines.reduce((a, b) => (Math.abs(b.position) < Math.abs(a.position) ? b : a)).position;
+  const spawnZ = zLines.reduce((a, b) => (Math.abs(b.position) < Math.abs(a.position) ? b : a)).position;
+  layout.spawn = { x: spawnX, z: spawnZ, rotation: Math.PI / 4 };
+
+  layout.bounds.maxY = Math.max(...layout.buildings.map(building =>
+    building.height + building.tiers.reduce((sum, tier) => sum + tier.height, 0) + (building.roofHeight || ROOF_THICKNESS)));
+
+  return layout;
+}
+
+// ============================================================================
+// MESHES
+// ============================================================================
+
+/**
+ * Paint a tileable facade texture where some windows are lit.
+ * Used as the emissive map of the buildings, so only the lit windows glow
+ * when night lights turn on.
+ * @param {Object} rng
+ * @returns {THREE.CanvasTexture}
+ */
+function createWindowTexture(rng) {
+  const canvas = document.createElement('canvas');
+  canvas.width = 64;
+  canvas.height = 64;
+  const ctx = canvas.getContext('2d');
+
+  ctx.fillStyle = '#000';
+  ctx.fillRect(0, 0, 64, 64);
+
+  // 4x4 grid of windows, roughly 40% lit
+  for (let row = 0; row < 4; row++) {
+    for (let col = 0; col < 4; col++) {
+      if (rng.chance(0.4)) {
+        ctx.fillStyle = '#fff';
+        ctx.fillRect(col * 16 + 4, row * 16 + 4, 8, 10);
+      }
+    }
+  }
+
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.wrapS = THREE.RepeatWrapping;
+  texture.wrapT = THREE.RepeatWrapping;
+  texture.repeat.set(2, 4);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  return texture;
+}
+
+/**
+ * Box geometry standing on its base
+ * @param {Object} box - { x, y, z, width, height, depth }
+ */
+function boxGeometry(box) {
+  return new THREE.BoxGeometry(box.width, box.height, box.depth)
+    .translate(box.x, box.y + box.height / 2, box.z);
+}
+
+/**
+ * Gabled roof: a triangular prism running along the longer side
+ * @param {Object} building
+ */
+function gableGeometry(building) {
+  const alongX = building.width >= building.depth;
+  const span = (alongX ? building.depth : building.width) + ROOF_OVERHANG * 2;
+  const length = (alongX ? building.width : building.depth) + ROOF_OVERHANG * 2;
+
+  const shape = new THREE.Shape();
+  shape.moveTo(-span / 2, 0);
+  shape.lineTo(span / 2, 0);
+  shape.lineTo(0, building.roofHeight);
+  shape.closePath();
+
+  const geometry = new THREE.ExtrudeGeometry(shape, { depth: length, bevelEnabled: false });
+  geometry.translate(0, 0, -length / 2);
+  if (alongX) geometry.rotateY(Math.PI / 2);
+  return geometry.translate(building.x, building.height, building.z);
+}
+
+/**
+ * Build the meshes of a city layout.
+ *
+ * Nothing is registered anywhere: the caller adds `group` to the scene and
+ * hands the returned lists to the collision world, physics, day/night
+ * cycle and weather.
+ *
+ * @param {Object} layout - From generateCity
+ * @returns {{
+ *   group: THREE.Group,
+ *   colliders: THREE.Mesh[],
+ *   props: {mesh: THREE.Mesh, shape: string}[],
+ *   lift: {mesh: THREE.Mesh, update: function(THREE.Mesh, number)}|null,
+ *   nightLights: {material: THREE.Material, intensity: number}[],
+ *   wetSurfaces: THREE.Material[],
+ *   dispose: function()
+ * }}
+ */
+export function buildCity(layout) {
+  const rng = createRandom(`${layout.seed}:meshes`);
+  const group = new THREE.Group();
+  group.name = `city:${layout.seed}`;
+  const colliders = [];
+  const props = [];
+  const nightLights = [];
+  const wetSurfaces = [];
+  const windowTexture = createWindowTexture(rng);
+
+  /** Materials by key, shared between meshes */
+  const materials = new Map();
+  function material(key, options) {
+    if (!materials.has(key)) materials.set(key, new THREE.MeshStandardMaterial(options));
+    return materials.get(key);
+  }
+
+  /**
+   * Add a mesh to the city
+   * @param {THREE.BufferGeometry} geometry
+   * @param {THREE.Material} mat
+   * @param {Object} [options]
+   * @param {boolean} [options.collide=true]
+   * @param {boolean} [options.castShadow=true]
+   */
+  function add(geometry, mat, { collide = true, castShadow = true } = {}) {
+    const mesh = new THREE.Mesh(geometry, mat);
+    mesh.castShadow = castShadow;
+    mesh.receiveShadow = true;
+    group.add(mesh);
+    if (collide) colliders.push(mesh);
+    return mesh;
+  }
+
+  // Surfaces
+  const asphalt = material('asphalt', { color: COLORS.asphalt, roughness: 0.85 });
+  const sidewalk = material('sidewalk', { color: COLORS.sidewalk, roughness: 0.9 });
+  const roofMaterial = material('roof', { color: COLORS.roof, roughness: 0.9 });
+  wetSurfaces.push(asphalt, sidewalk, roofMaterial);
+
+  const { minX, maxX, minZ, maxZ } = layout.bounds;
+  add(boxGeometry({ x: (minX + maxX) / 2, y: -0.1, z: (minZ + maxZ) / 2, width: maxX - minX, height: 0.1, depth: maxZ - minZ }),
+    asphalt, { castShadow: false });
+
+  // Avenue center lines
+  const line = material('line', { color: COLORS.line, roughness: 0.6 });
+  for (const road of layout.roads.filter(road => road.kind === 'avenue')) {
+    const alongZ = road.depth > road.width;
+    add(boxGeometry({
+      x: road.x, y: 0, z: road.z,
+      width: alongZ ? 0.2 : road.width,
+      height: 0.01,
+      depth: alongZ ? road.depth : 0.2
+    }), line, { collide: false, castShadow: false });
+  }
+
+  // Blocks: raised slabs whose edges are the sidewalks
+  for (const block of layout.blocks) {
+    add(boxGeometry({ x: block.x, y: 0, z: block.z, width: block.width, height: PAD_HEIGHT, depth: block.depth }),
+      sidewalk, { castShadow: false });
+  }
+
+  // Buildings
+  for (const building of layout.buildings) {
+    const facade = material(`facade:${building.color}`, {
+      color: building.color,
+      roughness: 0.8,
+      emissive: 0xffd28a,
+      emissiveMap: windowTexture
+    });
+    if (!nightLights.some(light => light.material === facade)) nightLights.push({ material: facade, intensity: 1.2 });
+
+    add(boxGeometry({ x: building.x, y: 0, z: building.z, width: building.width, height: building.height, depth: building.depth }), facade);
+    for (const tier of building.tiers) {
+      add(boxGeometry({ x: building.x, z: building.z, ...tier }), facade);
+    }
+
+    if (building.roof === 'gable') {
+      add(gableGeometry(building), material('gable', { color: COLORS.gable, roughness: 0.8 }));
+    } else {
+      // On the top tier
+      const top = building.tiers.at(-1) || { y: 0, width: building.width, depth: building.depth, height: building.height };
+      add(boxGeometry({
+        x: building.x,
+        y: top.y + top.height,
+        z: building.z,
+        width: top.width + ROOF_OVERHANG * 2,
+        height: ROOF_THICKNESS,
+        depth: top.depth + ROOF_OVERHANG * 2
+      }), roofMaterial, { castShadow: false });
+    }
+  }
+
+  // Stairs: one merged mesh per staircase
+  const stairMaterial = material('stairs', { color: COLORS.stairs, roughness: 0.8 });
+  for (const stairs of layout.stairs) {
+    const parts = stairs.steps.map(boxGeometry);
+    add(mergeGeometries(parts), stairMaterial);
+    parts.forEach(part => part.dispose());
+  }
+
+  // Parks
+  const grass = material('grass', { color: COLORS.grass, roughness: 0.95 });
+  const path = material('path', { color: COLORS.path, roughness: 0.95 });
+  const trunk = material('trunk', { color: COLORS.trunk, roughness: 0.9 });
+  const leaves = material('leaves', { color: COLORS.leaves, roughness: 0.8 });
+  const bench = material('bench', { color: COLORS.bench, roughness: 0.7 });
+  for (const park of layout.parks) {
+    add(boxGeometry({ x: park.x, y: PAD_HEIGHT, z: park.z, width: park.width, height: 0.02, depth: park.depth }),
+      grass, { castShadow: false });
+    for (const strip of park.paths) {
+      add(boxGeometry({ ...strip, y: PAD_HEIGHT + 0.02, height: 0.01 }), path, { collide: false, castShadow: false });
+    }
+    for (const tree of park.trees) {
+      const trunkRadius = 0.15 + tree.radius * 0.05;
+      add(new THREE.CylinderGeometry(trunkRadius * 0.8, trunkRadius, tree.height, 8)
+        .translate(tree.x, PAD_HEIGHT + tree.height / 2, tree.z), trunk);
+      add(new THREE.SphereGeometry(tree.radius, 10, 8)
+        .translate(tree.x, PAD_HEIGHT + tree.height + tree.radius * 0.6, tree.z), leaves, { collide: false });
+    }
+    for (const seat of park.benches) {
+      const geometry = new THREE.BoxGeometry(1.6, 0.45, 0.5).translate(0, PAD_HEIGHT + 0.225, 0);
+      const mesh = add(geometry, bench);
+      mesh.position.set(seat.x, 0, seat.z);
+      mesh.rotation.y = seat.rotation;
+      mesh.updateMatrixWorld();
+    }
+  }
+
+  // Street lamps
+  const poleGeometry = new THREE.CylinderGeometry(0.08, 0.1, 4, 8);
+  const bulbGeometry = new THREE.SphereGeometry(0.25, 12, 12);
+  const pole = material('pole', { color: COLORS.pole, roughness: 0.6 });
+  const bulb = material('bulb', { color: COLORS.bulb, emissive: 0xffdd99 });
+  nightLights.push({ material: bulb, intensity: 3 });
+  for (const lamp of layout.lamps) {
+    const poleMesh = add(poleGeometry, pole);
+    poleMesh.position.set(lamp.x, PAD_HEIGHT + 2, lamp.z);
+    const bulbMesh = add(bulbGeometry, bulb, { collide: false, castShadow: false });
+    bulbMesh.position.set(lamp.x, PAD_HEIGHT + 4.1, lamp.z);
+  }
+
+  // The lift rides between the sidewalk and its building's roof
+  let lift = null;
+  if (layout.lift) {
+    const { x, z, size, bottom, top } = layout.lift;
+    const geometry = new THREE.BoxGeometry(size, 0.3, size).translate(0, -0.15, 0);
+    const mesh = new THREE.Mesh(geometry, material('lift', { color: COLORS.lift, roughness: 0.5 }));
+    mesh.position.set(x, bottom, z);
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    group.add(mesh);
+    lift = {
+      mesh,
+      update: (platform, time) => {
+        platform.position.y = bottom + (1 - Math.cos(time * 0.4)) / 2 * (top - bottom);
+      }
+    };
+  }
+
+  // Loose props
+  for (const crate of layout.crates) {
+    const mesh = createCrate(crate.size);
+    mesh.position.set(crate.x, crate.y, crate.z);
+    mesh.rotation.y = crate.rotation;
+    group.add(mesh);
+    props.push({ mesh, shape: 'box' });
+  }
+  for (const ball of layout.balls) {
+    const mesh = createBall(ball.radius);
+    mesh.position.set(ball.x, ball.y, ball.z);
+    group.add(mesh);
+    props.push({ mesh, shape: 'sphere' });
+  }
+
+  group.updateMatrixWorld(true);
+
+  return {
+    group,
+    colliders,
+    props,
+    lift,
+    nightLights,
+    wetSurfaces,
+
+    /** Free the city's GPU resources (after removing it from the scene) */
+    dispose() {
+      const geometries = new Set();
+      group.traverse(object => { if (object.geometry) geometries.add(object.geometry); });
+      geometries.forEach(geometry => geometry.dispose());
+      props.forEach(prop => prop.mesh.material.dispose());
+      materials.forEach(mat => mat.dispose());
+      windowTexture.dispose();
+    }
+  };
+}
@@ -0,0 +1,589 @@
+/**
+ * ============================================================================
+ * ITTY BITY CITY - Collision World
+ * ============================================================================
+ *
+ * Spatial acceleration for collision queries against the city.
+ *
+ * `raycaster.intersectObjects(collisionMeshes)` tests every triangle of every
+ * mesh, which is far too slow for a >100MB map queried up to a dozen times
+ * per frame. Instead we use two levels:
+ *
+ * 1. Broadphase: a uniform grid over the XZ plane. Each mesh's world
+ *    bounding box is binned into the cells it overlaps, so a ray only visits
+ *    meshes in the cells it passes through. Very large meshes (ground
+ *    planes) go in an "oversized" list that is always tested.
+ * 2. Narrowphase: a bounding volume hierarchy over each geometry's
+ *    triangles, built once and cached per geometry (shared geometries share
+ *    a BVH). Rays are tested in the mesh's local space, so meshes can move
+ *    without rebuilding anything - just call updateMesh() after moving them.
+ *
+ * Hits follow THREE.Raycaster conventions: sorted by world distance and
+ * respecting the material's `side`.
+ */
+
+import * as THREE from 'three';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/** Max triangles in a BVH leaf */
+const BVH_LEAF_SIZE = 8;
+
+/** Meshes overlapping more grid cells than this skip the grid */
+const MAX_CELLS_PER_MESH = 256;
+
+// Scratch objects reused by queries
+const _worldRay = new THREE.Ray();
+const _localRay = new THREE.Ray();
+const _boxHit = new THREE.Vector3();
+const _localBox = new THREE.Box3();
+const _edge1 = new THREE.Vector3();
+const _edge2 = new THREE.Vector3();
+const _pvec = new THREE.Vector3();
+const _tvec = new THREE.Vector3();
+const _qvec = new THREE.Vector3();
+const _a = new THREE.Vector3();
+const _b = new THREE.Vector3();
+const _c = new THREE.Vector3();
+
+// ============================================================================
+// TRIANGLE BVH (per geometry)
+// ============================================================================
+
+/** BVHs by geometry, so instanced/shared geometry is only processed once */
+const bvhCache = new WeakMap();
+
+/**
+ * Build (or fetch from cache) the triangle BVH of a geometry.
+ *
+ * Triangles are copied into a flat array in BVH order: 9 floats per
+ * triangle (three local-space vertices).
+ *
+ * @param {THREE.BufferGeometry} geometry
+ * @returns {{triangles: Float32Array, nodes: Object, count: number}}
+ */
+export function getGeometryBVH(geometry) {
+  let bvh = bvhCache.get(geometry);
+  if (bvh) return bvh;
+
+  const position = geometry.getAttribute('position');
+  const index = geometry.index;
+  const count = index ? index.count / 3 : position.count / 3;
+
+  // Gather triangle vertices, bounds and centroids
+  const source = new Float32Array(count * 9);
+  const centroids = new Float32Array(count * 3);
+  for (let t = 0; t < count; t++) {
+    for (let v = 0; v < 3; v++) {
+      const vi = index ? index.getX(t * 3 + v) : t * 3 + v;
+      source[t * 9 + v * 3] = position.getX(vi);
+      source[t * 9 + v * 3 + 1] = position.getY(vi);
+      source[t * 9 + v * 3 + 2] = position.getZ(vi);
+    }
+    for (let axis = 0; axis < 3; axis++) {
+      centroids[t * 3 + axis] =
+        (source[t * 9 + axis] + source[t * 9 + 3 + axis] + source[t * 9 + 6 + axis]) / 3;
+    }
+  }
+
+  const order = new Uint32Array(count);
+  for (let i = 0; i < count; i++) order[i] = i;
+
+  /**
+   * Recursively split triangles [start, end) at the median of the longest axis
+   * @returns {Object} Node: { min, max, left, right } or leaf { min, max, start, count }
+   */
+  function build(start, end) {
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    const cmin = [Infinity, Infinity, Infinity];
+    const cmax = [-Infinity, -Infinity, -Infinity];
+
+    for (let i = start; i < end; i++) {
+      const t = order[i];
+      for (let axis = 0; axis < 3; axis++) {
+        for (let v = 0; v < 3; v++) {
+          const value = source[t * 9 + v * 3 + axis];
+          if (value < min[axis]) min[axis] = value;
+          if (value > max[axis]) max[axis] = value;
+        }
+        const c = centroids[t * 3 + axis];
+        if (c < cmin[axis]) cmin[axis] = c;
+        if (c > cmax[axis]) cmax[axis] = c;
+      }
+    }
+
+    if (end - start <= BVH_LEAF_SIZE) {
+      return { min, max, start, count: end - start };
+    }
+
+    // Split along the axis where centroids are most spread out
+    let axis = 0;
+    if (cmax[1] - cmin[1] > cmax[axis] - cmin[axis]) axis = 1;
+    if (cmax[2] - cmin[2] > cmax[axis] - cmin[axis]) axis = 2;
+
+    // All centroids coincide - can't split further
+    if (cmax[axis] - cmin[axis] === 0) {
+      return { min, max, start, count: end - start };
+    }
+
+    const slice = order.subarray(start, end);
+    slice.sort((p, q) => centroids[p * 3 + axis] - centroids[q * 3 + axis]);
+    const mid = start + ((end - start) >> 1);
+
+    return { min, max, left: build(start, mid), right: build(mid, end) };
+  }
+
+  const nodes = count > 0 ? build(0, count) : null;
+
+  // Store triangles in BVH order so leaves are contiguous
+  const triangles = new Float32Array(count * 9);
+  for (let i = 0; i < count; i++) {
+    triangles.set(source.subarray(order[i] * 9, order[i] * 9 + 9), i * 9);
+  }
+
+  bvh = { triangles, nodes, count };
+  bvhCache.set(geometry, bvh);
+  return bvh;
+}
+
+/**
+ * Slab test: distance at which a ray enters a box, or Infinity if it misses
+ * @param {THREE.Ray} ray - Ray (local space)
+ * @param {number[]} min - Box min corner
+ * @param {number[]} max - Box max corner
+ * @param {number} far - Maximum distance
+ * @returns {number}
+ */
+function rayBoxDistance(ray, min, max, far) {
+  let tmin = 0;
+  let tmax = far;
+  const o = ray.origin;
+  const d = ray.direction;
+
+  for (let axis = 0; axis < 3; axis++) {
+    const origin = axis === 0 ? o.x : axis === 1 ? o.y : o.z;
+    const dir = axis === 0 ? d.x : axis === 1 ? d.y : d.z;
+
+    if (Math.abs(dir) < 1e-12) {
+      if (origin < min[axis] || origin > max[axis]) return Infinity;
+      continue;
+    }
+
+    const inv = 1 / dir;
+    let t1 = (min[axis] - origin) * inv;
+    let t2 = (max[axis] - origin) * inv;
+    if (t1 > t2) { const tmp = t1; t1 = t2; t2 = tmp; }
+    if (t1 > tmin) tmin = t1;
+    if (t2 < tmax) tmax = t2;
+    if (tmin > tmax) return Infinity;
+  }
+
+  return tmin;
+}
+
+/**
+ * Möller–Trumbore ray/triangle test
+ * @param {THREE.Ray} ray - Ray (local space)
+ * @param {Float32Array} tri - Triangle array
+ * @param {number} offset - Offset of the triangle's first float
+ * @param {number} side - THREE.FrontSide, BackSide or DoubleSide
+ * @returns {number} Ray parameter t, or -1 if missed
+ */
+function rayTriangle(ray, tri, offset, side) {
+  _a.fromArray(tri, offset);
+  _edge1.fromArray(tri, offset + 3).sub(_a);
+  _edge2.fromArray(tri, offset + 6).sub(_a);
+
+  _pvec.crossVectors(ray.direction, _edge2);
+  const det = _edge1.dot(_pvec);
+
+  // det > 0: ray hits the front face (counter-clockwise winding)
+  if (side === THREE.FrontSide && det <= 1e-10) return -1;
+  if (side === THREE.BackSide && det >= -1e-10) return -1;
+  if (Math.abs(det) < 1e-10) return -1;
+
+  const invDet = 1 / det;
+  _tvec.subVectors(ray.origin, _a);
+  const u = _tvec.dot(_pvec) * invDet;
+  if (u < 0 || u > 1) return -1;
+
+  _qvec.crossVectors(_tvec, _edge1);
+  const v = ray.direction.dot(_qvec) * invDet;
+  if (v < 0 || u + v > 1) return -1;
+
+  const t = _edge2.dot(_qvec) * invDet;
+  return t >= 0 ? t : -1;
+}
+
+/**
+ * Find every triangle hit along a local-space ray
+ * @param {Object} bvh - From getGeometryBVH
+ * @param {THREE.Ray} ray - Local-space ray (direction need not be unit length)
+ * @param {number} far - Maximum ray parameter
+ * @param {number} side - Material side
+ * @param {function(number, number)} onHit - Called with (t, triangleIndex)
+ */
+function raycastBVH(bvh, ray, far, side, onHit) {
+  if (!bvh.nodes) return;
+
+  const stack = [bvh.nodes];
+  while (stack.length > 0) {
+    const node = stack.pop();
+    if (rayBoxDistance(ray, node.min, node.max, far) === Infinity) continue;
+
+    if (node.count !== undefined) {
+      for (let i = node.start; i < node.start + node.count; i++) {
+        const t = rayTriangle(ray, bvh.triangles, i * 9, side);
+        if (t >= 0 && t <= far) onHit(t, i);
+      }
+    } else {
+      stack.push(node.left, node.right);
+    }
+  }
+}
+
+/**
+ * Visit every triangle whose node bounds overlap a local-space box
+ * @param {Object} bvh - From getGeometryBVH
+ * @param {THREE.Box3} box - Local-space box
+ * @param {function(number)} onTriangle - Called with the triangle index
+ */
+function boxQueryBVH(bvh, box, onTriangle) {
+  if (!bvh.nodes) return;
+
+  const stack = [bvh.nodes];
+  while (stack.length > 0) {
+    const node = stack.pop();
+    if (
+      node.max[0] < box.min.x || node.min[0] > box.max.x ||
+      node.max[1] < box.min.y || node.min[1] > box.max.y ||
+      node.max[2] < box.min.z || node.min[2] > box.max.z
+    ) continue;
+
+    if (node.count !== undefined) {
+      for (let i = node.start; i < node.start + node.count; i++) onTriangle(i);
+    } else {
+      stack.push(node.left, node.right);
+    }
+  }
+}
+
+// ============================================================================
+// COLLISION WORLD
+// ============================================================================
+
+/**
+ * Create a collision world.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.cellSize=32] - Broadphase grid cell size (world units)
+ */
+export function createCollisionWorld({ cellSize = 32 } = {}) {
+  /** Entries by mesh: { mesh, bvh, box, cells, stamp } */
+  const entries = new Map();
+
+  /** Broadphase grid: cell key -> Set of entries */
+  const grid = new Map();
+
+  /** Entries too large for the grid (always tested) */
+  const oversized = new Set();
+
+  /** Range of grid cells that have ever held an entry (bounds ray walks) */
+  const gridBounds = { minX: Infinity, maxX: -Infinity, minZ: Infinity, maxZ: -Infinity };
+
+  /** Incremented per query to visit each entry once */
+  let queryStamp = 0;
+
+  const cellKey = (cx, cz) => cx + ',' + cz;
+
+  /**
+   * Insert an entry into the grid cells covered by its bounds
+   * @param {Object} entry
+   */
+  function bin(entry) {
+    const x0 = Math.floor(entry.box.min.x / cellSize);
+    const x1 = Math.floor(entry.box.max.x / cellSize);
+    const z0 = Math.floor(entry.box.min.z / cellSize);
+    const z1 = Math.floor(entry.box.max.z / cellSize);
+
+    if ((x1 - x0 + 1) * (z1 - z0 + 1) > MAX_CELLS_PER_MESH) {
+      oversized.add(entry);
+      return;
+    }
+
+    gridBounds.minX = Math.min(gridBounds.minX, x0);
+    gridBounds.maxX = Math.max(gridBounds.maxX, x1);
+    gridBounds.minZ = Math.min(gridBounds.minZ, z0);
+    gridBounds.maxZ = Math.max(gridBounds.maxZ, z1);
+
+    for (let cx = x0; cx <= x1; cx++) {
+      for (let cz = z0; cz <= z1; cz++) {
+        const key = cellKey(cx, cz);
+        let cell = grid.get(key);
+        if (!cell) {
+          cell = new Set();
+          grid.set(key, cell);
+        }
+        cell.add(entry);
+        entry.cells.push(key);
+      }
+    }
+  }
+
+  /**
+   * Remove an entry from the grid
+   * @param {Object} entry
+   */
+  function unbin(entry) {
+    oversized.delete(entry);
+    for (const key of entry.cells) {
+      const cell = grid.get(key);
+      cell.delete(entry);
+      if (cell.size === 0) grid.delete(key);
+    }
+    entry.cells.length = 0;
+  }
+
+  /**
+   * Recompute an entry's world bounds from its mesh
+   * @param {Object} entry
+   */
+  function updateBounds(entry) {
+    const geometry = entry.mesh.geometry;
+    if (!geometry.boundingBox) geometry.computeBoundingBox();
+    entry.mesh.updateWorldMatrix(true, false);
+    entry.box.copy(geometry.boundingBox).applyMatrix4(entry.mesh.matrixWorld);
+    entry.inverse.copy(entry.mesh.matrixWorld).invert();
+    entry.normalMatrix.getNormalMatrix(entry.mesh.matrixWorld);
+  }
+
+  /**
+   * Collect the entries in the grid cells a ray passes through
+   * (2D DDA over the XZ plane).
+   * @param {THREE.Vector3} origin
+   * @param {THREE.Vector3} direction - Unit direction
+   * @param {number} far
+   * @param {function(Object)} visit - Called once per candidate entry
+   */
+  function forEachCandidate(origin, direction, far, visit) {
+    const stamp = ++queryStamp;
+    const visitOnce = (entry) => {
+      if (entry.stamp === stamp) return;
+      entry.stamp = stamp;
+      visit(entry);
+    };
+
+    oversized.forEach(visitOnce);
+
+    let cx = Math.floor(origin.x / cellSize);
+    let cz = Math.floor(origin.z / cellSize);
+    const stepX = direction.x > 0 ? 1 : -1;
+    const stepZ = direction.z > 0 ? 1 : -1;
+
+    // Ray distance to the next cell boundary on each axis, and per cell
+    const deltaX = direction.x !== 0 ? Math.abs(cellSize / direction.x) : Infinity;
+    const deltaZ = direction.z !== 0 ? Math.abs(cellSize / direction.z) : Infinity;
+    let nextX = direction.x !== 0
+      ? ((stepX > 0 ? (cx + 1) * cellSize - origin.x : origin.x - cx * cellSize) / Math.abs(direction.x))
+      : Infinity;
+    let nextZ = direction.z !== 0
+      ? ((stepZ > 0 ? (cz + 1) * cellSize - origin.z : origin.z - cz * cellSize) / Math.abs(direction.z))
+      : Infinity;
+
+    while (true) {
+      // Stop once the ray has left the occupied part of the grid for good
+      const leftX = stepX > 0 || direction.x === 0 ? cx > gridBounds.maxX : cx < gridBounds.minX;
+      const leftZ = stepZ > 0 || direction.z === 0 ? cz > gridBounds.maxZ : cz < gridBounds.minZ;
+      const outsideX = direction.x === 0 && (cx < gridBounds.minX || cx > gridBounds.maxX);
+      const outsideZ = direction.z === 0 && (cz < gridBounds.minZ || cz > gridBounds.maxZ);
+      if (leftX || leftZ || outsideX || outsideZ) break;
+
+      const cell = grid.get(cellKey(cx, cz));
+      if (cell) cell.forEach(visitOnce);
+
+      if (nextX > far && nextZ > far) break;
+
+      if (nextX < nextZ) {
+        cx += stepX;
+        nextX += deltaX;
+      } else {
+        cz += stepZ;
+        nextZ += deltaZ;
+      }
+    }
+  }
+
+  /**
+   * Collect the entries in the grid cells a world box overlaps
+   * @param {THREE.Box3} box
+   * @param {function(Object)} visit - Called once per candidate entry
+   */
+  function forEachCandidateInBox(box, visit) {
+    const stamp = ++queryStamp;
+    const visitOnce = (entry) => {
+      if (entry.stamp === stamp) return;
+      entry.stamp = stamp;
+      visit(entry);
+    };
+
+    oversized.forEach(visitOnce);
+
+    const x0 = Math.floor(box.min.x / cellSize);
+    const x1 = Math.floor(box.max.x / cellSize);
+    const z0 = Math.floor(box.min.z / cellSize);
+    const z1 = Math.floor(box.max.z / cellSize);
+    for (let cx = x0; cx <= x1; cx++) {
+      for (let cz = z0; cz <= z1; cz++) {
+        const cell = grid.get(cellKey(cx, cz));
+        if (cell) cell.forEach(visitOnce);
+      }
+    }
+  }
+
+  return {
+    /**
+     * Add a mesh to the world (builds its geometry BVH if needed)
+     * @param {THREE.Mesh} mesh
+     */
+    addMesh(mesh) {
+      if (entries.has(mesh) || !mesh.geometry) return;
+
+      const entry = {
+        mesh,
+        bvh: getGeometryBVH(mesh.geometry),
+        box: new THREE.Box3(),
+        inverse: new THREE.Matrix4(),       // World -> local (cached until updateMesh)
+        normalMatrix: new THREE.Matrix3(),  // Local -> world normals
+        cells: [],
+        stamp: 0
+      };
+      updateBounds(entry);
+      bin(entry);
+      entries.set(mesh, entry);
+    },
+
+    /**
+     * Remove a mesh from the world
+     * @param {THREE.Mesh} mesh
+     */
+    removeMesh(mesh) {
+      const entry = entries.get(mesh);
+      if (!entry) return;
+      unbin(entry);
+      entries.delete(mesh);
+    },
+
+    /**
+     * Re-bin a mesh after it moved, rotated or scaled
+     * @param {THREE.Mesh} mesh
+     */
+    updateMesh(mesh) {
+      const entry = entries.get(mesh);
+      if (!entry) return;
+      unbin(entry);
+      updateBounds(entry);
+      bin(entry);
+    },
+
+    has: (mesh) => entries.has(mesh),
+
+    /**
+     * Cast a ray against the world.
+     *
+     * @param {THREE.Vector3} origin - World-space origin
+     * @param {THREE.Vector3} direction - World-space unit direction
+     * @param {number} [far=Infinity] - Maximum distance
+     * @returns {{distance: number, point: THREE.Vector3, normal: THREE.Vector3, object: THREE.Mesh}[]}
+     *   Hits sorted by distance; `normal` is the world-space face normal
+     */
+    raycast(origin, direction, far = Infinity) {
+      const hits = [];
+
+      forEachCandidate(origin, direction, far, (entry) => {
+        // Cheap world-space bounds check before transforming the ray
+        // (intersectBox returns the exit point when starting inside the box)
+        if (!entry.box.containsPoint(origin)) {
+          _worldRay.set(origin, direction);
+          if (!_worldRay.intersectBox(entry.box, _boxHit) || _boxHit.distanceTo(origin) > far) {
+            return;
+          }
+        }
+
+        const mesh = entry.mesh;
+
+        // Transform origin and origin+direction (Ray.applyMatrix4 would
+        // normalize the direction and lose the scale we need for `far`)
+        _localRay.origin.copy(origin).applyMatrix4(entry.inverse);
+        _localRay.direction.copy(origin).add(direction).applyMatrix4(entry.inverse).sub(_localRay.origin);
+        const localDirLength = _localRay.direction.length();
+        _localRay.direction.divideScalar(localDirLength);
+
+        const material = Array.isArray(mesh.material) ? mesh.material[0] : mesh.material;
+        const side = material ? material.side : THREE.FrontSide;
+
+        // World distance maps linearly onto the local ray parameter
+        const localFar = far * localDirLength + 1e-6;
+
+        raycastBVH(entry.bvh, _localRay, localFar, side, (t, triangle) => {
+          const point = _localRay.at(t, new THREE.Vector3()).applyMatrix4(mesh.matrixWorld);
+          const distance = point.distanceTo(origin);
+          if (distance > far) return;
+
+          // Face normal from the winding, like THREE.Triangle.getNormal
+          const tri = entry.bvh.triangles;
+          _a.fromArray(tri, triangle * 9);
+          _b.fromArray(tri, triangle * 9 + 3);
+          _c.fromArray(tri, triangle * 9 + 6);
+          const normal = new THREE.Vector3()
+            .crossVectors(_c.sub(_b), _a.sub(_b))
+            .applyMatrix3(entry.normalMatrix)
+            .normalize();
+
+          hits.push({ distance, point, normal, object: mesh });
+        });
+      });
+
+      hits.sort((p, q) => p.distance - q.distance);
+      return hits;
+    },
+
+    /**
+     * Visit every triangle that may overlap a world-space box.
+     * Triangles are passed in world space; the callback may be called for
+     * triangles slightly outside the box (BVH leaves are not clipped).
+     *
+     * @param {THREE.Box3} box - World-space query box
+     * @param {function(THREE.Vector3, THREE.Vector3, THREE.Vector3, THREE.Mesh)} onTriangle
+     *   Called with the triangle's world-space vertices (reused - copy to keep)
+     */
+    forEachTriangleInBox(box, onTriangle) {
+      forEachCandidateInBox(box, (entry) => {
+        if (!entry.box.intersectsBox(box)) return;
+
+        const mesh = entry.mesh;
+        _localBox.copy(box).applyMatrix4(entry.inverse);
+
+        const tri = entry.bvh.triangles;
+        boxQueryBVH(entry.bvh, _localBox, (i) => {
+          _a.fromArray(tri, i * 9).applyMatrix4(mesh.matrixWorld);
+          _b.fromArray(tri, i * 9 + 3).applyMatrix4(mesh.matrixWorld);
+          _c.fromArray(tri, i * 9 + 6).applyMatrix4(mesh.matrixWorld);
+          onTriangle(_a, _b, _c, mesh);
+        });
+      });
+    },
+
+    /**
+     * Summary numbers for debugging
+     * @returns {{meshes: number, triangles: number, cells: number, oversized: number}}
+     */
+    getStats() {
+      let triangles = 0;
+      for (const entry of entries.values()) triangles += entry.bvh.count;
+      return { meshes: entries.size, triangles, cells: grid.size, oversized: oversized.size };
+    }
+  };
+}
@@ -0,0 +1,191 @@
+/**
+ * ============================================================================
+ * ITTY BITY CITY - Day/Night Cycle
+ * ============================================================================
+ *
+ * Moves the sun along an arc across the sky and blends the sky, fog,
+ * ambient and sun colors through dawn, day, dusk and night. At night the
+ * same light becomes a dim bluish moon so shadows never disappear entirely.
+ *
+ * Emissive "night lights" (windows, street lamps) can be registered and are
+ * faded in as the sun goes down.
+ *
+ * The clock either advances on its own (one full day every `dayLength`
+ * real-time minutes) or is pinned to a fixed hour.
+ */
+
+import * as THREE from 'three';
+
+// ============================================================================
+// LIGHTING KEYFRAMES
+// ============================================================================
+
+/**
+ * Lighting at specific hours. Values between keyframes are interpolated,
+ * and the list wraps around midnight.
+ */
+const KEYFRAMES = [
+  { hour: 0,    sky: 0x0b1026, ambient: 0x334466, ambientIntensity: 0.15, sun: 0x8899cc, sunIntensity: 0.15 },
+  { hour: 5,    sky: 0x1c1f45, ambient: 0x3d4570, ambientIntensity: 0.2,  sun: 0x8899cc, sunIntensity: 0.15 },
+  { hour: 6.5,  sky: 0xf4a582, ambient: 0xffc9a8, ambientIntensity: 0.35, sun: 0xffb070, sunIntensity: 0.7 },
+  { hour: 9,    sky: 0x87ceeb, ambient: 0xffffff, ambientIntensity: 0.6,  sun: 0xfff5e6, sunIntensity: 1.5 },
+  { hour: 16.5, sky: 0x87ceeb, ambient: 0xffffff, ambientIntensity: 0.6,  sun: 0xfff5e6, sunIntensity: 1.5 },
+  { hour: 18.5, sky: 0xf08a5d, ambient: 0xffb38a, ambientIntensity: 0.35, sun: 0xff8a50, sunIntensity: 0.6 },
+  { hour: 20,   sky: 0x1b1b3a, ambient: 0x3d4570, ambientIntensity: 0.2,  sun: 0x8899cc, sunIntensity: 0.15 },
+  { hour: 24,   sky: 0x0b1026, ambient: 0x334466, ambientIntensity: 0.15, sun: 0x8899cc, sunIntensity: 0.15 }
+];
+
+/** Distance of the sun/moon from the point it lights */
+const SUN_DISTANCE = 100;
+
+/** Sun elevation range over which night lights fade in/out */
+const NIGHT_LIGHT_FADE = { start: 0.15, end: -0.05 };
+
+// Scratch colors reused every frame
+const colorA = new THREE.Color();
+const colorB = new THREE.Color();
+
+/**
+ * Interpolate between two hex colors into a target color
+ * @param {THREE.Color} target - Color to write into
+ * @param {number} from - Start hex color
+ * @param {number} to - End hex color
+ * @param {number} t - Blend factor (0-1)
+ */
+function lerpHex(target, from, to, t) {
+  colorA.setHex(from);
+  colorB.setHex(to);
+  target.copy(colorA).lerp(colorB, t);
+}
+
+/**
+ * Create the day/night cycle controller.
+ *
+ * @param {Object} options
+ * @param {THREE.Scene} options.scene - Scene whose background and fog are tinted
+ * @param {THREE.DirectionalLight} options.sunLight - Light used as sun and moon
+ * @param {THREE.AmbientLight} options.ambientLight - Global fill light
+ * @param {number} [options.dayLength=20] - Real-time minutes per in-game day
+ * @param {number} [options.startTime=12] - Initial hour (0-24)
+ */
+export function createDayNightCycle({ scene, sunLight, ambientLight, dayLength = 20, startTime = 12 }) {
+  let time = startTime;
+  let pinned = false;
+  let nightFactor = 0;
+
+  /** Materials that glow at night: { material, intensity } */
+  const nightLights = [];
+
+  // The light's target must be in the scene for its position to update
+  scene.add(sunLight.target);
+
+  /**
+   * Find the keyframes surrounding the current hour
+   * @returns {{from: Object, to: Object, t: number}}
+   */
+  function getKeyframes() {
+    for (let i = 0; i < KEYFRAMES.length - 1; i++) {
+      const from = KEYFRAMES[i];
+      const to = KEYFRAMES[i + 1];
+      if (time >= from.hour && time <= to.hour) {
+        return { from, to, t: (time - from.hour) / (to.hour - from.hour) };
+      }
+    }
+    return { from: KEYFRAMES[0], to: KEYFRAMES[0], t: 0 };
+  }
+
+  /**
+   * Apply lighting for the current time
+   * @param {THREE.Vector3} focus - Point the sun follows (keeps shadows around the player)
+   */
+  function applyLighting(focus) {
+    const { from, to, t } = getKeyframes();
+
+    lerpHex(scene.background, from.sky, to.sky, t);
+    scene.fog.color.copy(scene.background);
+    lerpHex(ambientLight.color, from.ambient, to.ambient, t);
+    ambientLight.intensity = THREE.MathUtils.lerp(from.ambientIntensity, to.ambientIntensity, t);
+    lerpHex(sunLight.color, from.sun, to.sun, t);
+    sunLight.intensity = THREE.MathUtils.lerp(from.sunIntensity, to.sunIntensity, t);
+
+    // Sun rises in the east (+X) at 6:00, peaks at 12:00, sets at 18:00.
+    // Outside those hours the moon takes over on the opposite arc.
+    const sunAngle = ((time - 6) / 12) * Math.PI;
+    const elevation = Math.sin(sunAngle);
+    const arcAngle = elevation >= 0 ? sunAngle : sunAngle - Math.PI;
+
+    sunLight.position.set(
+      focus.x + Math.cos(arcAngle) * SUN_DISTANCE,
+      focus.y + Math.max(Math.sin(arcAngle), 0.1) * SUN_DISTANCE,
+      focus.z + SUN_DISTANCE * 0.3
+    );
+    sunLight.target.position.copy(focus);
+
+    // Fade night lights in as the sun drops below the horizon
+    nightFactor = THREE.MathUtils.clamp(
+      (NIGHT_LIGHT_FADE.start - elevation) / (NIGHT_LIGHT_FADE.start - NIGHT_LIGHT_FADE.end),
+      0,
+      1
+    );
+
+    for (const light of nightLights) {
+      light.material.emissiveIntensity = light.intensity * nightFactor;
+    }
+  }
+
+  return {
+    /**
+     * Set the time of day
+     * @param {number} hour - Hour of day (0-24)
+     * @param {Object} [options]
+     * @param {boolean} [options.pinned] - Freeze the clock at this hour
+     */
+    setTime(hour, { pinned: pin } = {}) {
+      time = THREE.MathUtils.euclideanModulo(hour, 24);
+      if (pin !== undefined) pinned = pin;
+    },
+
+    /** @param {boolean} value - Whether the clock is frozen */
+    setPinned(value) {
+      pinned = value;
+    },
+
+    getTime: () => time,
+    isPinned: () => pinned,
+
+    /** @returns {number} 0 during the day, 1 at full night */
+    getNightFactor: () => nightFactor,
+
+    /**
+     * Register an emissive material that lights up at night
+     * @param {THREE.Material} material - Material with an emissive color
+     * @param {number} [intensity=1] - Emissive intensity at full night
+     */
+    registerNightLight(material, intensity = 1) {
+      if (nightLights.some(light => light.material === material)) return;
+      nightLights.push({ material, intensity });
+      material.emissiveIntensity = intensity * nightFactor;
+    },
+
+    /**
+     * Forget a night light material (e.g. when its mesh is unloaded)
+     * @param {THREE.Material} material
+     */
+    unregisterNightLight(material) {
+      const index = nightLights.findIndex(light => light.material === material);
+      if (index !== -1) nightLights.splice(index, 1);
+    },
+
+    /**
+     * Advance the clock and update lighting
+     * @param {number} delta - Time delta in seconds
+     * @param {THREE.Vector3} focus - Point the sun should light (usually the player)
+     */
+    update(delta, focus) {
+      if (!pinned) {
+        time = THREE.MathUtils.euclideanModulo(time + delta * 24 / (dayLength * 60), 24);
+      }
+      applyLighting(focus);
+    }
+  };
+}
@@ -25,22 +25,63 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import { DRACOLoader } from 'three/addons/loaders/DRACOLoader.js';
+import { MeshoptDecoder } from 'three/addons/libs/meshopt_decoder.module.js';
+import { createAssetResolver, getMirrors, parseMirrorBase } from './assets.js';
+import { connectToServer, getServerUrl } from './network.js';
+import { createDayNightCycle } from './dayNight.js';
+import { WEATHER_LAYER, createWeatherSystem } from './weather.js';
+import { createFallbackCharacter, createProceduralAnimState, updateProceduralAnimation } from './character.js';
+import { createRemotePlayers } from './remotePlayers.js';
+import { createChat } from './chat.js';
+import { createCollisionWorld } from './collisionWorld.js';
+import { createNavMesh } from './navMesh.js';
+import { createPathGuide } from './pathGuide.js';
+import { createCharacterController } from './characterController.js';
+import { createCameraCollision } from './cameraCollision.js';
+import { prepareCharacterModel, createCharacterAnimator } from './characterAnimator.js';
+import { createMapStreamer } from './mapStreamer.js';
+import { createStatsOverlay } from './statsOverlay.js';
+import { createCinematicCamera } from './cinematics.js';
+import { createPhotoMode } from './photoMode.js';
+import { createMinimap } from './minimap.js';
+import { createSpawnedObjects } from './spawnables.js';
+import { createSaveGame } from './saveGame.js';
+import { createPointsOfInterest } from './pointsOfInterest.js';
+import { DEFAULT_CITY_SEED, buildCity, generateCity } from './cityGenerator.js';
+import { createPhysicsWorld } from './physics.js';
+import { runRaycastBenchmark } from './raycastBenchmark.js';
 
 // ============================================================================
-// ASSET URLs
-// Character: served from gh-pages (small file)
-// Map: served from GitHub Releases via CORS proxy (large file >100MB)
+// ASSETS
+// Models are looked up by name: the built (compressed, fingerprinted) copy
+// first, then the plain file, then a remote mirror (see assets.js)
 // ============================================================================
 
-// CORS proxy for GitHub releases (needed because GitHub doesn't add CORS headers)
-const CORS_PROXY = 'https://corsproxy.io/?';
-const GITHUB_RELEASE_BASE = 'https://github.com/kashmot2/ittybitycity-game/releases/download/v1.0.0/';
+// Character ships with the game
+const CHARACTER_ASSET = 'character.glb';
 
-// Character is small enough to serve directly from gh-pages
-const CHARACTER_URL = './character.glb';
+// Map is >100MB; drop it into public/ to run offline, otherwise it comes
+// from the GitHub release mirror
+const MAP_ASSET = 'map.glb';
 
-// Map is >100MB so must be served from GitHub Releases via CORS proxy
-const MAP_URL = CORS_PROXY + encodeURIComponent(GITHUB_RELEASE_BASE + 'map-draco.glb');
+// Draco decoder vendored in public/draco (no CDN needed)
+const DRACO_DECODER_PATH = './draco/';
+
+// Chunked map written by `npm run tile-map` (streamed around the player)
+const MAP_MANIFEST_URL = './map/manifest.json';
+
+// Landmarks to discover (the server's list replaces it when connected)
+const POIS_URL = './pois.json';
+
+// URL options:
+//   ?map=procedural - skip the real map and build the demo city
+//   ?seed=<text>    - seed for the demo city (same seed, same layout)
+//   ?benchmark      - log a collision raycast benchmark once the city is ready
+//   ?lod=off        - stream full-detail map chunks only (to compare against LODs)
+//   ?stats          - show the frame stats overlay from the start (F3 toggles it)
+//   ?debug          - allow Shift+click teleports on the city map (M)
+//   ?mirror=<url>   - where to download assets missing locally (default: the GitHub release)
+const URL_PARAMS = new URLSearchParams(window.location.search);
 
 // ============================================================================
 // CONFIGURATION
@@ -57,18 +98,34 @@ const CONFIG = {
   PLAYER_HEIGHT: 1.8,      // Total height
   PLAYER_RADIUS: 0.3,      // Collision radius
   STEP_HEIGHT: 0.4,        // Max height player can step over
+  MAX_SLOPE: 50,           // Steepest walkable slope (degrees)
   
   // Camera
   CAMERA_DISTANCE: 6,
   CAMERA_HEIGHT: 1.5,
   CAMERA_MIN_DISTANCE: 2,
   CAMERA_MAX_DISTANCE: 10,
+  CAMERA_FADE_OCCLUDERS: true, // Fade props between the camera and player
   MOUSE_SENSITIVITY: 0.002,
   
   // Collision
-  COLLISION_SAMPLES: 8,    // Number of horizontal rays for wall collision
   GROUND_RAY_LENGTH: 50,   // How far down to check for ground
-  WALL_CHECK_DISTANCE: 0.5 // Distance to check for walls
+  
+  // Map streaming
+  MAP_LOAD_RADIUS: 150,    // Load map chunks closer than this
+  MAP_UNLOAD_RADIUS: 200,  // Unload map chunks further than this
+  MAP_LOD_RADIUS: 450,     // Keep simplified chunks out to this (fog hides the rest)
+  
+  // Time of day
+  DAY_LENGTH_MINUTES: 20,  // Real-time minutes per in-game day (keep in sync with server.js)
+  START_TIME: 12,          // Hour of day before the server says otherwise
+  
+  // Weather
+  WEATHER_TRANSITION: 4,   // Seconds to cross-fade between weather presets
+  
+  // Networking
+  NETWORK_UPDATE_INTERVAL: 0.1, // Seconds between playerUpdate messages
+  NETWORK_HEARTBEAT: 1.0        // Resend unchanged state this often
 };
 
 // ============================================================================
@@ -90,6 +147,7 @@ const camera = new THREE.PerspectiveCamera(
   1000
 );
 camera.position.set(0, CONFIG.CAMERA_HEIGHT, CONFIG.CAMERA_DISTANCE);
+camera.layers.enable(WEATHER_LAYER);
 
 // ============================================================================
 // RENDERER
@@ -124,6 +182,21 @@ sunLight.shadow.camera.top = 100;
 sunLight.shadow.camera.bottom = -100;
 scene.add(sunLight);
 
+const dayNight = createDayNightCycle({
+  scene,
+  sunLight,
+  ambientLight,
+  dayLength: CONFIG.DAY_LENGTH_MINUTES,
+  startTime: CONFIG.START_TIME
+});
+
+const weather = createWeatherSystem({
+  scene,
+  sunLight,
+  ambientLight,
+  transitionTime: CONFIG.WEATHER_TRANSITION
+});
+
 // ============================================================================
 // PLAYER STATE
 // ============================================================================
@@ -134,7 +207,10 @@ const player = {
   rotation: 0,
   isRunning: false,
   onGround: false,
-  groundHeight: 0
+  groundHeight: 0,
+  speed: 0,          // Horizontal speed this frame (drives animation blending)
+  animState: 'idle', // idle | walk | run | jump | fall (shared with other players)
+  emote: null        // wave | sit | dance while standing still
 };
 
 const cameraOrbit = {
@@ -143,6 +219,23 @@ const cameraOrbit = {
   distance: CONFIG.CAMERA_DISTANCE
 };
 
+/** Smoothed camera position before collision, and the point it looks at */
+const cameraIdeal = camera.position.clone();
+const cameraPivot = new THREE.Vector3();
+
+/** Put the camera straight behind the player (no smooth follow, e.g. after spawning) */
+function snapCamera() {
+  const camX = player.position.x + Math.sin(cameraOrbit.angleY) * cameraOrbit.distance;
+  const camZ = player.position.z + Math.cos(cameraOrbit.angleY) * cameraOrbit.distance;
+  const camY = player.position.y + CONFIG.CAMERA_HEIGHT;
+  camera.position.set(camX, camY, camZ);
+  cameraIdeal.copy(camera.position);
+  camera.lookAt(player.position.x, player.position.y - 0.5, player.position.z);
+}
+
+/** Keyframed flythroughs blended over the follow camera */
+const cinematics = createCinematicCamera({ camera, scene });
+
 // ============================================================================
 // INPUT STATE
 // ============================================================================
@@ -164,8 +257,39 @@ let isLocked = false;
 /** Array of meshes to check collision against */
 let collisionMeshes = [];
 
-/** Raycaster for collision detection */
-const raycaster = new THREE.Raycaster();
+/** Spatial index over collisionMeshes - all collision rays go through this */
+const collisionWorld = createCollisionWorld();
+
+/** Where the player can walk, baked from the collision world as paths need it */
+const navMesh = createNavMesh({
+  world: collisionWorld,
+  stepHeight: CONFIG.STEP_HEIGHT,
+  agentHeight: CONFIG.PLAYER_HEIGHT,
+  agentRadius: CONFIG.PLAYER_RADIUS
+});
+
+const DOWN = new THREE.Vector3(0, -1, 0);
+
+/**
+ * Register a mesh for collision
+ * @param {THREE.Mesh} mesh
+ */
+function addCollisionMesh(mesh) {
+  collisionMeshes.push(mesh);
+  collisionWorld.addMesh(mesh);
+  navMesh.invalidate(new THREE.Box3().setFromObject(mesh));
+}
+
+/**
+ * Stop colliding with a mesh
+ * @param {THREE.Mesh} mesh
+ */
+function removeCollisionMesh(mesh) {
+  const index = collisionMeshes.indexOf(mesh);
+  if (index !== -1) collisionMeshes.splice(index, 1);
+  collisionWorld.removeMesh(mesh);
+  navMesh.invalidate(new THREE.Box3().setFromObject(mesh));
+}
 
 /**
  * Find the ground height at a given position using raycasting
@@ -175,161 +299,497 @@ const raycaster = new THREE.Raycaster();
 function getGroundHeight(position) {
   // Cast ray downward from above the position
   const origin = new THREE.Vector3(position.x, position.y + 10, position.z);
-  raycaster.set(origin, new THREE.Vector3(0, -1, 0));
-  raycaster.far = CONFIG.GROUND_RAY_LENGTH + 10;
-  
-  const intersects = raycaster.intersectObjects(collisionMeshes, false);
-  
-  if (intersects.length > 0) {
-    // Find the highest ground below or at player level
-    for (const hit of intersects) {
-      // Only consider surfaces facing upward (floors, rooftops)
-      if (hit.face && hit.face.normal) {
-        const worldNormal = hit.face.normal.clone();
-        worldNormal.transformDirection(hit.object.matrixWorld);
-        
-        // Surface is walkable if it faces mostly upward
-        if (worldNormal.y > 0.5) {
-          return hit.point.y;
-        }
-      } else {
-        // If no normal info, assume it's a floor
-        return hit.point.y;
-      }
+  const intersects = collisionWorld.raycast(origin, DOWN, CONFIG.GROUND_RAY_LENGTH + 10);
+  
+  // Find the highest ground below or at player level
+  for (const hit of intersects) {
+    // Surface is walkable if it faces mostly upward (floors, rooftops)
+    if (hit.normal.y > 0.5) {
+      return hit.point.y;
     }
   }
   
   return null;
 }
 
+/** Capsule controller that moves the player through the collision world */
+const characterController = createCharacterController({
+  world: collisionWorld,
+  radius: CONFIG.PLAYER_RADIUS,
+  height: CONFIG.PLAYER_HEIGHT,
+  stepHeight: CONFIG.STEP_HEIGHT,
+  maxSlope: CONFIG.MAX_SLOPE
+});
+
+/** Loose props (crates, balls) that fall, slide and get pushed around */
+const physics = createPhysicsWorld({
+  world: collisionWorld,
+  gravity: CONFIG.GRAVITY
+});
+
+/** Keeps the orbit camera out of walls */
+const cameraCollision = createCameraCollision({
+  world: collisionWorld,
+  minDistance: CONFIG.CAMERA_MIN_DISTANCE,
+  fadeOccluders: CONFIG.CAMERA_FADE_OCCLUDERS
+});
+
+/** Collision meshes animated every frame: { mesh, update(time) } */
+const movingPlatforms = [];
+
+/**
+ * Register a collision mesh that moves (lifts, rotating platforms, ...).
+ * The player rides along when standing on it.
+ * @param {THREE.Mesh} mesh
+ * @param {function(THREE.Mesh, number)} update - Positions the mesh for an elapsed time (seconds)
+ */
+function addMovingPlatform(mesh, update) {
+  movingPlatforms.push({ mesh, update });
+  addCollisionMesh(mesh);
+}
+
+/**
+ * Stop animating a moving platform and colliding with it
+ * @param {THREE.Mesh} mesh
+ */
+function removeMovingPlatform(mesh) {
+  const index = movingPlatforms.findIndex(platform => platform.mesh === mesh);
+  if (index !== -1) movingPlatforms.splice(index, 1);
+  removeCollisionMesh(mesh);
+}
+
+/**
+ * Move platforms and refresh their collision data
+ * @param {number} time - Elapsed time in seconds
+ */
+function updateMovingPlatforms(time) {
+  for (const platform of movingPlatforms) {
+    platform.update(platform.mesh, time);
+    platform.mesh.updateMatrixWorld();
+    collisionWorld.updateMesh(platform.mesh);
+  }
+}
+
+// ============================================================================
+// CHARACTER
+// ============================================================================
+
+let characterModel = null;
+
+/** Skeletal animator for character.glb (null while using the fallback) */
+let characterAnimator = null;
+
+// Procedural animation state for fallback character
+const proceduralAnim = createProceduralAnimState();
+
+/** Other players connected to the same server */
+const remotePlayers = createRemotePlayers({ scene, playerHeight: CONFIG.PLAYER_HEIGHT });
+
+// ============================================================================
+// UI ELEMENTS
+// ============================================================================
+
+const loadingEl = document.getElementById('loading');
+const crosshairEl = document.getElementById('crosshair');
+const controlsEl = document.getElementById('controls');
+const messageEl = document.getElementById('message');
+const flashEl = document.getElementById('flash');
+
+const statsOverlay = createStatsOverlay({
+  renderer,
+  element: document.getElementById('stats'),
+  visible: URL_PARAMS.has('stats'),
+  getExtraLines: () => {
+    if (!mapStreamer) return [];
+    const stats = mapStreamer.getStats();
+    return [
+      `chunks      ${stats.loaded}/${stats.total} (${stats.culled} culled, ${stats.loading} loading)`,
+      `lod levels  ${stats.levels.join(' / ')}`
+    ];
+  }
+});
+
+const photoMode = createPhotoMode({
+  renderer,
+  scene,
+  camera,
+  panel: document.getElementById('photo-panel'),
+  getCenter: () => player.position,
+  onToggle: (active) => {
+    // Keep the HUD out of the shot
+    crosshairEl.style.display = !active && isLocked ? 'block' : 'none';
+    controlsEl.style.display = active ? 'none' : 'block';
+    minimap.setVisible(!active);
+    if (active) toggleJournal(false);
+  }
+});
+
+// ============================================================================
+// SAVE GAME
+// The walk is kept in localStorage and offered back on the next visit
+// ============================================================================
+
+/** Ids of the places the player has discovered */
+const discoveredPlaces = new Set();
+
+/** Set once the server has sent the shared world state (its time and weather beat the save's) */
+let worldSynced = false;
+
+/** Saved walk offered on the loading screen, until it's restored or a new walk starts */
+let pendingSave = null;
+
+/** Loading screen title once the map is ready (shown again after continuing) */
+let readyTitle = '';
+
+const saveChoiceEl = document.getElementById('save-choice');
+
+const saveGame = createSaveGame({
+  getState: () => ({
+    map: getMapId(),
+    player: {
+      position: { x: player.position.x, y: player.position.y, z: player.position.z },
+      rotation: player.rotation
+    },
+    camera: { angleX: cameraOrbit.angleX, angleY: cameraOrbit.angleY, distance: cameraOrbit.distance },
+    time: { hour: dayNight.getTime(), pinned: dayNight.isPinned() },
+    weather: weather.getWeather(),
+    discovered: [...discoveredPlaces]
+  })
+});
+
+/** Which map the walk is on (a save only restores onto the same one) */
+function getMapId() {
+  return proceduralCity ? `procedural:${proceduralCity.layout.seed}` : 'map';
+}
+
+/** Once the map is ready, offer to continue a walk saved on it */
+function offerSavedWalk() {
+  if (saveGame.isStarted() || pendingSave) return;
+  
+  const saved = saveGame.load();
+  if (!saved || saved.map !== getMapId()) return;
+  
+  pendingSave = saved;
+  readyTitle = loadingEl.querySelector('h1').textContent;
+  loadingEl.querySelector('h1').textContent = '✨ Welcome Back';
+  loadingEl.querySelector('.hint').style.display = 'none';
+  saveChoiceEl.querySelector('.saved-at').textContent = `Last walked ${new Date(saved.savedAt).toLocaleString()}`;
+  saveChoiceEl.style.display = 'flex';
+}
+
 /**
- * Check if a movement would collide with walls
- * @param {THREE.Vector3} from - Starting position
- * @param {THREE.Vector3} to - Target position
- * @returns {THREE.Vector3} Safe position after collision resolution
+ * Put the player back where the save left them
+ * @param {Object} saved - Save from saveGame.load()
  */
-function checkWallCollision(from, to) {
-  const safePosition = to.clone();
-  const moveDirection = new THREE.Vector3().subVectors(to, from);
-  const moveDistance = moveDirection.length();
+function restoreWalk(saved) {
+  const { position, rotation } = saved.player;
+  teleportPlayer(position.x, position.y, position.z);
+  player.rotation = rotation;
   
-  if (moveDistance < 0.001) return safePosition;
+  if (saved.camera) {
+    cameraOrbit.angleX = THREE.MathUtils.clamp(saved.camera.angleX, -Math.PI / 4, Math.PI / 3);
+    cameraOrbit.angleY = saved.camera.angleY;
+    cameraOrbit.distance = THREE.MathUtils.clamp(saved.camera.distance, CONFIG.CAMERA_MIN_DISTANCE, CONFIG.CAMERA_MAX_DISTANCE);
+  }
+  snapCamera();
   
-  moveDirection.normalize();
+  // On a server everyone shares its clock and weather
+  if (!worldSynced) {
+    if (saved.time) dayNight.setTime(saved.time.hour, { pinned: saved.time.pinned });
+    if (saved.weather) weather.setWeather(saved.weather, { immediate: true });
+  }
   
-  // Check at multiple heights (feet, waist, head)
-  const checkHeights = [0.2, CONFIG.PLAYER_HEIGHT * 0.5, CONFIG.PLAYER_HEIGHT - 0.2];
+  saved.discovered.forEach(id => discoveredPlaces.add(id));
+  console.log(`💾 Continuing the walk at (${position.x.toFixed(1)}, ${position.y.toFixed(1)}, ${position.z.toFixed(1)}), ${saved.discovered.length} places discovered`);
+}
+
+document.getElementById('continue-walk').addEventListener('click', async (e) => {
+  e.stopPropagation();
+  const saved = pendingSave;
+  saveChoiceEl.style.display = 'none';
   
-  for (const heightOffset of checkHeights) {
-    const origin = new THREE.Vector3(from.x, from.y - CONFIG.PLAYER_HEIGHT + heightOffset, from.z);
-    
-    // Horizontal ray in movement direction
-    const horizontalDir = new THREE.Vector3(moveDirection.x, 0, moveDirection.z).normalize();
-    
-    if (horizontalDir.length() < 0.001) continue;
-    
-    raycaster.set(origin, horizontalDir);
-    raycaster.far = moveDistance + CONFIG.PLAYER_RADIUS;
-    
-    const intersects = raycaster.intersectObjects(collisionMeshes, false);
-    
-    if (intersects.length > 0) {
-      const hit = intersects[0];
-      
-      // Check if hit surface is a wall (mostly vertical)
-      if (hit.face && hit.face.normal) {
-        const worldNormal = hit.face.normal.clone();
-        worldNormal.transformDirection(hit.object.matrixWorld);
-        
-        // Wall if normal is mostly horizontal
-        if (Math.abs(worldNormal.y) < 0.5) {
-          // Calculate safe distance
-          const safeDistance = Math.max(0, hit.distance - CONFIG.PLAYER_RADIUS - 0.05);
-          
-          if (safeDistance < moveDistance) {
-            // Slide along wall
-            const wallNormal2D = new THREE.Vector2(worldNormal.x, worldNormal.z).normalize();
-            const moveVec2D = new THREE.Vector2(moveDirection.x, moveDirection.z);
-            
-            // Remove component moving into wall
-            const dot = moveVec2D.dot(wallNormal2D);
-            if (dot < 0) {
-              moveVec2D.x -= dot * wallNormal2D.x;
-              moveVec2D.y -= dot * wallNormal2D.y;
-            }
-            
-            safePosition.x = from.x + moveVec2D.x * moveDistance;
-            safePosition.z = from.z + moveVec2D.y * moveDistance;
-          }
-        }
-      }
-    }
+  // Stream in the chunks around the saved spot before landing there
+  if (mapStreamer) {
+    loadingEl.querySelector('h1').textContent = '✨ Loading...';
+    const { x, y, z } = saved.player.position;
+    mapStreamer.update(new THREE.Vector3(x, y, z));
+    await mapStreamer.whenIdle();
   }
   
-  // Also check radially for corners
-  for (let i = 0; i < CONFIG.COLLISION_SAMPLES; i++) {
-    const angle = (i / CONFIG.COLLISION_SAMPLES) * Math.PI * 2;
-    const dir = new THREE.Vector3(Math.cos(angle), 0, Math.sin(angle));
-    
-    const origin = new THREE.Vector3(
-      safePosition.x,
-      safePosition.y - CONFIG.PLAYER_HEIGHT * 0.5,
-      safePosition.z
-    );
-    
-    raycaster.set(origin, dir);
-    raycaster.far = CONFIG.PLAYER_RADIUS + 0.1;
-    
-    const intersects = raycaster.intersectObjects(collisionMeshes, false);
-    
-    if (intersects.length > 0) {
-      const hit = intersects[0];
-      const pushDistance = CONFIG.PLAYER_RADIUS + 0.05 - hit.distance;
-      
-      if (pushDistance > 0) {
-        safePosition.x -= dir.x * pushDistance;
-        safePosition.z -= dir.z * pushDistance;
-      }
+  restoreWalk(saved);
+  pendingSave = null;
+  loadingEl.querySelector('h1').textContent = readyTitle;
+  if (!mapStreamer) renderer.domElement.requestPointerLock();
+});
+
+document.getElementById('new-walk').addEventListener('click', (e) => {
+  e.stopPropagation();
+  saveGame.clear();
+  pendingSave = null;
+  saveChoiceEl.style.display = 'none';
+  renderer.domElement.requestPointerLock();
+});
+
+// ============================================================================
+// POINTS OF INTEREST
+// Landmarks to discover, and the journal of the ones found so far
+// ============================================================================
+
+/** How long the camera takes to glide to a landmark's view (ms) */
+const POI_CAMERA_GLIDE = 1500;
+
+const journalEl = document.getElementById('journal');
+
+const pointsOfInterest = createPointsOfInterest({
+  getMap: getMapId,
+  onEnter: (poi) => {
+    if (discoveredPlaces.has(poi.id)) {
+      showMessage(`📍 ${poi.name}`);
+      return;
     }
+    
+    discoveredPlaces.add(poi.id);
+    showMessage(`✨ Discovered ${poi.name}${poi.text ? ` - ${poi.text}` : ''}`, 6000);
+    if (poi.camera) startCameraMove(poi.camera, POI_CAMERA_GLIDE);
+    renderJournal();
+    saveGame.save();
+    console.log(`🗺️ Discovered ${poi.name} (${discoveredPlaces.size} places so far)`);
   }
+});
+
+pointsOfInterest.load(POIS_URL)
+  .then(count => count > 0 && console.log(`🗺️ ${count} points of interest`))
+  .catch(error => console.warn('⚠️ No points of interest:', error.message));
+
+/** List this map's landmarks in the journal: found ones with their story, the rest as ??? */
+function renderJournal() {
+  const places = pointsOfInterest.list();
+  const found = places.filter(poi => discoveredPlaces.has(poi.id));
+  journalEl.querySelector('.count').textContent = `${found.length} / ${places.length} discovered`;
   
-  return safePosition;
+  journalEl.querySelector('ul').replaceChildren(...places.map((poi) => {
+    const item = document.createElement('li');
+    const name = document.createElement('strong');
+    if (discoveredPlaces.has(poi.id)) {
+      name.textContent = poi.name;
+      item.append(name);
+      if (poi.text) item.append(document.createElement('br'), poi.text);
+    } else {
+      name.textContent = '???';
+      item.className = 'undiscovered';
+      item.append(name);
+    }
+    return item;
+  }));
+}
+
+/**
+ * Open or close the journal (J)
+ * @param {boolean} [visible] - Default: toggle
+ */
+function toggleJournal(visible = journalEl.style.display === 'none') {
+  if (visible) renderJournal();
+  journalEl.style.display = visible ? 'block' : 'none';
 }
 
 // ============================================================================
-// CHARACTER
+// MAP
+// Minimap in the corner and the full-screen city map (M)
 // ============================================================================
 
-let characterModel = null;
-let characterMixer = null;
-let idleAction = null;
-let walkAction = null;
-let runAction = null;
-let currentAction = null;
+const minimap = createMinimap({
+  renderer,
+  scene,
+  canvas: document.getElementById('minimap'),
+  mapCanvas: document.getElementById('city-map'),
+  getPlayer: () => player,
+  getHeading: () => cameraOrbit.angleY,
+  getBounds: () => cityBounds,
+  getMarkers: () => ({
+    pois: pointsOfInterest.list()
+      .filter(poi => discoveredPlaces.has(poi.id))
+      .map(poi => ({ x: poi.trigger.x, z: poi.trigger.z, name: poi.name })),
+    players: remotePlayers.list().map(remote => remote.model.position)
+  }),
+  getNightFactor: () => dayNight.getNightFactor(),
+  onTeleport: (x, z) => {
+    closeMap();
+    teleportFromMap(x, z);
+  },
+  // Show the way to the newest waypoint
+  onWaypointsChange: (waypoints) => {
+    const newest = waypoints[waypoints.length - 1];
+    if (newest) {
+      navigateTo(newest.x, newest.z);
+    } else {
+      stopNavigation();
+    }
+  }
+});
+minimap.setTeleportEnabled(URL_PARAMS.has('debug'));
 
-// Procedural animation state for fallback character
-const proceduralAnim = {
-  phase: 0,        // Animation cycle phase (0-2π)
-  isMoving: false,
-  bobAmount: 0,    // Current bob height
-  swayAmount: 0,   // Current sway rotation
-  limbRotation: 0  // Arm/leg swing
-};
+/** Open the full map, freeing the mouse to click on it */
+function openMap() {
+  if (photoMode.isActive()) return;
+  toggleJournal(false);
+  minimap.open();
+  crosshairEl.style.display = 'none';
+  document.exitPointerLock();
+}
+
+/** Close the full map and go back to walking */
+function closeMap() {
+  minimap.close();
+  renderer.domElement.requestPointerLock();
+}
+
+/**
+ * Teleport to a spot picked on the map, landing on the highest surface there
+ * @param {number} x
+ * @param {number} z
+ */
+async function teleportFromMap(x, z) {
+  const y = (cityBounds.isEmpty() ? player.position.y : cityBounds.max.y) + 5;
+  
+  // Streamed maps: load the ground there first
+  if (mapStreamer) {
+    mapStreamer.update(new THREE.Vector3(x, y, z));
+    await mapStreamer.whenIdle();
+  }
+  
+  teleportPlayer(x, y, z);
+  console.log(`🗺️ Teleported to (${x.toFixed(1)}, ${z.toFixed(1)})`);
+}
 
 // ============================================================================
-// UI ELEMENTS
+// NAVIGATION
+// Paths over the navigation mesh, shown as a trail and optionally walked
 // ============================================================================
 
-const loadingEl = document.getElementById('loading');
-const crosshairEl = document.getElementById('crosshair');
-const controlsEl = document.getElementById('controls');
+/** Seconds between checks that auto-walking is getting somewhere */
+const STUCK_CHECK_INTERVAL = 2;
+
+/** Auto-walking less than this far between checks counts as stuck */
+const STUCK_DISTANCE = 0.5;
+
+/** Times to plan again when stuck before handing back to the player */
+const STUCK_RETRIES = 3;
+
+const pathGuide = createPathGuide({
+  scene,
+  getSurface: (x, z, y) => navMesh.surfaceAt(x, z, y)
+});
+
+const navigation = {
+  destination: null,    // { x, z } being guided to
+  partial: false,       // The path stops short of it
+  autoWalk: false,      // Walk the path (goto) rather than just show it
+  run: false,
+  lastPlanned: 0,       // clock time of the last plan
+  checkpoint: null,     // { x, z, time } for stuck checks
+  stuck: 0
+};
+
+/**
+ * Plan a path from the player to a spot and show it
+ * @param {number} x
+ * @param {number} z
+ * @param {Object} [options]
+ * @param {boolean} [options.walk=false] - Walk it automatically (until a movement key is pressed)
+ * @param {boolean} [options.run=false] - Run while walking it
+ * @param {boolean} [options.replan=false] - Planning again on the way (keeps quiet)
+ * @returns {Object|null} The path, or null if there is no way from here
+ */
+function navigateTo(x, z, { walk = false, run = false, replan = false } = {}) {
+  const feet = new THREE.Vector3(player.position.x, player.position.y - CONFIG.PLAYER_HEIGHT, player.position.z);
+  const started = performance.now();
+  const path = navMesh.findPath(feet, { x, z });
+  
+  if (!path) {
+    stopNavigation();
+    showMessage('🧭 No way there from here');
+    return null;
+  }
+  
+  pathGuide.set(path.points);
+  Object.assign(navigation, {
+    destination: { x, z },
+    partial: path.partial,
+    autoWalk: walk,
+    run,
+    lastPlanned: clock.elapsedTime,
+    checkpoint: { x: feet.x, z: feet.z, time: clock.elapsedTime }
+  });
+  if (!replan) {
+    navigation.stuck = 0;
+    console.log(
+      `🧭 Path to (${x.toFixed(1)}, ${z.toFixed(1)}): ${path.length.toFixed(1)}m, ${path.points.length} corners ` +
+      `(${path.searched} nodes in ${(performance.now() - started).toFixed(1)}ms)${path.partial ? ', partial' : ''}`
+    );
+    if (path.partial) showMessage('🧭 Can\'t get all the way there - this is as close as it goes');
+  }
+  return path;
+}
+
+/** Hide the trail and stop auto-walking */
+function stopNavigation() {
+  pathGuide.clear();
+  navigation.destination = null;
+  navigation.autoWalk = false;
+}
+
+/**
+ * Follow the player's progress along the path
+ * @returns {THREE.Vector3|null} Corner to auto-walk towards, if auto-walking
+ */
+function updateNavigation() {
+  if (!navigation.destination) return null;
+  
+  const feet = new THREE.Vector3(player.position.x, player.position.y - CONFIG.PLAYER_HEIGHT, player.position.z);
+  const progress = pathGuide.update(feet, clock.elapsedTime);
+  
+  if (progress.arrived) {
+    showMessage(navigation.partial ? '🏁 This is as close as it goes' : '🏁 You have arrived');
+    stopNavigation();
+    return null;
+  }
+  
+  // Wandered off: plan again from here (at most once a second)
+  if (progress.strayed && clock.elapsedTime - navigation.lastPlanned > 1) {
+    const { x, z } = navigation.destination;
+    navigateTo(x, z, { walk: navigation.autoWalk, run: navigation.run, replan: true });
+    return null;
+  }
+  
+  if (!navigation.autoWalk) return null;
+  
+  // Walking into something: plan again, then give up and hand back the keys
+  const checkpoint = navigation.checkpoint;
+  if (clock.elapsedTime - checkpoint.time > STUCK_CHECK_INTERVAL) {
+    if (Math.hypot(feet.x - checkpoint.x, feet.z - checkpoint.z) < STUCK_DISTANCE) {
+      navigation.stuck++;
+      if (navigation.stuck > STUCK_RETRIES) {
+        navigation.autoWalk = false;
+        showMessage('🧭 Stuck - walk the rest of the way yourself');
+        return null;
+      }
+      const { x, z } = navigation.destination;
+      navigateTo(x, z, { walk: true, run: navigation.run, replan: true });
+      return null;
+    }
+    navigation.checkpoint = { x: feet.x, z: feet.z, time: clock.elapsedTime };
+  }
+  
+  return progress.target;
+}
 
 // ============================================================================
 // INPUT HANDLERS
 // ============================================================================
 
 document.addEventListener('click', () => {
-  if (!isLocked) {
+  // Wait for the continue / new walk choice; the map takes its own clicks
+  if (!isLocked && !pendingSave && !minimap.isOpen()) {
     renderer.domElement.requestPointerLock();
   }
 });
@@ -339,22 +799,36 @@ document.addEventListener('pointerlockchange', () => {
   
   if (isLocked) {
     loadingEl.style.display = 'none';
-    crosshairEl.style.display = 'block';
-    controlsEl.style.display = 'block';
+    saveGame.start();
+    // Photo mode keeps the HUD hidden
+    if (!photoMode.isActive()) {
+      crosshairEl.style.display = 'block';
+      controlsEl.style.display = 'block';
+      minimap.setVisible(true);
+    }
   } else {
     crosshairEl.style.display = 'none';
   }
 });
 
 document.addEventListener('mousemove', (e) => {
-  if (!isLocked) return;
+  if (!isLocked || photoMode.isActive()) return;
   
+  cameraMove.active = false;
   cameraOrbit.angleY -= e.movementX * CONFIG.MOUSE_SENSITIVITY;
   cameraOrbit.angleX -= e.movementY * CONFIG.MOUSE_SENSITIVITY;
   cameraOrbit.angleX = Math.max(-Math.PI / 4, Math.min(Math.PI / 3, cameraOrbit.angleX));
 });
 
 document.addEventListener('keydown', (e) => {
+  if (chat.isOpen()) return;
+  
+  // The full map only answers to closing it
+  if (minimap.isOpen()) {
+    if (e.code === 'KeyM' || e.code === 'Escape') closeMap();
+    return;
+  }
+  
   switch (e.code) {
     case 'KeyW': case 'ArrowUp':    keys.forward = true;  break;
     case 'KeyS': case 'ArrowDown':  keys.backward = true; break;
@@ -364,6 +838,26 @@ document.addEventListener('keydown', (e) => {
     case 'ShiftLeft': 
     case 'ShiftRight':              player.isRunning = true; break;
     case 'Escape':                  document.exitPointerLock(); break;
+    case 'F3':
+      e.preventDefault();  // Browser search shortcut
+      statsOverlay.toggle();
+      break;
+    case 'KeyP':
+      photoMode.toggle();
+      break;
+    case 'KeyJ':
+      if (!photoMode.isActive()) toggleJournal();
+      break;
+    case 'KeyM':
+      if (isLocked) openMap();
+      break;
+    case 'Enter':
+    case 'KeyT':
+      if (isLocked) {
+        e.preventDefault();  // Don't type the 'T' into the chat box
+        chat.open();
+      }
+      break;
   }
 });
 
@@ -395,366 +889,306 @@ document.addEventListener('wheel', (e) => {
 // ============================================================================
 
 const loader = new GLTFLoader();
+
+// Mirror from ?mirror=, falling back to the default if it isn't a usable URL
+const mirrorParam = URL_PARAMS.get('mirror');
+const mirrorBase = mirrorParam ? parseMirrorBase(mirrorParam) : null;
+if (mirrorParam && !mirrorBase) {
+  console.warn(`⚠️ Ignoring ?mirror=${mirrorParam} (not an absolute http(s) URL), using the GitHub release`);
+}
+const assets = createAssetResolver({ mirrors: getMirrors(mirrorBase) });
 const progressBar = document.getElementById('progress-bar');
 
 const dracoLoader = new DRACOLoader();
-dracoLoader.setDecoderPath('https://www.gstatic.com/draco/versioned/decoders/1.5.6/');
-dracoLoader.setDecoderConfig({ type: 'js' });
+dracoLoader.setDecoderPath(DRACO_DECODER_PATH);
 loader.setDRACOLoader(dracoLoader);
+loader.setMeshoptDecoder(MeshoptDecoder);
 
-/**
- * Create a simple character with animatable limbs
- * Character parts stored for procedural animation
- */
-let charParts = {}; // Store references to animate
-
-function createFallbackCharacter() {
-  const group = new THREE.Group();
-  
-  // -- TORSO (main body) --
-  const torsoGeom = new THREE.BoxGeometry(0.5, 0.7, 0.3);
-  const torsoMat = new THREE.MeshStandardMaterial({ 
-    color: 0x3498db, // Blue shirt
-    roughness: 0.7
-  });
-  const torso = new THREE.Mesh(torsoGeom, torsoMat);
-  torso.position.y = 1.1;
-  torso.castShadow = true;
-  group.add(torso);
-  charParts.torso = torso;
-  
-  // -- HEAD --
-  const headGeom = new THREE.SphereGeometry(0.22, 16, 16);
-  const headMat = new THREE.MeshStandardMaterial({ 
-    color: 0xffdbac, // Skin tone
-    roughness: 0.6
-  });
-  const head = new THREE.Mesh(headGeom, headMat);
-  head.position.y = 1.65;
-  head.castShadow = true;
-  group.add(head);
-  charParts.head = head;
-  
-  // -- HAIR (back of head visible) --
-  const hairGeom = new THREE.SphereGeometry(0.24, 16, 16, 0, Math.PI * 2, 0, Math.PI / 2);
-  const hairMat = new THREE.MeshStandardMaterial({ color: 0x4a3728, roughness: 0.9 });
-  const hair = new THREE.Mesh(hairGeom, hairMat);
-  hair.position.y = 1.7;
-  hair.rotation.x = Math.PI;
-  hair.castShadow = true;
-  group.add(hair);
-  
-  // -- LEGS (pivots at hip) --
-  const legGeom = new THREE.BoxGeometry(0.15, 0.55, 0.15);
-  const legMat = new THREE.MeshStandardMaterial({ color: 0x2c3e50, roughness: 0.8 }); // Dark pants
-  
-  // Left leg pivot
-  const leftLegPivot = new THREE.Group();
-  leftLegPivot.position.set(-0.13, 0.75, 0);
-  const leftLeg = new THREE.Mesh(legGeom, legMat);
-  leftLeg.position.y = -0.275; // Offset from pivot
-  leftLeg.castShadow = true;
-  leftLegPivot.add(leftLeg);
-  group.add(leftLegPivot);
-  charParts.leftLeg = leftLegPivot;
-  
-  // Right leg pivot
-  const rightLegPivot = new THREE.Group();
-  rightLegPivot.position.set(0.13, 0.75, 0);
-  const rightLeg = new THREE.Mesh(legGeom, legMat);
-  rightLeg.position.y = -0.275;
-  rightLeg.castShadow = true;
-  rightLegPivot.add(rightLeg);
-  group.add(rightLegPivot);
-  charParts.rightLeg = rightLegPivot;
-  
-  // -- FEET --
-  const footGeom = new THREE.BoxGeometry(0.15, 0.1, 0.22);
-  const footMat = new THREE.MeshStandardMaterial({ color: 0x1a1a1a, roughness: 0.9 }); // Black shoes
-  
-  const leftFoot = new THREE.Mesh(footGeom, footMat);
-  leftFoot.position.set(0, -0.55, 0.03);
-  leftFoot.castShadow = true;
-  leftLegPivot.add(leftFoot);
-  
-  const rightFoot = new THREE.Mesh(footGeom, footMat);
-  rightFoot.position.set(0, -0.55, 0.03);
-  rightFoot.castShadow = true;
-  rightLegPivot.add(rightFoot);
-  
-  // -- ARMS (pivots at shoulder) --
-  const armGeom = new THREE.BoxGeometry(0.12, 0.45, 0.12);
-  const armMat = new THREE.MeshStandardMaterial({ color: 0x3498db, roughness: 0.7 }); // Match shirt
-  
-  // Left arm pivot
-  const leftArmPivot = new THREE.Group();
-  leftArmPivot.position.set(-0.35, 1.35, 0);
-  const leftArm = new THREE.Mesh(armGeom, armMat);
-  leftArm.position.y = -0.225;
-  leftArm.castShadow = true;
-  leftArmPivot.add(leftArm);
-  group.add(leftArmPivot);
-  charParts.leftArm = leftArmPivot;
-  
-  // Right arm pivot
-  const rightArmPivot = new THREE.Group();
-  rightArmPivot.position.set(0.35, 1.35, 0);
-  const rightArm = new THREE.Mesh(armGeom, armMat);
-  rightArm.position.y = -0.225;
-  rightArm.castShadow = true;
-  rightArmPivot.add(rightArm);
-  group.add(rightArmPivot);
-  charParts.rightArm = rightArmPivot;
-  
-  // -- HANDS (skin colored) --
-  const handGeom = new THREE.SphereGeometry(0.06, 8, 8);
-  const handMat = new THREE.MeshStandardMaterial({ color: 0xffdbac, roughness: 0.6 });
-  
-  const leftHand = new THREE.Mesh(handGeom, handMat);
-  leftHand.position.y = -0.48;
-  leftArmPivot.add(leftHand);
-  
-  const rightHand = new THREE.Mesh(handGeom, handMat);
-  rightHand.position.y = -0.48;
-  rightArmPivot.add(rightHand);
-  
-  console.log('👤 Fallback character created with animatable limbs');
-  return group;
-}
-
-/**
- * Update procedural walking animation
- * @param {number} delta - Time delta
- * @param {boolean} isMoving - Whether character is moving
- * @param {boolean} isRunning - Whether character is running
- */
-function updateProceduralAnimation(delta, isMoving, isRunning) {
-  if (!charParts.leftLeg) return; // No character parts to animate
-  
-  const speed = isRunning ? 18 : 10; // Animation speed
-  const limbSwing = isRunning ? 0.8 : 0.5; // How far limbs swing
-  const bobHeight = isRunning ? 0.08 : 0.04; // Vertical bob
-  
-  if (isMoving) {
-    // Advance animation phase
-    proceduralAnim.phase += delta * speed;
-    if (proceduralAnim.phase > Math.PI * 2) {
-      proceduralAnim.phase -= Math.PI * 2;
-    }
-    
-    // Calculate limb positions using sin/cos
-    const swing = Math.sin(proceduralAnim.phase) * limbSwing;
-    const bob = Math.abs(Math.sin(proceduralAnim.phase * 2)) * bobHeight;
-    
-    // Legs swing opposite to each other
-    charParts.leftLeg.rotation.x = swing;
-    charParts.rightLeg.rotation.x = -swing;
-    
-    // Arms swing opposite to legs (natural walking motion)
-    charParts.leftArm.rotation.x = -swing * 0.8;
-    charParts.rightArm.rotation.x = swing * 0.8;
-    
-    // Body bob
-    if (charParts.torso) {
-      charParts.torso.position.y = 1.1 + bob;
-      charParts.head.position.y = 1.65 + bob;
-    }
-    
-    // Slight torso lean forward when running
-    if (isRunning && characterModel) {
-      charParts.torso.rotation.x = 0.1;
-    } else if (charParts.torso) {
-      charParts.torso.rotation.x = 0;
-    }
-  } else {
-    // Idle - smoothly return to neutral pose
-    const returnSpeed = 8;
-    
-    charParts.leftLeg.rotation.x *= Math.max(0, 1 - delta * returnSpeed);
-    charParts.rightLeg.rotation.x *= Math.max(0, 1 - delta * returnSpeed);
-    charParts.leftArm.rotation.x *= Math.max(0, 1 - delta * returnSpeed);
-    charParts.rightArm.rotation.x *= Math.max(0, 1 - delta * returnSpeed);
-    
-    if (charParts.torso) {
-      charParts.torso.position.y = 1.1;
-      charParts.head.position.y = 1.65;
-      charParts.torso.rotation.x = 0;
-    }
-    
-    // Subtle idle breathing
-    const breathe = Math.sin(Date.now() * 0.002) * 0.01;
-    if (charParts.torso) {
-      charParts.torso.position.y += breathe;
-    }
-  }
-}
-
-// ALWAYS use fallback character for now (reliable visibility)
-// TODO: Fix character.glb scaling issue later
-console.log('👤 Using fallback capsule character (reliable)');
+// Show the procedural character right away, and swap in character.glb
+// once it has loaded
 characterModel = createFallbackCharacter();
 scene.add(characterModel);
 
-// Load city map
-loader.load(
-  MAP_URL,
+assets.loadGLTF(loader, CHARACTER_ASSET).then(
   (gltf) => {
-    const model = gltf.scene;
-    
-    // Get bounds
-    const box = new THREE.Box3().setFromObject(model);
-    const center = box.getCenter(new THREE.Vector3());
-    const size = box.getSize(new THREE.Vector3());
+    const model = prepareCharacterModel(gltf.scene, CONFIG.PLAYER_HEIGHT);
+    const animator = createCharacterAnimator(model, gltf.animations, {
+      walkSpeed: CONFIG.PLAYER_SPEED,
+      runSpeed: CONFIG.PLAYER_SPEED * CONFIG.RUN_MULTIPLIER
+    });
     
-    console.log('🏙️ Map loaded! Size:', size);
+    if (!animator) {
+      console.warn('👤 character.glb has no idle/walk clips - keeping the procedural character');
+      return;
+    }
     
-    // Process all meshes
-    model.traverse((child) => {
+    // Replace the fallback
+    scene.remove(characterModel);
+    characterModel.traverse((child) => {
       if (child.isMesh) {
-        child.castShadow = true;
-        child.receiveShadow = true;
-        
-        // Add ALL meshes to collision detection
-        // This includes floors, walls, rooftops, stairs, etc.
-        collisionMeshes.push(child);
+        child.geometry.dispose();
+        child.material.dispose();
       }
     });
     
-    console.log(`📦 Collision meshes: ${collisionMeshes.length}`);
-    
-    scene.add(model);
-    
-    // Set spawn point
-    player.position.set(center.x, center.y + 20, center.z + 10);
-    
-    // Find ground at spawn
-    const groundY = getGroundHeight(player.position);
-    if (groundY !== null) {
-      player.position.y = groundY + CONFIG.PLAYER_HEIGHT;
-      player.groundHeight = groundY;
-    }
-    
-    progressBar.style.width = '100%';
-    loadingEl.querySelector('h1').textContent = '✨ Click to Explore';
-  },
-  (progress) => {
-    if (progress.total > 0) {
-      const percent = (progress.loaded / progress.total) * 100;
-      progressBar.style.width = percent + '%';
-    }
+    characterModel = model;
+    characterAnimator = animator;
+    scene.add(characterModel);
+    console.log('👤 Character model loaded');
   },
   (error) => {
-    console.error('Error loading map:', error);
-    console.log('🏗️ Creating procedural city fallback...');
-    createProceduralCity();
-    progressBar.style.width = '100%';
-    loadingEl.querySelector('h1').textContent = '✨ Click to Explore (Demo City)';
+    console.warn('👤 Could not load character.glb - using the procedural character', error);
   }
 );
 
+/** Map materials whose names match this glow at night */
+const NIGHT_LIGHT_PATTERN = /window|glass|lamp|light|neon/i;
+
+/** Map materials whose names match this look wet in the rain */
+const WET_SURFACE_PATTERN = /road|street|asphalt|pavement|sidewalk|ground|floor|roof/i;
+
+/** Warm interior light color used for lit windows */
+const WINDOW_LIGHT_COLOR = 0xffd28a;
+
+/** Bounds of the loaded city (benchmark rays are cast inside it) */
+const cityBounds = new THREE.Box3();
+
 /**
- * Creates a simple procedural city when the main map fails to load
+ * Called once the city's collision meshes are registered
+ * @param {THREE.Box3} bounds - City bounds
  */
-function createProceduralCity() {
-  const citySize = 100;
-  const blockSize = 15;
-  const streetWidth = 5;
-  
-  // Building materials
-  const buildingColors = [0x8b7355, 0xa0522d, 0xcd853f, 0xdeb887, 0xf5deb3, 0x87ceeb];
-  
-  // Create buildings in a grid
-  for (let x = -citySize/2; x < citySize/2; x += blockSize + streetWidth) {
-    for (let z = -citySize/2; z < citySize/2; z += blockSize + streetWidth) {
-      // Random building dimensions
-      const width = 5 + Math.random() * 8;
-      const depth = 5 + Math.random() * 8;
-      const height = 5 + Math.random() * 25;
-      
-      // Create building
-      const geometry = new THREE.BoxGeometry(width, height, depth);
-      const material = new THREE.MeshStandardMaterial({
-        color: buildingColors[Math.floor(Math.random() * buildingColors.length)],
-        roughness: 0.8
-      });
-      
-      const building = new THREE.Mesh(geometry, material);
-      building.position.set(
-        x + blockSize/2 + (Math.random() - 0.5) * 3,
-        height/2,
-        z + blockSize/2 + (Math.random() - 0.5) * 3
-      );
-      building.castShadow = true;
-      building.receiveShadow = true;
-      
-      scene.add(building);
-      collisionMeshes.push(building);
-      
-      // Add rooftop collision (walkable surface)
-      const roofGeom = new THREE.BoxGeometry(width + 0.5, 0.5, depth + 0.5);
-      const roofMat = new THREE.MeshStandardMaterial({ color: 0x555555, roughness: 0.9 });
-      const roof = new THREE.Mesh(roofGeom, roofMat);
-      roof.position.set(building.position.x, height + 0.25, building.position.z);
-      roof.receiveShadow = true;
-      scene.add(roof);
-      collisionMeshes.push(roof);
-    }
+function onCityReady(bounds) {
+  cityBounds.copy(bounds);
+  
+  const stats = collisionWorld.getStats();
+  console.log(`🧱 Collision world: ${stats.meshes} meshes, ${stats.triangles} triangles, ${stats.cells} grid cells`);
+  
+  // Let the first frame render before the (slow) brute-force pass
+  if (URL_PARAMS.has('benchmark')) {
+    setTimeout(() => window.debug.benchmarkRaycasts(), 1000);
   }
+}
+
+/**
+ * Build the demo city and finish loading
+ * @param {string} [seed] - Default: ?seed=..., or the shared default seed
+ */
+function loadProceduralCity(seed = URL_PARAMS.get('seed') || DEFAULT_CITY_SEED) {
+  const { minX, maxX, minZ, maxZ, maxY } = createProceduralCity(seed).bounds;
+  onCityReady(new THREE.Box3(new THREE.Vector3(minX, 0, minZ), new THREE.Vector3(maxX, maxY, maxZ)));
+  progressBar.style.width = '100%';
+  loadingEl.querySelector('h1').textContent = '✨ Click to Explore (Demo City)';
+  offerSavedWalk();
+}
+
+/**
+ * Set up a map mesh: shadows, night lights, wet surfaces and collision.
+ * Simplified LOD meshes only stand in for distant chunks, so they neither
+ * cast shadows nor collide.
+ * @param {THREE.Mesh} child
+ * @param {boolean} [fullDetail=true] - Whether this is the chunk's full-detail level
+ */
+function prepareMapMesh(child, fullDetail = true) {
+  child.castShadow = fullDetail;
+  child.receiveShadow = true;
   
-  // Create some stairs/ramps to rooftops
-  for (let i = 0; i < 10; i++) {
-    const stairX = (Math.random() - 0.5) * citySize * 0.8;
-    const stairZ = (Math.random() - 0.5) * citySize * 0.8;
-    const stairHeight = 3 + Math.random() * 8;
-    
-    // Create stair steps
-    for (let step = 0; step < stairHeight; step++) {
-      const stepGeom = new THREE.BoxGeometry(2, 0.3, 1);
-      const stepMat = new THREE.MeshStandardMaterial({ color: 0x808080 });
-      const stepMesh = new THREE.Mesh(stepGeom, stepMat);
-      stepMesh.position.set(stairX, step * 0.5 + 0.15, stairZ + step * 0.5);
-      stepMesh.receiveShadow = true;
-      stepMesh.castShadow = true;
-      scene.add(stepMesh);
-      collisionMeshes.push(stepMesh);
+  // Windows and lamps glow at night
+  const materials = Array.isArray(child.material) ? child.material : [child.material];
+  for (const material of materials) {
+    if (material && material.emissive && NIGHT_LIGHT_PATTERN.test(material.name)) {
+      if (material.emissive.getHex() === 0) material.emissive.setHex(WINDOW_LIGHT_COLOR);
+      dayNight.registerNightLight(material, 1.5);
+    }
+    if (material && WET_SURFACE_PATTERN.test(material.name)) {
+      weather.registerWetSurface(material);
     }
   }
   
-  // Add some crates for jumping/parkour
-  for (let i = 0; i < 30; i++) {
-    const crateSize = 0.5 + Math.random() * 1;
-    const crateGeom = new THREE.BoxGeometry(crateSize, crateSize, crateSize);
-    const crateMat = new THREE.MeshStandardMaterial({ color: 0x8b4513, roughness: 0.9 });
-    const crate = new THREE.Mesh(crateGeom, crateMat);
-    crate.position.set(
-      (Math.random() - 0.5) * citySize,
-      crateSize/2,
-      (Math.random() - 0.5) * citySize
-    );
-    crate.castShadow = true;
-    crate.receiveShadow = true;
-    scene.add(crate);
-    collisionMeshes.push(crate);
+  // Add all full-detail meshes to collision detection
+  // This includes floors, walls, rooftops, stairs, etc.
+  if (fullDetail) addCollisionMesh(child);
+}
+
+/**
+ * Undo prepareMapMesh before a map chunk is unloaded
+ * @param {THREE.Mesh} child
+ */
+function releaseMapMesh(child) {
+  const materials = Array.isArray(child.material) ? child.material : [child.material];
+  for (const material of materials) {
+    dayNight.unregisterNightLight(material);
+    weather.unregisterWetSurface(material);
+  }
+  removeCollisionMesh(child);
+}
+
+/**
+ * Put the player above the middle of the map and drop them onto the ground
+ * @param {THREE.Box3} box - Map bounds
+ */
+function spawnOnMap(box) {
+  const center = box.getCenter(new THREE.Vector3());
+  player.position.set(center.x, center.y + 20, center.z + 10);
+  
+  // Find ground at spawn
+  const groundY = getGroundHeight(player.position);
+  if (groundY !== null) {
+    player.position.y = groundY + CONFIG.PLAYER_HEIGHT;
+    player.groundHeight = groundY;
   }
+}
+
+/** Streams map chunks around the player (null unless a chunked map exists) */
+let mapStreamer = null;
+
+/** The procedural city being walked, or null on the real map: { layout, city } */
+let proceduralCity = null;
+
+/**
+ * Load the chunked map written by scripts/tile-map.js, waiting for the
+ * chunks around the spawn point before letting the player in
+ */
+async function loadStreamedMap() {
+  const streamer = createMapStreamer({
+    manifestUrl: MAP_MANIFEST_URL,
+    loader,
+    scene,
+    loadRadius: CONFIG.MAP_LOAD_RADIUS,
+    unloadRadius: CONFIG.MAP_UNLOAD_RADIUS,
+    lodRadius: CONFIG.MAP_LOD_RADIUS,
+    lod: URL_PARAMS.get('lod') !== 'off',
+    onChunkLoad: (root, chunk, level) => root.traverse(child => child.isMesh && prepareMapMesh(child, level === 0)),
+    onChunkUnload: (root) => root.traverse(child => child.isMesh && releaseMapMesh(child))
+  });
   
-  console.log(`🏙️ Procedural city created with ${collisionMeshes.length} collision meshes`);
+  const manifest = await streamer.init();
+  mapStreamer = streamer;
   
-  // Set player spawn in a street intersection with clear view of buildings
-  // Grid: buildings at intervals of 20 (blockSize 15 + streetWidth 5)
-  // Street centers are at -40, -20, 0, 20, 40 etc.
-  // Spawn at (10, y, 10) which is in a street with buildings visible
-  player.position.set(10, CONFIG.PLAYER_HEIGHT, 10);
-  player.groundHeight = 0;
-  player.rotation = Math.PI / 4; // Face toward city center
+  const box = new THREE.Box3(
+    new THREE.Vector3().fromArray(manifest.bounds.min),
+    new THREE.Vector3().fromArray(manifest.bounds.max)
+  );
+  const center = box.getCenter(new THREE.Vector3());
+  player.position.set(center.x, center.y + 20, center.z + 10);
   
-  // Also reset camera position immediately (no smooth follow for initial position)
-  const camX = player.position.x + Math.sin(cameraOrbit.angleY) * cameraOrbit.distance;
-  const camZ = player.position.z + Math.cos(cameraOrbit.angleY) * cameraOrbit.distance;
-  const camY = player.position.y + CONFIG.CAMERA_HEIGHT;
-  camera.position.set(camX, camY, camZ);
-  camera.lookAt(player.position.x, player.position.y - 0.5, player.position.z);
+  streamer.update(player.position);
+  progressBar.style.width = '30%';
+  await streamer.whenIdle();
+  
+  console.log(`📦 Collision meshes: ${collisionMeshes.length}`);
+  onCityReady(box);
+  spawnOnMap(box);
+  
+  progressBar.style.width = '100%';
+  loadingEl.querySelector('h1').textContent = '✨ Click to Explore';
+  offerSavedWalk();
+}
+
+/** Load the whole map as a single GLB (when no chunked map is available) */
+function loadFullMap() {
+  const onProgress = (progress) => {
+    if (progress.total > 0) {
+      const percent = (progress.loaded / progress.total) * 100;
+      progressBar.style.width = percent + '%';
+    }
+  };
   
-  console.log(`🎯 Player spawned at (${player.position.x}, ${player.position.y}, ${player.position.z})`);
+  assets.loadGLTF(loader, MAP_ASSET, onProgress).then(
+    (gltf) => {
+      const model = gltf.scene;
+      
+      // Get bounds
+      const box = new THREE.Box3().setFromObject(model);
+      const size = box.getSize(new THREE.Vector3());
+      
+      console.log('🏙️ Map loaded! Size:', size);
+      
+      // Process all meshes
+      model.traverse((child) => {
+        if (child.isMesh) prepareMapMesh(child);
+      });
+      
+      console.log(`📦 Collision meshes: ${collisionMeshes.length}`);
+      
+      scene.add(model);
+      onCityReady(box);
+      spawnOnMap(box);
+      
+      progressBar.style.width = '100%';
+      loadingEl.querySelector('h1').textContent = '✨ Click to Explore';
+      offerSavedWalk();
+    },
+    (error) => {
+      console.error('Error loading map:', error);
+      console.log('🏗️ Creating procedural city fallback...');
+      loadProceduralCity();
+    }
+  );
+}
+
+// Load city map: chunked if available, else the single GLB, else procedural
+if (URL_PARAMS.get('map') === 'procedural') {
+  console.log('🏗️ Procedural city requested');
+  loadProceduralCity();
+} else {
+  loadStreamedMap().catch((error) => {
+    console.log('🧩 No chunked map (' + error.message + '), loading the full map');
+    loadFullMap();
+  });
+}
+
+/**
+ * Build the seeded procedural city (see cityGenerator.js), replacing the
+ * previous one, and put the player at its spawn point
+ * @param {string} seed
+ * @returns {Object} The city layout
+ */
+function createProceduralCity(seed) {
+  removeProceduralCity();
+  
+  const layout = generateCity(seed);
+  const city = buildCity(layout);
+  scene.add(city.group);
+  city.colliders.forEach(addCollisionMesh);
+  city.nightLights.forEach(({ material, intensity }) => dayNight.registerNightLight(material, intensity));
+  city.wetSurfaces.forEach(material => weather.registerWetSurface(material));
+  if (city.lift) addMovingPlatform(city.lift.mesh, city.lift.update);
+  
+  // Crates and balls can be pushed around
+  for (const { mesh, shape } of city.props) {
+    addCollisionMesh(mesh);
+    physics.addBody(mesh, { shape });
+  }
+  
+  proceduralCity = { layout, city };
+  console.log(`🏙️ Procedural city "${seed}": ${layout.buildings.length} buildings, ${layout.stairs.length} stairways, ${layout.parks.length} parks, ${collisionMeshes.length} collision meshes`);
+  
+  // Spawn at the intersection nearest the middle
+  teleportPlayer(layout.spawn.x, CONFIG.PLAYER_HEIGHT, layout.spawn.z);
+  player.rotation = layout.spawn.rotation;
+  
+  snapCamera();
+  
+  console.log(`🎯 Player spawned at (${player.position.x.toFixed(1)}, ${player.position.y.toFixed(1)}, ${player.position.z.toFixed(1)})`);
+  return layout;
+}
+
+/** Take the procedural city out of the scene, collision world and physics */
+function removeProceduralCity() {
+  if (!proceduralCity) return;
+  
+  const { city } = proceduralCity;
+  city.colliders.forEach(removeCollisionMesh);
+  for (const { mesh } of city.props) {
+    removeCollisionMesh(mesh);
+    physics.removeBody(mesh);
+  }
+  if (city.lift) removeMovingPlatform(city.lift.mesh);
+  city.nightLights.forEach(({ material }) => dayNight.unregisterNightLight(material));
+  city.wetSurfaces.forEach(material => weather.unregisterWetSurface(material));
+  scene.remove(city.group);
+  city.dispose();
+  proceduralCity = null;
 }
 
 // Fallback ground plane
@@ -765,23 +1199,345 @@ ground.rotation.x = -Math.PI / 2;
 ground.position.y = -0.1;
 ground.receiveShadow = true;
 scene.add(ground);
-collisionMeshes.push(ground);
+weather.registerWetSurface(groundMat);
+addCollisionMesh(ground);
 
 // ============================================================================
-// ANIMATION HELPERS
+// REMOTE CONTROL
+// Commands relayed by server.js from the /control connection
 // ============================================================================
 
-function switchAnimation(newAction) {
-  if (!newAction || newAction === currentAction) return;
+/**
+ * Move the player and snap them onto the ground below the target point
+ * @param {number} x
+ * @param {number} y
+ * @param {number} z
+ */
+function teleportPlayer(x, y, z) {
+  player.position.set(x, y, z);
+  player.velocity.set(0, 0, 0);
+  characterController.reset();
+  
+  const groundY = getGroundHeight(player.position);
+  if (groundY !== null) {
+    player.position.y = groundY + CONFIG.PLAYER_HEIGHT;
+    player.groundHeight = groundY;
+  }
+}
+
+let messageTimer = null;
+
+/**
+ * Show a message in the on-screen overlay
+ * @param {string} text - Message text
+ * @param {number} [duration=3000] - How long to show it (ms)
+ */
+function showMessage(text, duration = 3000) {
+  messageEl.textContent = text;
+  messageEl.classList.add('visible');
+  
+  clearTimeout(messageTimer);
+  messageTimer = setTimeout(() => messageEl.classList.remove('visible'), duration);
+}
+
+/** Active camera shake (applied on top of the orbit camera) */
+const cameraShake = {
+  intensity: 0,
+  duration: 0,
+  remaining: 0
+};
+
+/**
+ * Trigger a visual effect
+ * @param {string} name - 'shake' or 'flash'
+ * @param {Object} [params] - Effect parameters
+ */
+function triggerEffect(name, params = {}) {
+  switch (name) {
+    case 'shake':
+      cameraShake.intensity = params.intensity ?? 0.3;
+      cameraShake.duration = (params.duration ?? 500) / 1000;
+      cameraShake.remaining = cameraShake.duration;
+      break;
+      
+    case 'flash':
+      flashEl.style.transition = 'none';
+      flashEl.style.background = params.color || '#fff';
+      flashEl.style.opacity = 1;
+      // Force a reflow so the fade-out transition starts from full opacity
+      void flashEl.offsetWidth;
+      flashEl.style.transition = `opacity ${params.duration ?? 500}ms ease-out`;
+      flashEl.style.opacity = 0;
+      break;
+      
+    default:
+      console.warn('Unknown effect:', name);
+  }
+}
+
+/** Orbit camera glide started by the cameraMove command */
+const cameraMove = {
+  from: { angleX: 0, angleY: 0, distance: 0 },
+  to: { angleX: 0, angleY: 0, distance: 0 },
+  duration: 0,
+  elapsed: 0,
+  active: false
+};
+
+/**
+ * Glide the orbit camera to new angles and/or distance
+ * @param {Object} target
+ * @param {number} [target.rx] - Pitch (same as the look command)
+ * @param {number} [target.ry] - Yaw
+ * @param {number} [target.distance] - Distance from the player
+ * @param {number} [duration=1000] - Milliseconds
+ */
+function startCameraMove({ rx, ry, distance }, duration = 1000) {
+  cameraMove.from = { ...cameraOrbit };
+  cameraMove.to = {
+    angleX: rx ?? cameraOrbit.angleX,
+    // Turn the short way round
+    angleY: ry === undefined ? cameraOrbit.angleY
+      : cameraOrbit.angleY + Math.atan2(Math.sin(ry - cameraOrbit.angleY), Math.cos(ry - cameraOrbit.angleY)),
+    distance: distance === undefined ? cameraOrbit.distance
+      : Math.max(CONFIG.CAMERA_MIN_DISTANCE, Math.min(CONFIG.CAMERA_MAX_DISTANCE, distance))
+  };
+  cameraMove.duration = Math.max(duration, 1) / 1000;
+  cameraMove.elapsed = 0;
+  cameraMove.active = true;
+}
+
+/**
+ * Advance the camera glide (eased at both ends)
+ * @param {number} delta - Seconds
+ */
+function updateCameraMove(delta) {
+  if (!cameraMove.active) return;
+  
+  cameraMove.elapsed = Math.min(cameraMove.elapsed + delta, cameraMove.duration);
+  const t = cameraMove.elapsed / cameraMove.duration;
+  const eased = t * t * (3 - 2 * t);
+  for (const key of ['angleX', 'angleY', 'distance']) {
+    cameraOrbit[key] = cameraMove.from[key] + (cameraMove.to[key] - cameraMove.from[key]) * eased;
+  }
+  if (t >= 1) cameraMove.active = false;
+}
+
+/** Objects placed by the spawn command (the server keeps the list) */
+const spawnedObjects = createSpawnedObjects({
+  scene,
+  loadModel: name => assets.loadGLTF(loader, name),
+  addCollider: addCollisionMesh,
+  removeCollider: removeCollisionMesh,
+  updateCollider: mesh => collisionWorld.updateMesh(mesh)
+});
+
+/**
+ * Apply a message received from the game server
+ * @param {Object} msg - Parsed server message
+ */
+function handleServerMessage(msg) {
+  switch (msg.type) {
+    case 'sync':
+      // Initial state on connect: world settings and spawned objects, the
+      // local player keeps their own position
+      worldSynced = true;
+      if (typeof msg.state.time === 'number') {
+        dayNight.setTime(msg.state.time, { pinned: !!msg.state.timePinned });
+      }
+      if (msg.state.weather) weather.setWeather(msg.state.weather, { immediate: true });
+      if (Array.isArray(msg.state.objects)) spawnedObjects.sync(msg.state.objects);
+      if (Array.isArray(msg.state.pois)) pointsOfInterest.sync(msg.state.pois);
+      break;
+      
+    case 'welcome':
+      // Our session ID and everyone already walking around
+      remotePlayers.handleWelcome(msg);
+      console.log(`👥 Joined as ${msg.id} (${msg.players.length} other players online)`);
+      break;
+      
+    case 'playerJoin':
+      remotePlayers.handleJoin(msg);
+      break;
+      
+    case 'playerLeave':
+      remotePlayers.handleLeave(msg);
+      break;
+      
+    case 'players':
+      remotePlayers.handleSnapshot(msg);
+      break;
+      
+    case 'chat': {
+      // Nearby player (or us) said something
+      const isLocal = msg.from === remotePlayers.getLocalId();
+      const speaker = isLocal ? characterModel : remotePlayers.getModel(msg.from);
+      chat.addMessage(isLocal ? 'You' : msg.from, msg.text, speaker);
+      break;
+    }
+      
+    case 'error':
+      chat.addSystemLine(msg.message);
+      break;
+      
+    case 'teleport':
+      teleportPlayer(msg.x, msg.y, msg.z);
+      break;
+      
+    case 'goto':
+      navigateTo(msg.x, msg.z, { walk: true, run: !!msg.run });
+      break;
+      
+    case 'look':
+      cameraMove.active = false;
+      if (typeof msg.rx === 'number') cameraOrbit.angleX = msg.rx;
+      if (typeof msg.ry === 'number') cameraOrbit.angleY = msg.ry;
+      break;
+      
+    case 'cameraMove':
+      startCameraMove(msg, msg.duration);
+      break;
+      
+    case 'cinematic':
+      if (msg.action === 'stop') {
+        cinematics.stop();
+      } else {
+        try {
+          cinematics.play(msg.path, { origin: player.position });
+        } catch (e) {
+          console.warn('Invalid camera path:', e.message);
+        }
+      }
+      break;
+      
+    case 'rotate':
+      if (typeof msg.angle === 'number') player.rotation = msg.angle;
+      break;
+      
+    case 'spawn':
+      spawnedObjects.spawn(msg.object);
+      break;
+      
+    case 'despawn':
+      if (msg.objectId === 'all') spawnedObjects.clear();
+      else spawnedObjects.despawn(msg.objectId);
+      break;
+      
+    case 'moveObject':
+      spawnedObjects.move(msg.objectId, msg.position, msg.rotation);
+      break;
+      
+    case 'addPoi':
+      pointsOfInterest.add(msg.poi);
+      if (journalEl.style.display !== 'none') renderJournal();
+      break;
+      
+    case 'removePoi':
+      pointsOfInterest.remove(msg.poiId);
+      if (journalEl.style.display !== 'none') renderJournal();
+      break;
+      
+    case 'time':
+      dayNight.setTime(msg.value, { pinned: !!msg.pinned });
+      break;
+      
+    case 'weather':
+      weather.setWeather(msg.value);
+      break;
+      
+    case 'message':
+      showMessage(msg.text, msg.duration);
+      break;
+      
+    case 'effect':
+      triggerEffect(msg.name, msg.params);
+      break;
+      
+    default:
+      console.warn('Unknown server message:', msg.type);
+  }
+}
+
+const serverUrl = getServerUrl();
+const serverConnection = serverUrl
+  ? connectToServer({
+      url: serverUrl,
+      onMessage: handleServerMessage,
+      onClose: () => remotePlayers.clear()
+    })
+  : null;
+
+/**
+ * Start or stop an emote and tell the other players
+ * @param {string|null} name - Emote name, or null to stop
+ */
+function setEmote(name) {
+  if (player.emote === name) return;
+  player.emote = name;
+  if (serverConnection) serverConnection.send({ type: 'emote', name });
+}
+
+/** Chat UI: the text input, message log and speech bubbles */
+const chat = createChat({
+  onSend: (text) => {
+    if (!serverConnection || !serverConnection.send({ type: 'chat', text })) {
+      chat.addSystemLine('Not connected - chat needs the game server');
+    }
+  },
+  onEmote: setEmote,
+  onToggle: (open) => {
+    // Don't keep walking while typing
+    if (open) {
+      keys.forward = keys.backward = keys.left = keys.right = keys.jump = false;
+      player.isRunning = false;
+    }
+  }
+});
+
+/** Throttling state for outgoing player updates */
+const networkSync = {
+  timer: 0,
+  sinceLastSend: Infinity,
+  lastSent: ''
+};
+
+/**
+ * Send the player's state to the server (throttled)
+ * @param {number} delta - Time delta
+ */
+function sendPlayerUpdate(delta) {
+  if (!serverConnection || !serverConnection.isConnected()) return;
   
-  if (currentAction) {
-    currentAction.fadeOut(0.2);
+  networkSync.timer += delta;
+  networkSync.sinceLastSend += delta;
+  if (networkSync.timer < CONFIG.NETWORK_UPDATE_INTERVAL) return;
+  networkSync.timer = 0;
+  
+  const update = {
+    type: 'playerUpdate',
+    position: {
+      x: +player.position.x.toFixed(3),
+      y: +player.position.y.toFixed(3),
+      z: +player.position.z.toFixed(3)
+    },
+    rotation: +player.rotation.toFixed(3),
+    camera: {
+      angleX: +cameraOrbit.angleX.toFixed(3),
+      angleY: +cameraOrbit.angleY.toFixed(3)
+    },
+    anim: player.animState
+  };
+  
+  // Skip unchanged state, but still send a periodic heartbeat
+  const serialized = JSON.stringify(update);
+  if (serialized === networkSync.lastSent && networkSync.sinceLastSend < CONFIG.NETWORK_HEARTBEAT) {
+    return;
   }
   
-  newAction.reset();
-  newAction.fadeIn(0.2);
-  newAction.play();
-  currentAction = newAction;
+  if (serverConnection.send(update)) {
+    networkSync.lastSent = serialized;
+    networkSync.sinceLastSend = 0;
+  }
 }
 
 // ============================================================================
@@ -793,9 +1549,21 @@ const clock = new THREE.Clock();
 function animate() {
   requestAnimationFrame(animate);
   
-  const delta = Math.min(clock.getDelta(), 0.1);
+  const frameTime = clock.getDelta();
+  const delta = Math.min(frameTime, 0.1);
   
-  if (isLocked) {
+  // Photo mode: the world holds still while the free camera looks around
+  if (photoMode.isActive()) {
+    photoMode.update(delta);
+    if (mapStreamer) mapStreamer.update(player.position, photoMode.camera);
+    photoMode.render();
+    statsOverlay.update(frameTime);
+    return;
+  }
+  
+  updateMovingPlatforms(clock.elapsedTime);
+  
+  if (isLocked || navigation.autoWalk) {
     // ========================================
     // MOVEMENT INPUT
     // ========================================
@@ -807,7 +1575,12 @@ function animate() {
     if (keys.left)     moveDir.x -= 1;
     if (keys.right)    moveDir.x += 1;
     
-    const wantsToMove = moveDir.length() > 0;
+    const wantsToMove = isLocked && moveDir.length() > 0;
+    const move = new THREE.Vector3();
+    
+    // Movement keys take over from auto-walking (the trail stays)
+    if (wantsToMove) navigation.autoWalk = false;
+    const autoWalkTarget = updateNavigation();
     
     if (wantsToMove) {
       moveDir.normalize();
@@ -817,19 +1590,20 @@ function animate() {
       
       // Calculate speed
       const speed = CONFIG.PLAYER_SPEED * (player.isRunning ? CONFIG.RUN_MULTIPLIER : 1);
-      
-      // Calculate target position
-      const targetPos = player.position.clone();
-      targetPos.x += moveDir.x * speed * delta;
-      targetPos.z += moveDir.z * speed * delta;
-      
-      // Check wall collision
-      const safePos = checkWallCollision(player.position, targetPos);
-      player.position.x = safePos.x;
-      player.position.z = safePos.z;
+      move.set(moveDir.x, 0, moveDir.z).multiplyScalar(speed * delta);
       
       // Rotate character to face movement direction
       player.rotation = Math.atan2(moveDir.x, moveDir.z);
+    } else if (autoWalkTarget) {
+      // Head for the next corner of the path, without overshooting it
+      moveDir.set(autoWalkTarget.x - player.position.x, 0, autoWalkTarget.z - player.position.z);
+      const distance = moveDir.length();
+      if (distance > 0.01) {
+        moveDir.divideScalar(distance);
+        const speed = CONFIG.PLAYER_SPEED * (navigation.run ? CONFIG.RUN_MULTIPLIER : 1);
+        move.copy(moveDir).multiplyScalar(Math.min(speed * delta, distance));
+        player.rotation = Math.atan2(moveDir.x, moveDir.z);
+      }
     }
     
     // ========================================
@@ -843,50 +1617,64 @@ function animate() {
     
     // Apply gravity
     player.velocity.y -= CONFIG.GRAVITY * delta;
-    player.position.y += player.velocity.y * delta;
     
     // ========================================
-    // GROUND COLLISION
+    // COLLISION
     // ========================================
     
-    const groundY = getGroundHeight(player.position);
-    const targetGroundY = groundY !== null ? groundY : 0;
+    // Walls, slopes, steps, ceilings and platforms
+    const previousX = player.position.x;
+    const previousZ = player.position.z;
+    player.rotation += characterController.update(player, move, delta);
     
-    // Check if we should be on ground
-    if (player.position.y - CONFIG.PLAYER_HEIGHT <= targetGroundY + 0.1) {
-      // Check if this is a step up we can climb
-      const heightDiff = targetGroundY - player.groundHeight;
-      
-      if (heightDiff > 0 && heightDiff <= CONFIG.STEP_HEIGHT && player.onGround) {
-        // Step up smoothly
-        player.position.y = targetGroundY + CONFIG.PLAYER_HEIGHT;
-        player.velocity.y = 0;
-      } else if (player.velocity.y <= 0) {
-        // Normal ground landing
-        player.position.y = targetGroundY + CONFIG.PLAYER_HEIGHT;
-        player.velocity.y = 0;
-        player.onGround = true;
-      }
-      
-      player.groundHeight = targetGroundY;
-    } else {
-      player.onGround = false;
+    // Shove loose props we walked into
+    if (delta > 0) {
+      physics.push({
+        feet: new THREE.Vector3(player.position.x, player.position.y - CONFIG.PLAYER_HEIGHT, player.position.z),
+        radius: CONFIG.PLAYER_RADIUS,
+        height: CONFIG.PLAYER_HEIGHT,
+        velocity: move.clone().divideScalar(delta)
+      });
     }
     
+    // Landmarks we walked into
+    pointsOfInterest.update(new THREE.Vector3(player.position.x, player.position.y - CONFIG.PLAYER_HEIGHT, player.position.z));
+    
+    // Actual ground speed (lower than the input speed when sliding along walls)
+    player.speed = delta > 0 ? Math.hypot(player.position.x - previousX, player.position.z - previousZ) / delta : 0;
+    
     // Prevent falling through world
     if (player.position.y < -10) {
       player.position.y = 50;
       player.velocity.y = 0;
+      characterController.reset();
     }
     
   } // end if (isLocked)
   
+  // Props run at a fixed timestep of their own, whatever the frame rate
+  physics.update(frameTime);
+  
   // ========================================
   // CHARACTER UPDATE (always runs)
   // ========================================
   
   // Determine if character is moving
-  const isCharMoving = isLocked && (keys.forward || keys.backward || keys.left || keys.right);
+  const isAutoWalking = navigation.autoWalk && navigation.destination !== null;
+  const isCharMoving = (isLocked && (keys.forward || keys.backward || keys.left || keys.right)) || isAutoWalking;
+  
+  if (!player.onGround) {
+    player.animState = player.velocity.y > 0 ? 'jump' : 'fall';
+  } else if (isCharMoving) {
+    player.animState = player.isRunning || (isAutoWalking && navigation.run) ? 'run' : 'walk';
+  } else {
+    player.animState = 'idle';
+  }
+  
+  // Walking off cancels an emote
+  if (isCharMoving && player.emote) {
+    setEmote(null);
+  }
   
   if (characterModel) {
     // Position at player's feet
@@ -900,35 +1688,93 @@ function animate() {
     characterModel.rotation.y = player.rotation;
   }
   
-  // Update procedural animation for fallback character
-  updateProceduralAnimation(delta, isCharMoving, player.isRunning);
-  
-  // Update animation mixer (for GLTF characters with built-in animations)
-  if (characterMixer) {
-    characterMixer.update(delta);
+  if (characterAnimator) {
+    // Skeletal clips, blended by state and speed
+    characterAnimator.update(delta, player.animState, player.speed, player.emote);
+  } else {
+    // Procedural animation for fallback character
+    updateProceduralAnimation(
+      characterModel.userData.parts,
+      proceduralAnim,
+      delta,
+      isCharMoving,
+      player.isRunning,
+      player.emote
+    );
   }
   
+  // Other players (interpolated from server snapshots)
+  remotePlayers.update(delta);
+  chat.update(delta);
+  
   // ========================================
   // CAMERA - THIRD PERSON (always runs)
   // ========================================
   
+  // Glide from the cameraMove command, if any
+  updateCameraMove(delta);
+  
   // Calculate camera position behind character
   const camX = player.position.x + Math.sin(cameraOrbit.angleY) * cameraOrbit.distance;
   const camZ = player.position.z + Math.cos(cameraOrbit.angleY) * cameraOrbit.distance;
   const camY = player.position.y + CONFIG.CAMERA_HEIGHT + Math.sin(cameraOrbit.angleX) * cameraOrbit.distance * 0.5;
   
-  // Smooth camera follow
+  // Smooth camera follow (of the unobstructed position)
   const smoothness = 10.0;
   const t = 1 - Math.exp(-smoothness * delta);
   
-  camera.position.x += (camX - camera.position.x) * t;
-  camera.position.y += (camY - camera.position.y) * t;
-  camera.position.z += (camZ - camera.position.z) * t;
+  cameraIdeal.x += (camX - cameraIdeal.x) * t;
+  cameraIdeal.y += (camY - cameraIdeal.y) * t;
+  cameraIdeal.z += (camZ - cameraIdeal.z) * t;
+  
+  // Pull in front of walls between the player and the camera
+  cameraPivot.set(player.position.x, player.position.y - 0.5, player.position.z);
+  cameraCollision.update(cameraPivot, cameraIdeal, delta, camera.position);
   
   // Look at player
-  camera.lookAt(player.position.x, player.position.y - 0.5, player.position.z);
+  camera.lookAt(cameraPivot);
+  
+  // Camera shake from the 'shake' effect (fades out over its duration)
+  if (cameraShake.remaining > 0) {
+    cameraShake.remaining = Math.max(0, cameraShake.remaining - delta);
+    const strength = cameraShake.intensity * (cameraShake.remaining / cameraShake.duration);
+    camera.position.x += (Math.random() - 0.5) * strength;
+    camera.position.y += (Math.random() - 0.5) * strength;
+    camera.position.z += (Math.random() - 0.5) * strength;
+  }
+  
+  // Camera path, blended over the follow camera while it plays
+  cinematics.update(delta);
+  
+  // ========================================
+  // WORLD (always runs)
+  // ========================================
+  
+  dayNight.update(delta, player.position);
+  weather.update(delta, camera.position);
+  
+  // ========================================
+  // NETWORK SYNC
+  // ========================================
+  
+  sendPlayerUpdate(delta);
+  
+  // ========================================
+  // RENDER
+  // ========================================
+  
+  // Stream and cull map chunks against this frame's view (the full map's
+  // when it is open)
+  const viewCamera = minimap.isOpen() ? minimap.camera : camera;
+  if (mapStreamer) {
+    camera.updateMatrixWorld();
+    mapStreamer.update(player.position, viewCamera);
+  }
   
-  renderer.render(scene, camera);
+  // The full map covers the screen, so skip the game view under it
+  if (!minimap.isOpen()) renderer.render(scene, camera);
+  minimap.render();
+  statsOverlay.update(frameTime);
 }
 
 animate();
@@ -941,6 +1787,7 @@ window.addEventListener('resize', () => {
   camera.aspect = window.innerWidth / window.innerHeight;
   camera.updateProjectionMatrix();
   renderer.setSize(window.innerWidth, window.innerHeight);
+  photoMode.setSize(window.innerWidth, window.innerHeight);
 });
 
 // ============================================================================
@@ -948,15 +1795,80 @@ window.addEventListener('resize', () => {
 // ============================================================================
 
 window.debug = {
-  teleport: (x, y, z) => {
-    player.position.set(x, y, z);
-    const groundY = getGroundHeight(player.position);
-    if (groundY !== null) {
-      player.position.y = groundY + CONFIG.PLAYER_HEIGHT;
-    }
-  },
+  teleport: (x, y, z) => teleportPlayer(x, y, z),
   getPosition: () => player.position.clone(),
+  setTime: (hour, pinned = true) => dayNight.setTime(hour, { pinned }),
+  getTime: () => dayNight.getTime(),
+  setWeather: (name) => weather.setWeather(name),
   getCollisionCount: () => collisionMeshes.length,
+  getCollisionStats: () => collisionWorld.getStats(),
+  getMapStats: () => (mapStreamer ? mapStreamer.getStats() : null),
+  getPhysicsStats: () => physics.getStats(),
+  getCitySeed: () => (proceduralCity ? proceduralCity.layout.seed : null),
+  setCitySeed: (seed) => {
+    if (!proceduralCity) {
+      console.warn('⚠️ The city seed only applies to the procedural city (?map=procedural)');
+      return null;
+    }
+    loadProceduralCity(String(seed));
+    return proceduralCity.layout.seed;
+  },
+  getCityLayout: () => (proceduralCity ? proceduralCity.layout : null),
+  toggleStats: () => statsOverlay.toggle(),
+  togglePhotoMode: () => photoMode.toggle(),
+  capturePhoto: (scale) => {
+    if (!photoMode.isActive()) photoMode.enter();
+    return photoMode.capture(scale);
+  },
+  playPath: (path) => cinematics.play(path, { origin: player.position }),
+  stopPath: () => cinematics.stop(),
+  previewPath: (path) => cinematics.preview(path, { origin: player.position }),
+  clearPathPreview: () => cinematics.clearPreview(),
+  cameraKeyframe: (time = 0) => {
+    // Current view as a keyframe, for writing paths
+    const target = camera.getWorldDirection(new THREE.Vector3()).multiplyScalar(10).add(camera.position);
+    const round = v => ({ x: +v.x.toFixed(2), y: +v.y.toFixed(2), z: +v.z.toFixed(2) });
+    return { time, position: round(camera.position), target: round(target), fov: camera.fov };
+  },
+  toggleCameraFade: () => {
+    cameraCollision.setFadeOccluders(!cameraCollision.isFadingOccluders());
+    return cameraCollision.isFadingOccluders();
+  },
+  benchmarkRaycasts: (samples = 2000) => {
+    const result = runRaycastBenchmark({
+      world: collisionWorld,
+      meshes: collisionMeshes,
+      bounds: cityBounds,
+      samples
+    });
+    console.log(
+      `⏱️ Raycast benchmark (${result.samples} rays, ${result.meshes} meshes, ${result.triangles} triangles): ` +
+      `brute force ${result.bruteForceMsPerRay.toFixed(3)}ms/ray, ` +
+      `collision world ${result.acceleratedMsPerRay.toFixed(3)}ms/ray ` +
+      `(${result.speedup.toFixed(1)}x faster, ${result.mismatches} mismatches)`
+    );
+    return result;
+  },
+  listPlayers: () => remotePlayers.list().map(remote => ({
+    id: remote.id,
+    position: remote.model.position.clone(),
+    anim: remote.animState
+  })),
+  listObjects: () => spawnedObjects.list(),
+  listPois: () => pointsOfInterest.list().map(poi => ({ ...poi, discovered: discoveredPlaces.has(poi.id) })),
+  toggleJournal: () => toggleJournal(),
+  toggleMap: () => (minimap.isOpen() ? closeMap() : openMap()),
+  setMapTeleport: (enabled = true) => minimap.setTeleportEnabled(enabled),
+  addWaypoint: (x, z) => minimap.addWaypoint(x, z),
+  listWaypoints: () => minimap.listWaypoints(),
+  clearWaypoints: () => minimap.clearWaypoints(),
+  goto: (x, z, run = false) => navigateTo(x, z, { walk: true, run }),
+  showPath: (x, z) => navigateTo(x, z),
+  stopNavigation: () => stopNavigation(),
+  getNavStats: () => navMesh.getStats(),
+  saveWalk: () => saveGame.save(),
+  loadSave: () => saveGame.load(),
+  clearSave: () => saveGame.clear(),
   toggleCollisionDebug: () => {
     collisionMeshes.forEach(mesh => {
       if (mesh.material) {
@@ -971,6 +1883,40 @@ console.log(`
 -------------------------------
 debug.teleport(x, y, z) - Move player
 debug.getPosition()     - Get player position
+debug.setTime(hour, pinned?) - Set time of day (0-24)
+debug.getTime()         - Current time of day
+debug.setWeather(name)  - clear | rain | fog | snow
 debug.getCollisionCount() - Number of collision meshes
+debug.getCollisionStats() - Collision world stats
+debug.getMapStats()     - Streamed map chunk counts
+debug.getPhysicsStats() - Physics bodies (awake / total)
+debug.getCitySeed()     - Seed of the procedural city
+debug.setCitySeed(seed) - Rebuild the procedural city from a seed
+debug.getCityLayout()   - Roads, blocks, buildings and stairs of the city
+debug.toggleStats()     - Frame stats overlay (F3)
+debug.togglePhotoMode() - Free camera and photo settings (P)
+debug.capturePhoto(scale?) - Save a PNG at scale × window size
+debug.playPath(path)    - Fly the camera along a path
+debug.stopPath()        - Return to the follow camera
+debug.previewPath(path) - Draw a path (clearPathPreview() removes it)
+debug.cameraKeyframe(ms) - Current view as a path keyframe
+debug.benchmarkRaycasts(n?) - Time collision rays
+debug.listPlayers()     - Other connected players
+debug.listObjects()     - Objects placed by spawn
+debug.listPois()        - Points of interest on this map
+debug.toggleJournal()   - Discovery journal (J)
+debug.toggleMap()       - Full-screen city map (M)
+debug.setMapTeleport(on?) - Shift+click teleports on the map (?debug)
+debug.addWaypoint(x, z) - Mark a spot on the map
+debug.listWaypoints()   - Waypoints on the map
+debug.clearWaypoints()  - Remove every waypoint
+debug.goto(x, z, run?)  - Walk there along a path
+debug.showPath(x, z)    - Show the way there
+debug.stopNavigation()  - Hide the trail and stop walking
+debug.getNavStats()     - Navigation mesh baked so far
+debug.saveWalk()        - Save the walk now (also saved every 10s)
+debug.loadSave()        - Read the saved walk
+debug.clearSave()       - Forget the saved walk
 debug.toggleCollisionDebug() - Toggle wireframe
+debug.toggleCameraFade() - Fade props hiding the player
 `);
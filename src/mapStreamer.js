@@ -0,0 +1,340 @@
+/**
+ * ============================================================================
+ * ITTY BITY CITY - Map Streamer
+ * ============================================================================
+ *
+ * Streams the chunked map produced by `scripts/tile-map.js`:
+ * - Chunks within `loadRadius` of the player are queued, nearest first, and
+ *   downloaded a few at a time
+ * - Chunks beyond `unloadRadius` are removed and their GPU resources freed
+ *   (the gap between the two radii stops chunks on a boundary from
+ *   thrashing)
+ * - Chunks marked `always` in the manifest (huge meshes like the ground)
+ *   stay loaded
+ * - Chunks with simplified levels (`lods` in the manifest) become a
+ *   THREE.LOD: the coarse levels are loaded out to `lodRadius`, finer ones
+ *   only when the chunk gets close enough to show them, and the renderer
+ *   picks the level by camera distance every frame
+ * - Chunks outside the camera frustum are hidden as a whole, so their
+ *   meshes are not even visited
+ *
+ * Hooks let main.js register each chunk's meshes for collision, night
+ * lights and weather when it arrives, and unregister them when it leaves.
+ */
+
+import * as THREE from 'three';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/** Start loading a finer level this far before it is shown */
+const LOD_PRELOAD_MARGIN = 32;
+
+/** Fraction of a level's distance to wait before switching back (stops flicker) */
+const LOD_HYSTERESIS = 0.1;
+
+// Scratch objects
+const _frustum = new THREE.Frustum();
+const _projection = new THREE.Matrix4();
+
+/**
+ * Horizontal distance from a point to a chunk's bounds (0 inside)
+ * @param {THREE.Vector3} point
+ * @param {{min: number[], max: number[]}} bounds
+ * @returns {number}
+ */
+function distanceToBounds(point, bounds) {
+  const dx = Math.max(bounds.min[0] - point.x, 0, point.x - bounds.max[0]);
+  const dz = Math.max(bounds.min[2] - point.z, 0, point.z - bounds.max[2]);
+  return Math.hypot(dx, dz);
+}
+
+/**
+ * Free the GPU resources of a chunk
+ * @param {THREE.Object3D} root
+ */
+function disposeChunk(root) {
+  root.traverse((child) => {
+    if (!child.isMesh) return;
+    if (child.isInstancedMesh) child.dispose();
+    child.geometry.dispose();
+    const materials = Array.isArray(child.material) ? child.material : [child.material];
+    for (const material of materials) {
+      for (const value of Object.values(material)) {
+        if (value && value.isTexture) value.dispose();
+      }
+      material.dispose();
+    }
+  });
+}
+
+/**
+ * Create a map streamer.
+ *
+ * @param {Object} options
+ * @param {string} options.manifestUrl - URL of manifest.json (chunk files are relative to it)
+ * @param {THREE.Loader} options.loader - GLTFLoader (with Draco configured)
+ * @param {THREE.Scene} options.scene - Scene to add chunks to
+ * @param {number} [options.loadRadius=150] - Load chunks closer than this
+ * @param {number} [options.unloadRadius=200] - Unload chunks further than this
+ * @param {number} [options.lodRadius=loadRadius] - Load the coarsest level of chunks with LODs closer than this
+ * @param {boolean} [options.lod=true] - Use the manifest's simplified levels (off: full detail only)
+ * @param {number} [options.cullDistance=64] - Chunks closer than this are never frustum-culled (their shadows may be in view)
+ * @param {number} [options.maxConcurrent=2] - Parallel downloads
+ * @param {function(THREE.Object3D, Object, number)} [options.onChunkLoad] - Called with (root, chunk, level) after adding a level
+ * @param {function(THREE.Object3D, Object, number)} [options.onChunkUnload] - Called before removing a level
+ */
+export function createMapStreamer({
+  manifestUrl,
+  loader,
+  scene,
+  loadRadius = 150,
+  unloadRadius = 200,
+  lodRadius = loadRadius,
+  lod = true,
+  cullDistance = 64,
+  maxConcurrent = 2,
+  onChunkLoad = () => {},
+  onChunkUnload = () => {}
+}) {
+  let manifest = null;
+  const baseUrl = new URL('.', new URL(manifestUrl, window.location.href)).href;
+
+  /**
+   * Chunk records: { info, lod: THREE.LOD, box, distance, centerDistance, levels }
+   * with levels (finest first): { file, distance, state: 'idle'|'loading'|'loaded'|'failed', root }
+   */
+  const chunks = [];
+
+  let loadingCount = 0;
+  const focus = new THREE.Vector3();
+
+  /** Resolvers waiting for the queue to drain */
+  let idleWaiters = [];
+
+  /**
+   * Whether a level of a chunk should be resident for the current focus.
+   * Each level is kept while it (or a finer one) could be on screen; the
+   * coarsest one out to the load radius.
+   * @param {Object} chunk
+   * @param {number} index - Level index
+   * @param {number} slack - Extra distance before letting go (0 when loading)
+   */
+  function wanted(chunk, index, slack) {
+    if (chunk.info.always) return true;
+
+    const next = chunk.levels[index + 1];
+    if (next) return chunk.centerDistance <= next.distance + LOD_PRELOAD_MARGIN + slack;
+
+    const radius = chunk.levels.length > 1 ? lodRadius : loadRadius;
+    return chunk.distance <= radius + slack;
+  }
+
+  /**
+   * Download a level of a chunk and add it to the chunk's LOD
+   * @param {Object} chunk
+   * @param {number} index - Level index
+   */
+  function loadLevel(chunk, index) {
+    const level = chunk.levels[index];
+    level.state = 'loading';
+    loadingCount++;
+
+    loader.load(
+      baseUrl + level.file,
+      (gltf) => {
+        loadingCount--;
+        updateDistances(chunk);
+
+        // Walked away while it was downloading
+        if (!wanted(chunk, index, unloadRadius - loadRadius)) {
+          level.state = 'idle';
+          disposeChunk(gltf.scene);
+        } else {
+          level.root = gltf.scene;
+          level.root.name = `chunk_${chunk.info.id}_lod${index}`;
+          // Chunk meshes are in world space, the LOD sits at the chunk center
+          level.root.position.copy(chunk.lod.position).negate();
+          level.state = 'loaded';
+          chunk.lod.addLevel(level.root, level.distance, LOD_HYSTERESIS);
+          if (!chunk.lod.parent) scene.add(chunk.lod);
+          chunk.lod.updateMatrixWorld(true);
+          onChunkLoad(level.root, chunk.info, index);
+        }
+        pump();
+      },
+      undefined,
+      (error) => {
+        loadingCount--;
+        level.state = 'failed';
+        console.error(`🧩 Failed to load chunk ${chunk.info.id} (level ${index}):`, error);
+        pump();
+      }
+    );
+  }
+
+  /**
+   * Remove a level of a chunk from the scene and free it
+   * @param {Object} chunk
+   * @param {number} index - Level index
+   */
+  function unloadLevel(chunk, index) {
+    const level = chunk.levels[index];
+    onChunkUnload(level.root, chunk.info, index);
+    chunk.lod.removeLevel(level.distance);
+    disposeChunk(level.root);
+    level.root = null;
+    level.state = 'idle';
+
+    // LOD only switches when it has more than one level
+    const remaining = chunk.lod.levels;
+    if (remaining.length === 1) remaining[0].object.visible = true;
+    if (remaining.length === 0) scene.remove(chunk.lod);
+  }
+
+  /**
+   * Refresh a chunk's distances to the focus point
+   * @param {Object} chunk
+   */
+  function updateDistances(chunk) {
+    chunk.distance = distanceToBounds(focus, chunk.info.bounds);
+    chunk.centerDistance = Math.hypot(focus.x - chunk.lod.position.x, focus.z - chunk.lod.position.z);
+  }
+
+  /** Start downloads for the nearest wanted levels, coarse before fine */
+  function pump() {
+    if (loadingCount < maxConcurrent) {
+      const queue = [];
+      for (const chunk of chunks) {
+        chunk.levels.forEach((level, index) => {
+          if (level.state === 'idle' && wanted(chunk, index, 0)) queue.push({ chunk, index });
+        });
+      }
+      queue.sort((a, b) =>
+        (b.chunk.info.always ? 1 : 0) - (a.chunk.info.always ? 1 : 0) ||
+        a.chunk.distance - b.chunk.distance ||
+        b.index - a.index
+      );
+
+      for (const { chunk, index } of queue) {
+        if (loadingCount >= maxConcurrent) break;
+        loadLevel(chunk, index);
+      }
+    }
+
+    if (loadingCount === 0 && idleWaiters.length > 0) {
+      const waiters = idleWaiters;
+      idleWaiters = [];
+      waiters.forEach(resolve => resolve());
+    }
+  }
+
+  return {
+    /**
+     * Fetch the manifest
+     * @returns {Promise<Object>} The manifest
+     */
+    async init() {
+      const response = await fetch(manifestUrl);
+      if (!response.ok) throw new Error(`HTTP ${response.status} for ${manifestUrl}`);
+      manifest = await response.json();
+
+      for (const info of manifest.chunks) {
+        const box = new THREE.Box3(
+          new THREE.Vector3().fromArray(info.bounds.min),
+          new THREE.Vector3().fromArray(info.bounds.max)
+        );
+        const chunkLod = new THREE.LOD();
+        chunkLod.name = `chunk_${info.id}`;
+        box.getCenter(chunkLod.position);
+
+        const levels = [{ file: info.file, distance: 0 }];
+        if (lod && info.lods) levels.push(...info.lods);
+
+        chunks.push({
+          info,
+          lod: chunkLod,
+          box,
+          distance: Infinity,
+          centerDistance: Infinity,
+          levels: levels.map(level => ({ file: level.file, distance: level.distance, state: 'idle', root: null }))
+        });
+      }
+
+      const withLods = chunks.filter(chunk => chunk.levels.length > 1).length;
+      console.log(`🧩 Map manifest: ${chunks.length} chunks of ${manifest.chunkSize}m (${withLods} with LODs)`);
+      return manifest;
+    },
+
+    getManifest: () => manifest,
+
+    /**
+     * Re-prioritize around a new focus point, unloading far levels and
+     * queueing near ones, and hide chunks the camera can't see
+     * @param {THREE.Vector3} position - Usually the player position
+     * @param {THREE.Camera} [camera] - Camera to cull against (skipped if omitted)
+     */
+    update(position, camera) {
+      focus.copy(position);
+
+      if (camera) {
+        _projection.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+        _frustum.setFromProjectionMatrix(_projection);
+      }
+
+      for (const chunk of chunks) {
+        updateDistances(chunk);
+        chunk.levels.forEach((level, index) => {
+          if (level.state === 'loaded' && !wanted(chunk, index, unloadRadius - loadRadius)) {
+            unloadLevel(chunk, index);
+          }
+        });
+
+        if (camera) {
+          chunk.lod.visible = chunk.info.always || chunk.distance <= cullDistance ||
+            _frustum.intersectsBox(chunk.box);
+        }
+      }
+
+      pump();
+    },
+
+    /**
+     * Resolve once no chunk is downloading (e.g. the area around the spawn
+     * point has arrived)
+     * @returns {Promise<void>}
+     */
+    whenIdle() {
+      return new Promise((resolve) => {
+        idleWaiters.push(resolve);
+        pump();
+      });
+    },
+
+    /**
+     * Loading statistics. A chunk counts as loaded once any of its levels is.
+     * `levels` counts loaded chunks by the level currently on screen.
+     * @returns {{total: number, loaded: number, loading: number, failed: number, culled: number, levels: number[]}}
+     */
+    getStats() {
+      const levels = [];
+      let loaded = 0;
+      let failed = 0;
+      let culled = 0;
+
+      for (const chunk of chunks) {
+        if (chunk.levels.some(level => level.state === 'failed')) failed++;
+        if (chunk.lod.levels.length === 0) continue;
+
+        loaded++;
+        if (!chunk.lod.visible) culled++;
+        const shown = chunk.lod.levels.length > 1 ? chunk.lod.getCurrentLevel() : 0;
+        const index = chunk.levels.findIndex(level => level.root === chunk.lod.levels[shown].object);
+        levels[index] = (levels[index] || 0) + 1;
+      }
+
+      return { total: chunks.length, loaded, loading: loadingCount, failed, culled, levels: Array.from(levels, n => n || 0) };
+    }
+  };
+}
@@ -0,0 +1,556 @@
+/**
+ * ============================================================================
+ * ITTY BITY CITY - Minimap
+ * ============================================================================
+ *
+ * Top-down views of the city:
+ * - A minimap in the bottom-right corner, centered on the player and turned
+ *   with the camera so up is the way they're looking. An N on its rim points
+ *   north (-Z).
+ * - A full-screen map (M) with north up, which scrolls to zoom and drags to
+ *   pan. Clicking places a waypoint and clicking a waypoint removes it (main.js
+ *   shows the way to the newest one). With teleporting enabled (?debug),
+ *   Shift+click teleports there.
+ *
+ * Both draw the real scene from above with an orthographic camera, straight
+ * into part or all of the main canvas. Fog, weather particles (on their own
+ * camera layer) and shadow map updates are left out of that pass, and an
+ * extra ambient light keeps the map readable at night. Markers (the player
+ * arrow, discovered landmarks, other players and waypoints) are drawn on a
+ * 2D canvas laid over it.
+ */
+
+import * as THREE from 'three';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/** Minimap size and distance from the screen corner (CSS pixels) */
+const MINIMAP_SIZE = 180;
+const MINIMAP_MARGIN = 20;
+
+/** World distance from the minimap's center to its edge */
+const MINIMAP_RADIUS = 40;
+
+/**
+ * How far above the player the minimap camera sits. Anything higher is cut
+ * off, so towers don't hide the streets around the player.
+ */
+const MINIMAP_CEILING = 25;
+
+/** Ambient light added to map views at full night */
+const MAP_NIGHT_LIGHT = 1.5;
+
+/** Full map zoom range (1 = the whole city fits) */
+const MAP_MIN_ZOOM = 0.5;
+const MAP_MAX_ZOOM = 16;
+
+/** Pointer travel (px) below which a press on the full map is a click, not a drag */
+const CLICK_TOLERANCE = 5;
+
+/** How close (px) a click must be to a waypoint to remove it */
+const WAYPOINT_PICK_RADIUS = 10;
+
+/** Marker colors (the loading bar's palette) */
+const COLORS = {
+  player: '#ff6b6b',
+  waypoint: '#feca57',
+  poi: '#48dbfb',
+  other: '#ffffff',
+  text: '#ffffff',
+  outline: 'rgba(26, 26, 46, 0.9)'
+};
+
+// ============================================================================
+// DRAWING
+// ============================================================================
+
+/**
+ * Arrow pointing along a screen-space angle
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number} x
+ * @param {number} y
+ * @param {number} angle - Radians, 0 = right, clockwise (canvas y points down)
+ * @param {number} size
+ */
+function drawArrow(ctx, x, y, angle, size) {
+  ctx.save();
+  ctx.translate(x, y);
+  ctx.rotate(angle);
+  ctx.beginPath();
+  ctx.moveTo(size, 0);
+  ctx.lineTo(-size * 0.7, size * 0.65);
+  ctx.lineTo(-size * 0.35, 0);
+  ctx.lineTo(-size * 0.7, -size * 0.65);
+  ctx.closePath();
+  ctx.fillStyle = COLORS.player;
+  ctx.fill();
+  ctx.lineWidth = 1.5;
+  ctx.strokeStyle = COLORS.outline;
+  ctx.stroke();
+  ctx.restore();
+}
+
+/**
+ * Round marker with an outline
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number} x
+ * @param {number} y
+ * @param {number} radius
+ * @param {string} color
+ */
+function drawDot(ctx, x, y, radius, color) {
+  ctx.beginPath();
+  ctx.arc(x, y, radius, 0, Math.PI * 2);
+  ctx.fillStyle = color;
+  ctx.fill();
+  ctx.lineWidth = 1.5;
+  ctx.strokeStyle = COLORS.outline;
+  ctx.stroke();
+}
+
+/**
+ * Diamond marker (waypoints)
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number} x
+ * @param {number} y
+ * @param {number} size
+ */
+function drawDiamond(ctx, x, y, size) {
+  ctx.beginPath();
+  ctx.moveTo(x, y - size);
+  ctx.lineTo(x + size, y);
+  ctx.lineTo(x, y + size);
+  ctx.lineTo(x - size, y);
+  ctx.closePath();
+  ctx.fillStyle = COLORS.waypoint;
+  ctx.fill();
+  ctx.lineWidth = 1.5;
+  ctx.strokeStyle = COLORS.outline;
+  ctx.stroke();
+}
+
+/**
+ * Outlined text
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {string} text
+ * @param {number} x
+ * @param {number} y
+ * @param {string} [font]
+ */
+function drawLabel(ctx, text, x, y, font = '12px "Segoe UI", Tahoma, sans-serif') {
+  ctx.font = font;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.lineWidth = 3;
+  ctx.strokeStyle = COLORS.outline;
+  ctx.strokeText(text, x, y);
+  ctx.fillStyle = COLORS.text;
+  ctx.fillText(text, x, y);
+}
+
+/**
+ * Size a 2D canvas for the device pixel ratio and clear it
+ * @param {HTMLCanvasElement} canvas
+ * @param {number} width - CSS pixels
+ * @param {number} height - CSS pixels
+ * @returns {CanvasRenderingContext2D} Context drawing in CSS pixels
+ */
+function prepareCanvas(canvas, width, height) {
+  const ratio = window.devicePixelRatio || 1;
+  if (canvas.width !== Math.round(width * ratio) || canvas.height !== Math.round(height * ratio)) {
+    canvas.width = Math.round(width * ratio);
+    canvas.height = Math.round(height * ratio);
+    canvas.style.width = width + 'px';
+    canvas.style.height = height + 'px';
+  }
+  const ctx = canvas.getContext('2d');
+  ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+  ctx.clearRect(0, 0, width, height);
+  return ctx;
+}
+
+// ============================================================================
+// MINIMAP
+// ============================================================================
+
+/**
+ * Create the minimap and full-screen map.
+ *
+ * @param {Object} options
+ * @param {THREE.WebGLRenderer} options.renderer
+ * @param {THREE.Scene} options.scene
+ * @param {HTMLCanvasElement} options.canvas - 2D canvas over the minimap corner
+ * @param {HTMLCanvasElement} options.mapCanvas - Full-screen 2D canvas for the map
+ * @param {function(): {position: THREE.Vector3, rotation: number}} options.getPlayer
+ * @param {function(): number} options.getHeading - Camera yaw (the minimap turns with it)
+ * @param {function(): THREE.Box3} options.getBounds - City bounds (the full map fits them)
+ * @param {function(): {pois: Object[], players: THREE.Vector3[]}} options.getMarkers - Discovered landmarks ({ x, z, name }) and other players
+ * @param {function(): number} options.getNightFactor - 0 by day, 1 at night
+ * @param {function(number, number)} [options.onTeleport] - Called with (x, z) on Shift+click when teleporting is enabled
+ * @param {function(Array<{x: number, z: number}>)} [options.onWaypointsChange] - Called with the waypoints, newest last, when they change
+ * @returns {Object} Minimap API
+ */
+export function createMinimap({
+  renderer,
+  scene,
+  canvas,
+  mapCanvas,
+  getPlayer,
+  getHeading,
+  getBounds,
+  getMarkers,
+  getNightFactor,
+  onTeleport,
+  onWaypointsChange = () => {}
+}) {
+  const camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0.1, 1000);
+
+  const mapLight = new THREE.AmbientLight(0xffffff, 0);
+  mapLight.visible = false;
+  scene.add(mapLight);
+
+  /** Waypoints placed on the full map: { x, z } */
+  const waypoints = [];
+
+  /** Full map center and zoom */
+  const view = { x: 0, z: 0, zoom: 1 };
+
+  /** Full map press being tracked: { x, y, moved } (CSS pixels) */
+  let press = null;
+
+  let visible = false;
+  let open = false;
+  let teleportEnabled = false;
+
+  const _point = new THREE.Vector3();
+  const _size = new THREE.Vector2();
+
+  /**
+   * Aim the camera straight down
+   * @param {number} x - Center of the view
+   * @param {number} z
+   * @param {number} top - Height of the camera
+   * @param {number} halfWidth - World half-extents of the view
+   * @param {number} halfHeight
+   * @param {number} heading - Yaw that ends up at the top of the view (0 = north)
+   */
+  function aimCamera(x, z, top, halfWidth, halfHeight, heading) {
+    const bounds = getBounds();
+    const bottom = bounds.isEmpty() ? top - 200 : Math.min(bounds.min.y, top - 50);
+
+    camera.left = -halfWidth;
+    camera.right = halfWidth;
+    camera.top = halfHeight;
+    camera.bottom = -halfHeight;
+    camera.near = 0.1;
+    camera.far = top - bottom + 10;
+    camera.updateProjectionMatrix();
+
+    camera.position.set(x, top, z);
+    camera.up.set(-Math.sin(heading), 0, -Math.cos(heading));
+    camera.lookAt(x, top - 1, z);
+    camera.updateMatrixWorld();
+  }
+
+  /** Aim the camera at the full map view for the current window size */
+  function aimMapCamera() {
+    const bounds = getBounds();
+    const width = window.innerWidth;
+    const height = window.innerHeight;
+    const aspect = width / height;
+
+    // Half-extents that fit the whole city at zoom 1
+    const cityWidth = bounds.isEmpty() ? 200 : bounds.max.x - bounds.min.x;
+    const cityDepth = bounds.isEmpty() ? 200 : bounds.max.z - bounds.min.z;
+    const halfHeight = Math.max(cityDepth / 2, cityWidth / 2 / aspect) * 1.05 / view.zoom;
+    const top = (bounds.isEmpty() ? getPlayer().position.y : bounds.max.y) + 20;
+
+    aimCamera(view.x, view.z, top, halfHeight * aspect, halfHeight, 0);
+  }
+
+  /**
+   * Draw the scene from above into part of the canvas
+   * @param {number} x - Viewport, in CSS pixels from the bottom-left
+   * @param {number} y
+   * @param {number} width
+   * @param {number} height
+   */
+  function renderTopDown(x, y, width, height) {
+    const fog = scene.fog;
+    const fogNear = fog ? fog.near : 0;
+    const fogFar = fog ? fog.far : 0;
+    const shadowAutoUpdate = renderer.shadowMap.autoUpdate;
+    const infoAutoReset = renderer.info.autoReset;
+
+    // Clear view, no second shadow pass (the game's shadows are reused), and
+    // draw calls counted on top of the game view's for the stats overlay
+    if (fog) {
+      fog.near = 1e6;
+      fog.far = 1e6 + 1;
+    }
+    renderer.shadowMap.autoUpdate = false;
+    renderer.info.autoReset = false;
+    mapLight.intensity = MAP_NIGHT_LIGHT * getNightFactor();
+    mapLight.visible = true;
+
+    renderer.setViewport(x, y, width, height);
+    renderer.setScissor(x, y, width, height);
+    renderer.setScissorTest(true);
+    renderer.render(scene, camera);
+    renderer.setScissorTest(false);
+    renderer.getSize(_size);
+    renderer.setViewport(0, 0, _size.x, _size.y);
+
+    mapLight.visible = false;
+    renderer.info.autoReset = infoAutoReset;
+    renderer.shadowMap.autoUpdate = shadowAutoUpdate;
+    if (fog) {
+      fog.near = fogNear;
+      fog.far = fogFar;
+    }
+  }
+
+  /**
+   * Where a world point lands on a view
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @param {number} width - View size (CSS pixels)
+   * @param {number} height
+   * @returns {{x: number, y: number}} CSS pixels from the view's top-left
+   */
+  function toScreen(x, y, z, width, height) {
+    _point.set(x, y, z).project(camera);
+    return { x: (_point.x + 1) / 2 * width, y: (1 - _point.y) / 2 * height };
+  }
+
+  /**
+   * The world point under a spot on the full map
+   * @param {number} screenX - CSS pixels
+   * @param {number} screenY
+   * @returns {{x: number, z: number}}
+   */
+  function toWorld(screenX, screenY) {
+    _point.set(screenX / window.innerWidth * 2 - 1, 1 - screenY / window.innerHeight * 2, 0).unproject(camera);
+    return { x: _point.x, z: _point.z };
+  }
+
+  /**
+   * Draw the markers on a view
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {number} width
+   * @param {number} height
+   * @param {boolean} [clampToEdge=false] - Pin waypoints beyond the edge to it (minimap)
+   * @param {boolean} [labels=false] - Name the landmarks (full map)
+   */
+  function drawMarkers(ctx, width, height, clampToEdge = false, labels = false) {
+    const player = getPlayer();
+    const { pois, players } = getMarkers();
+    const y = player.position.y;
+
+    for (const poi of pois) {
+      const point = toScreen(poi.x, y, poi.z, width, height);
+      drawDot(ctx, point.x, point.y, 5, COLORS.poi);
+      if (labels) drawLabel(ctx, poi.name, point.x, point.y - 14);
+    }
+
+    for (const other of players) {
+      const point = toScreen(other.x, y, other.z, width, height);
+      drawDot(ctx, point.x, point.y, 4, COLORS.other);
+    }
+
+    for (const waypoint of waypoints) {
+      const point = toScreen(waypoint.x, y, waypoint.z, width, height);
+      if (clampToEdge) {
+        // Keep it on the rim, in its direction, when it's off the map
+        const dx = point.x - width / 2;
+        const dy = point.y - height / 2;
+        const scale = Math.min(1, (width / 2 - 6) / Math.max(Math.abs(dx), Math.abs(dy), 1e-6));
+        point.x = width / 2 + dx * scale;
+        point.y = height / 2 + dy * scale;
+      }
+      drawDiamond(ctx, point.x, point.y, 6);
+    }
+
+    // Player arrow along their facing
+    const { x, z } = player.position;
+    const at = toScreen(x, y, z, width, height);
+    const ahead = toScreen(x + Math.sin(player.rotation), y, z + Math.cos(player.rotation), width, height);
+    drawArrow(ctx, at.x, at.y, Math.atan2(ahead.y - at.y, ahead.x - at.x), 8);
+  }
+
+  /** Minimap in its corner, around the player */
+  function renderMinimap() {
+    const { position } = getPlayer();
+    aimCamera(position.x, position.z, position.y + MINIMAP_CEILING, MINIMAP_RADIUS, MINIMAP_RADIUS, getHeading());
+
+    renderer.getSize(_size);
+    renderTopDown(_size.x - MINIMAP_SIZE - MINIMAP_MARGIN, MINIMAP_MARGIN, MINIMAP_SIZE, MINIMAP_SIZE);
+
+    const ctx = prepareCanvas(canvas, MINIMAP_SIZE, MINIMAP_SIZE);
+    drawMarkers(ctx, MINIMAP_SIZE, MINIMAP_SIZE, true);
+
+    // N on the rim, towards north
+    const center = MINIMAP_SIZE / 2;
+    const north = toScreen(position.x, position.y, position.z - 1, MINIMAP_SIZE, MINIMAP_SIZE);
+    const angle = Math.atan2(north.y - center, north.x - center);
+    const rim = center - 12;
+    drawLabel(ctx, 'N', center + Math.cos(angle) * rim, center + Math.sin(angle) * rim, 'bold 13px "Segoe UI", Tahoma, sans-serif');
+  }
+
+  /** Full-screen map */
+  function renderMap() {
+    aimMapCamera();
+    const width = window.innerWidth;
+    const height = window.innerHeight;
+    renderTopDown(0, 0, width, height);
+
+    const ctx = prepareCanvas(mapCanvas, width, height);
+    drawMarkers(ctx, width, height, false, true);
+
+    // North is always up here
+    drawLabel(ctx, '▲', width - 40, 34, 'bold 16px "Segoe UI", Tahoma, sans-serif');
+    drawLabel(ctx, 'N', width - 40, 54, 'bold 14px "Segoe UI", Tahoma, sans-serif');
+
+    const hints = ['Click: waypoint', 'Click a waypoint: remove it', 'Scroll: zoom', 'Drag: pan'];
+    if (teleportEnabled) hints.push('Shift+click: teleport');
+    hints.push('M / Esc: close');
+    drawLabel(ctx, hints.join('   ·   '), width / 2, height - 24, '14px "Segoe UI", Tahoma, sans-serif');
+  }
+
+  // ==========================================================================
+  // FULL MAP INPUT
+  // ==========================================================================
+
+  /**
+   * Click on the full map: teleport, remove the waypoint under the pointer
+   * or place a new one
+   * @param {PointerEvent} e
+   */
+  function handleClick(e) {
+    const target = toWorld(e.clientX, e.clientY);
+
+    if (e.shiftKey && teleportEnabled && onTeleport) {
+      onTeleport(target.x, target.z);
+      return;
+    }
+
+    const y = getPlayer().position.y;
+    const index = waypoints.findIndex((waypoint) => {
+      const point = toScreen(waypoint.x, y, waypoint.z, window.innerWidth, window.innerHeight);
+      return Math.hypot(point.x - e.clientX, point.y - e.clientY) <= WAYPOINT_PICK_RADIUS;
+    });
+    if (index !== -1) {
+      waypoints.splice(index, 1);
+    } else {
+      waypoints.push(target);
+    }
+    onWaypointsChange(waypoints.slice());
+  }
+
+  mapCanvas.addEventListener('pointerdown', (e) => {
+    if (e.button !== 0) return;
+    press = { x: e.clientX, y: e.clientY, moved: false };
+    mapCanvas.setPointerCapture(e.pointerId);
+  });
+
+  mapCanvas.addEventListener('pointermove', (e) => {
+    if (!press) return;
+    if (Math.hypot(e.clientX - press.x, e.clientY - press.y) > CLICK_TOLERANCE) press.moved = true;
+    if (!press.moved) return;
+
+    // Drag the map along with the pointer
+    const from = toWorld(e.clientX - e.movementX, e.clientY - e.movementY);
+    const to = toWorld(e.clientX, e.clientY);
+    view.x += from.x - to.x;
+    view.z += from.z - to.z;
+    aimMapCamera();
+  });
+
+  mapCanvas.addEventListener('pointerup', (e) => {
+    if (!press) return;
+    if (!press.moved) handleClick(e);
+    press = null;
+  });
+
+  // Zoom around the point under the pointer
+  mapCanvas.addEventListener('wheel', (e) => {
+    e.preventDefault();
+    const before = toWorld(e.clientX, e.clientY);
+    view.zoom = THREE.MathUtils.clamp(view.zoom * Math.exp(-e.deltaY * 0.001), MAP_MIN_ZOOM, MAP_MAX_ZOOM);
+    aimMapCamera();
+    const after = toWorld(e.clientX, e.clientY);
+    view.x += before.x - after.x;
+    view.z += before.z - after.z;
+  }, { passive: false });
+
+  mapCanvas.addEventListener('contextmenu', e => e.preventDefault());
+
+  return {
+    /** Draw whichever view is showing. Call after the main render. */
+    render() {
+      if (open) {
+        renderer.info.reset();  // No game view this frame to start the count
+        renderMap();
+      } else if (visible) {
+        renderMinimap();
+      }
+    },
+
+    /** Open the full map, showing the whole city */
+    open() {
+      const bounds = getBounds();
+      const center = bounds.isEmpty() ? getPlayer().position : bounds.getCenter(_point);
+      view.x = center.x;
+      view.z = center.z;
+      view.zoom = 1;
+      open = true;
+      mapCanvas.style.display = 'block';
+      canvas.style.display = 'none';
+      aimMapCamera();
+    },
+
+    close() {
+      open = false;
+      press = null;
+      mapCanvas.style.display = 'none';
+      canvas.style.display = visible ? 'block' : 'none';
+    },
+
+    isOpen: () => open,
+
+    /** @param {boolean} value - Show the corner minimap */
+    setVisible(value) {
+      visible = value;
+      canvas.style.display = visible && !open ? 'block' : 'none';
+    },
+
+    /** @param {boolean} value - Allow Shift+click teleports on the full map */
+    setTeleportEnabled(value) {
+      teleportEnabled = value;
+    },
+
+    /**
+     * Add a waypoint
+     * @param {number} x
+     * @param {number} z
+     */
+    addWaypoint(x, z) {
+      waypoints.push({ x, z });
+      onWaypointsChange(waypoints.slice());
+    },
+
+    clearWaypoints() {
+      waypoints.length = 0;
+      onWaypointsChange([]);
+    },
+
+    /** @returns {Array<{x: number, z: number}>} */
+    listWaypoints: () => waypoints.map(waypoint => ({ ...waypoint })),
+
+    /** Camera of the full map (map streaming keeps what it sees loaded) */
+    camera
+  };
+}
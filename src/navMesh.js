@@ -0,0 +1,570 @@
+/**
+ * ============================================================================
+ * ITTY BITY CITY - Navigation Mesh
+ * ============================================================================
+ *
+ * Where the player can walk, and the way from one place to another.
+ *
+ * The mesh is a grid of columns over the collision world. Casting a ray down
+ * each column finds its walkable surfaces - faces pointing mostly up
+ * (normal.y > 0.5, as in getGroundHeight in main.js) with room for the
+ * player to stand on them - so a column under a rooftop can hold both the
+ * street and the roof. Each surface is a node. Neighbouring nodes are linked
+ * when the player can walk between them: no rise or drop bigger than a step
+ * (checked halfway as well, so stairs count but ledges don't) and no wall in
+ * the way at knee or chest height. Diagonal links also need both of the
+ * straight links around the corner, so paths don't clip building corners.
+ *
+ * Columns and links are baked as paths reach them and kept until the
+ * collision meshes around them change (see invalidate). bake() fills a whole
+ * area up front. Moving platforms are baked wherever they were at the time.
+ *
+ * findPath runs A* over the nodes and then pulls the path straight wherever
+ * the player can walk the straight line, so it follows the streets without
+ * zig-zagging along the grid.
+ */
+
+import * as THREE from 'three';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/** Grid spacing (world units) */
+const CELL_SIZE = 1;
+
+/** Surfaces with a normal steeper than this can't be walked on (matches getGroundHeight in main.js) */
+const WALKABLE_NORMAL = 0.5;
+
+/** Surfaces in one column closer than this are the same surface */
+const SURFACE_MERGE = 0.05;
+
+/** Height range searched for surfaces */
+const TOP = 200;
+const BOTTOM = -50;
+
+/** Height of the wall checks, above the higher surface of a link */
+const CHEST_HEIGHT = 1.2;
+
+/** Most nodes A* expands before giving up on reaching the goal */
+const MAX_SEARCH_NODES = 20000;
+
+/** How far (cells) to look for a walkable column when a point has none */
+const SNAP_CELLS = 3;
+
+/** Straight and diagonal neighbours */
+const STRAIGHT = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+const DIAGONAL = [[1, 1], [1, -1], [-1, 1], [-1, -1]];
+
+const DOWN = new THREE.Vector3(0, -1, 0);
+
+// ============================================================================
+// PRIORITY QUEUE
+// ============================================================================
+
+/**
+ * Binary min-heap of { node, priority } for the A* open set
+ */
+function createHeap() {
+  const items = [];
+
+  return {
+    size: () => items.length,
+
+    /**
+     * @param {Object} node
+     * @param {number} priority
+     */
+    push(node, priority) {
+      items.push({ node, priority });
+      let i = items.length - 1;
+      while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (items[parent].priority <= items[i].priority) break;
+        [items[parent], items[i]] = [items[i], items[parent]];
+        i = parent;
+      }
+    },
+
+    /** @returns {Object} Node with the lowest priority */
+    pop() {
+      const top = items[0];
+      const last = items.pop();
+      if (items.length > 0) {
+        items[0] = last;
+        let i = 0;
+        for (;;) {
+          const left = i * 2 + 1;
+          const right = left + 1;
+          let smallest = i;
+          if (left < items.length && items[left].priority < items[smallest].priority) smallest = left;
+          if (right < items.length && items[right].priority < items[smallest].priority) smallest = right;
+          if (smallest === i) break;
+          [items[smallest], items[i]] = [items[i], items[smallest]];
+          i = smallest;
+        }
+      }
+      return top.node;
+    }
+  };
+}
+
+// ============================================================================
+// NAVIGATION MESH
+// ============================================================================
+
+/**
+ * Create a navigation mesh over a collision world.
+ *
+ * @param {Object} options
+ * @param {Object} options.world - Collision world (see collisionWorld.js)
+ * @param {number} options.stepHeight - Highest step the player climbs
+ * @param {number} options.agentHeight - Headroom the player needs
+ * @param {number} options.agentRadius - Clearance the player needs from walls
+ * @param {number} [options.cellSize] - Grid spacing
+ * @returns {Object} Navigation mesh API
+ */
+export function createNavMesh({
+  world,
+  stepHeight,
+  agentHeight,
+  agentRadius,
+  cellSize = CELL_SIZE
+}) {
+  /** Walkable surface heights by column ("ix,iz"), highest first */
+  const columns = new Map();
+
+  /**
+   * Whether two nodes are linked, by "idA|idB" (A < B), grouped by A's
+   * column so an area can be forgotten without visiting every link
+   */
+  const links = new Map();
+
+  const _origin = new THREE.Vector3();
+  const _direction = new THREE.Vector3();
+
+  const columnKey = (ix, iz) => `${ix},${iz}`;
+  const toCell = value => Math.round(value / cellSize);
+
+  /**
+   * Cached link between two nodes
+   * @returns {boolean|undefined} Undefined if not checked yet
+   */
+  function getLink(a, b) {
+    const [first, second] = a.id < b.id ? [a, b] : [b, a];
+    const bucket = links.get(columnKey(first.ix, first.iz));
+    return bucket && bucket.get(`${first.id}|${second.id}`);
+  }
+
+  /** Remember whether two nodes are linked */
+  function setLink(a, b, linked) {
+    const [first, second] = a.id < b.id ? [a, b] : [b, a];
+    const key = columnKey(first.ix, first.iz);
+    if (!links.has(key)) links.set(key, new Map());
+    links.get(key).set(`${first.id}|${second.id}`, linked);
+  }
+
+  /**
+   * A node: surface `level` of column (ix, iz)
+   * @returns {{id: string, ix: number, iz: number, y: number}}
+   */
+  const makeNode = (ix, iz, level, y) => ({ id: `${ix},${iz},${level}`, ix, iz, y });
+
+  /**
+   * Walkable surfaces straight down from a point
+   * @param {number} x
+   * @param {number} z
+   * @returns {number[]} Heights, highest first
+   */
+  function castSurfaces(x, z) {
+    _origin.set(x, TOP, z);
+    const hits = world.raycast(_origin, DOWN, TOP - BOTTOM);
+    const surfaces = [];
+    let ceiling = Infinity;
+
+    for (const hit of hits) {
+      const y = hit.point.y;
+      if (hit.normal.y > WALKABLE_NORMAL && ceiling - y >= agentHeight) {
+        const last = surfaces[surfaces.length - 1];
+        if (last === undefined || last - y > SURFACE_MERGE) surfaces.push(y);
+      }
+      // Whatever was hit is a ceiling for the surfaces below it
+      if (ceiling - y > SURFACE_MERGE) ceiling = y;
+    }
+    return surfaces;
+  }
+
+  /**
+   * Nodes in a column, baking it the first time
+   * @param {number} ix
+   * @param {number} iz
+   * @returns {Object[]}
+   */
+  function getNodes(ix, iz) {
+    const key = columnKey(ix, iz);
+    let surfaces = columns.get(key);
+    if (!surfaces) {
+      surfaces = castSurfaces(ix * cellSize, iz * cellSize);
+      columns.set(key, surfaces);
+    }
+    return surfaces.map((y, level) => makeNode(ix, iz, level, y));
+  }
+
+  /**
+   * The surface nearest a height, within a step of it
+   * @param {number} x
+   * @param {number} z
+   * @param {number} y
+   * @param {number} tolerance
+   * @returns {number|null}
+   */
+  function nearestSurface(x, z, y, tolerance) {
+    let best = null;
+    for (const surface of castSurfaces(x, z)) {
+      if (Math.abs(surface - y) <= tolerance && (best === null || Math.abs(surface - y) < Math.abs(best - y))) {
+        best = surface;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Whether a wall blocks the way between two points at a height (checked
+   * both ways: faces are only hit from the front)
+   * @param {Object} a - Node
+   * @param {Object} b - Node
+   * @param {number} y
+   */
+  function isBlocked(a, b, y) {
+    const ax = a.ix * cellSize;
+    const az = a.iz * cellSize;
+    const bx = b.ix * cellSize;
+    const bz = b.iz * cellSize;
+    const distance = Math.hypot(bx - ax, bz - az);
+
+    // Reach past the far node by the player's radius, so walls right next
+    // to it count too
+    _direction.set(bx - ax, 0, bz - az).normalize();
+    _origin.set(ax, y, az);
+    if (world.raycast(_origin, _direction, distance + agentRadius).length > 0) return true;
+
+    _direction.negate();
+    _origin.set(bx, y, bz);
+    return world.raycast(_origin, _direction, distance + agentRadius).length > 0;
+  }
+
+  /**
+   * Whether the player can walk straight between neighbouring nodes
+   * @param {Object} a
+   * @param {Object} b
+   * @returns {boolean}
+   */
+  function isLinked(a, b) {
+    const known = getLink(a, b);
+    if (known !== undefined) return known;
+
+    let linked;
+    if (a.ix !== b.ix && a.iz !== b.iz) {
+      // Diagonal: both ways round the corner must be open
+      linked = [getNodes(b.ix, a.iz), getNodes(a.ix, b.iz)].every(corner =>
+        corner.some(node => isStraightLinked(a, node) && isStraightLinked(node, b))
+      );
+    } else {
+      linked = isStraightLinked(a, b);
+    }
+
+    setLink(a, b, linked);
+    return linked;
+  }
+
+  /**
+   * isLinked for straight (non-diagonal) neighbours, cached the same way
+   * @param {Object} a
+   * @param {Object} b
+   * @returns {boolean}
+   */
+  function isStraightLinked(a, b) {
+    if (a.ix !== b.ix && a.iz !== b.iz) return false;
+    const known = getLink(a, b);
+    if (known !== undefined) return known;
+
+    const linked = checkStraightLink(a, b);
+    setLink(a, b, linked);
+    return linked;
+  }
+
+  /**
+   * Steps and walls between straight neighbours
+   * @param {Object} a
+   * @param {Object} b
+   * @returns {boolean}
+   */
+  function checkStraightLink(a, b) {
+    if (Math.abs(a.y - b.y) > stepHeight * 2) return false;
+
+    // Halfway: no more than a step up or down from either side
+    const x = (a.ix + b.ix) / 2 * cellSize;
+    const z = (a.iz + b.iz) / 2 * cellSize;
+    const middle = nearestSurface(x, z, (a.y + b.y) / 2, stepHeight);
+    if (middle === null || Math.abs(middle - a.y) > stepHeight || Math.abs(middle - b.y) > stepHeight) {
+      return false;
+    }
+
+    const top = Math.max(a.y, b.y);
+    return !isBlocked(a, b, top + stepHeight + 0.05) && !isBlocked(a, b, top + CHEST_HEIGHT);
+  }
+
+  /**
+   * Linked neighbours of a node
+   * @param {Object} node
+   * @returns {{node: Object, cost: number}[]}
+   */
+  function neighbours(node) {
+    const result = [];
+    for (const [dx, dz] of STRAIGHT) {
+      for (const next of getNodes(node.ix + dx, node.iz + dz)) {
+        if (isStraightLinked(node, next)) result.push({ node: next, cost: cellSize });
+      }
+    }
+    for (const [dx, dz] of DIAGONAL) {
+      for (const next of getNodes(node.ix + dx, node.iz + dz)) {
+        if (Math.abs(next.y - node.y) <= stepHeight * 2 && isLinked(node, next)) {
+          result.push({ node: next, cost: cellSize * Math.SQRT2 });
+        }
+      }
+    }
+    return result;
+  }
+
+  /**
+   * The node a point stands on, or the nearest one around it
+   * @param {{x: number, y: number, z: number}} point - Feet position
+   * @param {number} [tolerance] - How far above or below the point a surface may be
+   * @returns {Object|null}
+   */
+  function findNode(point, tolerance = stepHeight + 0.5) {
+    const cx = toCell(point.x);
+    const cz = toCell(point.z);
+    let best = null;
+    let bestScore = Infinity;
+
+    for (let ring = 0; ring <= SNAP_CELLS && !best; ring++) {
+      for (let ix = cx - ring; ix <= cx + ring; ix++) {
+        for (let iz = cz - ring; iz <= cz + ring; iz++) {
+          if (Math.max(Math.abs(ix - cx), Math.abs(iz - cz)) !== ring) continue;
+          for (const node of getNodes(ix, iz)) {
+            const dy = Math.abs(node.y - point.y);
+            if (dy > tolerance) continue;
+            const score = Math.hypot(ix * cellSize - point.x, iz * cellSize - point.z) + dy;
+            if (score < bestScore) {
+              best = node;
+              bestScore = score;
+            }
+          }
+        }
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Whether the player can walk the straight line between two nodes, going
+   * from cell to linked cell along it
+   * @param {Object} from
+   * @param {Object} to
+   * @returns {boolean}
+   */
+  function canWalkStraight(from, to) {
+    const dx = to.ix - from.ix;
+    const dz = to.iz - from.iz;
+    const samples = Math.ceil(Math.hypot(dx, dz) * 4);
+    let current = from;
+
+    for (let i = 1; i <= samples; i++) {
+      const ix = Math.round(from.ix + dx * i / samples);
+      const iz = Math.round(from.iz + dz * i / samples);
+      if (ix === current.ix && iz === current.iz) continue;
+
+      const next = getNodes(ix, iz).find(node => Math.abs(node.y - current.y) <= stepHeight * 2 && isLinked(current, node));
+      if (!next) return false;
+      current = next;
+    }
+    return current.id === to.id;
+  }
+
+  /**
+   * Drop the corners the player can walk straight past
+   * @param {Object[]} nodes - Path from A*
+   * @returns {Object[]}
+   */
+  function straighten(nodes) {
+    const result = [nodes[0]];
+    let anchor = 0;
+    while (anchor < nodes.length - 1) {
+      let next = anchor + 1;
+      while (next + 1 < nodes.length && canWalkStraight(nodes[anchor], nodes[next + 1])) next++;
+      result.push(nodes[next]);
+      anchor = next;
+    }
+    return result;
+  }
+
+  /**
+   * Delete the entries of a map keyed by column that fall in an area,
+   * visiting whichever is smaller: the area or the map
+   * @param {Map} map
+   * @param {THREE.Box3} box
+   * @param {number} margin - Extra cells around the area
+   */
+  function forgetArea(map, box, margin) {
+    const minX = toCell(box.min.x) - margin;
+    const maxX = toCell(box.max.x) + margin;
+    const minZ = toCell(box.min.z) - margin;
+    const maxZ = toCell(box.max.z) + margin;
+
+    if ((maxX - minX + 1) * (maxZ - minZ + 1) < map.size) {
+      for (let ix = minX; ix <= maxX; ix++) {
+        for (let iz = minZ; iz <= maxZ; iz++) map.delete(columnKey(ix, iz));
+      }
+      return;
+    }
+    for (const key of map.keys()) {
+      const [ix, iz] = key.split(',').map(Number);
+      if (ix >= minX && ix <= maxX && iz >= minZ && iz <= maxZ) map.delete(key);
+    }
+  }
+
+  return {
+    /**
+     * Find a walking path.
+     *
+     * Ends on whichever surface of the target column it reaches first (the
+     * street or a roof). If the target can't be reached the path goes as
+     * close as it can and is marked partial.
+     *
+     * @param {{x: number, y: number, z: number}} from - Feet position
+     * @param {{x: number, z: number}} to - Target (height doesn't matter)
+     * @param {Object} [options]
+     * @param {number} [options.maxNodes] - Search limit
+     * @returns {{points: THREE.Vector3[], length: number, partial: boolean, searched: number}|null}
+     *   Path corners at feet height, or null if `from` isn't on the mesh
+     */
+    findPath(from, to, { maxNodes = MAX_SEARCH_NODES } = {}) {
+      const start = findNode(from);
+      if (!start) return null;
+
+      // Aim for the nearest walkable column if the target has none
+      let gx = toCell(to.x);
+      let gz = toCell(to.z);
+      if (getNodes(gx, gz).length === 0) {
+        const snapped = findNode({ x: to.x, y: from.y, z: to.z }, Infinity);
+        if (snapped) {
+          gx = snapped.ix;
+          gz = snapped.iz;
+        }
+      }
+      const estimate = node => Math.hypot(node.ix - gx, node.iz - gz) * cellSize;
+
+      const open = createHeap();
+      const cost = new Map([[start.id, 0]]);
+      const cameFrom = new Map();
+      const closed = new Set();
+      let closest = start;
+      let goal = null;
+
+      open.push(start, estimate(start));
+      while (open.size() > 0 && closed.size < maxNodes) {
+        const node = open.pop();
+        if (closed.has(node.id)) continue;
+        closed.add(node.id);
+
+        if (node.ix === gx && node.iz === gz) {
+          goal = node;
+          break;
+        }
+        if (estimate(node) < estimate(closest)) closest = node;
+
+        for (const { node: next, cost: step } of neighbours(node)) {
+          if (closed.has(next.id)) continue;
+          const total = cost.get(node.id) + step;
+          if (total >= (cost.get(next.id) ?? Infinity)) continue;
+          cost.set(next.id, total);
+          cameFrom.set(next.id, node);
+          open.push(next, total + estimate(next));
+        }
+      }
+
+      const end = goal || closest;
+      const nodes = [end];
+      while (cameFrom.has(nodes[0].id)) nodes.unshift(cameFrom.get(nodes[0].id));
+
+      const points = straighten(nodes).map(node => new THREE.Vector3(node.ix * cellSize, node.y, node.iz * cellSize));
+      // Finish on the exact target when it was reached
+      if (goal && gx === toCell(to.x) && gz === toCell(to.z)) {
+        points[points.length - 1].x = to.x;
+        points[points.length - 1].z = to.z;
+      }
+
+      let length = 0;
+      for (let i = 1; i < points.length; i++) length += points[i].distanceTo(points[i - 1]);
+
+      return { points, length, partial: !goal, searched: closed.size };
+    },
+
+    /**
+     * Height of the walkable surface under a point, nearest to a height
+     * @param {number} x
+     * @param {number} z
+     * @param {number} y
+     * @returns {number|null} Null if there is none within a step of `y`
+     */
+    surfaceAt: (x, z, y) => nearestSurface(x, z, y, stepHeight * 2),
+
+    /**
+     * Bake every column (and its links) in an area up front
+     * @param {THREE.Box3} box
+     * @returns {number} Nodes in the area
+     */
+    bake(box) {
+      let count = 0;
+      for (let ix = toCell(box.min.x); ix <= toCell(box.max.x); ix++) {
+        for (let iz = toCell(box.min.z); iz <= toCell(box.max.z); iz++) {
+          for (const node of getNodes(ix, iz)) {
+            neighbours(node);
+            count++;
+          }
+        }
+      }
+      return count;
+    },
+
+    /**
+     * Forget what was baked around an area, after collision meshes there
+     * were added or removed
+     * @param {THREE.Box3} [box] - Default: everything
+     */
+    invalidate(box) {
+      if (!box) {
+        columns.clear();
+        links.clear();
+        return;
+      }
+
+      // Columns in the area (with a cell of margin for rounding), and links
+      // from one more cell out, since links reach into the next column
+      forgetArea(columns, box, 1);
+      forgetArea(links, box, 2);
+    },
+
+    /** @returns {{columns: number, nodes: number, links: number}} */
+    getStats() {
+      let nodes = 0;
+      for (const surfaces of columns.values()) nodes += surfaces.length;
+      let linked = 0;
+      for (const bucket of links.values()) {
+        for (const value of bucket.values()) if (value) linked++;
+      }
+      return { columns: columns.size, nodes, links: linked };
+    }
+  };
+}
@@ -0,0 +1,133 @@
+/**
+ * ============================================================================
+ * ITTY BITY CITY - Server Connection
+ * ============================================================================
+ *
+ * WebSocket client that links the game to server.js. The server relays
+ * commands from the /control connection (teleport, look, time, weather...)
+ * and expects `playerUpdate` messages back so `getState` reports real data.
+ *
+ * The connection is optional: when no server is reachable (e.g. on
+ * GitHub Pages) the game keeps running and we quietly retry with
+ * exponential backoff.
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const RECONNECT_BASE_DELAY = 1000;   // First retry after 1s
+const RECONNECT_MAX_DELAY = 30000;   // Never wait longer than 30s
+const RECONNECT_JITTER = 0.3;        // +/-30% randomness to avoid thundering herd
+
+/**
+ * Work out which WebSocket URL to use.
+ *
+ * Resolution order:
+ * 1. `?server=ws://host:port` query parameter (for pointing a static build
+ *    at a remote server)
+ * 2. Same host the page was served from (server.js serves both)
+ *
+ * @returns {string|null} WebSocket URL, or null if the page has no host
+ */
+export function getServerUrl() {
+  const params = new URLSearchParams(window.location.search);
+  const override = params.get('server');
+  if (override) return override;
+
+  if (!window.location.host) return null;  // Opened from file://
+
+  const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+  return `${protocol}//${window.location.host}/`;
+}
+
+/**
+ * Open a self-healing WebSocket connection to the game server.
+ *
+ * @param {Object} options
+ * @param {string} options.url - WebSocket URL to connect to
+ * @param {function(Object)} options.onMessage - Called with each parsed message
+ * @param {function()} [options.onOpen] - Called after every (re)connect
+ * @param {function()} [options.onClose] - Called when an open connection drops
+ * @returns {{send: function(Object): boolean, isConnected: function(): boolean, close: function()}}
+ */
+export function connectToServer({ url, onMessage, onOpen, onClose }) {
+  let socket = null;
+  let attempts = 0;
+  let reconnectTimer = null;
+  let closedByUser = false;
+  let isOpen = false;
+
+  function connect() {
+    try {
+      socket = new WebSocket(url);
+    } catch (e) {
+      // Malformed URL - retrying will not help
+      console.error('🔌 Invalid server URL:', url, e);
+      return;
+    }
+
+    socket.addEventListener('open', () => {
+      attempts = 0;
+      isOpen = true;
+      console.log('🔌 Connected to game server');
+      if (onOpen) onOpen();
+    });
+
+    socket.addEventListener('message', (event) => {
+      let msg;
+      try {
+        msg = JSON.parse(event.data);
+      } catch (e) {
+        console.error('Error parsing server message:', e);
+        return;
+      }
+      onMessage(msg);
+    });
+
+    socket.addEventListener('close', () => {
+      socket = null;
+
+      if (isOpen) {
+        isOpen = false;
+        console.log('🔌 Disconnected from game server');
+        if (onClose) onClose();
+      }
+
+      if (!closedByUser) scheduleReconnect();
+    });
+
+    // Errors are always followed by 'close', which handles the retry
+    socket.addEventListener('error', () => {});
+  }
+
+  function scheduleReconnect() {
+    const delay = Math.min(RECONNECT_MAX_DELAY, RECONNECT_BASE_DELAY * 2 ** attempts);
+    const jitter = delay * RECONNECT_JITTER * (Math.random() * 2 - 1);
+    attempts++;
+    reconnectTimer = setTimeout(connect, delay + jitter);
+  }
+
+  connect();
+
+  return {
+    /**
+     * Send a message if the connection is open.
+     * @param {Object} msg - Message object (serialized as JSON)
+     * @returns {boolean} Whether the message was sent
+     */
+    send(msg) {
+      if (!socket || socket.readyState !== WebSocket.OPEN) return false;
+      socket.send(JSON.stringify(msg));
+      return true;
+    },
+
+    isConnected: () => isOpen,
+
+    close() {
+      closedByUser = true;
+      clearTimeout(reconnectTimer);
+      if (socket) socket.close();
+    }
+  };
+}
@@ -0,0 +1,256 @@
+/**
+ * ============================================================================
+ * ITTY BITY CITY - Path Guide
+ * ============================================================================
+ *
+ * Shows the way along a path from the navigation mesh: a trail of chevrons
+ * laid on the ground pointing along it, and a ring at the destination.
+ * Chevrons disappear as the player walks past them.
+ *
+ * update() also tracks progress for auto-walking: the next corner to head
+ * for, whether the player has arrived, and whether they have wandered far
+ * enough off the path that it needs planning again.
+ */
+
+import * as THREE from 'three';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/** Distance between chevrons along the path */
+const CRUMB_SPACING = 1.5;
+
+/** Most chevrons shown */
+const MAX_CRUMBS = 400;
+
+/** Height above the ground the trail floats at (avoids z-fighting) */
+const CRUMB_LIFT = 0.06;
+
+/** Chevrons this close ahead of the player are already hidden */
+const CRUMB_REACH = 0.75;
+
+/** A corner counts as reached this close to it (horizontally) */
+const CORNER_RADIUS = 0.6;
+
+/** The destination counts as reached this close to it */
+const ARRIVE_RADIUS = 0.8;
+
+/** Further than this off the path (horizontally, or 2.5m vertically) is off course */
+const STRAY_DISTANCE = 4;
+const STRAY_HEIGHT = 2.5;
+
+/** Trail color (the map's waypoint yellow) */
+const TRAIL_COLOR = 0xfeca57;
+
+// ============================================================================
+// GEOMETRY
+// ============================================================================
+
+/** Flat chevron pointing along +Z, lying on the ground */
+function createChevronGeometry() {
+  const shape = new THREE.Shape();
+  shape.moveTo(0, 0.22);
+  shape.lineTo(0.25, -0.08);
+  shape.lineTo(0.25, -0.22);
+  shape.lineTo(0, 0.08);
+  shape.lineTo(-0.25, -0.22);
+  shape.lineTo(-0.25, -0.08);
+  shape.closePath();
+
+  const geometry = new THREE.ShapeGeometry(shape);
+  // Shape's +Y becomes the ground's +Z
+  geometry.rotateX(Math.PI / 2);
+  return geometry;
+}
+
+/**
+ * Horizontal distance from a point to a segment, and how far along it the
+ * point lies
+ * @param {THREE.Vector3} point
+ * @param {THREE.Vector3} a
+ * @param {THREE.Vector3} b
+ * @returns {{distance: number, t: number}} t from 0 (at a) to 1 (at b)
+ */
+function toSegment(point, a, b) {
+  const dx = b.x - a.x;
+  const dz = b.z - a.z;
+  const lengthSq = dx * dx + dz * dz;
+  const t = lengthSq > 0
+    ? THREE.MathUtils.clamp(((point.x - a.x) * dx + (point.z - a.z) * dz) / lengthSq, 0, 1)
+    : 0;
+  return { distance: Math.hypot(a.x + dx * t - point.x, a.z + dz * t - point.z), t };
+}
+
+// ============================================================================
+// PATH GUIDE
+// ============================================================================
+
+/**
+ * Create the path guide.
+ *
+ * @param {Object} options
+ * @param {THREE.Scene} options.scene
+ * @param {function(number, number, number): (number|null)} [options.getSurface] - Ground height
+ *   at (x, z) nearest a height, to lay the trail on stairs and curbs (default: straight
+ *   lines between corners)
+ * @returns {Object} Path guide API
+ */
+export function createPathGuide({ scene, getSurface = () => null }) {
+  const material = new THREE.MeshBasicMaterial({
+    color: TRAIL_COLOR,
+    transparent: true,
+    opacity: 0.85,
+    depthWrite: false,
+    side: THREE.DoubleSide
+  });
+
+  const crumbs = new THREE.InstancedMesh(createChevronGeometry(), material, MAX_CRUMBS);
+  crumbs.count = 0;
+  crumbs.frustumCulled = false;
+  crumbs.visible = false;
+  scene.add(crumbs);
+
+  const ring = new THREE.Mesh(new THREE.RingGeometry(0.55, 0.75, 32).rotateX(-Math.PI / 2), material);
+  ring.visible = false;
+  scene.add(ring);
+
+  /** Path corners at feet height */
+  let points = [];
+
+  /** Index of the corner being walked towards */
+  let next = 0;
+
+  /** Distance along the path of each chevron, furthest first (see update) */
+  let crumbDistances = [];
+
+  /** Distance along the path to each corner */
+  let cornerDistances = [];
+
+  const _matrix = new THREE.Matrix4();
+  const _position = new THREE.Vector3();
+  const _rotation = new THREE.Quaternion();
+  const _scale = new THREE.Vector3(1, 1, 1);
+  const _up = new THREE.Vector3(0, 1, 0);
+
+  /** Lay the chevrons along the path, furthest first so hiding the nearest just drops the count */
+  function layTrail() {
+    const placed = [];
+    for (let i = 1; i < points.length; i++) {
+      const a = points[i - 1];
+      const b = points[i];
+      const length = Math.hypot(b.x - a.x, b.z - a.z);
+      const heading = Math.atan2(b.x - a.x, b.z - a.z);
+
+      for (let along = CRUMB_SPACING / 2; along < length; along += CRUMB_SPACING) {
+        _position.lerpVectors(a, b, along / length);
+        const ground = getSurface(_position.x, _position.z, _position.y);
+        if (ground !== null) _position.y = ground;
+        placed.push({ position: _position.clone(), heading, distance: cornerDistances[i - 1] + along });
+      }
+    }
+
+    const shown = placed.slice(0, MAX_CRUMBS).reverse();
+    crumbDistances = shown.map(crumb => crumb.distance);
+    shown.forEach((crumb, index) => {
+      _position.copy(crumb.position).y += CRUMB_LIFT;
+      _rotation.setFromAxisAngle(_up, crumb.heading);
+      crumbs.setMatrixAt(index, _matrix.compose(_position, _rotation, _scale));
+    });
+    crumbs.count = shown.length;
+    crumbs.instanceMatrix.needsUpdate = true;
+  }
+
+  /**
+   * How far a point is from the leg ending at a corner, counting height
+   * differences double (so legs on other levels lose out)
+   * @param {THREE.Vector3} point
+   * @param {number} index - Corner the leg ends at (1 or more)
+   */
+  function offLeg(point, index) {
+    const from = points[index - 1];
+    const to = points[index];
+    const { distance, t } = toSegment(point, from, to);
+    return distance + Math.abs(point.y - THREE.MathUtils.lerp(from.y, to.y, t)) * 2;
+  }
+
+  /** Hide everything */
+  function clear() {
+    points = [];
+    crumbDistances = [];
+    cornerDistances = [];
+    next = 0;
+    crumbs.count = 0;
+    crumbs.visible = false;
+    ring.visible = false;
+  }
+
+  return {
+    /**
+     * Show a path
+     * @param {THREE.Vector3[]} path - Corners at feet height, starting where the player is
+     */
+    set(path) {
+      points = path.map(point => point.clone());
+      next = Math.min(1, points.length - 1);
+
+      cornerDistances = [0];
+      for (let i = 1; i < points.length; i++) {
+        cornerDistances.push(cornerDistances[i - 1] + Math.hypot(points[i].x - points[i - 1].x, points[i].z - points[i - 1].z));
+      }
+
+      layTrail();
+      crumbs.visible = true;
+      ring.position.copy(points[points.length - 1]).y += CRUMB_LIFT;
+      ring.visible = true;
+    },
+
+    clear,
+
+    /**
+     * Follow the player along the path
+     * @param {THREE.Vector3} feet - Player's feet
+     * @param {number} time - Seconds (pulses the destination ring)
+     * @returns {{target: THREE.Vector3, arrived: boolean, strayed: boolean}|null}
+     *   The corner to head for, or null without a path
+     */
+    update(feet, time) {
+      if (points.length === 0) return null;
+      const last = points.length - 1;
+
+      // Pass the corners within reach, or already cut (nearer the leg after)
+      while (next < last && (
+        Math.hypot(points[next].x - feet.x, points[next].z - feet.z) < CORNER_RADIUS ||
+        offLeg(feet, next + 1) < offLeg(feet, next)
+      )) next++;
+
+      const destination = points[last];
+      const arrived = Math.hypot(destination.x - feet.x, destination.z - feet.z) < ARRIVE_RADIUS &&
+        Math.abs(destination.y - feet.y) < STRAY_HEIGHT;
+
+      // Off course: far from the leg being walked, or on another level
+      const from = points[Math.max(0, next - 1)];
+      const leg = toSegment(feet, from, points[next]);
+      const strayed = leg.distance > STRAY_DISTANCE ||
+        Math.abs(feet.y - THREE.MathUtils.lerp(from.y, points[next].y, leg.t)) > STRAY_HEIGHT;
+
+      // Drop the chevrons the player has walked past
+      const walked = cornerDistances[Math.max(0, next - 1)] + leg.t * (cornerDistances[next] - cornerDistances[Math.max(0, next - 1)]);
+      let count = crumbDistances.length;
+      while (count > 0 && crumbDistances[count - 1] < walked + CRUMB_REACH) count--;
+      crumbs.count = count;
+
+      ring.scale.setScalar(1 + Math.sin(time * 4) * 0.12);
+
+      return { target: points[next], arrived, strayed };
+    },
+
+    isActive: () => points.length > 0,
+
+    /** @returns {THREE.Vector3|null} Where the path ends */
+    getDestination: () => (points.length > 0 ? points[points.length - 1].clone() : null),
+
+    /** @returns {number} Chevrons still showing */
+    getTrailLength: () => crumbs.count
+  };
+}
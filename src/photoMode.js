@@ -0,0 +1,397 @@
+/**
+ * ============================================================================
+ * ITTY BITY CITY - Photo Mode
+ * ============================================================================
+ *
+ * Freezes the game and hands the view to a free-fly camera for screenshots:
+ * - The free camera starts at the game camera and can't leave a sphere
+ *   around the player (WASD, Q/E down/up, Shift faster, mouse to look)
+ * - The panel (#photo-panel) sets exposure, FOV, depth of field, a color
+ *   filter and vignette; these only apply while photo mode is on
+ * - C (or the panel button) captures at a multiple of the window resolution
+ *   and downloads the result as a PNG
+ *
+ * The game loop stops updating the world while `isActive()` and calls
+ * `update` and `render` instead, so everything holds still.
+ */
+
+import * as THREE from 'three';
+import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
+import { BokehPass } from 'three/addons/postprocessing/BokehPass.js';
+import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
+import { OutputPass } from 'three/addons/postprocessing/OutputPass.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/** Free camera speed (units per second; Shift multiplies by 4) */
+const FLY_SPEED = 6;
+
+/** Mouse look sensitivity (radians per pixel) */
+const LOOK_SENSITIVITY = 0.002;
+
+/** Aperture per step of the blur slider */
+const APERTURE_PER_BLUR = 0.0005;
+
+/** Largest blur radius (fraction of the screen) */
+const MAX_BLUR = 0.015;
+
+/** Capture sizes offered, as multiples of the window size */
+const CAPTURE_SCALES = [1, 2, 3, 4];
+
+/** Color filters, in shader order */
+export const PHOTO_FILTERS = ['none', 'mono', 'sepia', 'warm', 'cool', 'noir'];
+
+/**
+ * Color filter and vignette, applied after tone mapping (display colors)
+ */
+const FilterShader = {
+  uniforms: {
+    tDiffuse: { value: null },
+    uFilter: { value: 0 },
+    uVignette: { value: 0 }
+  },
+
+  vertexShader: `
+    varying vec2 vUv;
+    void main() {
+      vUv = uv;
+      gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+  `,
+
+  fragmentShader: `
+    uniform sampler2D tDiffuse;
+    uniform int uFilter;
+    uniform float uVignette;
+    varying vec2 vUv;
+
+    void main() {
+      vec4 texel = texture2D(tDiffuse, vUv);
+      vec3 color = texel.rgb;
+      float luma = dot(color, vec3(0.299, 0.587, 0.114));
+
+      if (uFilter == 1) {
+        color = vec3(luma);
+      } else if (uFilter == 2) {
+        color = vec3(luma) * vec3(1.07, 0.74, 0.43) * 1.1;
+      } else if (uFilter == 3) {
+        color *= vec3(1.08, 1.0, 0.86);
+      } else if (uFilter == 4) {
+        color *= vec3(0.88, 0.98, 1.1);
+      } else if (uFilter == 5) {
+        color = vec3(smoothstep(0.15, 0.85, luma));
+      }
+
+      // Darken towards the corners
+      float edge = length(vUv - 0.5) * 1.4;
+      color *= 1.0 - uVignette * smoothstep(0.4, 1.0, edge);
+
+      gl_FragColor = vec4(clamp(color, 0.0, 1.0), texel.a);
+    }
+  `
+};
+
+// ============================================================================
+// PHOTO MODE
+// ============================================================================
+
+/**
+ * Create photo mode.
+ *
+ * @param {Object} options
+ * @param {THREE.WebGLRenderer} options.renderer
+ * @param {THREE.Scene} options.scene
+ * @param {THREE.PerspectiveCamera} options.camera - Game camera (the free camera starts from it)
+ * @param {HTMLElement} options.panel - Element to build the settings panel in
+ * @param {function(): THREE.Vector3} options.getCenter - Player position the camera is tied to
+ * @param {number} [options.radius=25] - How far the camera may fly from the player
+ * @param {function(boolean)} [options.onToggle] - Called when photo mode turns on/off
+ */
+export function createPhotoMode({ renderer, scene, camera, panel, getCenter, radius = 25, onToggle }) {
+  const photoCamera = new THREE.PerspectiveCamera(camera.fov, camera.aspect, camera.near, camera.far);
+  photoCamera.layers.mask = camera.layers.mask;  // Same layers as the game (weather)
+
+  const settings = {
+    exposure: renderer.toneMappingExposure,
+    fov: camera.fov,
+    focus: 10,
+    blur: 0,
+    filter: 'none',
+    vignette: 0,
+    scale: 2
+  };
+
+  /** Exposure of the game, put back on exit */
+  let gameExposure = renderer.toneMappingExposure;
+
+  let active = false;
+  let yaw = 0;
+  let pitch = 0;
+  const keys = new Set();
+
+  // Post-processing chain, only used in photo mode
+  const composer = new EffectComposer(renderer);
+  const bokehPass = new BokehPass(scene, photoCamera, { focus: settings.focus, aperture: 0, maxblur: MAX_BLUR });
+  const filterPass = new ShaderPass(FilterShader);
+  composer.addPass(new RenderPass(scene, photoCamera));
+  composer.addPass(bokehPass);
+  composer.addPass(new OutputPass());
+  composer.addPass(filterPass);
+
+  /** Push the settings into the camera and passes */
+  function applySettings() {
+    renderer.toneMappingExposure = settings.exposure;
+    photoCamera.fov = settings.fov;
+    photoCamera.updateProjectionMatrix();
+    bokehPass.enabled = settings.blur > 0;
+    bokehPass.uniforms.focus.value = settings.focus;
+    bokehPass.uniforms.aperture.value = settings.blur * APERTURE_PER_BLUR;
+    filterPass.uniforms.uFilter.value = PHOTO_FILTERS.indexOf(settings.filter);
+    filterPass.uniforms.uVignette.value = settings.vignette;
+  }
+
+  // ========================================
+  // PANEL
+  // ========================================
+
+  /**
+   * Add a labelled slider to the panel
+   * @param {string} key - Setting it controls
+   * @param {string} label
+   * @param {number} min
+   * @param {number} max
+   * @param {number} step
+   */
+  function addSlider(key, label, min, max, step) {
+    const row = document.createElement('label');
+    const value = document.createElement('span');
+    const input = document.createElement('input');
+    Object.assign(input, { type: 'range', min, max, step, value: settings[key] });
+    value.textContent = settings[key];
+
+    input.addEventListener('input', () => {
+      settings[key] = Number(input.value);
+      value.textContent = input.value;
+      applySettings();
+    });
+
+    row.append(label, input, value);
+    panel.appendChild(row);
+    return input;
+  }
+
+  /**
+   * Add a labelled drop-down to the panel
+   * @param {string} key - Setting it controls
+   * @param {string} label
+   * @param {Array<{value: *, text: string}>} options
+   */
+  function addSelect(key, label, options) {
+    const row = document.createElement('label');
+    const select = document.createElement('select');
+    for (const option of options) {
+      select.add(new Option(option.text, option.value, false, option.value === settings[key]));
+    }
+    select.addEventListener('change', () => {
+      settings[key] = typeof settings[key] === 'number' ? Number(select.value) : select.value;
+      applySettings();
+    });
+
+    row.append(label, select);
+    panel.appendChild(row);
+  }
+
+  const title = document.createElement('h3');
+  title.textContent = '📷 Photo Mode';
+  panel.appendChild(title);
+
+  const inputs = {
+    exposure: addSlider('exposure', 'Exposure', 0.2, 3, 0.05),
+    fov: addSlider('fov', 'FOV', 15, 100, 1),
+    focus: addSlider('focus', 'Focus', 1, 100, 0.5),
+    blur: addSlider('blur', 'Blur', 0, 10, 0.5),
+    vignette: addSlider('vignette', 'Vignette', 0, 1, 0.05)
+  };
+  addSelect('filter', 'Filter', PHOTO_FILTERS.map(name => ({ value: name, text: name })));
+  addSelect('scale', 'Size', CAPTURE_SCALES.map(scale => ({ value: scale, text: `${scale}× window` })));
+
+  const captureButton = document.createElement('button');
+  captureButton.textContent = 'Capture (C)';
+  captureButton.addEventListener('click', (e) => {
+    e.stopPropagation();
+    capture();
+  });
+  panel.appendChild(captureButton);
+
+  const hint = document.createElement('p');
+  hint.textContent = 'WASD fly · Q/E down/up · Shift faster · ESC for the mouse · P to leave';
+  panel.appendChild(hint);
+
+  // Keep panel clicks from grabbing the pointer
+  panel.addEventListener('click', e => e.stopPropagation());
+
+  // ========================================
+  // INPUT
+  // ========================================
+
+  document.addEventListener('keydown', (e) => {
+    if (!active || e.target instanceof HTMLInputElement) return;
+    keys.add(e.code);
+    if (e.code === 'KeyC' && !e.repeat) capture();
+  });
+
+  document.addEventListener('keyup', (e) => keys.delete(e.code));
+
+  document.addEventListener('mousemove', (e) => {
+    if (!active || document.pointerLockElement !== renderer.domElement) return;
+    yaw -= e.movementX * LOOK_SENSITIVITY;
+    pitch = THREE.MathUtils.clamp(pitch - e.movementY * LOOK_SENSITIVITY, -Math.PI / 2 + 0.01, Math.PI / 2 - 0.01);
+  });
+
+  // ========================================
+  // CAPTURE
+  // ========================================
+
+  /**
+   * Render one frame at `scale` times the window size and download it
+   * @param {number} [scale] - Defaults to the panel setting
+   * @returns {Promise<Blob>} The PNG
+   */
+  function capture(scale = settings.scale) {
+    const size = renderer.getSize(new THREE.Vector2());
+    const pixelRatio = renderer.getPixelRatio();
+
+    // Stay within what the GPU can render in one go
+    const limit = renderer.capabilities.maxTextureSize;
+    const factor = Math.min(scale, limit / size.x, limit / size.y);
+    const width = Math.floor(size.x * factor);
+    const height = Math.floor(size.y * factor);
+
+    renderer.setPixelRatio(1);
+    renderer.setSize(width, height, false);
+    composer.setPixelRatio(1);
+    composer.setSize(width, height);
+    composer.render();
+
+    // toBlob copies the canvas right away, so the size can be put back
+    const blob = new Promise(resolve => renderer.domElement.toBlob(resolve, 'image/png'));
+
+    renderer.setPixelRatio(pixelRatio);
+    renderer.setSize(size.x, size.y, false);
+    composer.setPixelRatio(pixelRatio);
+    composer.setSize(size.x, size.y);
+
+    return blob.then((png) => {
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(png);
+      link.download = `ittybitycity-${new Date().toISOString().replace(/[:.]/g, '-')}.png`;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+      console.log(`📷 Captured ${width}×${height}`);
+      return png;
+    });
+  }
+
+  // ========================================
+  // PUBLIC API
+  // ========================================
+
+  /** Start photo mode from the current game view */
+  function enter() {
+    if (active) return;
+    active = true;
+
+    photoCamera.position.copy(camera.position);
+    photoCamera.aspect = camera.aspect;
+    const euler = new THREE.Euler().setFromQuaternion(camera.quaternion, 'YXZ');
+    yaw = euler.y;
+    pitch = euler.x;
+
+    gameExposure = renderer.toneMappingExposure;
+    settings.fov = camera.fov;
+    inputs.fov.value = settings.fov;
+    inputs.fov.nextSibling.textContent = settings.fov;
+
+    const size = renderer.getSize(new THREE.Vector2());
+    composer.setPixelRatio(renderer.getPixelRatio());
+    composer.setSize(size.x, size.y);
+    applySettings();
+
+    panel.style.display = 'block';
+    if (onToggle) onToggle(true);
+  }
+
+  /** Back to the game, as it was */
+  function exit() {
+    if (!active) return;
+    active = false;
+    keys.clear();
+
+    renderer.toneMappingExposure = gameExposure;
+    panel.style.display = 'none';
+    if (onToggle) onToggle(false);
+  }
+
+  return {
+    enter,
+    exit,
+    capture,
+
+    /** Turn photo mode on or off */
+    toggle() {
+      if (active) exit(); else enter();
+    },
+
+    /** Whether photo mode is on (the game should hold still) */
+    isActive() {
+      return active;
+    },
+
+    /** The free camera */
+    camera: photoCamera,
+
+    /**
+     * Move the free camera
+     * @param {number} delta - Seconds
+     */
+    update(delta) {
+      if (!active) return;
+
+      photoCamera.quaternion.setFromEuler(new THREE.Euler(pitch, yaw, 0, 'YXZ'));
+
+      const move = new THREE.Vector3(
+        (keys.has('KeyD') ? 1 : 0) - (keys.has('KeyA') ? 1 : 0),
+        (keys.has('KeyE') ? 1 : 0) - (keys.has('KeyQ') ? 1 : 0),
+        (keys.has('KeyS') ? 1 : 0) - (keys.has('KeyW') ? 1 : 0)
+      );
+      if (move.lengthSq() > 0) {
+        const speed = FLY_SPEED * (keys.has('ShiftLeft') || keys.has('ShiftRight') ? 4 : 1);
+        move.normalize().multiplyScalar(speed * delta).applyQuaternion(photoCamera.quaternion);
+        photoCamera.position.add(move);
+      }
+
+      // Stay within reach of the player
+      const center = getCenter();
+      const offset = photoCamera.position.clone().sub(center);
+      if (offset.length() > radius) {
+        photoCamera.position.copy(center).add(offset.setLength(radius));
+      }
+      photoCamera.updateMatrixWorld();
+    },
+
+    /** Draw the frame through the photo effects */
+    render() {
+      composer.render();
+    },
+
+    /** Match a window resize */
+    setSize(width, height) {
+      photoCamera.aspect = width / height;
+      photoCamera.updateProjectionMatrix();
+      composer.setSize(width, height);
+    }
+  };
+}
@@ -0,0 +1,660 @@
+/**
+ * ============================================================================
+ * ITTY BITY CITY - Prop Physics
+ * ============================================================================
+ *
+ * Lightweight rigid bodies for loose props (crates, balls):
+ * - Boxes and spheres. Boxes keep their yaw (they slide, fall and stack but
+ *   never tumble); spheres roll
+ * - Gravity, bouncing and friction against the static city, queried through
+ *   the collision world, and against each other
+ * - A fixed timestep: update() runs as many 1/60 s steps as the frame time
+ *   adds up to, and draws the meshes between the last two steps, so the
+ *   simulation behaves the same at any frame rate
+ * - Bodies at rest fall asleep until something pushes or hits them
+ * - The player pushes bodies by walking into them (push())
+ *
+ * Body meshes stay in the collision world so the player and camera collide
+ * with them like any other mesh; the simulation leaves them out when it
+ * looks for static contacts.
+ */
+
+import * as THREE from 'three';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/** Simulation step (seconds) */
+const FIXED_STEP = 1 / 60;
+
+/** Most steps per update; slower frames make the simulation run slow instead */
+const MAX_STEPS = 5;
+
+/** Fastest a body can move (units per second), to limit tunneling */
+const MAX_SPEED = 30;
+
+/** Bounciness, and the impact speed below which contacts don't bounce */
+const RESTITUTION = 0.2;
+const BOUNCE_THRESHOLD = 1;
+
+/** Default friction of boxes (spheres roll, so they barely slow down) */
+const BOX_FRICTION = 0.6;
+const SPHERE_FRICTION = 0.1;
+
+/** Bodies slower than this for SLEEP_TIME seconds while supported fall asleep */
+const SLEEP_SPEED = 0.05;
+const SLEEP_TIME = 0.5;
+
+/** Bodies that fall below this height (off the edge of the world) stop */
+const FALL_LIMIT = -50;
+
+/** Depenetration passes against the city per step */
+const MAX_ITERATIONS = 4;
+
+/** Contact normals at least this upward count as support */
+const SUPPORT_Y = 0.7;
+
+/** Non-face axes must beat the triangle's face by this to be used (avoids snagging on seams) */
+const FACE_BIAS = 0.01;
+
+/** How far beyond the player's radius pushing reaches */
+const PUSH_REACH = 0.1;
+
+/** Bodies up to this mass are pushed at walking speed; heavier ones slower */
+const PUSH_MASS = 1;
+
+// Scratch objects
+const _box = new THREE.Box3();
+const _triangle = new THREE.Triangle();
+const _closest = new THREE.Vector3();
+const _faceNormal = new THREE.Vector3();
+const _normal = new THREE.Vector3();
+const _axis = new THREE.Vector3();
+const _local = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+const _edges = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+const _relative = new THREE.Vector3();
+const _tangent = new THREE.Vector3();
+const _offset = new THREE.Vector3();
+const _rollAxis = new THREE.Vector3();
+const _rollQuat = new THREE.Quaternion();
+const UNIT_AXES = [new THREE.Vector3(1, 0, 0), new THREE.Vector3(0, 1, 0), new THREE.Vector3(0, 0, 1)];
+const UP = new THREE.Vector3(0, 1, 0);
+
+// ============================================================================
+// CONTACTS
+// ============================================================================
+
+/**
+ * Turn a world-space vector into a box's frame (the box only has yaw)
+ * @param {THREE.Vector3} v - Modified in place
+ * @param {Object} body
+ */
+function toBoxFrame(v, body) {
+  const x = v.x * body.cos - v.z * body.sin;
+  const z = v.x * body.sin + v.z * body.cos;
+  return v.set(x, v.y, z);
+}
+
+/**
+ * Turn a vector in a box's frame back into world space
+ * @param {THREE.Vector3} v - Modified in place
+ * @param {Object} body
+ */
+function fromBoxFrame(v, body) {
+  const x = v.x * body.cos + v.z * body.sin;
+  const z = -v.x * body.sin + v.z * body.cos;
+  return v.set(x, v.y, z);
+}
+
+/**
+ * Sphere against a triangle
+ * @param {Object} body
+ * @param {THREE.Triangle} triangle - World space
+ * @param {THREE.Vector3} normal - Receives the direction to push the sphere
+ * @returns {number} Penetration depth (0 or less: no contact)
+ */
+function sphereTriangle(body, triangle, normal) {
+  triangle.closestPointToPoint(body.position, _closest);
+  triangle.getNormal(_faceNormal);
+  normal.subVectors(body.position, _closest);
+  const distance = normal.length();
+
+  // Center on or behind the face (fell in too far): push out the front
+  const behind = _faceNormal.dot(normal);
+  if (distance < 1e-6 || (behind < 0 && Math.abs(behind) > distance - 1e-6)) {
+    normal.copy(_faceNormal);
+    return body.radius - behind;
+  }
+
+  normal.divideScalar(distance);
+  return body.radius - distance;
+}
+
+/**
+ * Overlap of a box and a triangle along one axis (separating axis test)
+ * @param {THREE.Vector3} axis - Unit axis in the box's frame
+ * @param {THREE.Vector3} half - Box half extents
+ * @param {boolean} frontOnly - Only push towards +axis (the triangle's face)
+ * @returns {number} Depth to push along +axis (negative: along -axis), or null if separated
+ */
+function boxTriangleAxis(axis, half, frontOnly) {
+  const r = half.x * Math.abs(axis.x) + half.y * Math.abs(axis.y) + half.z * Math.abs(axis.z);
+  const p0 = axis.dot(_local[0]);
+  const p1 = axis.dot(_local[1]);
+  const p2 = axis.dot(_local[2]);
+  const min = Math.min(p0, p1, p2);
+  const max = Math.max(p0, p1, p2);
+  if (min >= r || max <= -r) return null;
+
+  const up = max + r;
+  const down = r - min;
+  return frontOnly || up <= down ? up : -down;
+}
+
+/**
+ * Box against a triangle, by separating axes: the box's faces, the
+ * triangle's face and the edge pairs. The shallowest overlap is the push.
+ * @param {Object} body
+ * @param {THREE.Triangle} triangle - World space
+ * @param {THREE.Vector3} normal - Receives the direction to push the box
+ * @returns {number} Penetration depth (0 or less: no contact)
+ */
+function boxTriangle(body, triangle, normal) {
+  const half = body.halfExtents;
+  [triangle.a, triangle.b, triangle.c].forEach((vertex, i) => {
+    toBoxFrame(_local[i].subVectors(vertex, body.position), body);
+  });
+  _edges[0].subVectors(_local[1], _local[0]);
+  _edges[1].subVectors(_local[2], _local[1]);
+  _edges[2].subVectors(_local[0], _local[2]);
+
+  // The face first: resting contacts should push straight out of it
+  _axis.crossVectors(_edges[0], _edges[1]);
+  if (_axis.lengthSq() < 1e-12) return 0;
+  _axis.normalize();
+  let depth = boxTriangleAxis(_axis, half, true);
+  if (depth === null) return 0;
+  normal.copy(_axis);
+  let best = depth - FACE_BIAS;
+
+  const tryAxis = (axis) => {
+    const overlap = boxTriangleAxis(axis, half, false);
+    if (overlap === null) return false;
+    if (Math.abs(overlap) < best) {
+      best = Math.abs(overlap);
+      depth = best;
+      normal.copy(axis).multiplyScalar(Math.sign(overlap));
+    }
+    return true;
+  };
+
+  for (const axis of UNIT_AXES) {
+    if (!tryAxis(axis)) return 0;
+  }
+  for (const boxAxis of UNIT_AXES) {
+    for (const edge of _edges) {
+      _tangent.crossVectors(boxAxis, edge);
+      if (_tangent.lengthSq() < 1e-10) continue;
+      if (!tryAxis(_tangent.normalize())) return 0;
+    }
+  }
+
+  fromBoxFrame(normal, body);
+  return depth;
+}
+
+/**
+ * Contact between two bodies
+ * @param {Object} a
+ * @param {Object} b
+ * @param {THREE.Vector3} normal - Receives the direction from a to b
+ * @returns {number} Penetration depth (0 or less: no contact)
+ */
+function bodyContact(a, b, normal) {
+  if (a.shape === 'sphere' && b.shape === 'sphere') {
+    normal.subVectors(b.position, a.position);
+    const distance = normal.length();
+    if (distance < 1e-6) normal.copy(UP);
+    else normal.divideScalar(distance);
+    return a.radius + b.radius - distance;
+  }
+
+  if (a.shape === 'box' && b.shape === 'box') {
+    // Vertical overlap, then the two boxes' footprints (rectangles in XZ)
+    let depth = Math.min(a.max.y, b.max.y) - Math.max(a.min.y, b.min.y);
+    normal.set(0, Math.sign(b.position.y - a.position.y) || 1, 0);
+    _relative.subVectors(b.position, a.position);
+
+    for (const body of [a, b]) {
+      for (const [x, z] of [[body.cos, -body.sin], [body.sin, body.cos]]) {
+        const reach = (box) => box.halfExtents.x * Math.abs(x * box.cos - z * box.sin) +
+          box.halfExtents.z * Math.abs(x * box.sin + z * box.cos);
+        const distance = _relative.x * x + _relative.z * z;
+        const overlap = reach(a) + reach(b) - Math.abs(distance);
+        if (overlap <= 0) return 0;
+        if (overlap < depth) {
+          depth = overlap;
+          normal.set(x, 0, z).multiplyScalar(Math.sign(distance) || 1);
+        }
+      }
+    }
+    return depth;
+  }
+
+  // Sphere and box: closest point of the box to the sphere's center
+  const flip = a.shape === 'sphere';
+  const sphere = flip ? a : b;
+  const box = flip ? b : a;
+  const half = box.halfExtents;
+
+  toBoxFrame(_relative.subVectors(sphere.position, box.position), box);
+  _closest.set(
+    THREE.MathUtils.clamp(_relative.x, -half.x, half.x),
+    THREE.MathUtils.clamp(_relative.y, -half.y, half.y),
+    THREE.MathUtils.clamp(_relative.z, -half.z, half.z)
+  );
+  normal.subVectors(_relative, _closest);
+  let distance = normal.length();
+
+  if (distance < 1e-6) {
+    // Center inside the box: out through the nearest face
+    let smallest = Infinity;
+    for (const key of ['x', 'y', 'z']) {
+      const gap = half[key] - Math.abs(_relative[key]);
+      if (gap < smallest) {
+        smallest = gap;
+        normal.set(0, 0, 0)[key] = Math.sign(_relative[key]) || 1;
+      }
+    }
+    distance = -smallest;
+  } else {
+    normal.divideScalar(distance);
+  }
+
+  fromBoxFrame(normal, box);
+  if (flip) normal.negate();
+  return sphere.radius - distance;
+}
+
+// ============================================================================
+// PHYSICS WORLD
+// ============================================================================
+
+/**
+ * Create the prop physics simulation.
+ *
+ * @param {Object} options
+ * @param {Object} options.world - Collision world from createCollisionWorld (the static city)
+ * @param {number} options.gravity - Downward acceleration (units/s²)
+ */
+export function createPhysicsWorld({ world, gravity }) {
+  /** Bodies by mesh */
+  const bodies = new Map();
+
+  /** Unsimulated time carried over to the next update (seconds) */
+  let accumulator = 0;
+
+  /** Total steps run, for stats */
+  let totalSteps = 0;
+
+  /** Impact speed that wakes a sleeping body (faster than a resting contact) */
+  const wakeSpeed = gravity * FIXED_STEP * 2;
+
+  /**
+   * Update a body's world bounds
+   * @param {Object} body
+   */
+  function updateBounds(body) {
+    if (body.shape === 'sphere') {
+      body.min.setScalar(-body.radius).add(body.position);
+      body.max.setScalar(body.radius).add(body.position);
+      return;
+    }
+    const { x, y, z } = body.halfExtents;
+    const reachX = x * Math.abs(body.cos) + z * Math.abs(body.sin);
+    const reachZ = x * Math.abs(body.sin) + z * Math.abs(body.cos);
+    body.min.set(-reachX, -y, -reachZ).add(body.position);
+    body.max.set(reachX, y, reachZ).add(body.position);
+  }
+
+  /**
+   * Wake a sleeping body
+   * @param {Object} body
+   */
+  function wake(body) {
+    body.sleeping = false;
+    body.sleepTimer = 0;
+  }
+
+  /**
+   * Push a body out of a surface and take the impact out of its velocity
+   * @param {Object} body
+   * @param {THREE.Vector3} normal - Out of the surface
+   * @param {number} depth
+   */
+  function resolveStatic(body, normal, depth) {
+    body.position.addScaledVector(normal, depth);
+    if (normal.y >= SUPPORT_Y) body.supported = true;
+
+    const approach = body.velocity.dot(normal);
+    if (approach >= 0) return;
+
+    const bounce = -approach > BOUNCE_THRESHOLD ? body.restitution : 0;
+    body.velocity.addScaledVector(normal, -(1 + bounce) * approach);
+
+    // Friction: slow the sliding in proportion to how hard it pressed
+    _tangent.copy(body.velocity).addScaledVector(normal, -body.velocity.dot(normal));
+    const sliding = _tangent.length();
+    if (sliding > 1e-6) {
+      const slowdown = Math.min(sliding, body.friction * -approach);
+      body.velocity.addScaledVector(_tangent, -slowdown / sliding);
+    }
+  }
+
+  /**
+   * Keep a body out of the static city
+   * @param {Object} body
+   */
+  function collideStatic(body) {
+    for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+      updateBounds(body);
+      _box.min.copy(body.min);
+      _box.max.copy(body.max);
+
+      let touched = false;
+      world.forEachTriangleInBox(_box, (a, b, c, mesh) => {
+        if (bodies.has(mesh)) return;
+
+        _triangle.set(a, b, c);
+        const depth = body.shape === 'sphere'
+          ? sphereTriangle(body, _triangle, _normal)
+          : boxTriangle(body, _triangle, _normal);
+        if (depth <= 1e-5) return;
+
+        resolveStatic(body, _normal, depth);
+        touched = true;
+      });
+
+      if (!touched) return;
+    }
+  }
+
+  /**
+   * Separate two overlapping bodies and exchange momentum
+   * @param {Object} a
+   * @param {Object} b
+   */
+  function collidePair(a, b) {
+    const depth = bodyContact(a, b, _normal);
+    if (depth <= 1e-5) return;
+
+    // Asleep bodies stay put unless hit harder than something resting on them
+    _relative.subVectors(b.velocity, a.velocity);
+    const approach = _relative.dot(_normal);
+    if (a.sleeping && -approach > wakeSpeed) wake(a);
+    if (b.sleeping && -approach > wakeSpeed) wake(b);
+
+    let inverseA = a.sleeping ? 0 : a.inverseMass;
+    let inverseB = b.sleeping ? 0 : b.inverseMass;
+
+    // A body resting on a supported one can't push it into the ground, so
+    // stacks settle in one step (bodies are visited from the bottom up)
+    if (_normal.y >= SUPPORT_Y && a.supported) inverseA = 0;
+    else if (_normal.y <= -SUPPORT_Y && b.supported) inverseB = 0;
+
+    const inverseSum = inverseA + inverseB;
+    if (inverseSum === 0) return;
+
+    a.position.addScaledVector(_normal, -depth * inverseA / inverseSum);
+    b.position.addScaledVector(_normal, depth * inverseB / inverseSum);
+    if (_normal.y >= SUPPORT_Y) b.supported = true;
+    if (_normal.y <= -SUPPORT_Y) a.supported = true;
+
+    if (approach >= 0) return;
+
+    const bounce = -approach > BOUNCE_THRESHOLD ? Math.min(a.restitution, b.restitution) : 0;
+    const impulse = -(1 + bounce) * approach / inverseSum;
+    a.velocity.addScaledVector(_normal, -impulse * inverseA);
+    b.velocity.addScaledVector(_normal, impulse * inverseB);
+
+    // Friction between the two
+    _tangent.copy(_relative).addScaledVector(_normal, -approach);
+    const sliding = _tangent.length();
+    if (sliding > 1e-6) {
+      const friction = Math.min(sliding / inverseSum, Math.max(a.friction, b.friction) * impulse);
+      _tangent.divideScalar(sliding);
+      a.velocity.addScaledVector(_tangent, friction * inverseA);
+      b.velocity.addScaledVector(_tangent, -friction * inverseB);
+    }
+  }
+
+  /** Advance the simulation by one fixed step */
+  function step() {
+    const awake = [];
+    for (const body of bodies.values()) {
+      body.previous.copy(body.position);
+      if (body.sleeping) continue;
+
+      if (body.position.y < FALL_LIMIT) {
+        body.sleeping = true;
+        body.velocity.set(0, 0, 0);
+        continue;
+      }
+
+      body.velocity.y -= gravity * FIXED_STEP;
+      body.velocity.clampLength(0, MAX_SPEED);
+      body.position.addScaledVector(body.velocity, FIXED_STEP);
+      body.supported = false;
+      awake.push(body);
+    }
+
+    awake.forEach(collideStatic);
+
+    // Pairs with at least one awake body whose bounds overlap
+    const list = [...bodies.values()];
+    list.forEach(updateBounds);
+    list.sort((a, b) => a.min.y - b.min.y);
+    for (let i = 0; i < list.length; i++) {
+      const a = list[i];
+      for (let j = i + 1; j < list.length; j++) {
+        const b = list[j];
+        if (a.sleeping && b.sleeping) continue;
+        if (a.min.x > b.max.x || a.max.x < b.min.x ||
+            a.min.y > b.max.y || a.max.y < b.min.y ||
+            a.min.z > b.max.z || a.max.z < b.min.z) continue;
+        collidePair(a, b);
+        updateBounds(a);
+        updateBounds(b);
+      }
+    }
+
+    for (const body of awake) {
+      if (body.shape === 'sphere') {
+        // Roll along the ground
+        _rollAxis.set(body.velocity.z, 0, -body.velocity.x);
+        const speed = _rollAxis.length();
+        if (speed > 1e-6) {
+          _rollQuat.setFromAxisAngle(_rollAxis.divideScalar(speed), speed * FIXED_STEP / body.radius);
+          body.mesh.quaternion.premultiply(_rollQuat);
+        }
+      }
+
+      if (body.supported && body.velocity.length() < SLEEP_SPEED) {
+        body.sleepTimer += FIXED_STEP;
+        if (body.sleepTimer >= SLEEP_TIME) {
+          body.sleeping = true;
+          body.velocity.set(0, 0, 0);
+        }
+      } else {
+        body.sleepTimer = 0;
+      }
+    }
+
+    totalSteps++;
+  }
+
+  /**
+   * Draw a body's mesh between its last two positions and refresh its collision data
+   * @param {Object} body
+   * @param {number} alpha - 0 = previous step, 1 = latest step
+   */
+  function place(body, alpha) {
+    const { mesh } = body;
+    _offset.copy(body.offset).multiply(mesh.scale).applyQuaternion(mesh.quaternion);
+    mesh.position.lerpVectors(body.previous, body.position, alpha).sub(_offset);
+    mesh.updateMatrixWorld();
+    world.updateMesh(mesh);
+  }
+
+  return {
+    /**
+     * Make a mesh a dynamic body. Its size comes from its geometry's
+     * bounding box (and the mesh's scale); its yaw is kept.
+     *
+     * @param {THREE.Mesh} mesh - Already positioned in the scene
+     * @param {Object} [options]
+     * @param {'box'|'sphere'} [options.shape='box']
+     * @param {number} [options.mass] - Default: its volume
+     * @param {number} [options.friction]
+     * @param {number} [options.restitution=RESTITUTION]
+     * @returns {Object} The body
+     */
+    addBody(mesh, { shape = 'box', mass, friction, restitution = RESTITUTION } = {}) {
+      const geometry = mesh.geometry;
+      if (!geometry.boundingBox) geometry.computeBoundingBox();
+      const bounds = geometry.boundingBox;
+      const halfExtents = bounds.getSize(new THREE.Vector3()).multiply(mesh.scale).multiplyScalar(0.5);
+      const radius = Math.max(halfExtents.x, halfExtents.y, halfExtents.z);
+      const volume = shape === 'sphere'
+        ? 4 / 3 * Math.PI * radius ** 3
+        : 8 * halfExtents.x * halfExtents.y * halfExtents.z;
+      const yaw = mesh.rotation.y;
+
+      const body = {
+        mesh,
+        shape,
+        halfExtents,
+        radius,
+        offset: bounds.getCenter(new THREE.Vector3()),  // Body center in the mesh's frame
+        inverseMass: 1 / (mass ?? volume),
+        friction: friction ?? (shape === 'sphere' ? SPHERE_FRICTION : BOX_FRICTION),
+        restitution,
+        cos: Math.cos(yaw),
+        sin: Math.sin(yaw),
+        position: new THREE.Vector3(),
+        previous: new THREE.Vector3(),
+        velocity: new THREE.Vector3(),
+        min: new THREE.Vector3(),
+        max: new THREE.Vector3(),
+        supported: false,
+        sleeping: false,
+        sleepTimer: 0,
+        placed: false      // Mesh drawn at its resting place since falling asleep
+      };
+
+      mesh.updateMatrixWorld();
+      body.position.copy(body.offset).applyMatrix4(mesh.matrixWorld);
+      body.previous.copy(body.position);
+      updateBounds(body);
+      bodies.set(mesh, body);
+      return body;
+    },
+
+    /**
+     * Stop simulating a mesh (it stays where it is)
+     * @param {THREE.Mesh} mesh
+     */
+    removeBody(mesh) {
+      bodies.delete(mesh);
+    },
+
+    has: (mesh) => bodies.has(mesh),
+
+    /**
+     * Push bodies the player is walking into. Call once per frame with the
+     * movement the player wanted (before collisions stopped it).
+     *
+     * @param {Object} pusher - The player's capsule
+     * @param {THREE.Vector3} pusher.feet - Bottom of the capsule
+     * @param {number} pusher.radius
+     * @param {number} pusher.height
+     * @param {THREE.Vector3} pusher.velocity - Wanted horizontal velocity (units/s)
+     */
+    push({ feet, radius, height, velocity }) {
+      const speed = Math.hypot(velocity.x, velocity.z);
+      if (speed < 1e-3) return;
+
+      for (const body of bodies.values()) {
+        updateBounds(body);
+        // Not what we stand on, nor anything above our head
+        if (body.max.y <= feet.y + 0.05 || body.min.y >= feet.y + height) continue;
+
+        // Closest point of the body's footprint to the capsule's axis
+        _relative.set(feet.x - body.position.x, 0, feet.z - body.position.z);
+        if (body.shape === 'box') {
+          toBoxFrame(_relative, body);
+          _closest.set(
+            THREE.MathUtils.clamp(_relative.x, -body.halfExtents.x, body.halfExtents.x),
+            0,
+            THREE.MathUtils.clamp(_relative.z, -body.halfExtents.z, body.halfExtents.z)
+          );
+          _normal.subVectors(_closest, _relative);
+          fromBoxFrame(_normal, body);
+        } else {
+          const distance = _relative.length();
+          _normal.copy(_relative).negate().multiplyScalar(Math.max(0, distance - body.radius) / Math.max(distance, 1e-6));
+        }
+
+        const gap = _normal.length();
+        if (gap > radius + PUSH_REACH || gap < 1e-6) continue;
+        _normal.divideScalar(gap);
+
+        // Push along the contact, at most as fast as the player walks into it
+        const into = velocity.x * _normal.x + velocity.z * _normal.z;
+        if (into <= 0) continue;
+        const target = into * Math.min(1, PUSH_MASS * body.inverseMass);
+        const current = body.velocity.dot(_normal);
+        if (current >= target) continue;
+
+        body.velocity.addScaledVector(_normal, target - current);
+        wake(body);
+      }
+    },
+
+    /**
+     * Advance the simulation by a frame's worth of fixed steps and move the meshes
+     * @param {number} delta - Frame time in seconds
+     * @returns {number} Steps run
+     */
+    update(delta) {
+      accumulator += delta;
+      let steps = 0;
+      while (accumulator >= FIXED_STEP && steps < MAX_STEPS) {
+        step();
+        accumulator -= FIXED_STEP;
+        steps++;
+      }
+      // Too far behind: drop the backlog rather than spiral
+      if (steps === MAX_STEPS) accumulator = Math.min(accumulator, FIXED_STEP);
+
+      const alpha = accumulator / FIXED_STEP;
+      for (const body of bodies.values()) {
+        if (body.sleeping && body.placed) continue;
+        place(body, body.sleeping ? 1 : alpha);
+        body.placed = body.sleeping;
+      }
+      return steps;
+    },
+
+    /**
+     * Summary numbers for debugging
+     * @returns {{bodies: number, awake: number, steps: number}}
+     */
+    getStats() {
+      let awake = 0;
+      for (const body of bodies.values()) if (!body.sleeping) awake++;
+      return { bodies: bodies.size, awake, steps: totalSteps };
+    }
+  };
+}
@@ -0,0 +1,142 @@
+/**
+ * ============================================================================
+ * ITTY BITY CITY - Points of Interest
+ * ============================================================================
+ *
+ * Landmarks to discover. Each point has a trigger volume around a spot in
+ * the world - a sphere (`radius`) or a box (`width`, `height`, `depth`)
+ * centered on `x, y, z` - and walking into it (feet first) fires `onEnter`.
+ * It fires again on every later visit, once the player has left the volume
+ * in between.
+ *
+ * A point of interest:
+ *   {
+ *     id: 'clock-tower',
+ *     name: 'The Clock Tower',
+ *     text: 'Flavor text shown when it is discovered',
+ *     map: 'procedural:ittybity',  // only on this map (optional)
+ *     trigger: { x, y, z, radius } | { x, y, z, width, height, depth },
+ *     camera: { rx, ry, distance } // view to glide to on discovery (optional)
+ *   }
+ *
+ * The list starts from public/pois.json. With a server, its copy (which
+ * controllers can change with addPoi / removePoi) replaces the file's, and
+ * the field definitions live in server/protocol.js.
+ */
+
+// ============================================================================
+// TRIGGERS
+// ============================================================================
+
+/**
+ * Whether a point is inside a trigger volume
+ * @param {Object} trigger - { x, y, z, radius } or { x, y, z, width, height, depth }
+ * @param {{x: number, y: number, z: number}} point
+ * @returns {boolean}
+ */
+export function isInsideTrigger(trigger, point) {
+  const dx = point.x - trigger.x;
+  const dy = point.y - trigger.y;
+  const dz = point.z - trigger.z;
+
+  if (trigger.radius !== undefined) {
+    return dx * dx + dy * dy + dz * dz <= trigger.radius * trigger.radius;
+  }
+  return Math.abs(dx) <= trigger.width / 2 &&
+    Math.abs(dy) <= trigger.height / 2 &&
+    Math.abs(dz) <= trigger.depth / 2;
+}
+
+// ============================================================================
+// POINTS OF INTEREST
+// ============================================================================
+
+/**
+ * Create the points of interest.
+ *
+ * @param {Object} options
+ * @param {function(): string} options.getMap - ID of the map being walked (see getMapId in main.js)
+ * @param {function(Object)} options.onEnter - Called with the point when the player walks into it
+ * @returns {Object} Points of interest API
+ */
+export function createPointsOfInterest({ getMap, onEnter }) {
+  /** Points by ID: { poi, inside } */
+  const points = new Map();
+
+  /** Set once the server's list has arrived (it wins over pois.json) */
+  let synced = false;
+
+  /**
+   * Whether a point belongs on the map being walked
+   * @param {Object} poi
+   */
+  const isOnMap = poi => !poi.map || poi.map === getMap();
+
+  /**
+   * Add a point, or replace the one with the same ID
+   * @param {Object} poi
+   */
+  function add(poi) {
+    const existing = points.get(poi.id);
+    points.set(poi.id, { poi, inside: existing ? existing.inside : false });
+  }
+
+  return {
+    add,
+
+    /**
+     * Remove a point
+     * @param {string} id
+     */
+    remove(id) {
+      points.delete(id);
+    },
+
+    /**
+     * Replace every point with the server's list
+     * @param {Object[]} list
+     */
+    sync(list) {
+      synced = true;
+      points.clear();
+      list.forEach(add);
+    },
+
+    /**
+     * Load the points in a pois.json file, unless the server has already
+     * sent its list
+     * @param {string} url
+     * @returns {Promise<number>} How many points were loaded
+     */
+    async load(url) {
+      const response = await fetch(url);
+      if (!response.ok) throw new Error(`${url}: ${response.status}`);
+      const { pois = [] } = await response.json();
+      if (synced) return 0;
+      pois.forEach(add);
+      return pois.length;
+    },
+
+    /**
+     * Check which points the player has walked into
+     * @param {{x: number, y: number, z: number}} feet - Player's feet
+     */
+    update(feet) {
+      for (const point of points.values()) {
+        const inside = isOnMap(point.poi) && isInsideTrigger(point.poi.trigger, feet);
+        if (inside && !point.inside) onEnter(point.poi);
+        point.inside = inside;
+      }
+    },
+
+    /**
+     * A point by ID
+     * @param {string} id
+     * @returns {Object|undefined}
+     */
+    get: id => points.get(id)?.poi,
+
+    /** @returns {Object[]} The points on the map being walked */
+    list: () => [...points.values()].map(point => point.poi).filter(isOnMap)
+  };
+}
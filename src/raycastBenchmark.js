@@ -0,0 +1,129 @@
+/**
+ * ============================================================================
+ * ITTY BITY CITY - Raycast Benchmark
+ * ============================================================================
+ *
+ * Measures the cost of collision rays with and without the collision
+ * world's acceleration structure, using the same kinds of rays the player
+ * controller casts: long downward ground probes and short horizontal wall
+ * probes.
+ *
+ * Run it with `?benchmark` in the URL (after the map loads) or with
+ * `debug.benchmarkRaycasts()` from the console. Add `?map=procedural` to
+ * benchmark the procedural demo city instead of the real map.
+ */
+
+import * as THREE from 'three';
+
+/**
+ * Small deterministic PRNG so both passes cast identical rays
+ * @param {number} seed
+ * @returns {function(): number} Random number in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Generate benchmark rays inside an area
+ * @param {THREE.Box3} bounds - Area to sample
+ * @param {number} count - Number of rays
+ * @returns {{origin: THREE.Vector3, direction: THREE.Vector3, far: number}[]}
+ */
+function generateRays(bounds, count) {
+  const random = createRandom(1234);
+  const size = bounds.getSize(new THREE.Vector3());
+  const rays = [];
+
+  for (let i = 0; i < count; i++) {
+    const origin = new THREE.Vector3(
+      bounds.min.x + random() * size.x,
+      bounds.min.y + random() * size.y,
+      bounds.min.z + random() * size.z
+    );
+
+    if (i % 2 === 0) {
+      // Ground probe (like getGroundHeight)
+      origin.y = bounds.max.y + 10;
+      rays.push({ origin, direction: new THREE.Vector3(0, -1, 0), far: size.y + 60 });
+    } else {
+      // Wall probe (like checkWallCollision)
+      const angle = random() * Math.PI * 2;
+      rays.push({
+        origin,
+        direction: new THREE.Vector3(Math.cos(angle), 0, Math.sin(angle)),
+        far: 0.5 + random() * 1.5
+      });
+    }
+  }
+
+  return rays;
+}
+
+/**
+ * Time a function over every ray
+ * @returns {{ms: number, results: Array}}
+ */
+function timeRays(rays, cast) {
+  const results = new Array(rays.length);
+  const start = performance.now();
+  for (let i = 0; i < rays.length; i++) {
+    results[i] = cast(rays[i]);
+  }
+  return { ms: performance.now() - start, results };
+}
+
+/**
+ * Compare brute-force raycasting against the collision world.
+ *
+ * @param {Object} options
+ * @param {Object} options.world - Collision world from createCollisionWorld
+ * @param {THREE.Mesh[]} options.meshes - The same meshes, for THREE.Raycaster
+ * @param {THREE.Box3} options.bounds - Area to cast rays in
+ * @param {number} [options.samples=2000] - Number of rays
+ * @returns {{samples: number, meshes: number, triangles: number, bruteForceMsPerRay: number,
+ *   acceleratedMsPerRay: number, speedup: number, mismatches: number}}
+ */
+export function runRaycastBenchmark({ world, meshes, bounds, samples = 2000 }) {
+  const rays = generateRays(bounds, samples);
+  const raycaster = new THREE.Raycaster();
+
+  const before = timeRays(rays, ({ origin, direction, far }) => {
+    raycaster.set(origin, direction);
+    raycaster.far = far;
+    const hits = raycaster.intersectObjects(meshes, false);
+    return hits.length > 0 ? hits[0].distance : null;
+  });
+
+  const after = timeRays(rays, ({ origin, direction, far }) => {
+    const hits = world.raycast(origin, direction, far);
+    return hits.length > 0 ? hits[0].distance : null;
+  });
+
+  // Both should find the same first hit
+  let mismatches = 0;
+  for (let i = 0; i < rays.length; i++) {
+    const a = before.results[i];
+    const b = after.results[i];
+    if ((a === null) !== (b === null) || (a !== null && Math.abs(a - b) > 1e-3)) {
+      mismatches++;
+    }
+  }
+
+  return {
+    samples,
+    meshes: meshes.length,
+    triangles: world.getStats().triangles,
+    bruteForceMsPerRay: before.ms / samples,
+    acceleratedMsPerRay: after.ms / samples,
+    speedup: before.ms / Math.max(after.ms, 1e-6),
+    mismatches
+  };
+}
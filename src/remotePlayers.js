@@ -0,0 +1,241 @@
+/**
+ * ============================================================================
+ * ITTY BITY CITY - Remote Players
+ * ============================================================================
+ *
+ * Renders the other walkers connected to the same server. The server sends
+ * periodic `players` snapshots; we buffer them and render each player
+ * slightly in the past, interpolating between the two snapshots that
+ * surround the render time. This hides network jitter at the cost of a
+ * small, constant delay.
+ */
+
+import * as THREE from 'three';
+import { createFallbackCharacter, createProceduralAnimState, updateProceduralAnimation } from './character.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/** How far in the past remote players are rendered (ms) */
+const INTERPOLATION_DELAY = 150;
+
+/** Snapshots older than this are dropped from the buffer (ms) */
+const BUFFER_DURATION = 1000;
+
+/** Shirt colors handed out to remote players (picked from their ID) */
+const SHIRT_COLORS = [0xe74c3c, 0x2ecc71, 0x9b59b6, 0xf39c12, 0x1abc9c, 0xe84393, 0x6c5ce7];
+
+/**
+ * Pick a stable shirt color for a player ID
+ * @param {string} id
+ * @returns {number} Hex color
+ */
+function shirtColorFor(id) {
+  let hash = 0;
+  for (let i = 0; i < id.length; i++) {
+    hash = (hash * 31 + id.charCodeAt(i)) | 0;
+  }
+  return SHIRT_COLORS[Math.abs(hash) % SHIRT_COLORS.length];
+}
+
+/**
+ * Interpolate between two angles along the shortest arc
+ * @param {number} a - Start angle (radians)
+ * @param {number} b - End angle (radians)
+ * @param {number} t - Blend factor (0-1)
+ * @returns {number}
+ */
+function lerpAngle(a, b, t) {
+  const diff = THREE.MathUtils.euclideanModulo(b - a + Math.PI, Math.PI * 2) - Math.PI;
+  return a + diff * t;
+}
+
+/**
+ * Create the remote player manager.
+ *
+ * @param {Object} options
+ * @param {THREE.Scene} options.scene - Scene to add remote characters to
+ * @param {number} options.playerHeight - Eye height; server positions are at eye level
+ */
+export function createRemotePlayers({ scene, playerHeight }) {
+  /** Local player's ID, so we can skip ourselves in snapshots */
+  let localId = null;
+
+  /** Remote players by ID */
+  const remotes = new Map();
+
+  /**
+   * Add a remote player (no-op if already known)
+   * @param {Object} info - Player info from the server
+   * @returns {Object} The remote player record
+   */
+  function addPlayer(info) {
+    if (remotes.has(info.id)) return remotes.get(info.id);
+
+    const model = createFallbackCharacter({ shirtColor: shirtColorFor(info.id) });
+    scene.add(model);
+
+    const remote = {
+      id: info.id,
+      model,
+      anim: createProceduralAnimState(),
+      animState: 'idle',
+      emote: null,
+      buffer: []
+    };
+    remotes.set(info.id, remote);
+
+    if (info.position) pushSnapshot(remote, info, performance.now());
+    return remote;
+  }
+
+  /**
+   * Remove a remote player and free their character
+   * @param {string} id
+   */
+  function removePlayer(id) {
+    const remote = remotes.get(id);
+    if (!remote) return;
+
+    scene.remove(remote.model);
+    remote.model.traverse((child) => {
+      if (child.isMesh) {
+        child.geometry.dispose();
+        child.material.dispose();
+      }
+    });
+    remotes.delete(id);
+  }
+
+  /**
+   * Store a snapshot in a player's interpolation buffer
+   * @param {Object} remote - Remote player record
+   * @param {Object} state - { position, rotation, anim }
+   * @param {number} time - Local receive time (ms)
+   */
+  function pushSnapshot(remote, state, time) {
+    remote.buffer.push({
+      time,
+      position: new THREE.Vector3(state.position.x, state.position.y, state.position.z),
+      rotation: state.rotation || 0,
+      anim: state.anim || 'idle',
+      emote: state.emote || null
+    });
+
+    // Drop old snapshots, but always keep two to interpolate between
+    while (remote.buffer.length > 2 && time - remote.buffer[0].time > BUFFER_DURATION) {
+      remote.buffer.shift();
+    }
+  }
+
+  return {
+    /**
+     * Handle the server's welcome message
+     * @param {Object} msg - { id, players }
+     */
+    handleWelcome(msg) {
+      localId = msg.id;
+
+      // Start from a clean slate after a reconnect
+      for (const id of [...remotes.keys()]) removePlayer(id);
+      for (const info of msg.players || []) {
+        if (info.id !== localId) addPlayer(info);
+      }
+    },
+
+    /** @param {Object} msg - { player } */
+    handleJoin(msg) {
+      if (msg.player.id !== localId) addPlayer(msg.player);
+    },
+
+    /** @param {Object} msg - { id } */
+    handleLeave(msg) {
+      removePlayer(msg.id);
+    },
+
+    /**
+     * Handle a server snapshot of all players
+     * @param {Object} msg - { players: [{ id, position, rotation, anim, emote }] }
+     */
+    handleSnapshot(msg) {
+      const now = performance.now();
+      const seen = new Set();
+
+      for (const state of msg.players) {
+        if (state.id === localId || !state.position) continue;
+        seen.add(state.id);
+        pushSnapshot(addPlayer(state), state, now);
+      }
+
+      // Snapshots are authoritative: anyone missing has left
+      for (const id of [...remotes.keys()]) {
+        if (!seen.has(id)) removePlayer(id);
+      }
+    },
+
+    /** Remove every remote player (e.g. on disconnect) */
+    clear() {
+      for (const id of [...remotes.keys()]) removePlayer(id);
+    },
+
+    getLocalId: () => localId,
+
+    /**
+     * Get a remote player's character
+     * @param {string} id
+     * @returns {THREE.Group|null}
+     */
+    getModel: (id) => (remotes.has(id) ? remotes.get(id).model : null),
+
+    /**
+     * Get the remote player records
+     * @returns {Object[]}
+     */
+    list: () => [...remotes.values()],
+
+    /**
+     * Interpolate positions and animate every remote player
+     * @param {number} delta - Time delta in seconds
+     */
+    update(delta) {
+      const renderTime = performance.now() - INTERPOLATION_DELAY;
+
+      for (const remote of remotes.values()) {
+        const buffer = remote.buffer;
+        if (buffer.length === 0) continue;
+
+        // Find the snapshots surrounding the render time
+        let from = buffer[0];
+        let to = buffer[buffer.length - 1];
+        for (let i = 0; i < buffer.length - 1; i++) {
+          if (buffer[i].time <= renderTime && buffer[i + 1].time >= renderTime) {
+            from = buffer[i];
+            to = buffer[i + 1];
+            break;
+          }
+        }
+
+        const span = to.time - from.time;
+        const t = span > 0 ? THREE.MathUtils.clamp((renderTime - from.time) / span, 0, 1) : 1;
+
+        remote.model.position.lerpVectors(from.position, to.position, t);
+        remote.model.position.y -= playerHeight;
+        remote.model.rotation.y = lerpAngle(from.rotation, to.rotation, t);
+        const nearest = t < 0.5 ? from : to;
+        remote.animState = nearest.anim;
+        remote.emote = nearest.emote;
+
+        const isMoving = remote.animState === 'walk' || remote.animState === 'run';
+        updateProceduralAnimation(
+          remote.model.userData.parts,
+          remote.anim,
+          delta,
+          isMoving,
+          remote.animState === 'run',
+          remote.emote
+        );
+      }
+    }
+  };
+}
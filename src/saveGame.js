@@ -0,0 +1,216 @@
+/**
+ * ============================================================================
+ * ITTY BITY CITY - Save Game
+ * ============================================================================
+ *
+ * Keeps the player's walk in localStorage so a reload picks up where they
+ * left off: position and facing, the orbit camera, time of day, weather and
+ * the places they have discovered. Saved every few seconds while walking and
+ * once more when the page is hidden or closed.
+ *
+ * Saves carry a format version. When the format changes, bump SAVE_VERSION
+ * and add a step to MIGRATIONS that turns the previous version into the new
+ * one; older saves are upgraded step by step when loaded. Saves that can't be
+ * upgraded (written by a newer build, or corrupt) are ignored rather than
+ * half-applied.
+ *
+ * Saved data (version 1):
+ *   {
+ *     version: 1,
+ *     savedAt: 1760000000000,            // Date.now()
+ *     map: 'map' | 'procedural:<seed>',  // where the walk took place
+ *     player: { position: { x, y, z }, rotation },
+ *     camera: { angleX, angleY, distance },
+ *     time: { hour, pinned },
+ *     weather: 'clear',
+ *     discovered: ['fountain', ...]      // place ids
+ *   }
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/** Current save format */
+export const SAVE_VERSION = 1;
+
+/** localStorage key */
+const SAVE_KEY = 'ittybitycity:save';
+
+/** Seconds between automatic saves */
+const SAVE_INTERVAL = 10;
+
+/**
+ * Upgrades from each old version to the next: MIGRATIONS[n] turns a
+ * version n save into a version n + 1 save
+ * @type {Object<number, function(Object): Object>}
+ */
+const MIGRATIONS = {};
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+const isFiniteNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Check a save in the current format, dropping anything unusable
+ * @param {Object} data
+ * @returns {Object|null} The save, or null if it has no usable position
+ */
+function normalizeSave(data) {
+  const position = data.player && data.player.position;
+  if (!position || ![position.x, position.y, position.z].every(isFiniteNumber)) return null;
+
+  const camera = data.camera || {};
+  const time = data.time || {};
+  return {
+    version: SAVE_VERSION,
+    savedAt: isFiniteNumber(data.savedAt) ? data.savedAt : 0,
+    map: typeof data.map === 'string' ? data.map : null,
+    player: {
+      position: { x: position.x, y: position.y, z: position.z },
+      rotation: isFiniteNumber(data.player.rotation) ? data.player.rotation : 0
+    },
+    camera: [camera.angleX, camera.angleY, camera.distance].every(isFiniteNumber)
+      ? { angleX: camera.angleX, angleY: camera.angleY, distance: camera.distance }
+      : null,
+    time: isFiniteNumber(time.hour) ? { hour: time.hour, pinned: !!time.pinned } : null,
+    weather: typeof data.weather === 'string' ? data.weather : null,
+    discovered: Array.isArray(data.discovered) ? data.discovered.filter(id => typeof id === 'string') : []
+  };
+}
+
+/**
+ * Bring saved data up to the current format
+ * @param {Object} data - Parsed save
+ * @param {Object<number, function(Object): Object>} [migrations] - Upgrade steps (default: MIGRATIONS)
+ * @returns {Object|null} The save in the current format, or null if it can't be used
+ */
+export function migrateSave(data, migrations = MIGRATIONS) {
+  if (!data || typeof data !== 'object' || !Number.isInteger(data.version)) return null;
+
+  // Written by a newer build: don't guess at its format
+  if (data.version > SAVE_VERSION) return null;
+
+  let save = data;
+  while (save.version < SAVE_VERSION) {
+    const migrate = migrations[save.version];
+    if (!migrate) return null;
+    save = { ...migrate(save), version: save.version + 1 };
+  }
+  return normalizeSave(save);
+}
+
+// ============================================================================
+// SAVE GAME
+// ============================================================================
+
+/**
+ * The page's localStorage. Just reading it throws a SecurityError when the
+ * browser blocks storage, in which case the game runs without saves.
+ * @returns {Storage|null}
+ */
+function defaultStorage() {
+  try {
+    return globalThis.localStorage ?? null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Create the save game.
+ *
+ * @param {Object} options
+ * @param {function(): Object} options.getState - Current state to save (everything but version and savedAt)
+ * @param {Storage} [options.storage] - Where saves go (default: localStorage)
+ * @param {string} [options.key] - Storage key
+ * @param {number} [options.interval] - Seconds between automatic saves
+ * @returns {Object} Save game API
+ */
+export function createSaveGame({
+  getState,
+  storage = defaultStorage(),
+  key = SAVE_KEY,
+  interval = SAVE_INTERVAL
+}) {
+  let timer = null;
+
+  // Last chance to save before the tab goes away (pagehide also covers
+  // mobile browsers, which may never fire beforeunload)
+  const onPageHide = () => save();
+  const onVisibilityChange = () => {
+    if (document.visibilityState === 'hidden') save();
+  };
+
+  /**
+   * Write the current state
+   * @returns {boolean} Whether it was saved
+   */
+  function save() {
+    if (!storage) return false;
+    try {
+      storage.setItem(key, JSON.stringify({ ...getState(), version: SAVE_VERSION, savedAt: Date.now() }));
+      return true;
+    } catch (error) {
+      // Full storage or storage disabled (private browsing): keep walking
+      console.warn('⚠️ Could not save the walk:', error.message);
+      return false;
+    }
+  }
+
+  return {
+    save,
+
+    /**
+     * Read the saved walk, upgraded to the current format
+     * @returns {Object|null} The save, or null if there isn't a usable one
+     */
+    load() {
+      if (!storage) return null;
+      let data;
+      try {
+        const text = storage.getItem(key);
+        if (!text) return null;
+        data = JSON.parse(text);
+      } catch (error) {
+        console.warn('⚠️ Ignoring unreadable save:', error.message);
+        return null;
+      }
+
+      const saved = migrateSave(data);
+      if (!saved) console.warn(`⚠️ Ignoring a save that can't be restored (version ${data && data.version})`);
+      return saved;
+    },
+
+    /** Forget the saved walk */
+    clear() {
+      if (!storage) return;
+      try {
+        storage.removeItem(key);
+      } catch (error) {
+        console.warn('⚠️ Could not clear the save:', error.message);
+      }
+    },
+
+    /** Start saving on the interval and when the page is hidden */
+    start() {
+      if (timer) return;
+      timer = setInterval(save, interval * 1000);
+      window.addEventListener('pagehide', onPageHide);
+      document.addEventListener('visibilitychange', onVisibilityChange);
+    },
+
+    /** Stop saving automatically */
+    stop() {
+      if (!timer) return;
+      clearInterval(timer);
+      timer = null;
+      window.removeEventListener('pagehide', onPageHide);
+      document.removeEventListener('visibilitychange', onVisibilityChange);
+    },
+
+    isStarted: () => timer !== null
+  };
+}
@@ -0,0 +1,264 @@
+/**
+ * ============================================================================
+ * ITTY BITY CITY - Spawnable Objects
+ * ============================================================================
+ *
+ * Everything the `spawn` command can place in the world, and the objects
+ * placed so far:
+ * - Primitives (cube, sphere, cylinder, cone) built in code
+ * - The procedural crate, also used to dress the demo city (along with
+ *   balls, which aren't spawnable)
+ * - Props loaded from GLB files through the asset resolver. Until a model
+ *   has loaded (or if it fails to) a grey placeholder of the prop's size
+ *   stands in
+ *
+ * Objects are placed by their base: `position` is the point under the
+ * object's center that it stands on. The server owns the list of objects
+ * (so late joiners see them too); this module only mirrors it.
+ *
+ * The registry names must match SPAWNABLE_OBJECTS in server/protocol.js.
+ */
+
+import * as THREE from 'three';
+import { clone as cloneSkinned } from 'three/addons/utils/SkeletonUtils.js';
+
+// ============================================================================
+// REGISTRY
+// ============================================================================
+
+/**
+ * Build a primitive sitting on its base
+ * @param {THREE.BufferGeometry} geometry - Centered geometry
+ * @param {number} height - Its height
+ * @param {number} [color]
+ * @param {number} [roughness]
+ * @returns {THREE.Mesh}
+ */
+function createPrimitive(geometry, height, color = 0xff6b6b, roughness = 0.6) {
+  geometry.translate(0, height / 2, 0);
+  const mesh = new THREE.Mesh(geometry, new THREE.MeshStandardMaterial({ color, roughness }));
+  mesh.castShadow = true;
+  mesh.receiveShadow = true;
+  return mesh;
+}
+
+/**
+ * The wooden crate scattered around the demo city
+ * @param {number} [size=1] - Edge length
+ * @returns {THREE.Mesh} Centered on its base
+ */
+export function createCrate(size = 1) {
+  return createPrimitive(new THREE.BoxGeometry(size, size, size), size, 0x8b4513, 0.9);
+}
+
+/**
+ * A ball to kick around the demo city
+ * @param {number} [radius=0.3]
+ * @param {number} [color]
+ * @returns {THREE.Mesh} Centered on its base
+ */
+export function createBall(radius = 0.3, color = 0x4da6ff) {
+  return createPrimitive(new THREE.SphereGeometry(radius, 16, 12), radius * 2, color, 0.4);
+}
+
+/**
+ * Spawnable object types.
+ * - `create()` builds a primitive
+ * - `model` names a GLB (see assets.js); `size` is the placeholder box
+ *   and `height` the height the model is scaled to
+ */
+export const SPAWNABLES = {
+  cube:     { create: () => createPrimitive(new THREE.BoxGeometry(1, 1, 1), 1) },
+  sphere:   { create: () => createPrimitive(new THREE.SphereGeometry(0.5, 16, 16), 1) },
+  cylinder: { create: () => createPrimitive(new THREE.CylinderGeometry(0.5, 0.5, 1, 20), 1) },
+  cone:     { create: () => createPrimitive(new THREE.ConeGeometry(0.5, 1, 20), 1) },
+  crate:    { create: () => createCrate(1) },
+  statue:   { model: 'character.glb', size: [0.6, 1.8, 0.4], height: 1.8 }
+};
+
+// ============================================================================
+// SPAWNED OBJECTS
+// ============================================================================
+
+/**
+ * Create the spawned object manager.
+ *
+ * @param {Object} options
+ * @param {THREE.Scene} options.scene
+ * @param {function(string): Promise<Object>} options.loadModel - Load a GLB by asset name (resolves to the gltf)
+ * @param {function(THREE.Mesh)} options.addCollider - Start colliding with a mesh
+ * @param {function(THREE.Mesh)} options.removeCollider - Stop colliding with a mesh
+ * @param {function(THREE.Mesh)} options.updateCollider - Refresh a moved collision mesh
+ */
+export function createSpawnedObjects({ scene, loadModel, addCollider, removeCollider, updateCollider }) {
+  /** Spawned objects by ID: { info, root, colliders } */
+  const objects = new Map();
+
+  /** Model loads by asset name, shared between objects of the same type */
+  const models = new Map();
+
+  /**
+   * Load a model once, normalized to stand on its base at a given height
+   * @param {Object} type - Registry entry
+   * @returns {Promise<THREE.Object3D>} Template to clone
+   */
+  function getModel(type) {
+    if (!models.has(type.model)) {
+      models.set(type.model, loadModel(type.model).then((gltf) => {
+        const template = gltf.scene;
+        const box = new THREE.Box3().setFromObject(template);
+        const size = box.getSize(new THREE.Vector3());
+        if (size.y > 0) template.scale.setScalar(type.height / size.y);
+
+        // Base at the origin
+        template.updateMatrixWorld(true);
+        box.setFromObject(template);
+        template.position.y -= box.min.y;
+        template.traverse((child) => {
+          if (child.isMesh) {
+            child.castShadow = true;
+            child.receiveShadow = true;
+          }
+        });
+        return template;
+      }));
+    }
+    return models.get(type.model);
+  }
+
+  /**
+   * Replace an object's contents (placeholder -> model) and its colliders
+   * @param {Object} entry
+   * @param {THREE.Object3D} content
+   */
+  function setContent(entry, content) {
+    entry.colliders.forEach(removeCollider);
+    entry.root.clear();
+    entry.root.add(content);
+    entry.root.updateMatrixWorld(true);
+
+    entry.colliders = [];
+    if (entry.info.collide) {
+      entry.root.traverse((child) => {
+        if (child.isMesh) entry.colliders.push(child);
+      });
+      entry.colliders.forEach(addCollider);
+    }
+  }
+
+  /**
+   * Place the object where its info says
+   * @param {Object} entry
+   */
+  function applyTransform(entry) {
+    const { position, rotation, scale } = entry.info;
+    entry.root.position.set(position.x, position.y, position.z);
+    entry.root.rotation.y = rotation || 0;
+    entry.root.scale.setScalar(scale || 1);
+    entry.root.updateMatrixWorld(true);
+  }
+
+  /**
+   * Remove an object from the scene and collision world
+   * @param {string} id
+   */
+  function despawn(id) {
+    const entry = objects.get(id);
+    if (!entry) return;
+
+    entry.colliders.forEach(removeCollider);
+    scene.remove(entry.root);
+    entry.root.traverse((child) => {
+      // Cloned models share geometry with the cached template
+      if (child.isMesh && !entry.shared) {
+        child.geometry.dispose();
+        child.material.dispose();
+      }
+    });
+    objects.delete(id);
+  }
+
+  return {
+    /**
+     * Add an object (replacing one with the same ID)
+     * @param {Object} info - From the server: { id, object, position, rotation?, scale?, collide? }
+     */
+    spawn(info) {
+      const type = SPAWNABLES[info.object];
+      if (!type) {
+        console.warn('Unknown spawn object:', info.object);
+        return;
+      }
+      despawn(info.id);
+
+      const root = new THREE.Group();
+      root.name = `spawned:${info.id}`;
+      const entry = { info: { collide: true, ...info }, root, colliders: [], shared: false };
+      objects.set(info.id, entry);
+      applyTransform(entry);
+      scene.add(root);
+
+      if (type.create) {
+        setContent(entry, type.create());
+        return;
+      }
+
+      // Placeholder until the model arrives
+      const [width, height, depth] = type.size;
+      const placeholder = createPrimitive(new THREE.BoxGeometry(width, height, depth), height, 0x999999);
+      setContent(entry, placeholder);
+
+      getModel(type).then(
+        (template) => {
+          // Despawned (or replaced) while loading
+          if (objects.get(info.id) !== entry) return;
+          placeholder.geometry.dispose();
+          placeholder.material.dispose();
+          entry.shared = true;
+          setContent(entry, cloneSkinned(template));
+        },
+        (error) => console.warn(`⚠️ Could not load ${type.model} for ${info.object}, keeping a placeholder:`, error)
+      );
+    },
+
+    despawn,
+
+    /**
+     * Move an object
+     * @param {string} id
+     * @param {{x: number, y: number, z: number}} position - Base position
+     * @param {number} [rotation] - Yaw in radians (unchanged if omitted)
+     */
+    move(id, position, rotation) {
+      const entry = objects.get(id);
+      if (!entry) return;
+
+      entry.info.position = position;
+      if (rotation !== undefined) entry.info.rotation = rotation;
+      applyTransform(entry);
+      entry.colliders.forEach(updateCollider);
+    },
+
+    /** Remove every spawned object */
+    clear() {
+      [...objects.keys()].forEach(despawn);
+    },
+
+    /**
+     * Replace every object with the server's list
+     * @param {Object[]} list
+     */
+    sync(list) {
+      this.clear();
+      list.forEach(info => this.spawn(info));
+    },
+
+    /**
+     * What is spawned
+     * @returns {Object[]} Object infos
+     */
+    list() {
+      return [...objects.values()].map(entry => ({ ...entry.info }));
+    }
+  };
+}
@@ -0,0 +1,102 @@
+/**
+ * ============================================================================
+ * ITTY BITY CITY - Stats Overlay
+ * ============================================================================
+ *
+ * Small on-screen readout of frame rate and renderer load (draw calls,
+ * triangles, GPU resources), for checking what LOD and culling changes
+ * actually buy. Toggled with F3 or opened with `?stats` in the URL.
+ *
+ * The renderer resets its counters at the start of every render, so
+ * `update` must be called after `renderer.render` to see the whole frame
+ * (shadow passes included).
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/** Seconds between text refreshes (averages over the window) */
+const REFRESH_INTERVAL = 0.5;
+
+/**
+ * Format a count with k/M suffixes
+ * @param {number} value
+ * @returns {string}
+ */
+function formatCount(value) {
+  if (value >= 1e6) return (value / 1e6).toFixed(2) + 'M';
+  if (value >= 1e4) return (value / 1e3).toFixed(1) + 'k';
+  return String(value);
+}
+
+/**
+ * Create the stats overlay.
+ *
+ * @param {Object} options
+ * @param {THREE.WebGLRenderer} options.renderer - Renderer to read `info` from
+ * @param {HTMLElement} options.element - Element to write the stats into
+ * @param {boolean} [options.visible=false] - Start shown
+ * @param {function(): string[]} [options.getExtraLines] - Extra lines to show (e.g. map streaming stats)
+ */
+export function createStatsOverlay({ renderer, element, visible = false, getExtraLines = () => [] }) {
+  // Accumulated over the current refresh window
+  let elapsed = 0;
+  let frames = 0;
+  let calls = 0;
+  let triangles = 0;
+  let worstFrame = 0;
+
+  element.style.display = visible ? 'block' : 'none';
+
+  /** Start a new averaging window */
+  function resetWindow() {
+    elapsed = 0;
+    frames = 0;
+    calls = 0;
+    triangles = 0;
+    worstFrame = 0;
+  }
+
+  return {
+    /**
+     * Count this frame. Call once per frame, after rendering.
+     * @param {number} delta - Unclamped frame time in seconds
+     */
+    update(delta) {
+      if (!visible) return;
+
+      const { render, memory } = renderer.info;
+      elapsed += delta;
+      frames++;
+      calls += render.calls;
+      triangles += render.triangles;
+      worstFrame = Math.max(worstFrame, delta);
+
+      if (elapsed < REFRESH_INTERVAL) return;
+
+      const lines = [
+        `${(frames / elapsed).toFixed(0)} fps  ${(elapsed / frames * 1000).toFixed(1)} ms (worst ${(worstFrame * 1000).toFixed(1)})`,
+        `draw calls  ${formatCount(Math.round(calls / frames))}`,
+        `triangles   ${formatCount(Math.round(triangles / frames))}`,
+        `geometries  ${memory.geometries}  textures ${memory.textures}`,
+        ...getExtraLines()
+      ];
+      element.textContent = lines.join('\n');
+      resetWindow();
+    },
+
+    /**
+     * Show or hide the overlay
+     * @returns {boolean} Whether it is now visible
+     */
+    toggle() {
+      visible = !visible;
+      element.style.display = visible ? 'block' : 'none';
+      resetWindow();
+      return visible;
+    },
+
+    isVisible: () => visible
+  };
+}
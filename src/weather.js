@@ -0,0 +1,318 @@
+/**
+ * ============================================================================
+ * ITTY BITY CITY - Weather
+ * ============================================================================
+ *
+ * Weather presets (clear, rain, fog, snow) that cross-fade over a few
+ * seconds instead of snapping. Each preset controls:
+ * - Precipitation: GPU-instanced rain streaks and snowflakes. Particles live
+ *   in a box that wraps around the player, and all motion happens in the
+ *   vertex shader, so the CPU never touches individual particles.
+ * - Fog distances and a grey tint on the fog/sky color
+ * - Overcast lighting (dimmer sun, relatively more ambient light)
+ * - Wet surfaces (darker, glossier registered ground materials)
+ *
+ * Runs after the day/night cycle each frame and adjusts the lighting it set.
+ */
+
+import * as THREE from 'three';
+
+// ============================================================================
+// PRESETS
+// ============================================================================
+
+/**
+ * Target values for each weather type. Every field is blended numerically
+ * during transitions.
+ */
+export const WEATHER_PRESETS = {
+  clear: { rain: 0, snow: 0, fogNear: 50, fogFar: 500, fogTint: 0,   overcast: 0,   wetness: 0 },
+  rain:  { rain: 1, snow: 0, fogNear: 20, fogFar: 200, fogTint: 0.5, overcast: 0.6, wetness: 1 },
+  fog:   { rain: 0, snow: 0, fogNear: 2,  fogFar: 60,  fogTint: 0.8, overcast: 0.5, wetness: 0.3 },
+  snow:  { rain: 0, snow: 1, fogNear: 15, fogFar: 150, fogTint: 0.7, overcast: 0.4, wetness: 0 }
+};
+
+/**
+ * Camera layer the rain and snow are drawn on. Cameras that should show
+ * weather enable it; top-down map cameras leave it off.
+ */
+export const WEATHER_LAYER = 1;
+
+/** Size of the particle box that follows the player */
+const PARTICLE_BOX = new THREE.Vector3(40, 25, 40);
+
+/** Precipitation particle settings */
+const RAIN = { count: 6000, fallSpeed: 18, drift: 0.2, color: 0xaec2d6, opacity: 0.45 };
+const SNOW = { count: 4000, fallSpeed: 1.5, drift: 0.8, color: 0xffffff, opacity: 0.9, size: 0.08 };
+
+/** How much a fully wet surface loses roughness and brightness */
+const WET_ROUGHNESS_FACTOR = 0.35;
+const WET_DARKEN_FACTOR = 0.7;
+
+// ============================================================================
+// PARTICLES
+// ============================================================================
+
+const PARTICLE_VERTEX_SHADER = `
+  attribute vec3 offset;      // Random position inside the unit box
+
+  uniform float uTime;
+  uniform float uFallSpeed;
+  uniform float uDrift;
+  uniform vec3 uFocus;
+  uniform vec3 uBoxSize;
+  uniform float uSize;
+
+  varying vec2 vUv;
+
+  #include <fog_pars_vertex>
+
+  void main() {
+    vUv = uv;
+
+    // Fall and drift over time, each particle at a slightly different speed
+    vec3 p = offset * uBoxSize;
+    p.y -= uTime * uFallSpeed * (0.8 + 0.4 * offset.x);
+    p.x += sin(uTime * 0.7 + offset.z * 6.2831) * uDrift;
+    p.z += cos(uTime * 0.5 + offset.x * 6.2831) * uDrift;
+
+    // Wrap into a box centered on the focus point
+    vec3 origin = uFocus - uBoxSize * 0.5;
+    p = mod(p - origin, uBoxSize) + origin;
+
+    #ifdef BILLBOARD
+      // Camera-facing quad (snowflakes)
+      vec4 mvPosition = modelViewMatrix * vec4(p, 1.0);
+      mvPosition.xy += position.xy * uSize;
+    #else
+      // World-aligned geometry (vertical rain streaks)
+      vec4 mvPosition = modelViewMatrix * vec4(p + position, 1.0);
+    #endif
+
+    gl_Position = projectionMatrix * mvPosition;
+
+    #include <fog_vertex>
+  }
+`;
+
+const PARTICLE_FRAGMENT_SHADER = `
+  uniform vec3 uColor;
+  uniform float uOpacity;
+
+  varying vec2 vUv;
+
+  #include <fog_pars_fragment>
+
+  void main() {
+    float alpha = uOpacity;
+
+    #ifdef BILLBOARD
+      // Soft round flake
+      float d = length(vUv - 0.5) * 2.0;
+      alpha *= 1.0 - smoothstep(0.5, 1.0, d);
+    #endif
+
+    gl_FragColor = vec4(uColor, alpha);
+
+    #include <fog_fragment>
+  }
+`;
+
+/**
+ * Create an instanced particle field
+ * @param {THREE.BufferGeometry} baseGeometry - Shape of a single particle
+ * @param {Object} settings - RAIN or SNOW settings
+ * @param {boolean} billboard - Whether particles face the camera
+ * @returns {THREE.Mesh}
+ */
+function createParticleField(baseGeometry, settings, billboard) {
+  const geometry = new THREE.InstancedBufferGeometry();
+  geometry.index = baseGeometry.index;
+  geometry.setAttribute('position', baseGeometry.getAttribute('position'));
+  geometry.setAttribute('uv', baseGeometry.getAttribute('uv'));
+
+  const offsets = new Float32Array(settings.count * 3);
+  for (let i = 0; i < offsets.length; i++) {
+    offsets[i] = Math.random();
+  }
+  geometry.setAttribute('offset', new THREE.InstancedBufferAttribute(offsets, 3));
+  geometry.instanceCount = 0;
+
+  const material = new THREE.ShaderMaterial({
+    vertexShader: PARTICLE_VERTEX_SHADER,
+    fragmentShader: PARTICLE_FRAGMENT_SHADER,
+    uniforms: THREE.UniformsUtils.merge([
+      THREE.UniformsLib.fog,
+      {
+        uTime: { value: 0 },
+        uFallSpeed: { value: settings.fallSpeed },
+        uDrift: { value: settings.drift },
+        uFocus: { value: new THREE.Vector3() },
+        uBoxSize: { value: PARTICLE_BOX.clone() },
+        uSize: { value: settings.size || 1 },
+        uColor: { value: new THREE.Color(settings.color) },
+        uOpacity: { value: 0 }
+      }
+    ]),
+    defines: billboard ? { BILLBOARD: '' } : {},
+    transparent: true,
+    depthWrite: false,
+    fog: true
+  });
+
+  const mesh = new THREE.Mesh(geometry, material);
+  mesh.frustumCulled = false;  // Positions are computed in the shader
+  mesh.layers.set(WEATHER_LAYER);
+  mesh.visible = false;
+  mesh.userData.maxCount = settings.count;
+  mesh.userData.maxOpacity = settings.opacity;
+  return mesh;
+}
+
+/**
+ * Update a particle field for the current intensity
+ * @param {THREE.Mesh} field - Particle mesh
+ * @param {number} intensity - 0 (off) to 1 (full)
+ * @param {number} time - Elapsed time in seconds
+ * @param {THREE.Vector3} focus - Center of the particle box
+ */
+function updateParticleField(field, intensity, time, focus) {
+  field.visible = intensity > 0.001;
+  if (!field.visible) return;
+
+  // Thin out the particle count first, then fade what is left
+  field.geometry.instanceCount = Math.ceil(field.userData.maxCount * intensity);
+  field.material.uniforms.uOpacity.value = field.userData.maxOpacity * Math.min(1, intensity * 2);
+  field.material.uniforms.uTime.value = time;
+  field.material.uniforms.uFocus.value.copy(focus);
+}
+
+// ============================================================================
+// WEATHER SYSTEM
+// ============================================================================
+
+/**
+ * Create the weather controller.
+ *
+ * @param {Object} options
+ * @param {THREE.Scene} options.scene - Scene to add particles to and tint
+ * @param {THREE.DirectionalLight} options.sunLight - Sun dimmed when overcast
+ * @param {THREE.AmbientLight} options.ambientLight - Ambient light
+ * @param {number} [options.transitionTime=4] - Seconds to cross-fade presets
+ */
+export function createWeatherSystem({ scene, sunLight, ambientLight, transitionTime = 4 }) {
+  let weatherName = 'clear';
+  let elapsed = 0;
+
+  /** Currently applied (blended) values */
+  const current = { ...WEATHER_PRESETS.clear };
+
+  /** Values at the start of the active transition */
+  let from = { ...current };
+  let to = WEATHER_PRESETS.clear;
+  let progress = 1;
+
+  /** Surfaces that look wet in rain: { material, roughness, color } */
+  const wetSurfaces = [];
+
+  const rain = createParticleField(new THREE.BoxGeometry(0.015, 0.5, 0.015), RAIN, false);
+  const snow = createParticleField(new THREE.PlaneGeometry(1, 1), SNOW, true);
+  scene.add(rain);
+  scene.add(snow);
+
+  const grey = new THREE.Color();
+
+  /**
+   * Apply the blended values to the scene
+   * @param {THREE.Vector3} focus
+   */
+  function apply(focus) {
+    scene.fog.near = current.fogNear;
+    scene.fog.far = current.fogFar;
+
+    // Grey out the fog/sky, keeping its brightness so night stays dark
+    const luminance = scene.fog.color.r * 0.299 + scene.fog.color.g * 0.587 + scene.fog.color.b * 0.114;
+    grey.setRGB(luminance, luminance, luminance);
+    scene.fog.color.lerp(grey, current.fogTint);
+    scene.background.copy(scene.fog.color);
+
+    sunLight.intensity *= 1 - current.overcast * 0.75;
+    ambientLight.intensity *= 1 - current.overcast * 0.2;
+
+    for (const surface of wetSurfaces) {
+      surface.material.roughness = surface.roughness * (1 - current.wetness * (1 - WET_ROUGHNESS_FACTOR));
+      surface.material.color.copy(surface.color).multiplyScalar(1 - current.wetness * (1 - WET_DARKEN_FACTOR));
+    }
+
+    updateParticleField(rain, current.rain, elapsed, focus);
+    updateParticleField(snow, current.snow, elapsed, focus);
+  }
+
+  return {
+    /**
+     * Change the weather
+     * @param {string} name - Preset name (clear, rain, fog, snow)
+     * @param {Object} [options]
+     * @param {boolean} [options.immediate] - Skip the cross-fade
+     * @returns {boolean} Whether the preset exists
+     */
+    setWeather(name, { immediate = false } = {}) {
+      const preset = WEATHER_PRESETS[name];
+      if (!preset) {
+        console.warn('Unknown weather:', name);
+        return false;
+      }
+
+      weatherName = name;
+      from = { ...current };
+      to = preset;
+      progress = immediate ? 1 : 0;
+      if (immediate) Object.assign(current, preset);
+      return true;
+    },
+
+    getWeather: () => weatherName,
+
+    /**
+     * Register a surface material that darkens and turns glossy when wet
+     * @param {THREE.MeshStandardMaterial} material
+     */
+    registerWetSurface(material) {
+      if (!material.isMeshStandardMaterial) return;
+      if (wetSurfaces.some(surface => surface.material === material)) return;
+      wetSurfaces.push({ material, roughness: material.roughness, color: material.color.clone() });
+    },
+
+    /**
+     * Forget a wet surface and restore its original look
+     * @param {THREE.Material} material
+     */
+    unregisterWetSurface(material) {
+      const index = wetSurfaces.findIndex(surface => surface.material === material);
+      if (index === -1) return;
+      const [surface] = wetSurfaces.splice(index, 1);
+      material.roughness = surface.roughness;
+      material.color.copy(surface.color);
+    },
+
+    /**
+     * Advance the cross-fade and apply weather. Call after the day/night
+     * cycle has set this frame's lighting.
+     * @param {number} delta - Time delta in seconds
+     * @param {THREE.Vector3} focus - Point particles follow (usually the camera)
+     */
+    update(delta, focus) {
+      elapsed += delta;
+
+      if (progress < 1) {
+        progress = Math.min(1, progress + delta / transitionTime);
+        const t = THREE.MathUtils.smoothstep(progress, 0, 1);
+        for (const key of Object.keys(current)) {
+          current[key] = THREE.MathUtils.lerp(from[key], to[key], t);
+        }
+      }
+
+      apply(focus);
+    }
+  };
+}
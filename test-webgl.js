@@ -1,6 +1,10 @@
 #!/usr/bin/env node
 /**
  * WebGL QA test script - launches Chrome with SwiftShader and captures screenshot
+ *
+ * Usage: node test-webgl.js [url]
+ * Defaults to the local server (`npm run build && npm start`), which serves
+ * every asset itself, so no network access is needed.
  */
 
 import puppeteer from 'puppeteer';
@@ -9,6 +13,8 @@ import { dirname, join } from 'path';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
+const GAME_URL = process.argv[2] || process.env.GAME_URL || 'http://localhost:3000/';
+
 async function runTest() {
   console.log('🚀 Starting WebGL test with SwiftShader...');
   
@@ -41,8 +47,8 @@ async function runTest() {
     }
   });
   
-  console.log('📄 Loading game page...');
-  await page.goto('https://kashmot2.github.io/ittybitycity-game/', {
+  console.log(`📄 Loading ${GAME_URL}...`);
+  await page.goto(GAME_URL, {
     waitUntil: 'domcontentloaded',
     timeout: 30000
   });
@@ -0,0 +1,280 @@
+/**
+ * Tests for server/auth.js and the /control handshake in server.js
+ *
+ * Run with: npm test
+ */
+
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import { connect as connectSocket } from 'net';
+import { mkdtemp, readFile, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import WebSocket from 'ws';
+import { createControlAuth, hashToken, loadControlTokens, parseRequestUrl } from '../server/auth.js';
+
+const SERVER_JS = fileURLToPath(new URL('../server.js', import.meta.url));
+
+const FULL_TOKEN = 'full-control-token';
+const MESSAGE_TOKEN = 'message-only-token';
+
+let fixture;
+
+before(async () => {
+  fixture = await mkdtemp(join(tmpdir(), 'ittybity-auth-'));
+  await writeFile(join(fixture, 'tokens.json'), JSON.stringify({
+    tokens: [
+      { name: 'mojo', token: FULL_TOKEN, scopes: ['*'] },
+      { name: 'announcer', sha256: hashToken(MESSAGE_TOKEN), scopes: ['message', 'read'] }
+    ]
+  }));
+});
+
+after(async () => {
+  await rm(fixture, { recursive: true, force: true });
+});
+
+/**
+ * Minimal upgrade request
+ * @param {string} url
+ * @param {Object} [headers]
+ */
+const fakeRequest = (url, headers = {}) => ({ url, headers, socket: { remoteAddress: '10.0.0.1' } });
+
+describe('loadControlTokens', () => {
+  test('reads named tokens with scopes', () => {
+    const tokens = loadControlTokens({ file: join(fixture, 'tokens.json'), env: {} });
+    assert.deepEqual(tokens.map(token => token.name), ['mojo', 'announcer']);
+    assert.deepEqual([...tokens[1].scopes], ['message', 'read']);
+    assert.equal(tokens[1].hash, hashToken(MESSAGE_TOKEN));
+  });
+
+  test('adds CONTROL_TOKEN with full control', () => {
+    const tokens = loadControlTokens({ file: join(fixture, 'missing.json'), env: { CONTROL_TOKEN: 'abc' } });
+    assert.equal(tokens.length, 1);
+    assert.equal(tokens[0].name, 'env');
+    assert.ok(tokens[0].scopes.has('*'));
+  });
+
+  test('returns no tokens when nothing is configured', () => {
+    assert.deepEqual(loadControlTokens({ file: join(fixture, 'missing.json'), env: {} }), []);
+  });
+
+  test('rejects unknown scopes', async () => {
+    const file = join(fixture, 'bad-scope.json');
+    await writeFile(file, JSON.stringify({ tokens: [{ name: 'x', token: 'y', scopes: ['teleport'] }] }));
+    assert.throws(() => loadControlTokens({ file, env: {} }), /unknown scopes: teleport/);
+  });
+
+  test('rejects entries without a token', async () => {
+    const file = join(fixture, 'no-token.json');
+    await writeFile(file, JSON.stringify({ tokens: [{ name: 'x', scopes: ['*'] }] }));
+    assert.throws(() => loadControlTokens({ file, env: {} }), /needs a "token" or "sha256"/);
+  });
+});
+
+describe('createControlAuth', () => {
+  const auth = createControlAuth({ tokens: [] });
+  let scoped;
+
+  before(() => {
+    scoped = createControlAuth({ tokens: loadControlTokens({ file: join(fixture, 'tokens.json'), env: {} }) });
+  });
+
+  test('accepts a bearer token', () => {
+    const identity = scoped.authenticate(fakeRequest('/control', { authorization: `Bearer ${FULL_TOKEN}` }));
+    assert.equal(identity.name, 'mojo');
+  });
+
+  test('accepts a token in the query string', () => {
+    const identity = scoped.authenticate(fakeRequest(`/control?token=${MESSAGE_TOKEN}`));
+    assert.equal(identity.name, 'announcer');
+  });
+
+  test('refuses missing and wrong tokens', () => {
+    assert.equal(scoped.authenticate(fakeRequest('/control')), null);
+    assert.equal(scoped.authenticate(fakeRequest('/control?token=nope')), null);
+    assert.equal(scoped.authenticate(fakeRequest('/control', { authorization: 'Basic abc' })), null);
+  });
+
+  test('refuses malformed request targets', () => {
+    assert.equal(parseRequestUrl(fakeRequest('//')), null);
+    assert.equal(parseRequestUrl(fakeRequest('/control?token=x')).pathname, '/control');
+    assert.equal(scoped.authenticate(fakeRequest(`//?token=${FULL_TOKEN}`)), null);
+  });
+
+  test('refuses everything without configured tokens', () => {
+    assert.equal(auth.hasTokens, false);
+    assert.equal(auth.authenticate(fakeRequest(`/control?token=${FULL_TOKEN}`)), null);
+  });
+
+  test('checks command scopes', () => {
+    const announcer = { scopes: new Set(['message', 'read']) };
+    assert.ok(scoped.isAllowed(announcer, 'message'));
+    assert.ok(scoped.isAllowed(announcer, 'listPlayers'));
+    assert.ok(!scoped.isAllowed(announcer, 'teleport'));
+    assert.ok(!scoped.isAllowed(announcer, 'somethingCustom'));
+    assert.ok(!scoped.isAllowed(announcer, 'constructor'));
+    assert.ok(scoped.isAllowed({ scopes: new Set() }, 'help'));
+
+    const full = { scopes: new Set(['*']) };
+    assert.ok(scoped.isAllowed(full, 'spawn'));
+    assert.ok(!scoped.isAllowed(full, 'somethingCustom'));
+  });
+
+  test('writes audit entries as JSON lines', async () => {
+    const logPath = join(fixture, 'unit-audit.log');
+    const logged = createControlAuth({ tokens: [], auditLogPath: logPath });
+    logged.audit({ event: 'command', issuer: 'mojo', ip: '10.0.0.1', msg: { type: 'message', text: 'hi' } });
+    logged.audit({ event: 'command', issuer: 'mojo', msg: { type: 'message', text: 'x'.repeat(1000) } });
+    await logged.close();
+
+    const [first, second] = (await readFile(logPath, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+    assert.equal(first.event, 'command');
+    assert.equal(first.issuer, 'mojo');
+    assert.equal(first.command, 'message');
+    assert.equal(first.params, '{"text":"hi"}');
+    assert.ok(!Number.isNaN(Date.parse(first.time)));
+    assert.ok(second.params.length <= 501);
+  });
+});
+
+// ============================================================================
+// SERVER
+// ============================================================================
+
+describe('/control handshake', () => {
+  const port = 30000 + Math.floor(Math.random() * 20000);
+  const auditLog = () => join(fixture, 'server-audit.log');
+  let server;
+
+  /**
+   * Open a WebSocket and wait for it to open or fail
+   * @param {string} path
+   * @param {Object} [headers]
+   * @returns {Promise<{ws: WebSocket, status: number}>}
+   */
+  function connect(path, headers = {}) {
+    return new Promise((resolve) => {
+      const ws = new WebSocket(`ws://127.0.0.1:${port}${path}`, { headers });
+      ws.on('open', () => resolve({ ws, status: 101 }));
+      ws.on('unexpected-response', (req, res) => resolve({ ws, status: res.statusCode }));
+      ws.on('error', () => {});
+    });
+  }
+
+  /**
+   * Wait for the next message of a type
+   * @param {WebSocket} ws
+   * @param {string} type
+   */
+  function nextMessage(ws, type) {
+    return new Promise((resolve) => {
+      const onMessage = (data) => {
+        const msg = JSON.parse(data);
+        if (msg.type !== type) return;
+        ws.off('message', onMessage);
+        resolve(msg);
+      };
+      ws.on('message', onMessage);
+    });
+  }
+
+  before(async () => {
+    server = spawn(process.execPath, [SERVER_JS], {
+      env: {
+        ...process.env,
+        PORT: String(port),
+        CONTROL_TOKEN: '',
+        CONTROL_TOKENS_FILE: join(fixture, 'tokens.json'),
+        CONTROL_AUDIT_LOG: auditLog()
+      },
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    await new Promise((resolve, reject) => {
+      server.stdout.on('data', data => data.toString().includes('ITTY BITY CITY SERVER') && resolve());
+      server.on('exit', code => reject(new Error(`server.js exited with ${code}`)));
+    });
+  });
+
+  after(() => {
+    server.kill();
+  });
+
+  test('refuses controllers without a token', async () => {
+    const { status } = await connect('/control');
+    assert.equal(status, 401);
+  });
+
+  test('refuses controllers with a wrong token', async () => {
+    const { status } = await connect('/control?token=wrong');
+    assert.equal(status, 401);
+  });
+
+  test('lets game clients connect without a token', async () => {
+    const { ws, status } = await connect('/');
+    assert.equal(status, 101);
+    ws.close();
+  });
+
+  test('answers malformed upgrade targets with 400 and keeps running', async () => {
+    const response = await new Promise((resolve, reject) => {
+      const socket = connectSocket(port, '127.0.0.1', () => {
+        socket.write(
+          'GET // HTTP/1.1\r\n' +
+          'Host: 127.0.0.1\r\n' +
+          'Connection: Upgrade\r\n' +
+          'Upgrade: websocket\r\n' +
+          'Sec-WebSocket-Version: 13\r\n' +
+          'Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==\r\n\r\n'
+        );
+      });
+      let data = '';
+      socket.on('data', chunk => (data += chunk));
+      socket.on('end', () => resolve(data));
+      socket.on('error', reject);
+    });
+    assert.match(response, /^HTTP\/1\.1 400 /);
+
+    const { ws, status } = await connect('/');
+    assert.equal(status, 101);
+    ws.close();
+  });
+
+  test('runs commands within the token scopes', async () => {
+    const { ws, status } = await connect('/control', { Authorization: `Bearer ${MESSAGE_TOKEN}` });
+    assert.equal(status, 101);
+
+    ws.send(JSON.stringify({ type: 'listPlayers' }));
+    assert.ok(Array.isArray((await nextMessage(ws, 'players')).players));
+
+    ws.send(JSON.stringify({ type: 'teleport', x: 0, y: 10, z: 0 }));
+    assert.equal((await nextMessage(ws, 'error')).message, 'Not allowed: teleport');
+    ws.close();
+  });
+
+  test('disconnects game clients that send controller commands', async () => {
+    const { ws } = await connect('/');
+    const closed = new Promise(resolve => ws.on('close', code => resolve(code)));
+    ws.send(JSON.stringify({ type: 'teleport', x: 0, y: 100, z: 0 }));
+    assert.equal(await closed, 1008);
+  });
+
+  test('audits commands with their issuer', async () => {
+    const { ws } = await connect(`/control?token=${FULL_TOKEN}`);
+    ws.send(JSON.stringify({ type: 'weather', value: 'rain' }));
+    await nextMessage(ws, 'ack');
+    ws.close();
+    // Give the server a moment to write the log
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    const entries = (await readFile(auditLog(), 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+    const find = (predicate) => entries.find(predicate);
+    assert.ok(find(e => e.event === 'reject'));
+    assert.ok(find(e => e.event === 'denied' && e.issuer === 'announcer' && e.command === 'teleport'));
+    assert.ok(find(e => e.event === 'violation' && e.issuer.startsWith('player:') && e.command === 'teleport'));
+    assert.ok(find(e => e.event === 'command' && e.issuer === 'mojo' && e.command === 'weather'));
+  });
+});
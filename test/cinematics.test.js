@@ -0,0 +1,110 @@
+/**
+ * Tests for src/cinematics.js
+ *
+ * Run with: npm test
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { createCinematicCamera, normalizePath } from '../src/cinematics.js';
+
+const PATH = {
+  keyframes: [
+    { time: 0, position: { x: 0, y: 10, z: 0 }, target: { x: 0, y: 0, z: -10 }, fov: 50 },
+    { time: 2000, position: { x: 10, y: 10, z: 0 }, target: { x: 10, y: 0, z: -10 }, fov: 30 }
+  ]
+};
+
+/**
+ * Camera at the origin, as if the follow camera had put it there
+ * @returns {THREE.PerspectiveCamera}
+ */
+function followCamera() {
+  return new THREE.PerspectiveCamera(60, 1, 0.1, 1000);
+}
+
+/**
+ * Advance the cinematic camera, resetting the camera to the follow pose
+ * first like animate() does every frame
+ */
+function step(cinematics, camera, seconds) {
+  camera.position.set(0, 0, 0);
+  camera.quaternion.identity();
+  cinematics.update(seconds);
+}
+
+describe('normalizePath', () => {
+  test('sorts keyframes by time', () => {
+    const keyframes = normalizePath({ keyframes: [PATH.keyframes[1], PATH.keyframes[0]] });
+    assert.deepEqual(keyframes.map(keyframe => keyframe.time), [0, 2000]);
+  });
+
+  test('refuses unplayable paths', () => {
+    assert.throws(() => normalizePath({ keyframes: [PATH.keyframes[0]] }), /at least two keyframes/);
+    assert.throws(() => normalizePath({ keyframes: [PATH.keyframes[0], { time: 1 }] }), /need a time, a position and a target/);
+    assert.throws(() => normalizePath({ keyframes: [PATH.keyframes[0], { ...PATH.keyframes[1], easing: 'bounce' }] }), /Unknown easing/);
+    assert.throws(() => normalizePath({ keyframes: [PATH.keyframes[0], { ...PATH.keyframes[1], time: 0 }] }), /need a duration/);
+    assert.throws(() => normalizePath({ keyframes: [PATH.keyframes[0], { ...PATH.keyframes[1], time: 1000 }, { ...PATH.keyframes[1], time: 1000 }] }), /Two keyframes at 1000ms/);
+  });
+});
+
+describe('createCinematicCamera', () => {
+  test('blends in, follows the path and hands the camera back', () => {
+    const camera = followCamera();
+    const cinematics = createCinematicCamera({ camera, scene: new THREE.Scene() });
+    let completed = false;
+    cinematics.play(PATH, { onComplete: () => { completed = true; } });
+
+    // Halfway through: fully blended in, between the keyframes
+    step(cinematics, camera, 1);
+    assert.ok(Math.abs(camera.position.x - 5) < 0.5, `x = ${camera.position.x}`);
+    assert.ok(Math.abs(camera.position.y - 10) < 0.01);
+    assert.ok(Math.abs(camera.fov - 40) < 0.01);
+
+    // End of the path, then the blend out
+    step(cinematics, camera, 1);
+    assert.ok(camera.position.distanceTo(new THREE.Vector3(10, 10, 0)) < 0.01);
+    step(cinematics, camera, 0.5);
+    assert.ok(camera.position.x > 0 && camera.position.x < 10);
+    assert.ok(cinematics.isPlaying());
+
+    step(cinematics, camera, 0.5);
+    assert.ok(!cinematics.isPlaying());
+    assert.ok(completed);
+    assert.equal(camera.fov, 60);
+  });
+
+  test('offsets relative paths and looks at the target', () => {
+    const camera = followCamera();
+    const cinematics = createCinematicCamera({ camera, scene: new THREE.Scene() });
+    cinematics.play({ ...PATH, relative: true }, { origin: new THREE.Vector3(100, 0, 100) });
+
+    step(cinematics, camera, 0.6);
+    const direction = camera.getWorldDirection(new THREE.Vector3());
+    const expected = new THREE.Vector3(0, -10, -10).normalize();
+    assert.ok(camera.position.x > 100 && camera.position.z > 99);
+    assert.ok(direction.distanceTo(expected) < 0.01);
+  });
+
+  test('loops until stopped', () => {
+    const camera = followCamera();
+    const cinematics = createCinematicCamera({ camera, scene: new THREE.Scene() });
+    cinematics.play({ ...PATH, loop: true });
+
+    step(cinematics, camera, 10);
+    assert.ok(cinematics.isPlaying());
+    cinematics.stop();
+    step(cinematics, camera, 1);
+    assert.ok(!cinematics.isPlaying());
+  });
+
+  test('draws and clears previews', () => {
+    const scene = new THREE.Scene();
+    const cinematics = createCinematicCamera({ camera: followCamera(), scene });
+    cinematics.preview(PATH);
+    assert.equal(scene.children.length, 1);
+    cinematics.clearPreview();
+    assert.equal(scene.children.length, 0);
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Tests for src/cityGenerator.js
+ *
+ * Run with: npm test
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PAD_HEIGHT, createRandom, generateCity } from '../src/cityGenerator.js';
+
+const SEEDS = ['ittybity', 'rooftops', '1234'];
+
+// Matches STEP_HEIGHT in src/main.js
+const STEP_HEIGHT = 0.4;
+
+// Matches ROOF_THICKNESS in src/cityGenerator.js
+const ROOF_THICKNESS = 0.5;
+
+const EPSILON = 1e-6;
+
+/**
+ * Do two rectangles ({ x, z, width, depth }, centered) overlap?
+ * @param {Object} a
+ * @param {Object} b
+ * @param {number} [tolerance=0] - Overlap allowed before it counts
+ */
+function overlaps(a, b, tolerance = 0) {
+  return Math.abs(a.x - b.x) < (a.width + b.width) / 2 - tolerance &&
+    Math.abs(a.z - b.z) < (a.depth + b.depth) / 2 - tolerance;
+}
+
+/**
+ * Horizontal gap between two rectangles (0 if they touch or overlap)
+ * @param {Object} a
+ * @param {Object} b
+ */
+function gap(a, b) {
+  const gx = Math.max(0, Math.abs(a.x - b.x) - (a.width + b.width) / 2);
+  const gz = Math.max(0, Math.abs(a.z - b.z) - (a.depth + b.depth) / 2);
+  return Math.hypot(gx, gz);
+}
+
+describe('createRandom', () => {
+  test('repeats the same sequence for the same seed', () => {
+    const a = createRandom('city');
+    const b = createRandom('city');
+    const c = createRandom('town');
+    const first = Array.from({ length: 20 }, () => a.next());
+    assert.deepEqual(Array.from({ length: 20 }, () => b.next()), first);
+    assert.notDeepEqual(Array.from({ length: 20 }, () => c.next()), first);
+    assert.ok(first.every(value => value >= 0 && value < 1));
+  });
+});
+
+describe('generateCity', () => {
+  test('always builds the same layout from the same seed', () => {
+    for (const seed of SEEDS) {
+      assert.deepEqual(generateCity(seed), generateCity(seed));
+    }
+    assert.notDeepEqual(generateCity('ittybity').buildings, generateCity('rooftops').buildings);
+  });
+
+  test('has districts, parks and varied buildings', () => {
+    for (const seed of SEEDS) {
+      const city = generateCity(seed);
+      assert.ok(city.roads.length >= 6, `${seed}: ${city.roads.length} roads`);
+      assert.ok(city.parks.length >= 1, `${seed}: no parks`);
+      assert.ok(new Set(city.blocks.map(block => block.district)).size >= 3, `${seed}: too few districts`);
+      assert.ok(new Set(city.buildings.map(building => building.archetype)).size >= 3, `${seed}: too few archetypes`);
+    }
+  });
+
+  test('keeps buildings and stairs off the roads and apart', () => {
+    for (const seed of SEEDS) {
+      const city = generateCity(seed);
+      const steps = city.stairs.flatMap(stairs => stairs.steps);
+
+      for (const building of city.buildings) {
+        for (const road of city.roads) {
+          assert.ok(!overlaps(building, road), `${seed}: building at (${building.x}, ${building.z}) is on a road`);
+        }
+        for (const other of city.buildings) {
+          if (other === building) continue;
+          assert.ok(!overlaps(building, other), `${seed}: buildings at (${building.x}, ${building.z}) and (${other.x}, ${other.z}) overlap`);
+        }
+      }
+
+      for (const step of steps) {
+        for (const road of city.roads) {
+          assert.ok(!overlaps(step, road, EPSILON), `${seed}: step at (${step.x}, ${step.z}) is on a road`);
+        }
+        for (const building of city.buildings) {
+          assert.ok(!overlaps(step, building), `${seed}: step at (${step.x}, ${step.z}) is inside a building`);
+        }
+      }
+
+      assert.ok(city.roads.some(road => overlaps({ ...city.spawn, width: 0, depth: 0 }, road, -EPSILON)), `${seed}: spawn is off the road`);
+    }
+  });
+
+  test('stairs climb from the sidewalk to the roof one step at a time', () => {
+    for (const seed of SEEDS) {
+      const city = generateCity(seed);
+      assert.ok(city.stairs.length > 0, `${seed}: no stairs`);
+
+      for (const { building: index, steps } of city.stairs) {
+        const building = city.buildings[index];
+        const tops = steps.map(step => step.y + step.height);
+
+        assert.ok(tops[0] - PAD_HEIGHT <= STEP_HEIGHT, `${seed}: first step is ${tops[0] - PAD_HEIGHT} high`);
+        assert.ok(Math.abs(tops.at(-1) - (building.height + ROOF_THICKNESS)) < EPSILON, `${seed}: stairs stop short of the roof`);
+        assert.ok(gap(steps.at(-1), building) < 0.5, `${seed}: last step is away from the roof`);
+
+        for (let i = 1; i < steps.length; i++) {
+          const rise = tops[i] - tops[i - 1];
+          assert.ok(rise >= -EPSILON && rise <= STEP_HEIGHT, `${seed}: rise of ${rise} at step ${i}`);
+          assert.ok(gap(steps[i - 1], steps[i]) < EPSILON, `${seed}: gap before step ${i}`);
+        }
+      }
+    }
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Tests for src/navMesh.js
+ *
+ * Run with: npm test
+ */
+
+import { beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { createCollisionWorld } from '../src/collisionWorld.js';
+import { createNavMesh } from '../src/navMesh.js';
+
+/** Player settings from CONFIG in src/main.js */
+const STEP_HEIGHT = 0.4;
+const PLAYER_HEIGHT = 1.8;
+const PLAYER_RADIUS = 0.3;
+
+/**
+ * An axis-aligned box by its bounds
+ * @param {number} minX
+ * @param {number} minY
+ * @param {number} minZ
+ * @param {number} maxX
+ * @param {number} maxY
+ * @param {number} maxZ
+ */
+function box(minX, minY, minZ, maxX, maxY, maxZ) {
+  const mesh = new THREE.Mesh(new THREE.BoxGeometry(maxX - minX, maxY - minY, maxZ - minZ));
+  mesh.position.set((minX + maxX) / 2, (minY + maxY) / 2, (minZ + maxZ) / 2);
+  mesh.updateMatrixWorld();
+  return mesh;
+}
+
+/**
+ * Whether a path keeps out of an area (checked every 10cm)
+ * @param {THREE.Vector3[]} points
+ * @param {THREE.Box3} area
+ */
+function avoids(points, area) {
+  const point = new THREE.Vector3();
+  for (let i = 1; i < points.length; i++) {
+    const steps = Math.ceil(points[i].distanceTo(points[i - 1]) * 10);
+    for (let s = 0; s <= steps; s++) {
+      point.lerpVectors(points[i - 1], points[i], s / steps);
+      if (point.x > area.min.x && point.x < area.max.x && point.z > area.min.z && point.z < area.max.z) return false;
+    }
+  }
+  return true;
+}
+
+describe('navigation mesh', () => {
+  let world;
+  let navMesh;
+
+  beforeEach(() => {
+    world = createCollisionWorld();
+    world.addMesh(box(-30, -1, -30, 30, 0, 30));  // Ground, top at y = 0
+    navMesh = createNavMesh({
+      world,
+      stepHeight: STEP_HEIGHT,
+      agentHeight: PLAYER_HEIGHT,
+      agentRadius: PLAYER_RADIUS
+    });
+  });
+
+  test('walks straight across open ground', () => {
+    const path = navMesh.findPath({ x: -10, y: 0, z: -10 }, { x: 12.5, z: 8.5 });
+
+    assert.equal(path.partial, false);
+    assert.equal(path.points.length, 2);
+    assert.deepEqual(path.points[1].toArray(), [12.5, 0, 8.5]);
+    assert.ok(Math.abs(path.length - Math.hypot(22.5, 18.5)) < 0.5);
+  });
+
+  test('goes round walls through the gap', () => {
+    // Wall across z = 0 with a 3m gap at x = 15..18
+    const wall = new THREE.Box3(new THREE.Vector3(-30, 0, -0.25), new THREE.Vector3(15, 3, 0.25));
+    world.addMesh(box(-30, 0, -0.25, 15, 3, 0.25));
+    world.addMesh(box(18, 0, -0.25, 30, 3, 0.25));
+
+    const path = navMesh.findPath({ x: 0, y: 0, z: -8 }, { x: 0, z: 8 });
+
+    assert.equal(path.partial, false);
+    assert.ok(avoids(path.points, wall));
+    assert.ok(path.points.some(point => point.x > 15 && point.x < 18 && Math.abs(point.z) < 2));
+    assert.ok(path.length > 30);
+  });
+
+  test('climbs stairs onto a platform but not a ledge', () => {
+    // Platform 1.2m up, reached by four 0.3m steps along +x
+    world.addMesh(box(5, 0, -3, 11, 1.2, 3));
+    for (let step = 1; step <= 3; step++) {
+      world.addMesh(box(5 - step * 0.5, 0, -1, 5 - (step - 1) * 0.5, 1.2 - step * 0.3, 1));
+    }
+
+    const path = navMesh.findPath({ x: -5, y: 0, z: 0 }, { x: 9, z: 0 });
+    assert.equal(path.partial, false);
+    assert.ok(Math.abs(path.points[path.points.length - 1].y - 1.2) < 0.01);
+
+    // A second platform with no stairs: get as close as possible
+    world.addMesh(box(5, 0, -20, 11, 1.2, -14));
+    const ledge = navMesh.findPath({ x: -5, y: 0, z: -17 }, { x: 9, z: -17 });
+    const end = ledge.points[ledge.points.length - 1];
+    assert.equal(ledge.partial, true);
+    assert.equal(end.y, 0);
+    assert.ok(Math.hypot(end.x - 9, end.z + 17) <= 3, 'ends beside the platform');
+  });
+
+  test('keeps off the ground under low overhangs', () => {
+    world.addMesh(box(-2, 1, -2, 2, 1.2, 2));  // Slab with 1m of headroom
+
+    assert.equal(navMesh.surfaceAt(0, 0, 0), null);
+    assert.ok(Math.abs(navMesh.surfaceAt(0, 0, 1.2) - 1.2) < 0.01);
+
+    const path = navMesh.findPath({ x: -6, y: 0, z: 0 }, { x: 6, z: 0 });
+    assert.equal(path.partial, false);
+    assert.ok(avoids(path.points, new THREE.Box3(new THREE.Vector3(-2, 0, -2), new THREE.Vector3(2, 1, 2))));
+  });
+
+  test('rebakes an area after its meshes change', () => {
+    const route = () => navMesh.findPath({ x: 0, y: 0, z: -6 }, { x: 0, z: 6 });
+    assert.equal(route().points.length, 2);
+
+    const crate = box(-4, 0, -1, 4, 1, 1);
+    world.addMesh(crate);
+    assert.equal(route().points.length, 2, 'baked links are kept until invalidated');
+
+    navMesh.invalidate(new THREE.Box3().setFromObject(crate));
+    const detour = route();
+    assert.ok(detour.points.length > 2);
+    assert.ok(avoids(detour.points, new THREE.Box3().setFromObject(crate)));
+  });
+
+  test('returns null off the mesh and bakes areas up front', () => {
+    assert.equal(navMesh.findPath({ x: 100, y: 0, z: 100 }, { x: 0, z: 0 }), null);
+
+    const nodes = navMesh.bake(new THREE.Box3(new THREE.Vector3(-2, 0, -2), new THREE.Vector3(2, 0, 2)));
+    assert.equal(nodes, 25);
+    assert.ok(navMesh.getStats().links >= 40);
+  });
+});
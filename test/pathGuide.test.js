@@ -0,0 +1,57 @@
+/**
+ * Tests for src/pathGuide.js
+ *
+ * Run with: npm test
+ */
+
+import { beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { createPathGuide } from '../src/pathGuide.js';
+
+/** An L-shaped path: 10m along +x, then 6m along +z */
+const PATH = [new THREE.Vector3(0, 0, 0), new THREE.Vector3(10, 0, 0), new THREE.Vector3(10, 0, 6)];
+
+describe('path guide', () => {
+  let guide;
+
+  beforeEach(() => {
+    guide = createPathGuide({ scene: new THREE.Scene() });
+    guide.set(PATH);
+  });
+
+  test('heads for each corner in turn and arrives at the end', () => {
+    let step = guide.update(new THREE.Vector3(0, 0, 0), 0);
+    assert.deepEqual(step.target.toArray(), [10, 0, 0]);
+    assert.equal(step.arrived, false);
+
+    step = guide.update(new THREE.Vector3(9.8, 0, 0.1), 0);
+    assert.deepEqual(step.target.toArray(), [10, 0, 6]);
+
+    step = guide.update(new THREE.Vector3(10, 0, 5.5), 0);
+    assert.equal(step.arrived, true);
+    assert.equal(step.strayed, false);
+  });
+
+  test('hides the trail behind the player', () => {
+    const full = guide.getTrailLength();
+    assert.equal(full, 11);  // Every 1.5m: 7 along the first leg, 4 along the second
+
+    guide.update(new THREE.Vector3(5, 0, 0), 0);
+    assert.ok(guide.getTrailLength() < full);
+    assert.ok(guide.getTrailLength() > 0);
+
+    guide.update(new THREE.Vector3(10, 0, 5.9), 0);
+    assert.equal(guide.getTrailLength(), 0);
+  });
+
+  test('notices when the player strays off the path', () => {
+    assert.equal(guide.update(new THREE.Vector3(4, 0, 3), 0).strayed, false);
+    assert.equal(guide.update(new THREE.Vector3(4, 0, -6), 0).strayed, true);
+    assert.equal(guide.update(new THREE.Vector3(4, 5, 0), 0).strayed, true, 'on a roof above the path');
+
+    guide.clear();
+    assert.equal(guide.update(new THREE.Vector3(0, 0, 0), 0), null);
+    assert.equal(guide.isActive(), false);
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * Tests for src/physics.js
+ *
+ * Run with: npm test
+ */
+
+import { beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { createCollisionWorld } from '../src/collisionWorld.js';
+import { createPhysicsWorld } from '../src/physics.js';
+
+const GRAVITY = 20;
+
+/**
+ * A mesh standing on its base, like the crates in src/spawnables.js
+ * @param {THREE.BufferGeometry} geometry - Centered geometry
+ * @param {number} height
+ * @param {number} x
+ * @param {number} y - Height of the base
+ * @param {number} z
+ */
+function prop(geometry, height, x, y, z) {
+  geometry.translate(0, height / 2, 0);
+  const mesh = new THREE.Mesh(geometry);
+  mesh.position.set(x, y, z);
+  mesh.updateMatrixWorld();
+  return mesh;
+}
+
+/**
+ * Run the simulation for a while at a steady frame rate
+ * @param {Object} physics
+ * @param {number} seconds
+ * @param {number} [fps=60]
+ */
+function run(physics, seconds, fps = 60) {
+  for (let frame = 0; frame < Math.round(seconds * fps); frame++) physics.update(1 / fps);
+}
+
+describe('createPhysicsWorld', () => {
+  let world;
+  let physics;
+
+  /**
+   * Add a dynamic prop to both worlds
+   * @param {THREE.Mesh} mesh
+   * @param {Object} [options] - For addBody
+   */
+  function addProp(mesh, options) {
+    world.addMesh(mesh);
+    return physics.addBody(mesh, options);
+  }
+
+  beforeEach(() => {
+    world = createCollisionWorld();
+
+    const ground = new THREE.Mesh(new THREE.PlaneGeometry(100, 100));
+    ground.rotation.x = -Math.PI / 2;
+    ground.updateMatrixWorld();
+    world.addMesh(ground);
+
+    // A wall along x = 5
+    const wall = new THREE.Mesh(new THREE.BoxGeometry(1, 4, 20));
+    wall.position.set(5.5, 2, 0);
+    wall.updateMatrixWorld();
+    world.addMesh(wall);
+
+    physics = createPhysicsWorld({ world, gravity: GRAVITY });
+  });
+
+  test('drops boxes and spheres onto the ground and lets them sleep', () => {
+    const crate = prop(new THREE.BoxGeometry(1, 1, 1), 1, 0, 3, 0);
+    const ball = prop(new THREE.SphereGeometry(0.5, 12, 8), 1, 2, 3, 0);
+    addProp(crate);
+    addProp(ball, { shape: 'sphere' });
+
+    run(physics, 3);
+    assert.ok(Math.abs(crate.position.y) < 0.02, `crate rests at ${crate.position.y}`);
+    assert.ok(Math.abs(ball.position.y) < 0.02, `ball rests at ${ball.position.y}`);
+    assert.equal(physics.getStats().awake, 0);
+  });
+
+  test('runs fixed steps whatever the frame time', () => {
+    addProp(prop(new THREE.BoxGeometry(1, 1, 1), 1, 0, 10, 0));
+    assert.equal(physics.update(1 / 30), 2);
+    assert.equal(physics.update(1 / 240), 0);
+    assert.equal(physics.update(1 / 240), 0);
+    assert.equal(physics.update(1 / 120), 1);
+    assert.equal(physics.update(5), 5);
+
+    // The same fall at 30 and 60 fps ends at the same height
+    const heights = [30, 60].map((fps) => {
+      physics = createPhysicsWorld({ world, gravity: GRAVITY });
+      const crate = prop(new THREE.BoxGeometry(1, 1, 1), 1, 20, 10, 20);
+      physics.addBody(crate);
+      run(physics, 0.5, fps);
+      return crate.position.y;
+    });
+    assert.ok(Math.abs(heights[0] - heights[1]) < 1e-6, heights.join(' vs '));
+  });
+
+  test('stacks boxes', () => {
+    const bottom = prop(new THREE.BoxGeometry(1, 1, 1), 1, 0, 0, 0);
+    const top = prop(new THREE.BoxGeometry(0.6, 0.6, 0.6), 0.6, 0.1, 2, 0);
+    addProp(bottom);
+    addProp(top);
+
+    run(physics, 3);
+    assert.ok(Math.abs(bottom.position.y) < 0.02);
+    assert.ok(Math.abs(top.position.y - 1) < 0.03, `top rests at ${top.position.y}`);
+    assert.equal(physics.getStats().awake, 0);
+  });
+
+  test('is pushed by the player and stopped by walls', () => {
+    const crate = prop(new THREE.BoxGeometry(1, 1, 1), 1, 0, 0, 0);
+    addProp(crate);
+    run(physics, 1);
+
+    // Walk into it from the -x side for two seconds
+    const feet = new THREE.Vector3();
+    const velocity = new THREE.Vector3(5, 0, 0);
+    for (let frame = 0; frame < 120; frame++) {
+      feet.set(crate.position.x - 0.5 - 0.3, 0, 0);
+      physics.push({ feet, radius: 0.3, height: 1.8, velocity });
+      physics.update(1 / 60);
+    }
+
+    // It slid up to the wall at x = 5 and no further
+    assert.ok(crate.position.x > 4 && crate.position.x <= 4.51, `crate at x = ${crate.position.x}`);
+    assert.ok(Math.abs(crate.position.z) < 0.01);
+  });
+
+  test('does not push what the player stands on', () => {
+    const crate = prop(new THREE.BoxGeometry(1, 1, 1), 1, 0, 0, 0);
+    addProp(crate);
+    run(physics, 1);
+
+    physics.push({ feet: new THREE.Vector3(0, 1, 0), radius: 0.3, height: 1.8, velocity: new THREE.Vector3(5, 0, 0) });
+    run(physics, 0.5);
+    assert.equal(crate.position.x, 0);
+  });
+});
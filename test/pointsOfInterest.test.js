@@ -0,0 +1,122 @@
+/**
+ * Tests for src/pointsOfInterest.js and server/pois.js
+ *
+ * Run with: npm test
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { createPointsOfInterest, isInsideTrigger } from '../src/pointsOfInterest.js';
+import { checkTrigger, loadPois } from '../server/pois.js';
+import { DEFAULT_CITY_SEED, generateCity } from '../src/cityGenerator.js';
+
+const POIS_JSON = fileURLToPath(new URL('../public/pois.json', import.meta.url));
+
+const FOUNTAIN = { id: 'fountain', name: 'The Fountain', trigger: { x: 0, y: 0, z: 0, radius: 3 } };
+const TOWER = { id: 'tower', name: 'The Tower', map: 'procedural:test', trigger: { x: 20, y: 2, z: 0, width: 4, height: 4, depth: 10 } };
+
+describe('isInsideTrigger', () => {
+  test('checks spheres and boxes', () => {
+    assert.ok(isInsideTrigger(FOUNTAIN.trigger, { x: 2, y: 0, z: 2 }));
+    assert.ok(!isInsideTrigger(FOUNTAIN.trigger, { x: 2.2, y: 0, z: 2.2 }));
+    assert.ok(isInsideTrigger(TOWER.trigger, { x: 21.9, y: 0, z: -4.9 }));
+    assert.ok(!isInsideTrigger(TOWER.trigger, { x: 22.1, y: 0, z: 0 }));
+    assert.ok(!isInsideTrigger(TOWER.trigger, { x: 20, y: 4.1, z: 0 }));
+  });
+});
+
+describe('createPointsOfInterest', () => {
+  /**
+   * Points of interest that record what the player walked into
+   * @param {string} [map]
+   */
+  function setup(map = 'procedural:test') {
+    const entered = [];
+    const pois = createPointsOfInterest({ getMap: () => map, onEnter: poi => entered.push(poi.id) });
+    return { pois, entered };
+  }
+
+  test('fires once per visit', () => {
+    const { pois, entered } = setup();
+    pois.add(FOUNTAIN);
+
+    pois.update({ x: 10, y: 0, z: 0 });
+    pois.update({ x: 1, y: 0, z: 0 });
+    pois.update({ x: 0, y: 0, z: 0 });
+    assert.deepEqual(entered, ['fountain']);
+
+    pois.update({ x: 10, y: 0, z: 0 });
+    pois.update({ x: 1, y: 0, z: 0 });
+    assert.deepEqual(entered, ['fountain', 'fountain']);
+  });
+
+  test('only has the points of the map being walked', () => {
+    const { pois, entered } = setup('map');
+    pois.add(FOUNTAIN);
+    pois.add(TOWER);
+
+    assert.deepEqual(pois.list().map(poi => poi.id), ['fountain']);
+    pois.update({ x: 20, y: 0, z: 0 });
+    assert.deepEqual(entered, []);
+  });
+
+  test('takes the server list over its own', () => {
+    const { pois } = setup();
+    pois.add(FOUNTAIN);
+    pois.sync([TOWER]);
+    assert.deepEqual(pois.list().map(poi => poi.id), ['tower']);
+
+    pois.remove('tower');
+    assert.equal(pois.get('tower'), undefined);
+  });
+});
+
+describe('loadPois', () => {
+  test('reads public/pois.json', () => {
+    const pois = loadPois({ file: POIS_JSON });
+    assert.ok(pois.length > 0);
+    assert.equal(new Set(pois.map(poi => poi.id)).size, pois.length);
+  });
+
+  test('puts the demo city landmarks on its ground and rooftops', () => {
+    const city = generateCity(DEFAULT_CITY_SEED);
+    const under = ({ x, z }) => city.buildings.find(building =>
+      Math.abs(x - building.x) < building.width / 2 && Math.abs(z - building.z) < building.depth / 2);
+
+    const landmarks = loadPois({ file: POIS_JSON }).filter(poi => poi.map === `procedural:${DEFAULT_CITY_SEED}`);
+    assert.ok(landmarks.length > 0);
+    for (const { id, trigger } of landmarks) {
+      if (trigger.radius === undefined || trigger.y < 1) continue;
+      // Rooftop landmarks are on top of a roof
+      const building = under(trigger);
+      assert.ok(building, `${id} is over a building`);
+      assert.ok(Math.abs(building.height + 0.5 - trigger.y) < 0.1, `${id} is level with the roof`);
+    }
+  });
+
+  test('skips a missing file and refuses invalid entries', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'ittybity-pois-'));
+    try {
+      assert.deepEqual(loadPois({ file: join(dir, 'missing.json') }), []);
+
+      const file = join(dir, 'pois.json');
+      await writeFile(file, JSON.stringify({ pois: [{ ...FOUNTAIN, trigger: { x: 0, y: 0 } }] }));
+      assert.throws(() => loadPois({ file }), /pois\[0\]\.trigger\.z is required/);
+
+      await writeFile(file, JSON.stringify({ pois: [FOUNTAIN, TOWER, FOUNTAIN] }));
+      assert.throws(() => loadPois({ file }), /pois\[2\] repeats the id "fountain"/);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('checks triggers are a sphere or a box', () => {
+    assert.equal(checkTrigger(FOUNTAIN.trigger), null);
+    assert.equal(checkTrigger(TOWER.trigger), null);
+    assert.match(checkTrigger({ x: 0, y: 0, z: 0, width: 1, height: 1 }), /needs a radius/);
+  });
+});
@@ -0,0 +1,310 @@
+/**
+ * Tests for server/protocol.js and the replies controllers get from server.js
+ *
+ * Run with: npm test
+ */
+
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import { rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import WebSocket from 'ws';
+import { COMMANDS, describeCommand, formatCommandTable, formatUsage, validateCommand } from '../server/protocol.js';
+import { SCOPES } from '../server/auth.js';
+
+const SERVER_JS = fileURLToPath(new URL('../server.js', import.meta.url));
+
+const TOKEN = 'protocol-test-token';
+
+describe('validateCommand', () => {
+  test('accepts well-formed commands', () => {
+    assert.ok(validateCommand({ type: 'teleport', x: 1, y: 2, z: -3 }).ok);
+    assert.ok(validateCommand({ type: 'teleport', id: 'a1', x: 1, y: 2, z: 3, playerId: 'abc' }).ok);
+    assert.ok(validateCommand({ type: 'time', value: 12.5, pinned: true }).ok);
+    assert.ok(validateCommand({ type: 'effect', name: 'shake', params: { intensity: 1 } }).ok);
+    assert.ok(validateCommand({ type: 'getState', id: 7 }).ok);
+    assert.ok(validateCommand({ type: 'goto', x: 12, z: -40, run: true }).ok);
+  });
+
+  test('reports missing and mistyped fields', () => {
+    const result = validateCommand({ type: 'teleport', x: 1, y: '2' });
+    assert.equal(result.ok, false);
+    assert.deepEqual(result.errors, [
+      { field: 'y', message: 'must be a number' },
+      { field: 'z', message: 'is required' }
+    ]);
+    assert.match(result.message, /^Invalid teleport: y must be a number; z is required$/);
+  });
+
+  test('checks ranges, lengths and allowed values', () => {
+    assert.deepEqual(validateCommand({ type: 'time', value: 25 }).errors, [{ field: 'value', message: 'must be at most 24' }]);
+    assert.deepEqual(validateCommand({ type: 'weather', value: 'hail' }).errors, [{ field: 'value', message: 'must be one of clear, rain, fog, snow' }]);
+    assert.equal(validateCommand({ type: 'message', text: 'x'.repeat(501) }).errors[0].field, 'text');
+    assert.equal(validateCommand({ type: 'teleport', x: NaN, y: 0, z: 0 }).ok, false);
+  });
+
+  test('validates nested objects', () => {
+    const result = validateCommand({ type: 'effect', name: 'flash', params: { color: 5, glow: true } });
+    assert.deepEqual(result.errors, [
+      { field: 'params.color', message: 'must be a string' },
+      { field: 'params.glow', message: 'is not a parameter of this command' }
+    ]);
+  });
+
+  test('validates array items', () => {
+    const keyframe = { time: 0, position: { x: 0, y: 1, z: 2 }, target: { x: 0, y: 0, z: 0 } };
+    assert.ok(validateCommand({ type: 'cinematic', action: 'play', path: { keyframes: [keyframe, { ...keyframe, time: 1000 }] } }).ok);
+
+    assert.deepEqual(validateCommand({ type: 'cinematic', action: 'play', path: { keyframes: [keyframe] } }).errors, [
+      { field: 'path.keyframes', message: 'must have at least 2 items' }
+    ]);
+    assert.deepEqual(validateCommand({ type: 'cinematic', action: 'play', path: { keyframes: [keyframe, { ...keyframe, time: -1, fov: 'wide' }] } }).errors, [
+      { field: 'path.keyframes[1].time', message: 'must be at least 0' },
+      { field: 'path.keyframes[1].fov', message: 'must be a number' }
+    ]);
+    assert.deepEqual(validateCommand({ type: 'cinematic', action: 'play', path: { keyframes: [keyframe, { ...keyframe, time: 1000 }, { ...keyframe, time: 1000 }] } }).errors, [
+      { field: 'path.keyframes[2].time', message: 'must differ from path.keyframes[1].time' }
+    ]);
+  });
+
+  test('refuses unknown fields and commands', () => {
+    assert.deepEqual(validateCommand({ type: 'getState', extra: 1 }).errors, [{ field: 'extra', message: 'is not a parameter of this command' }]);
+    assert.match(validateCommand({ type: 'somethingCustom' }).message, /^Unknown command: somethingCustom/);
+    assert.match(validateCommand({ type: 'constructor' }).message, /^Unknown command/);
+  });
+
+  test('refuses malformed envelopes', () => {
+    assert.equal(validateCommand(null).ok, false);
+    assert.equal(validateCommand([]).ok, false);
+    assert.equal(validateCommand({ x: 1 }).message, 'Missing "type"');
+    assert.equal(validateCommand({ type: 'getState', id: {} }).message, '"id" must be a string or number');
+  });
+});
+
+describe('schema', () => {
+  test('every command has a known scope and a description', () => {
+    for (const [name, command] of Object.entries(COMMANDS)) {
+      assert.ok(command.scope === null || SCOPES.has(command.scope), `${name} scope`);
+      assert.ok(command.description.length <= 28, `${name} description fits the banner`);
+    }
+  });
+
+  test('formats usage strings', () => {
+    assert.equal(formatUsage(COMMANDS.teleport.params), '{ x, y, z, playerId? }');
+    assert.equal(formatUsage(COMMANDS.time.params), '{ value: 0-24, pinned? }');
+    assert.equal(formatUsage(COMMANDS.getState.params), '{}');
+  });
+
+  test('formats banner rows to a fixed width', () => {
+    const rows = formatCommandTable(67);
+    assert.equal(rows.length, Object.keys(COMMANDS).length);
+    assert.ok(rows.every(row => row.length === 67));
+  });
+
+  test('describes commands', () => {
+    assert.deepEqual(describeCommand('getState'), {
+      name: 'getState', description: 'Get current game state', scope: 'read', params: {}, reply: 'state'
+    });
+    assert.equal(describeCommand('weather').reply, 'ack');
+
+    // rx/ry mean the same axes as cameraMove (camera pitch / yaw in main.js)
+    const look = describeCommand('look');
+    assert.equal(look.params.rx.description, 'Pitch (radians)');
+    assert.equal(look.params.ry.description, 'Yaw (radians)');
+  });
+});
+
+// ============================================================================
+// SERVER
+// ============================================================================
+
+describe('controller replies', () => {
+  const port = 30000 + Math.floor(Math.random() * 20000);
+  const auditLog = join(tmpdir(), `ittybity-protocol-${port}.log`);
+  let server;
+  let ws;
+
+  /**
+   * Send a command and wait for the reply carrying its id
+   * @param {Object} msg - Command, including an id
+   * @returns {Promise<Object>}
+   */
+  function request(msg) {
+    return new Promise((resolve) => {
+      const onMessage = (data) => {
+        const reply = JSON.parse(data);
+        if (reply.id !== msg.id) return;
+        ws.off('message', onMessage);
+        resolve(reply);
+      };
+      ws.on('message', onMessage);
+      ws.send(JSON.stringify(msg));
+    });
+  }
+
+  before(async () => {
+    server = spawn(process.execPath, [SERVER_JS], {
+      env: {
+        ...process.env,
+        PORT: String(port),
+        CONTROL_TOKEN: TOKEN,
+        CONTROL_TOKENS_FILE: join(tmpdir(), 'ittybity-no-tokens.json'),
+        CONTROL_AUDIT_LOG: auditLog,
+        SEQUENCES_DIR: join(tmpdir(), `ittybity-protocol-${port}-sequences`)
+      },
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    await new Promise((resolve, reject) => {
+      server.stdout.on('data', data => data.toString().includes('ITTY BITY CITY SERVER') && resolve());
+      server.on('exit', code => reject(new Error(`server.js exited with ${code}`)));
+    });
+
+    ws = new WebSocket(`ws://127.0.0.1:${port}/control?token=${TOKEN}`);
+    await new Promise((resolve, reject) => {
+      ws.on('open', resolve);
+      ws.on('error', reject);
+    });
+  });
+
+  after(async () => {
+    ws?.close();
+    server.kill();
+    await rm(auditLog, { force: true });
+    await rm(join(tmpdir(), `ittybity-protocol-${port}-sequences`), { recursive: true, force: true });
+  });
+
+  test('acknowledges commands with their id', async () => {
+    assert.deepEqual(await request({ type: 'weather', id: 'w1', value: 'fog' }), { type: 'ack', command: 'weather', id: 'w1' });
+    const state = await request({ type: 'getState', id: 2 });
+    assert.equal(state.type, 'state');
+    assert.equal(state.data.weather, 'fog');
+  });
+
+  test('returns validation errors', async () => {
+    const reply = await request({ type: 'teleport', id: 't1', x: 1, y: 2 });
+    assert.equal(reply.type, 'error');
+    assert.equal(reply.command, 'teleport');
+    assert.deepEqual(reply.errors, [{ field: 'z', message: 'is required' }]);
+  });
+
+  test('refuses unknown commands instead of forwarding them', async () => {
+    const reply = await request({ type: 'somethingCustom', id: 'u1' });
+    assert.equal(reply.type, 'error');
+    assert.match(reply.message, /^Unknown command: somethingCustom/);
+  });
+
+  test('reports commands that fail', async () => {
+    const reply = await request({ type: 'rotate', id: 'r1', angle: 1, playerId: 'nobody' });
+    assert.deepEqual(reply, { type: 'error', command: 'rotate', message: 'Unknown player: nobody', id: 'r1' });
+  });
+
+  test('lists and describes commands', async () => {
+    const help = await request({ type: 'help', id: 'h1' });
+    assert.deepEqual(help.commands.map(command => command.name), Object.keys(COMMANDS));
+
+    const teleport = await request({ type: 'describe', id: 'd1', command: 'teleport' });
+    assert.equal(teleport.type, 'describe');
+    assert.deepEqual(Object.keys(teleport.params), ['x', 'y', 'z', 'playerId']);
+
+    assert.equal((await request({ type: 'describe', id: 'd2', command: 'nope' })).message, 'Unknown command: nope');
+  });
+
+  test('plays, saves and lists sequences', async () => {
+    const steps = [{ type: 'weather', value: 'snow' }, { type: 'wait', duration: 50 }, { type: 'time', value: 6 }];
+    const ended = new Promise((resolve) => {
+      const onMessage = (data) => {
+        const msg = JSON.parse(data);
+        if (msg.type !== 'sequenceEvent' || msg.event !== 'end') return;
+        ws.off('message', onMessage);
+        resolve(msg);
+      };
+      ws.on('message', onMessage);
+    });
+
+    const started = await request({ type: 'sequence', id: 's1', action: 'play', steps });
+    assert.deepEqual(started.status, { name: 'inline', step: 2, steps: 3, paused: false });
+    assert.deepEqual(await ended, { type: 'sequenceEvent', event: 'end', name: 'inline', step: 3, steps: 3 });
+    assert.ok(Math.abs((await request({ type: 'getState', id: 's2' })).data.time - 6) < 0.1);
+
+    await request({ type: 'sequence', id: 's3', action: 'save', name: 'dawn', steps });
+    const list = await request({ type: 'sequence', id: 's4', action: 'list' });
+    assert.deepEqual(list.sequences, [{ name: 'dawn', steps: 3 }]);
+
+    const invalid = await request({ type: 'sequence', id: 's5', action: 'play', steps: [{ type: 'wait' }] });
+    assert.deepEqual(invalid.errors, [{ field: 'steps[0].duration', message: 'is required' }]);
+  });
+
+  test('spawns, moves and despawns objects', async () => {
+    const spawned = await request({ type: 'spawn', id: 'o1', object: 'crate', x: 1, y: 0, z: 2, scale: 2 });
+    assert.equal(spawned.type, 'spawned');
+    assert.deepEqual(spawned.object, {
+      id: spawned.object.id,
+      object: 'crate',
+      position: { x: 1, y: 0, z: 2 },
+      rotation: 0,
+      scale: 2,
+      collide: true
+    });
+    const { id: objectId } = spawned.object;
+
+    await request({ type: 'moveObject', id: 'o2', objectId, x: 5, y: 1, z: 5, rotation: 1 });
+    const [moved] = (await request({ type: 'listObjects', id: 'o3' })).objects;
+    assert.deepEqual([moved.position, moved.rotation], [{ x: 5, y: 1, z: 5 }, 1]);
+
+    // Players joining later get the objects with the rest of the state
+    const client = new WebSocket(`ws://127.0.0.1:${port}/`);
+    const sync = await new Promise((resolve) => {
+      client.on('message', (data) => {
+        const msg = JSON.parse(data);
+        if (msg.type === 'sync') resolve(msg);
+      });
+    });
+    const left = new Promise((resolve) => {
+      const onMessage = (data) => {
+        if (JSON.parse(data).type !== 'playerLeave') return;
+        ws.off('message', onMessage);
+        resolve();
+      };
+      ws.on('message', onMessage);
+    });
+    client.close();
+    await left;
+    assert.deepEqual(sync.state.objects.map(object => object.id), [objectId]);
+
+    await request({ type: 'despawn', id: 'o4', objectId });
+    assert.deepEqual((await request({ type: 'listObjects', id: 'o5' })).objects, []);
+    assert.equal((await request({ type: 'despawn', id: 'o6', objectId })).message, `Unknown object: ${objectId}`);
+  });
+
+  test('adds, lists and removes points of interest', async () => {
+    // The server starts with public/pois.json
+    const start = (await request({ type: 'listPois', id: 'p1' })).pois;
+    assert.ok(start.some(poi => poi.id === 'the-spire'));
+
+    const fountain = { name: 'The Fountain', trigger: { x: 10, y: 0, z: -4, radius: 3 }, camera: { rx: 0.2 } };
+    assert.equal((await request({ type: 'addPoi', id: 'p2', poiId: 'fountain', ...fountain })).type, 'ack');
+    const added = (await request({ type: 'listPois', id: 'p3' })).pois.find(poi => poi.id === 'fountain');
+    assert.deepEqual(added, { id: 'fountain', ...fountain });
+
+    // Triggers are a sphere or a box, not both or half of one
+    const both = await request({ type: 'addPoi', id: 'p4', poiId: 'odd', name: 'Odd', trigger: { x: 0, y: 0, z: 0, radius: 1, width: 2 } });
+    assert.equal(both.message, 'Invalid addPoi: trigger needs a radius or width/height/depth, not both');
+    const flat = await request({ type: 'addPoi', id: 'p5', poiId: 'odd', name: 'Odd', trigger: { x: 0, y: 0, z: 0, width: 2, depth: 2 } });
+    assert.equal(flat.message, 'Invalid addPoi: trigger needs a radius, or a width, height and depth');
+
+    await request({ type: 'removePoi', id: 'p6', poiId: 'fountain' });
+    assert.equal((await request({ type: 'listPois', id: 'p7' })).pois.length, start.length);
+    assert.equal((await request({ type: 'removePoi', id: 'p8', poiId: 'fountain' })).message, 'Unknown point of interest: fountain');
+  });
+
+  test('answers invalid JSON', async () => {
+    const reply = await new Promise((resolve) => {
+      ws.once('message', data => resolve(JSON.parse(data)));
+      ws.send('{not json');
+    });
+    assert.deepEqual(reply, { type: 'error', message: 'Messages must be valid JSON' });
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Tests for src/saveGame.js
+ *
+ * Run with: npm test
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SAVE_VERSION, createSaveGame, migrateSave } from '../src/saveGame.js';
+
+/** In-memory stand-in for localStorage */
+function createStorage() {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key)
+  };
+}
+
+const STATE = {
+  map: 'procedural:ittybity',
+  player: { position: { x: 12.5, y: 8.3, z: -4 }, rotation: 1.2 },
+  camera: { angleX: 0.4, angleY: -2, distance: 7 },
+  time: { hour: 18.5, pinned: true },
+  weather: 'rain',
+  discovered: ['fountain', 'clock-tower']
+};
+
+describe('createSaveGame', () => {
+  test('saves and loads the walk', () => {
+    const storage = createStorage();
+    const saveGame = createSaveGame({ storage, getState: () => STATE });
+
+    assert.equal(saveGame.load(), null);
+    assert.equal(saveGame.save(), true);
+
+    const { version, savedAt, ...saved } = saveGame.load();
+    assert.equal(version, SAVE_VERSION);
+    assert.ok(savedAt > 0);
+    assert.deepEqual(saved, STATE);
+
+    saveGame.clear();
+    assert.equal(saveGame.load(), null);
+  });
+
+  test('ignores unreadable saves and storage errors', () => {
+    const storage = createStorage();
+    const saveGame = createSaveGame({ storage, getState: () => STATE });
+
+    storage.setItem('ittybitycity:save', '{not json');
+    assert.equal(saveGame.load(), null);
+
+    storage.setItem('ittybitycity:save', JSON.stringify({ ...STATE, version: SAVE_VERSION + 1 }));
+    assert.equal(saveGame.load(), null);
+
+    const full = { ...createStorage(), setItem: () => { throw new Error('QuotaExceededError'); } };
+    assert.equal(createSaveGame({ storage: full, getState: () => STATE }).save(), false);
+  });
+
+  test('runs without saves when the browser blocks storage', () => {
+    Object.defineProperty(globalThis, 'localStorage', {
+      configurable: true,
+      get: () => { throw new Error('SecurityError'); }
+    });
+    try {
+      const saveGame = createSaveGame({ getState: () => STATE });
+      assert.equal(saveGame.save(), false);
+      assert.equal(saveGame.load(), null);
+    } finally {
+      delete globalThis.localStorage;
+    }
+  });
+});
+
+describe('migrateSave', () => {
+  test('rejects saves without a version or a position', () => {
+    assert.equal(migrateSave(null), null);
+    assert.equal(migrateSave({ ...STATE }), null);
+    assert.equal(migrateSave({ ...STATE, version: SAVE_VERSION, player: { position: { x: 1, y: 'up', z: 3 } } }), null);
+  });
+
+  test('drops unusable fields and keeps the rest', () => {
+    const saved = migrateSave({
+      ...STATE,
+      version: SAVE_VERSION,
+      camera: { angleX: 0.4 },
+      time: { hour: null },
+      weather: 42,
+      discovered: ['fountain', 7]
+    });
+    assert.deepEqual(saved.player, STATE.player);
+    assert.equal(saved.camera, null);
+    assert.equal(saved.time, null);
+    assert.equal(saved.weather, null);
+    assert.deepEqual(saved.discovered, ['fountain']);
+  });
+
+  test('upgrades old saves one version at a time', () => {
+    // A pretend older format, a couple of versions back
+    const oldVersion = SAVE_VERSION - 2;
+    const migrations = {
+      [oldVersion]: ({ x, y, z, ...rest }) => ({ ...rest, player: { position: { x, y, z }, rotation: 0 } }),
+      [oldVersion + 1]: save => ({ ...save, discovered: save.visited || [] })
+    };
+
+    const saved = migrateSave({ version: oldVersion, x: 1, y: 2, z: 3, visited: ['park'] }, migrations);
+    assert.equal(saved.version, SAVE_VERSION);
+    assert.deepEqual(saved.player, { position: { x: 1, y: 2, z: 3 }, rotation: 0 });
+    assert.deepEqual(saved.discovered, ['park']);
+
+    // A gap in the chain can't be bridged
+    assert.equal(migrateSave({ version: oldVersion, x: 1, y: 2, z: 3 }, { [oldVersion]: migrations[oldVersion] }), null);
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * Tests for server/sequences.js
+ *
+ * Run with: npm test
+ */
+
+import { after, afterEach, before, beforeEach, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync } from 'fs';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createSequencePlayer, createSequenceStore, holdTime, validateSteps } from '../server/sequences.js';
+
+const TOUR = [
+  { type: 'message', text: 'Hello' },
+  { type: 'wait', duration: 1000 },
+  { type: 'teleport', x: 1, y: 2, z: 3 },
+  { type: 'cameraMove', ry: 1, duration: 500 },
+  { type: 'weather', value: 'rain' }
+];
+
+describe('validateSteps', () => {
+  test('accepts commands and waits', () => {
+    assert.deepEqual(validateSteps(TOUR), []);
+  });
+
+  test('validates each step like its command', () => {
+    assert.deepEqual(validateSteps([
+      { type: 'teleport', x: 1, y: 2 },
+      { type: 'wait' },
+      { type: 'sequence', action: 'play' },
+      'message'
+    ]), [
+      { field: 'steps[0].z', message: 'is required' },
+      { field: 'steps[1].duration', message: 'is required' },
+      { field: 'steps[2].type', message: 'must be wait or one of teleport, look, rotate, cameraMove, cinematic, message, time, weather, spawn, despawn, moveObject, effect' },
+      { field: 'steps[3]', message: 'must be an object' }
+    ]);
+  });
+
+  test('holds the timeline for waits, camera glides and paths', () => {
+    const keyframes = [
+      { time: 500, position: { x: 0, y: 5, z: 0 }, target: { x: 0, y: 0, z: 0 } },
+      { time: 2500, position: { x: 5, y: 5, z: 0 }, target: { x: 0, y: 0, z: 0 } }
+    ];
+    assert.equal(holdTime({ type: 'wait', duration: 300 }), 300);
+    assert.equal(holdTime({ type: 'cameraMove', ry: 1, duration: 800 }), 800);
+    assert.equal(holdTime({ type: 'cinematic', action: 'play', path: { keyframes } }), 2000);
+    assert.equal(holdTime({ type: 'cinematic', action: 'play', path: { keyframes, loop: true } }), 0);
+    assert.equal(holdTime({ type: 'message', text: 'hi' }), 0);
+  });
+
+  test('refuses empty timelines', () => {
+    assert.equal(validateSteps([]).length, 1);
+    assert.equal(validateSteps(undefined).length, 1);
+  });
+});
+
+describe('createSequenceStore', () => {
+  let dir;
+  let store;
+
+  before(async () => {
+    dir = join(await mkdtemp(join(tmpdir(), 'ittybity-sequences-')), 'sequences');
+    store = createSequenceStore({ dir });
+  });
+
+  after(async () => {
+    await rm(join(dir, '..'), { recursive: true, force: true });
+  });
+
+  test('lists nothing before the first save', () => {
+    assert.deepEqual(store.list(), []);
+  });
+
+  test('saves, lists, loads and deletes sequences', () => {
+    store.save('tour', TOUR, 'Round the block');
+    assert.deepEqual(store.list(), [{ name: 'tour', description: 'Round the block', steps: TOUR.length }]);
+    assert.deepEqual(store.load('tour').steps, TOUR);
+
+    store.remove('tour');
+    assert.ok(!existsSync(join(dir, 'tour.json')));
+    assert.throws(() => store.load('tour'), /No saved sequence: tour/);
+  });
+
+  test('refuses names that are not plain file names', () => {
+    for (const name of ['../escape', '.hidden', 'a/b', '', 'x'.repeat(65)]) {
+      assert.throws(() => store.save(name, TOUR), /Sequence names/);
+    }
+  });
+
+  test('refuses invalid steps', () => {
+    assert.throws(() => store.save('bad', [{ type: 'wait' }]), (error) => error.errors[0].field === 'steps[0].duration');
+  });
+
+  test('reports broken files in the list', async () => {
+    await writeFile(join(dir, 'broken.json'), '{ nope');
+    assert.match(store.list()[0].error, /not valid JSON/);
+  });
+});
+
+describe('createSequencePlayer', () => {
+  let executed;
+  let events;
+  let player;
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+    executed = [];
+    events = [];
+    player = createSequencePlayer({
+      execute: (step) => {
+        if (step.type === 'teleport' && step.x < 0) throw new Error('Unknown player: x');
+        executed.push(step.type);
+      },
+      onEvent: event => events.push(event)
+    });
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  test('runs steps up to each wait', () => {
+    player.play(TOUR, 'tour');
+    assert.deepEqual(executed, ['message']);
+    assert.deepEqual(player.status(), { name: 'tour', step: 2, steps: 5, paused: false });
+
+    mock.timers.tick(1000);
+    assert.deepEqual(executed, ['message', 'teleport', 'cameraMove']);
+
+    mock.timers.tick(500);
+    assert.deepEqual(executed, ['message', 'teleport', 'cameraMove', 'weather']);
+    assert.equal(player.status(), null);
+    assert.deepEqual(events.map(event => event.event), ['start', 'end']);
+  });
+
+  test('pauses and resumes where it left off', () => {
+    player.play(TOUR);
+    mock.timers.tick(400);
+    player.pause();
+    mock.timers.tick(5000);
+    assert.deepEqual(executed, ['message']);
+    assert.equal(player.status().paused, true);
+
+    player.resume();
+    mock.timers.tick(599);
+    assert.deepEqual(executed, ['message']);
+    mock.timers.tick(1);
+    assert.deepEqual(executed, ['message', 'teleport', 'cameraMove']);
+  });
+
+  test('cancels', () => {
+    player.play(TOUR);
+    player.cancel();
+    mock.timers.tick(10000);
+    assert.deepEqual(executed, ['message']);
+    assert.equal(player.status(), null);
+    assert.equal(events.at(-1).event, 'cancel');
+  });
+
+  test('plays one sequence at a time', () => {
+    player.play(TOUR, 'first');
+    assert.throws(() => player.play(TOUR, 'second'), /first is already playing/);
+    assert.throws(() => player.resume(), /No sequence is paused/);
+  });
+
+  test('reports failing steps and keeps going', () => {
+    player.play([{ type: 'teleport', x: -1, y: 0, z: 0 }, { type: 'weather', value: 'fog' }]);
+    assert.deepEqual(executed, ['weather']);
+    assert.deepEqual(events.map(event => event.event), ['start', 'error', 'end']);
+    assert.equal(events[1].message, 'Unknown player: x');
+    assert.equal(events[1].step, 1);
+  });
+});
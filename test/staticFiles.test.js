@@ -0,0 +1,326 @@
+/**
+ * Tests for server/staticFiles.js
+ *
+ * Run with: npm test
+ */
+
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, rm, symlink, utimes, writeFile } from 'fs/promises';
+import { createServer, request } from 'http';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { brotliDecompressSync, gunzipSync } from 'zlib';
+import { createStaticFileHandler } from '../server/staticFiles.js';
+
+const INDEX_HTML = '<!DOCTYPE html><title>Itty Bity City</title>';
+const BIG_JS = 'console.log("itty bity city");\n'.repeat(200);
+const MODEL = Buffer.from(Array.from({ length: 4096 }, (_, i) => i % 256));
+
+let fixture;
+let server;
+let port;
+
+/**
+ * Send a raw request (paths are sent exactly as given, unlike fetch)
+ * @param {string} path
+ * @param {Object} [options]
+ * @param {string} [options.method='GET']
+ * @param {Object} [options.headers]
+ * @returns {Promise<{status: number, headers: Object, body: Buffer}>}
+ */
+function get(path, { method = 'GET', headers = {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = request({ host: '127.0.0.1', port, path, method, headers }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+before(async () => {
+  fixture = await mkdtemp(join(tmpdir(), 'ittybity-static-'));
+  const dist = join(fixture, 'dist');
+  const publicDir = join(fixture, 'public');
+  await mkdir(join(dist, 'assets'), { recursive: true });
+  await mkdir(join(publicDir, 'models'), { recursive: true });
+
+  await writeFile(join(dist, 'index.html'), INDEX_HTML);
+  await writeFile(join(dist, 'assets', 'index-BImHNUp6.js'), BIG_JS);
+  await writeFile(join(dist, 'small.json'), '{"ok":true}');
+  await writeFile(join(publicDir, 'character.glb'), MODEL);
+  await writeFile(join(publicDir, 'models', 'map.1a2b3c4d.glb'), MODEL);
+  await writeFile(join(publicDir, '.env'), 'SECRET=1');
+  await writeFile(join(fixture, 'server.js'), 'secret server code');
+
+  // Fixed mtime so Last-Modified is predictable
+  const mtime = new Date('2024-01-01T00:00:00Z');
+  await utimes(join(publicDir, 'character.glb'), mtime, mtime);
+
+  // A symlink leading out of the served roots
+  await symlink(join(fixture, 'server.js'), join(publicDir, 'escape.js'));
+
+  const handler = createStaticFileHandler({ roots: [dist, publicDir] });
+  server = createServer(handler);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  port = server.address().port;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await rm(fixture, { recursive: true, force: true });
+});
+
+describe('file resolution', () => {
+  test('serves from the first root that has the file', async () => {
+    const res = await get('/index.html');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.toString(), INDEX_HTML);
+    assert.equal(res.headers['content-type'], 'text/html; charset=utf-8');
+  });
+
+  test('falls through to later roots', async () => {
+    const res = await get('/character.glb');
+    assert.equal(res.status, 200);
+    assert.equal(res.headers['content-type'], 'model/gltf-binary');
+    assert.deepEqual(res.body, MODEL);
+  });
+
+  test('serves index.html for /', async () => {
+    const res = await get('/');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.toString(), INDEX_HTML);
+  });
+
+  test('ignores the query string', async () => {
+    const res = await get('/small.json?v=2');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.toString(), '{"ok":true}');
+  });
+
+  test('HEAD sends headers only', async () => {
+    const res = await get('/character.glb', { method: 'HEAD' });
+    assert.equal(res.status, 200);
+    assert.equal(res.headers['content-length'], String(MODEL.length));
+    assert.equal(res.body.length, 0);
+  });
+
+  test('rejects other methods', async () => {
+    const res = await get('/index.html', { method: 'POST' });
+    assert.equal(res.status, 405);
+    assert.equal(res.headers.allow, 'GET, HEAD');
+  });
+});
+
+describe('path traversal', () => {
+  for (const path of [
+    '/../server.js',
+    '/%2e%2e/server.js',
+    '/assets/../../server.js',
+    '/..%2fserver.js',
+    '/..%5cserver.js',
+    '/%2e%2e%2f%2e%2e%2fserver.js',
+    '/character.glb%00.html',
+    '/%E0%A4%A'
+  ]) {
+    test(`refuses ${path}`, async () => {
+      const res = await get(path);
+      assert.equal(res.status, 400);
+      assert.doesNotMatch(res.body.toString(), /secret/);
+    });
+  }
+
+  test('does not serve dotfiles', async () => {
+    const res = await get('/.env');
+    assert.equal(res.status, 400);
+  });
+
+  test('does not follow symlinks out of a root', async () => {
+    const res = await get('/escape.js');
+    assert.equal(res.status, 404);
+    assert.doesNotMatch(res.body.toString(), /secret/);
+  });
+
+  test('does not serve files next to the roots', async () => {
+    const res = await get('/server.js');
+    assert.equal(res.status, 404);
+  });
+});
+
+describe('caching', () => {
+  test('sends validators', async () => {
+    const res = await get('/character.glb');
+    assert.match(res.headers.etag, /^W\/".+"$/);
+    assert.equal(res.headers['last-modified'], 'Mon, 01 Jan 2024 00:00:00 GMT');
+    assert.equal(res.headers['cache-control'], 'public, max-age=3600');
+  });
+
+  test('answers a matching If-None-Match with 304', async () => {
+    const { headers } = await get('/character.glb');
+    const res = await get('/character.glb', { headers: { 'If-None-Match': headers.etag } });
+    assert.equal(res.status, 304);
+    assert.equal(res.body.length, 0);
+    assert.equal(res.headers.etag, headers.etag);
+  });
+
+  test('sends the file for a stale If-None-Match', async () => {
+    const res = await get('/character.glb', { headers: { 'If-None-Match': 'W/"stale"' } });
+    assert.equal(res.status, 200);
+  });
+
+  test('answers If-Modified-Since with 304 when unchanged', async () => {
+    const res = await get('/character.glb', { headers: { 'If-Modified-Since': 'Mon, 01 Jan 2024 00:00:00 GMT' } });
+    assert.equal(res.status, 304);
+  });
+
+  test('sends the file when modified since', async () => {
+    const res = await get('/character.glb', { headers: { 'If-Modified-Since': 'Sun, 31 Dec 2023 00:00:00 GMT' } });
+    assert.equal(res.status, 200);
+  });
+
+  test('If-None-Match takes precedence over If-Modified-Since', async () => {
+    const res = await get('/character.glb', {
+      headers: { 'If-None-Match': 'W/"stale"', 'If-Modified-Since': 'Mon, 01 Jan 2024 00:00:00 GMT' }
+    });
+    assert.equal(res.status, 200);
+  });
+
+  test('fingerprinted files are immutable', async () => {
+    for (const path of ['/models/map.1a2b3c4d.glb', '/assets/index-BImHNUp6.js']) {
+      const res = await get(path);
+      assert.equal(res.headers['cache-control'], 'public, max-age=31536000, immutable', path);
+    }
+  });
+
+  test('index.html is always revalidated', async () => {
+    const res = await get('/');
+    assert.equal(res.headers['cache-control'], 'no-cache');
+  });
+});
+
+describe('ranges', () => {
+  test('serves a byte range', async () => {
+    const res = await get('/character.glb', { headers: { Range: 'bytes=100-199' } });
+    assert.equal(res.status, 206);
+    assert.equal(res.headers['content-range'], `bytes 100-199/${MODEL.length}`);
+    assert.equal(res.headers['content-length'], '100');
+    assert.deepEqual(res.body, MODEL.subarray(100, 200));
+  });
+
+  test('serves an open-ended range', async () => {
+    const res = await get('/character.glb', { headers: { Range: 'bytes=4000-' } });
+    assert.equal(res.status, 206);
+    assert.deepEqual(res.body, MODEL.subarray(4000));
+  });
+
+  test('serves a suffix range', async () => {
+    const res = await get('/character.glb', { headers: { Range: 'bytes=-10' } });
+    assert.equal(res.status, 206);
+    assert.equal(res.headers['content-range'], `bytes ${MODEL.length - 10}-${MODEL.length - 1}/${MODEL.length}`);
+    assert.deepEqual(res.body, MODEL.subarray(-10));
+  });
+
+  test('clamps a range running past the end', async () => {
+    const res = await get('/character.glb', { headers: { Range: 'bytes=4090-9999' } });
+    assert.equal(res.status, 206);
+    assert.equal(res.body.length, 6);
+  });
+
+  test('answers an unsatisfiable range with 416', async () => {
+    const res = await get('/character.glb', { headers: { Range: 'bytes=5000-6000' } });
+    assert.equal(res.status, 416);
+    assert.equal(res.headers['content-range'], `bytes */${MODEL.length}`);
+  });
+
+  test('sends the whole file for multiple ranges', async () => {
+    const res = await get('/character.glb', { headers: { Range: 'bytes=0-1,5-6' } });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.length, MODEL.length);
+  });
+
+  test('ignores the range when If-Range no longer matches', async () => {
+    const res = await get('/character.glb', { headers: { Range: 'bytes=0-9', 'If-Range': 'W/"old"' } });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.length, MODEL.length);
+  });
+
+  test('honours the range when If-Range matches', async () => {
+    const { headers } = await get('/character.glb');
+    const res = await get('/character.glb', { headers: { Range: 'bytes=0-9', 'If-Range': headers.etag } });
+    assert.equal(res.status, 206);
+  });
+});
+
+describe('compression', () => {
+  test('prefers brotli', async () => {
+    const res = await get('/assets/index-BImHNUp6.js', { headers: { 'Accept-Encoding': 'gzip, deflate, br' } });
+    assert.equal(res.status, 200);
+    assert.equal(res.headers['content-encoding'], 'br');
+    assert.equal(res.headers.vary, 'Accept-Encoding');
+    assert.equal(res.headers['content-length'], undefined);
+    assert.equal(brotliDecompressSync(res.body).toString(), BIG_JS);
+  });
+
+  test('uses gzip when brotli is not accepted', async () => {
+    const res = await get('/assets/index-BImHNUp6.js', { headers: { 'Accept-Encoding': 'gzip, br;q=0' } });
+    assert.equal(res.headers['content-encoding'], 'gzip');
+    assert.equal(gunzipSync(res.body).toString(), BIG_JS);
+  });
+
+  test('gives each encoding its own ETag', async () => {
+    const plain = await get('/assets/index-BImHNUp6.js');
+    const br = await get('/assets/index-BImHNUp6.js', { headers: { 'Accept-Encoding': 'br' } });
+    assert.notEqual(plain.headers.etag, br.headers.etag);
+
+    const revalidated = await get('/assets/index-BImHNUp6.js', {
+      headers: { 'Accept-Encoding': 'br', 'If-None-Match': br.headers.etag }
+    });
+    assert.equal(revalidated.status, 304);
+  });
+
+  test('sends identity without Accept-Encoding', async () => {
+    const res = await get('/assets/index-BImHNUp6.js');
+    assert.equal(res.headers['content-encoding'], undefined);
+    assert.equal(res.body.toString(), BIG_JS);
+  });
+
+  test('does not compress binary models', async () => {
+    const res = await get('/character.glb', { headers: { 'Accept-Encoding': 'br, gzip' } });
+    assert.equal(res.headers['content-encoding'], undefined);
+    assert.deepEqual(res.body, MODEL);
+  });
+
+  test('does not compress tiny files', async () => {
+    const res = await get('/small.json', { headers: { 'Accept-Encoding': 'br, gzip' } });
+    assert.equal(res.headers['content-encoding'], undefined);
+  });
+
+  test('does not compress ranges', async () => {
+    const res = await get('/assets/index-BImHNUp6.js', { headers: { 'Accept-Encoding': 'br', Range: 'bytes=0-6' } });
+    assert.equal(res.status, 206);
+    assert.equal(res.headers['content-encoding'], undefined);
+    assert.equal(res.body.toString(), 'console');
+  });
+});
+
+describe('SPA fallback', () => {
+  test('serves index.html for client-side routes', async () => {
+    const res = await get('/city/downtown', { headers: { Accept: 'text/html,application/xhtml+xml' } });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.toString(), INDEX_HTML);
+    assert.equal(res.headers['cache-control'], 'no-cache');
+  });
+
+  test('404s missing files with an extension', async () => {
+    const res = await get('/missing.js', { headers: { Accept: 'text/html' } });
+    assert.equal(res.status, 404);
+  });
+
+  test('404s non-HTML requests', async () => {
+    const res = await get('/api/players', { headers: { Accept: 'application/json' } });
+    assert.equal(res.status, 404);
+  });
+});
@@ -17,6 +17,10 @@ log() {
 start_server() {
     log "Starting game server..."
     cd "$GAME_DIR"
+    # The tunnel makes /control public, so it stays closed without tokens
+    if [ -z "$CONTROL_TOKEN" ] && [ ! -f control-tokens.json ]; then
+        log "WARNING: no CONTROL_TOKEN or control-tokens.json - /control will refuse all controllers"
+    fi
     node server.js >> /tmp/ittybitycity-server.log 2>&1 &
     sleep 2
     if pgrep -f "node server.js" > /dev/null; then